@@ -0,0 +1,40 @@
+/**
+ * Baisse de vitesse en altitude (hypoxie), sans dépendance, pour Node et le navigateur
+ * Au-dessus d'une altitude seuil, la vitesse baisse d'un pourcentage par 1000 m ; un coureur acclimaté
+ * en récupère une partie. Le facteur dépend de l'altitude absolue de chaque segment (altitude lissée).
+ */
+
+// ==================== CONSTANTES ====================
+
+// Valeurs par défaut : altitude à partir de laquelle la vitesse baisse (m), baisse par 1000 m au-dessus (%, 0 = aucune),
+// part de la baisse récupérée par l'acclimatation (%, 0 = non acclimaté, 100 = sans effet de l'altitude)
+export const ALTITUDE_DEFAULTS = {
+  thresholdM: 1500,
+  penaltyPctPer1000M: 0,
+  acclimatizationPct: 0
+};
+
+// Baisse maximale due à l'altitude (% de la vitesse)
+const MAX_ALTITUDE_PENALTY_PCT = 50;
+
+// ==================== FACTEUR ====================
+
+/**
+ * Fonction facteur de vitesse selon l'altitude
+ * @param {{thresholdM?: number, penaltyPctPer1000M?: number, acclimatizationPct?: number}} [settings]
+ * @returns {((eleM: number) => number)|null} Facteur (1 = sans effet, jamais sous 0,5) ; null sans baisse (taux nul
+ *   ou acclimatation complète)
+ */
+export function altitudeFunction(settings = {}) {
+  const thresholdM = settings.thresholdM ?? ALTITUDE_DEFAULTS.thresholdM;
+  const penaltyPctPer1000M = settings.penaltyPctPer1000M ?? ALTITUDE_DEFAULTS.penaltyPctPer1000M;
+  const acclimatizationPct = settings.acclimatizationPct ?? ALTITUDE_DEFAULTS.acclimatizationPct;
+  if (!Number.isFinite(thresholdM)) throw new Error(`Altitude seuil invalide : ${thresholdM} (m)`);
+  if (!(penaltyPctPer1000M >= 0)) throw new Error(`Baisse en altitude invalide : ${penaltyPctPer1000M} (% par 1000 m, 0 ou plus)`);
+  if (!(acclimatizationPct >= 0 && acclimatizationPct <= 100)) {
+    throw new Error(`Acclimatation invalide : ${acclimatizationPct} (%, de 0 à 100)`);
+  }
+  const pctPerM = (penaltyPctPer1000M / 1000) * (1 - acclimatizationPct / 100);
+  if (pctPerM === 0) return null;
+  return eleM => 1 - Math.min(MAX_ALTITUDE_PENALTY_PCT, Math.max(0, eleM - thresholdM) * pctPerM) / 100;
+}
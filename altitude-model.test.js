@@ -0,0 +1,37 @@
+/**
+ * Tests de la baisse de vitesse en altitude (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { altitudeFunction } from './altitude-model.js';
+import { calculatePacing } from './pacing-engine.js';
+import { straightTrack, near } from './testing-helpers.js';
+
+test("altitudeFunction baisse la vitesse au-dessus du seuil, moins pour un coureur acclimaté", () => {
+  const factor = altitudeFunction({ thresholdM: 1500, penaltyPctPer1000M: 6 });
+  assert.equal(factor(1200), 1);
+  near(factor(2500), 0.94);
+  near(altitudeFunction({ penaltyPctPer1000M: 6, acclimatizationPct: 50 })(2500), 0.97);
+  // Jamais plus de 50 % de baisse
+  assert.equal(factor(20000), 0.5);
+});
+
+test("sans taux ou avec une acclimatation complète, pas de facteur", () => {
+  assert.equal(altitudeFunction(), null);
+  assert.equal(altitudeFunction({ penaltyPctPer1000M: 6, acclimatizationPct: 100 }), null);
+  assert.throws(() => altitudeFunction({ penaltyPctPer1000M: -1 }), /Baisse en altitude invalide/);
+  assert.throws(() => altitudeFunction({ penaltyPctPer1000M: 6, acclimatizationPct: 120 }), /Acclimatation invalide/);
+});
+
+test("le plan ralentit les segments en altitude et atteint toujours le temps cible", () => {
+  // 5 km de montée de 1000 à 2500 m, puis 5 km à plat à 2500 m
+  const points = straightTrack(i => (i <= 100 ? 1000 + i * 15 : 2500));
+  const plan = calculatePacing({ points, targetTime: "02:00:00", altitudePenaltyPctPer1000M: 6 });
+  assert.deepEqual(plan.input.altitude, { thresholdM: 1500, penaltyPctPer1000M: 6, acclimatizationPct: 0 });
+  assert.equal(plan.per250m[0].altitudeFactor, 1);
+  assert.equal(plan.per250m.at(-1).altitudeFactor, 0.94);
+  assert.ok(Math.abs(plan.totals.computedMovingSec - 7200) <= 5);
+  assert.ok(plan.totals.altitude.costSec > 0);
+  assert.equal(plan.totals.altitude.maxEleM, 2500);
+});
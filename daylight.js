@@ -0,0 +1,158 @@
+/**
+ * Heure locale de passage, lever et coucher du soleil, sans dépendance ni réseau, pour Node et le navigateur
+ * Le fuseau horaire est un nom IANA ("Europe/Paris", converti par Intl) ou un décalage fixe ("+02:00", "UTC").
+ * La hauteur du soleil vient des formules approchées de l'US Naval Observatory (précision de l'ordre de la minute
+ * pour le lever et le coucher) ; il fait nuit quand le centre du soleil est sous -0,833° (réfraction et rayon
+ * du disque compris, comme pour les heures de lever et de coucher publiées).
+ */
+
+// ==================== CONSTANTES ====================
+
+// Hauteur du soleil au lever et au coucher (°)
+const SUNSET_ALTITUDE_DEG = -0.833;
+
+const DEG = Math.PI / 180;
+const DAY_MS = 86400000;
+
+// Pas de recherche du lever et du coucher dans une journée (ms), affiné ensuite par dichotomie
+const SCAN_STEP_MS = 10 * 60 * 1000;
+
+// ==================== FUSEAU HORAIRE ====================
+
+/**
+ * Décalage fixe "+02:00", "-0530", "UTC" ou "Z" en minutes ; null pour un nom de fuseau IANA
+ */
+function fixedOffsetMinutes(timeZone) {
+  if (/^(UTC|GMT|Z)$/i.test(timeZone)) return 0;
+  const m = /^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i.exec(timeZone);
+  if (!m) return null;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0));
+}
+
+/**
+ * Champs de l'heure locale d'un instant (année, mois 1-12, jour, heure, minute, seconde)
+ */
+function zonedFields(ms, timeZone) {
+  const fixed = fixedOffsetMinutes(timeZone);
+  if (fixed !== null) {
+    const d = new Date(ms + fixed * 60000);
+    return {
+      year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+      hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds()
+    };
+  }
+  let format;
+  try {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric"
+    });
+  } catch {
+    throw new Error(`Fuseau horaire inconnu : ${timeZone} (nom IANA comme "Europe/Paris", ou décalage "+02:00")`);
+  }
+  const parts = {};
+  for (const p of format.formatToParts(new Date(ms))) parts[p.type] = Number(p.value);
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Décalage du fuseau à un instant (ms, heure locale - UTC)
+ */
+function zoneOffsetMs(ms, timeZone) {
+  const f = zonedFields(ms, timeZone);
+  return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant UTC d'une date et heure locales
+ * @param {string} localTime - "YYYY-MM-DDTHH:MM" ou "YYYY-MM-DD HH:MM[:SS]" (heure locale du fuseau)
+ * @param {string} timeZone - Nom IANA ou décalage fixe
+ * @returns {number} Millisecondes depuis l'époque Unix
+ */
+export function zonedTimeToUtc(localTime, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(localTime).trim());
+  if (!m) throw new Error(`Heure de départ invalide : ${localTime} (AAAA-MM-JJTHH:MM)`);
+  const asUtc = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0));
+  const check = new Date(asUtc);
+  if (check.getUTCDate() !== Number(m[3]) || check.getUTCHours() !== Number(m[4]) || check.getUTCMinutes() !== Number(m[5])) {
+    throw new Error(`Heure de départ invalide : ${localTime}`);
+  }
+  // Le décalage dépend de l'instant (heure d'été) : second passage avec le décalage de l'instant trouvé
+  let utc = asUtc - zoneOffsetMs(asUtc, timeZone);
+  utc = asUtc - zoneOffsetMs(utc, timeZone);
+  return utc;
+}
+
+/**
+ * Heure locale d'un instant, "YYYY-MM-DD HH:MM"
+ * @param {number} ms - Instant (ms depuis l'époque Unix)
+ * @param {string} timeZone
+ */
+export function formatZonedTime(ms, timeZone) {
+  const f = zonedFields(ms, timeZone);
+  const p = n => String(n).padStart(2, "0");
+  return `${f.year}-${p(f.month)}-${p(f.day)} ${p(f.hour)}:${p(f.minute)}`;
+}
+
+// ==================== SOLEIL ====================
+
+/**
+ * Hauteur du centre du soleil au-dessus de l'horizon (°), sans réfraction
+ * @param {number} ms - Instant (ms depuis l'époque Unix)
+ * @param {number} lat - Latitude (°)
+ * @param {number} lon - Longitude (°, est positif)
+ */
+export function solarAltitudeDeg(ms, lat, lon) {
+  const d = ms / DAY_MS + 2440587.5 - 2451545.0; // jours depuis J2000
+  const g = (357.529 + 0.98560028 * d) * DEG; // anomalie moyenne
+  const q = 280.459 + 0.98564736 * d; // longitude moyenne (°)
+  const L = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG; // longitude écliptique
+  const e = (23.439 - 0.00000036 * d) * DEG; // obliquité
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+  const gmstDeg = (18.697374558 + 24.06570982441908 * d) * 15;
+  const hourAngle = gmstDeg * DEG + lon * DEG - ra;
+  const phi = lat * DEG;
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)) / DEG;
+}
+
+/**
+ * Nuit : soleil sous l'horizon (entre le coucher et le lever)
+ */
+export function isNight(ms, lat, lon) {
+  return solarAltitudeDeg(ms, lat, lon) < SUNSET_ALTITUDE_DEG;
+}
+
+/**
+ * Lever et coucher du soleil d'une journée locale
+ * @param {string} date - "YYYY-MM-DD" (jour local du fuseau)
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} timeZone
+ * @returns {{date: string, sunrise: string|null, sunset: string|null}} Heures locales "HH:MM" ; null si le soleil
+ *   ne se lève pas ou ne se couche pas ce jour-là (nuit ou jour polaire)
+ */
+export function sunTimes(date, lat, lon, timeZone) {
+  const from = zonedTimeToUtc(`${date}T00:00`, timeZone);
+  const to = zonedTimeToUtc(`${date}T23:59`, timeZone) + 60000;
+  const above = ms => solarAltitudeDeg(ms, lat, lon) >= SUNSET_ALTITUDE_DEG;
+  const crossing = (a, b) => {
+    const up = above(b);
+    for (let i = 0; i < 20; i++) {
+      const mid = (a + b) / 2;
+      if (above(mid) === up) b = mid;
+      else a = mid;
+    }
+    return b;
+  };
+  let sunrise = null;
+  let sunset = null;
+  for (let t = from; t < to; t += SCAN_STEP_MS) {
+    const next = Math.min(t + SCAN_STEP_MS, to);
+    if (above(t) === above(next)) continue;
+    const at = formatZonedTime(crossing(t, next), timeZone).slice(11);
+    if (above(next)) sunrise ??= at;
+    else sunset ??= at;
+  }
+  return { date, sunrise, sunset };
+}
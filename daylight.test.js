@@ -0,0 +1,51 @@
+/**
+ * Tests des fuseaux horaires, du lever et du coucher du soleil et du ralentissement de nuit (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToUtc, formatZonedTime, sunTimes, isNight } from './daylight.js';
+import { calculatePacing } from './pacing-engine.js';
+import { straightTrack } from './testing-helpers.js';
+
+const minutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+test("zonedTimeToUtc suit l'heure d'été des fuseaux IANA et les décalages fixes", () => {
+  assert.equal(new Date(zonedTimeToUtc("2026-06-26T04:00", "Europe/Paris")).toISOString(), "2026-06-26T02:00:00.000Z");
+  assert.equal(new Date(zonedTimeToUtc("2026-01-10 04:00", "Europe/Paris")).toISOString(), "2026-01-10T03:00:00.000Z");
+  assert.equal(new Date(zonedTimeToUtc("2026-06-26T04:00", "-05:30")).toISOString(), "2026-06-26T09:30:00.000Z");
+  assert.equal(formatZonedTime(Date.UTC(2026, 5, 26, 2), "Europe/Paris"), "2026-06-26 04:00");
+  assert.throws(() => zonedTimeToUtc("2026-02-30T04:00", "UTC"), /Heure de départ invalide/);
+});
+
+test("sunTimes retrouve les heures publiées à Paris à la minute près", () => {
+  const published = { "2026-06-21": ["05:47", "21:58"], "2026-12-21": ["08:42", "16:56"] };
+  for (const [date, [sunrise, sunset]] of Object.entries(published)) {
+    const sun = sunTimes(date, 48.8566, 2.3522, "Europe/Paris");
+    assert.ok(Math.abs(minutes(sun.sunrise) - minutes(sunrise)) <= 1, `lever ${date} : ${sun.sunrise}`);
+    assert.ok(Math.abs(minutes(sun.sunset) - minutes(sunset)) <= 1, `coucher ${date} : ${sun.sunset}`);
+  }
+  assert.equal(isNight(Date.UTC(2026, 5, 21, 0), 48.85, 2.35), true);
+  assert.equal(isNight(Date.UTC(2026, 5, 21, 12), 48.85, 2.35), false);
+});
+
+test("jour et nuit polaires : ni lever ni coucher", () => {
+  assert.deepEqual(sunTimes("2026-06-21", 80, 0, "UTC"), { date: "2026-06-21", sunrise: null, sunset: null });
+  assert.deepEqual(sunTimes("2026-12-21", 80, 0, "UTC"), { date: "2026-12-21", sunrise: null, sunset: null });
+});
+
+test("les segments courus de nuit sont ralentis, le temps cible reste atteint", () => {
+  const points = straightTrack(() => 1000);
+  const plan = start => calculatePacing({ points, targetTime: "02:00:00", startTime: start, timeZone: "Europe/Paris", nightSlowdownPct: 20 });
+  const day = plan("2026-06-26T10:00");
+  assert.equal(day.totals.night.movingSec, 0);
+  assert.equal(day.steps[0].arrival, "2026-06-26 12:00");
+
+  const evening = plan("2026-06-26T21:00");
+  const first = evening.per250m[0];
+  const last = evening.per250m.at(-1);
+  assert.deepEqual([first.night, last.night], [false, true]);
+  assert.ok(Math.abs(last.speedKmh / first.speedKmh - 0.8) < 0.001);
+  assert.ok(evening.totals.night.movingSec > 0);
+  assert.equal(evening.totals.night.sun[0].date, "2026-06-26");
+});
@@ -0,0 +1,422 @@
+/**
+ * Lecture de modèles numériques de terrain (MNT) locaux, sans dépendance, pour Node et le navigateur
+ * Tuiles SRTM .hgt (éventuellement zippées : .hgt.zip) et GeoTIFF en lat/lon (SRTM, Copernicus GLO-30…) :
+ * non compressés, LZW ou deflate, en bandes ou en tuiles, avec prédicteur horizontal ou flottant.
+ * L'altitude d'un point est interpolée de façon bilinéaire entre les 4 échantillons voisins.
+ */
+
+import { inflateRaw, extractZipEntry } from './zip-reader.js';
+
+// ==================== FICHIERS ====================
+
+const HGT_NAME = /([NS])(\d{1,2})([EW])(\d{1,3})[^/\\]*\.hgt(\.zip)?$/i;
+
+/**
+ * Indique si un nom de fichier désigne une tuile MNT lisible (.hgt, .hgt.zip, .tif, .tiff)
+ * @param {string} name - Nom du fichier
+ * @returns {boolean}
+ */
+export function isDemFileName(name) {
+  return /\.(hgt|hgt\.zip|tiff?)$/i.test(name);
+}
+
+/**
+ * Emprise d'une tuile .hgt d'après son nom (N45E006.hgt couvre 45..46°N, 6..7°E)
+ * @param {string} name - Nom du fichier
+ * @returns {{south: number, west: number, north: number, east: number}|null} null si le nom ne suit pas la convention
+ */
+export function hgtTileBounds(name) {
+  const m = String(name).match(HGT_NAME);
+  if (!m) return null;
+  const south = (m[1].toUpperCase() === "S" ? -1 : 1) * Number(m[2]);
+  const west = (m[3].toUpperCase() === "W" ? -1 : 1) * Number(m[4]);
+  return { south, west, north: south + 1, east: west + 1 };
+}
+
+/**
+ * Emprise d'une trace, élargie d'une marge (degrés)
+ * @param {Array<{lat: number, lon: number}>} points
+ * @param {number} [marginDeg=0.01]
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function trackBounds(points, marginDeg = 0.01) {
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const p of points) {
+    if (p.lat < south) south = p.lat;
+    if (p.lat > north) north = p.lat;
+    if (p.lon < west) west = p.lon;
+    if (p.lon > east) east = p.lon;
+  }
+  return { south: south - marginDeg, west: west - marginDeg, north: north + marginDeg, east: east + marginDeg };
+}
+
+function boundsIntersect(a, b) {
+  return a.south <= b.north && a.north >= b.south && a.west <= b.east && a.east >= b.west;
+}
+
+/**
+ * Garde les fichiers MNT utiles pour une emprise : les .hgt hors emprise (d'après leur nom) sont écartés
+ * sans être lus ; les GeoTIFF sont gardés (leur emprise est dans l'en-tête, voir readDemTile)
+ * @param {string[]} names - Noms de fichiers (ex: contenu d'un dossier)
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Emprise de la trace
+ * @returns {string[]}
+ */
+export function selectDemFiles(names, bounds) {
+  return names.filter(name => {
+    if (!isDemFileName(name)) return false;
+    const tile = hgtTileBounds(name);
+    return tile === null || boundsIntersect(tile, bounds);
+  });
+}
+
+/**
+ * Lit une tuile MNT (.hgt, .hgt.zip ou GeoTIFF) et renvoie sa grille d'altitudes
+ * Grille : l'échantillon (ligne r, colonne c) est au point lat = north - r * dy, lon = west + c * dx ;
+ * les valeurs absentes (vides SRTM, nodata) valent NaN.
+ * @param {string} name - Nom du fichier (format et, pour .hgt, emprise)
+ * @param {Uint8Array} bytes - Contenu du fichier
+ * @param {{south: number, west: number, north: number, east: number}|null} [bounds=null] - Si fournie,
+ *   une tuile qui ne la recoupe pas n'est pas décodée
+ * @returns {{name: string, west: number, north: number, dx: number, dy: number, width: number, height: number, values: Float32Array}|null}
+ *   null si la tuile est hors emprise
+ */
+export function readDemTile(name, bytes, bounds = null) {
+  if (/\.zip$/i.test(name)) {
+    const entry = extractZipEntry(bytes, n => /\.hgt$/i.test(n));
+    if (!entry) throw new Error(`MNT ${name} : aucune tuile .hgt dans l'archive`);
+    return readHgtTile(name, entry.data, bounds);
+  }
+  if (/\.hgt$/i.test(name)) return readHgtTile(name, bytes, bounds);
+  if (/\.tiff?$/i.test(name)) return readGeoTiff(name, bytes, bounds);
+  throw new Error(`MNT ${name} : format non reconnu (.hgt, .hgt.zip, .tif attendu)`);
+}
+
+// ==================== SRTM .hgt ====================
+
+/**
+ * Tuile SRTM : entiers 16 bits gros-boutistes, lignes du nord au sud, bords partagés avec les tuiles voisines
+ */
+function readHgtTile(name, bytes, bounds) {
+  const tile = hgtTileBounds(name);
+  if (!tile) throw new Error(`MNT ${name} : nom de tuile .hgt invalide (ex: N45E006.hgt attendu)`);
+  if (bounds && !boundsIntersect(tile, bounds)) return null;
+
+  const size = Math.round(Math.sqrt(bytes.length / 2));
+  if (size < 2 || size * size * 2 !== bytes.length) {
+    throw new Error(`MNT ${name} : taille inattendue (${bytes.length} octets, grille carrée d'entiers 16 bits attendue)`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Float32Array(size * size);
+  for (let i = 0; i < values.length; i++) {
+    const v = view.getInt16(i * 2, false);
+    values[i] = v === -32768 ? NaN : v;
+  }
+  const step = 1 / (size - 1);
+  return { name, west: tile.west, north: tile.north, dx: step, dy: step, width: size, height: size, values };
+}
+
+// ==================== GeoTIFF ====================
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 8: 2, 9: 4, 11: 4, 12: 8, 16: 8 };
+
+/**
+ * Lit les entrées du premier IFD d'un TIFF
+ * @returns {Map<number, number[]|string>} Valeurs par numéro d'étiquette
+ */
+function readTiffTags(name, view, little) {
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error(`MNT ${name} : BigTIFF non pris en charge`);
+  if (magic !== 42) throw new Error(`MNT ${name} : fichier TIFF invalide`);
+  const ifd = view.getUint32(4, little);
+  const count = view.getUint16(ifd, little);
+  const tags = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    const offset = size * n <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+    if (type === 2) {
+      let text = "";
+      for (let k = 0; k < n; k++) {
+        const c = view.getUint8(offset + k);
+        if (c === 0) break;
+        text += String.fromCharCode(c);
+      }
+      tags.set(tag, text);
+      continue;
+    }
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const at = offset + k * size;
+      switch (type) {
+        case 1: values.push(view.getUint8(at)); break;
+        case 3: values.push(view.getUint16(at, little)); break;
+        case 4: values.push(view.getUint32(at, little)); break;
+        case 6: values.push(view.getInt8(at)); break;
+        case 8: values.push(view.getInt16(at, little)); break;
+        case 9: values.push(view.getInt32(at, little)); break;
+        case 11: values.push(view.getFloat32(at, little)); break;
+        case 12: values.push(view.getFloat64(at, little)); break;
+        case 16: values.push(Number(view.getBigUint64(at, little))); break;
+      }
+    }
+    tags.set(tag, values);
+  }
+  return tags;
+}
+
+/**
+ * Décompresse un bloc LZW (variante TIFF : codes de poids fort en premier, changement de taille anticipé)
+ */
+function lzwDecode(src, sizeHint) {
+  let out = new Uint8Array(Math.max(sizeHint, 1024));
+  let outLen = 0;
+  const push = bytes => {
+    if (outLen + bytes.length > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, outLen + bytes.length));
+      grown.set(out.subarray(0, outLen));
+      out = grown;
+    }
+    out.set(bytes, outLen);
+    outLen += bytes.length;
+  };
+
+  let table = [];
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+    table.push(null, null); // 256 = Clear, 257 = EOI
+  };
+  reset();
+
+  let width = 9;
+  let bitPos = 0;
+  let prev = null;
+  const totalBits = src.length * 8;
+  while (bitPos + width <= totalBits) {
+    let code = 0;
+    for (let i = 0; i < width; i++, bitPos++) {
+      code = (code << 1) | ((src[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    if (code === 257) break;
+    if (code === 256) {
+      reset();
+      width = 9;
+      prev = null;
+      continue;
+    }
+    let entry;
+    if (code < table.length && table[code]) {
+      entry = table[code];
+      if (prev) {
+        const added = new Uint8Array(prev.length + 1);
+        added.set(prev);
+        added[prev.length] = entry[0];
+        table.push(added);
+      }
+    } else if (prev && code === table.length) {
+      entry = new Uint8Array(prev.length + 1);
+      entry.set(prev);
+      entry[prev.length] = prev[0];
+      table.push(entry);
+    } else {
+      throw new Error("code LZW invalide");
+    }
+    push(entry);
+    prev = entry;
+    if (table.length + 1 >= 1 << width && width < 12) width++;
+  }
+  return out.subarray(0, outLen);
+}
+
+/**
+ * Annule le prédicteur horizontal (2) sur des entiers : chaque échantillon est stocké en écart au précédent de la ligne
+ */
+function undoIntegerPredictor(view, little, bytesPerSample, rowWidth, rows) {
+  const bits = bytesPerSample * 8;
+  const mask = bits === 32 ? 0xffffffff : (1 << bits) - 1;
+  const get = at => (bytesPerSample === 1 ? view.getUint8(at) : bytesPerSample === 2 ? view.getUint16(at, little) : view.getUint32(at, little));
+  const set = (at, v) => {
+    if (bytesPerSample === 1) view.setUint8(at, v);
+    else if (bytesPerSample === 2) view.setUint16(at, v, little);
+    else view.setUint32(at, v >>> 0, little);
+  };
+  for (let r = 0; r < rows; r++) {
+    const rowStart = r * rowWidth * bytesPerSample;
+    for (let c = 1; c < rowWidth; c++) {
+      const at = rowStart + c * bytesPerSample;
+      set(at, (get(at) + get(at - bytesPerSample)) & mask);
+    }
+  }
+}
+
+/**
+ * Annule le prédicteur flottant (3) : différence octet par octet sur la ligne, octets regroupés par poids
+ * (poids fort en premier). Les lignes sont réécrites en gros-boutiste.
+ */
+function undoFloatPredictor(bytes, bytesPerSample, rowWidth, rows) {
+  const rowBytes = rowWidth * bytesPerSample;
+  const tmp = new Uint8Array(rowBytes);
+  for (let r = 0; r < rows; r++) {
+    const row = bytes.subarray(r * rowBytes, (r + 1) * rowBytes);
+    for (let i = 1; i < rowBytes; i++) row[i] = (row[i] + row[i - 1]) & 0xff;
+    tmp.set(row);
+    for (let c = 0; c < rowWidth; c++) {
+      for (let b = 0; b < bytesPerSample; b++) row[c * bytesPerSample + b] = tmp[b * rowWidth + c];
+    }
+  }
+}
+
+/**
+ * GeoTIFF à une bande, en coordonnées géographiques (degrés)
+ */
+function readGeoTiff(name, bytes, bounds) {
+  if (bytes.length < 8) throw new Error(`MNT ${name} : fichier TIFF invalide`);
+  const order = String.fromCharCode(bytes[0], bytes[1]);
+  if (order !== "II" && order !== "MM") throw new Error(`MNT ${name} : fichier TIFF invalide`);
+  const little = order === "II";
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tags = readTiffTags(name, view, little);
+  const first = (tag, def) => (tags.has(tag) ? tags.get(tag)[0] : def);
+
+  const width = first(256);
+  const height = first(257);
+  const bitsPerSample = first(258, 1);
+  const compression = first(259, 1);
+  const samplesPerPixel = first(277, 1);
+  const predictor = first(317, 1);
+  const sampleFormat = first(339, 1);
+  if (!width || !height) throw new Error(`MNT ${name} : dimensions absentes`);
+  if (samplesPerPixel !== 1) throw new Error(`MNT ${name} : une seule bande attendue (${samplesPerPixel} trouvées)`);
+  if (![8, 16, 32, 64].includes(bitsPerSample)) throw new Error(`MNT ${name} : ${bitsPerSample} bits par échantillon non pris en charge`);
+  if (![1, 5, 8, 32946].includes(compression)) throw new Error(`MNT ${name} : compression ${compression} non prise en charge (aucune, LZW ou deflate)`);
+
+  // Géoréférencement : point d'attache + taille de pixel, en degrés
+  const scale = tags.get(33550);
+  const tie = tags.get(33922);
+  if (!scale || !tie) throw new Error(`MNT ${name} : géoréférencement absent (ModelPixelScale / ModelTiepoint)`);
+  const geoKeys = tags.get(34735) || [];
+  let modelType = null;
+  let pixelIsPoint = false;
+  for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+    if (geoKeys[i] === 1024) modelType = geoKeys[i + 3];
+    if (geoKeys[i] === 1025) pixelIsPoint = geoKeys[i + 3] === 2;
+  }
+  if (modelType === 1) throw new Error(`MNT ${name} : projection non prise en charge (coordonnées lat/lon WGS84 attendues)`);
+
+  const [dx, dy] = scale;
+  const [tieI, tieJ, , tieX, tieY] = tie;
+  const half = pixelIsPoint ? 0 : 0.5; // centre des pixels
+  const west = tieX + (half - tieI) * dx;
+  const north = tieY - (half - tieJ) * dy;
+  if (bounds) {
+    const tile = { west, north, east: west + (width - 1) * dx, south: north - (height - 1) * dy };
+    if (!boundsIntersect(tile, bounds)) return null;
+  }
+
+  const noDataText = tags.get(42113);
+  const noData = typeof noDataText === "string" && noDataText.trim() !== "" ? Number(noDataText) : null;
+
+  // Bandes (lignes entières) ou tuiles
+  const tiled = tags.has(322);
+  const blockWidth = tiled ? first(322) : width;
+  const blockHeight = tiled ? first(323) : first(278, height);
+  const offsets = tags.get(tiled ? 324 : 273);
+  const byteCounts = tags.get(tiled ? 325 : 279);
+  if (!offsets || !byteCounts) throw new Error(`MNT ${name} : données absentes`);
+  const blocksAcross = Math.ceil(width / blockWidth);
+
+  const bytesPerSample = bitsPerSample / 8;
+  const read = (dv, at, le) => {
+    if (sampleFormat === 3) return bytesPerSample === 4 ? dv.getFloat32(at, le) : dv.getFloat64(at, le);
+    const signed = sampleFormat === 2;
+    switch (bytesPerSample) {
+      case 1: return signed ? dv.getInt8(at) : dv.getUint8(at);
+      case 2: return signed ? dv.getInt16(at, le) : dv.getUint16(at, le);
+      case 4: return signed ? dv.getInt32(at, le) : dv.getUint32(at, le);
+      default: return Number(signed ? dv.getBigInt64(at, le) : dv.getBigUint64(at, le));
+    }
+  };
+
+  const values = new Float32Array(width * height);
+  for (let b = 0; b < offsets.length; b++) {
+    const raw = bytes.subarray(offsets[b], offsets[b] + byteCounts[b]);
+    const expected = blockWidth * blockHeight * bytesPerSample;
+    let block;
+    try {
+      if (compression === 1) block = raw.slice();
+      else if (compression === 5) block = lzwDecode(raw, expected);
+      else block = inflateRaw(raw.subarray(2), expected); // flux zlib : en-tête de 2 octets
+    } catch (error) {
+      throw new Error(`MNT ${name} : bloc ${b + 1} illisible (${error.message})`);
+    }
+
+    const rows = Math.min(blockHeight, Math.floor(block.length / (blockWidth * bytesPerSample)));
+    const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    let blockLittle = little;
+    if (predictor === 2) undoIntegerPredictor(blockView, little, bytesPerSample, blockWidth, rows);
+    if (predictor === 3) {
+      undoFloatPredictor(block, bytesPerSample, blockWidth, rows);
+      blockLittle = false;
+    }
+
+    const col0 = (b % blocksAcross) * blockWidth;
+    const row0 = Math.floor(b / blocksAcross) * blockHeight;
+    for (let r = 0; r < rows && row0 + r < height; r++) {
+      for (let c = 0; c < blockWidth && col0 + c < width; c++) {
+        const v = read(blockView, (r * blockWidth + c) * bytesPerSample, blockLittle);
+        values[(row0 + r) * width + col0 + c] = v === noData || !Number.isFinite(v) ? NaN : v;
+      }
+    }
+  }
+
+  return { name, west, north, dx, dy, width, height, values };
+}
+
+// ==================== INTERPOLATION ====================
+
+/**
+ * Crée un échantillonneur d'altitude à partir de tuiles lues par readDemTile
+ * @param {Array<Object>} tiles - Grilles MNT (les tuiles null sont ignorées)
+ * @returns {{tiles: number, elevationAt: (lat: number, lon: number) => number|null}}
+ *   elevationAt : interpolation bilinéaire, null hors des tuiles ou si les 4 voisins sont vides
+ */
+export function createDemSampler(tiles) {
+  const grids = tiles.filter(Boolean);
+  return {
+    tiles: grids.length,
+    elevationAt(lat, lon) {
+      for (const g of grids) {
+        const fx = (lon - g.west) / g.dx;
+        const fy = (g.north - lat) / g.dy;
+        if (fx < 0 || fy < 0 || fx > g.width - 1 || fy > g.height - 1) continue;
+
+        const c0 = Math.min(Math.floor(fx), g.width - 2);
+        const r0 = Math.min(Math.floor(fy), g.height - 2);
+        const tx = fx - c0;
+        const ty = fy - r0;
+        const corners = [
+          [g.values[r0 * g.width + c0], (1 - tx) * (1 - ty)],
+          [g.values[r0 * g.width + c0 + 1], tx * (1 - ty)],
+          [g.values[(r0 + 1) * g.width + c0], (1 - tx) * ty],
+          [g.values[(r0 + 1) * g.width + c0 + 1], tx * ty]
+        ];
+        // Voisins vides : pondération renormalisée sur les voisins connus
+        let sum = 0;
+        let weight = 0;
+        for (const [v, w] of corners) {
+          if (Number.isNaN(v)) continue;
+          sum += v * w;
+          weight += w;
+        }
+        if (weight > 1e-9) return sum / weight;
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Tests de la lecture des tuiles MNT (node --test), sur des grilles 3 × 3 construites en mémoire
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { hgtTileBounds, trackBounds, selectDemFiles, readDemTile, createDemSampler } from './dem-reader.js';
+
+// Altitudes du nord au sud, la dernière est vide
+const GRID = [100, 200, 300, 400, 500, 600, 700, 800, null];
+
+/**
+ * Tuile .hgt : entiers 16 bits gros-boutistes, -32768 pour les vides
+ */
+function hgtBytes(values) {
+  const view = new DataView(new ArrayBuffer(values.length * 2));
+  values.forEach((v, i) => view.setInt16(i * 2, v === null ? -32768 : v, false));
+  return new Uint8Array(view.buffer);
+}
+
+const TIFF_TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 12: 8 };
+
+/**
+ * GeoTIFF petit-boutiste à une bande : entries = [[étiquette, type, valeurs | texte], ...], data = bande unique
+ */
+function tiffBytes(entries, data) {
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const extra = [];
+  let extraOffset = 8 + ifdSize;
+  const view = new DataView(new ArrayBuffer(8 + ifdSize));
+  view.setUint16(0, 0x4949, true);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, entries.length, true);
+  const payloads = entries.map(([, type, values]) => {
+    const items = type === 2 ? [...values, "\0"].map(c => c.charCodeAt(0)) : values;
+    const bytes = new DataView(new ArrayBuffer(items.length * TIFF_TYPE_SIZES[type]));
+    items.forEach((v, k) => {
+      const at = k * TIFF_TYPE_SIZES[type];
+      if (type === 2) bytes.setUint8(at, v);
+      else if (type === 3) bytes.setUint16(at, v, true);
+      else if (type === 4) bytes.setUint32(at, v, true);
+      else bytes.setFloat64(at, v, true);
+    });
+    return { count: items.length, bytes: new Uint8Array(bytes.buffer) };
+  });
+  const dataOffset = extraOffset + payloads.reduce((s, p) => s + (p.bytes.length > 4 ? p.bytes.length : 0), 0);
+  entries.forEach(([tag, type], i) => {
+    const entry = 10 + i * 12;
+    const { count, bytes } = payloads[i];
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, type, true);
+    view.setUint32(entry + 4, count, true);
+    if (tag === 273) view.setUint32(entry + 8, dataOffset, true);
+    else if (bytes.length <= 4) bytes.forEach((b, k) => view.setUint8(entry + 8 + k, b));
+    else {
+      view.setUint32(entry + 8, extraOffset, true);
+      extra.push(bytes);
+      extraOffset += bytes.length;
+    }
+  });
+  return new Uint8Array(Buffer.concat([new Uint8Array(view.buffer), ...extra, data]));
+}
+
+/**
+ * GeoTIFF 3 × 3 en entiers 16 bits signés, compressé en deflate avec prédicteur horizontal,
+ * pixels ponctuels de 0,5° à partir de 46°N 6°E, -9999 pour les vides
+ */
+function geoTiff() {
+  const raw = new DataView(new ArrayBuffer(GRID.length * 2));
+  GRID.forEach((v, i) => {
+    const c = i % 3;
+    const prev = c === 0 ? 0 : GRID[i - 1] ?? -9999;
+    raw.setInt16(i * 2, (v ?? -9999) - prev, true);
+  });
+  const data = new Uint8Array(deflateSync(new Uint8Array(raw.buffer)));
+  return tiffBytes([
+    [256, 3, [3]], [257, 3, [3]], [258, 3, [16]], [259, 3, [8]],
+    [273, 4, [0]], [277, 3, [1]], [278, 3, [3]], [279, 4, [data.length]],
+    [317, 3, [2]], [339, 3, [2]],
+    [33550, 12, [0.5, 0.5, 0]], [33922, 12, [0, 0, 0, 6, 46, 0]],
+    [34735, 3, [1, 1, 0, 2, 1024, 0, 1, 2, 1025, 0, 1, 2]],
+    [42113, 2, "-9999"]
+  ], data);
+}
+
+// ==================== TESTS ====================
+
+test("hgtTileBounds et selectDemFiles écartent les tuiles .hgt hors de la trace d'après leur nom", () => {
+  assert.deepEqual(hgtTileBounds("dem/N45E006.hgt.zip"), { south: 45, west: 6, north: 46, east: 7 });
+  assert.deepEqual(hgtTileBounds("S12W077.hgt"), { south: -12, west: -77, north: -11, east: -76 });
+  assert.equal(hgtTileBounds("carte.tif"), null);
+  const bounds = trackBounds([{ lat: 45.2, lon: 6.3 }, { lat: 45.4, lon: 6.1 }]);
+  assert.deepEqual(
+    selectDemFiles(["N45E006.hgt", "N44E006.hgt", "N45E006.hgt.zip", "cop30.tif", "notes.txt"], bounds),
+    ["N45E006.hgt", "N45E006.hgt.zip", "cop30.tif"]
+  );
+});
+
+test("readDemTile lit une tuile .hgt et createDemSampler interpole entre les 4 voisins", () => {
+  const tile = readDemTile("N45E006.hgt", hgtBytes(GRID));
+  assert.deepEqual([tile.west, tile.north, tile.dx, tile.width], [6, 46, 0.5, 3]);
+  assert.ok(Number.isNaN(tile.values[8]));
+  const sampler = createDemSampler([tile, null]);
+  assert.equal(sampler.tiles, 1);
+  assert.equal(sampler.elevationAt(46, 6), 100);
+  assert.equal(sampler.elevationAt(45.75, 6.25), 300);
+  // Voisin vide : moyenne pondérée des trois autres
+  assert.ok(Math.abs(sampler.elevationAt(45.25, 6.75) - 1900 / 3) < 1e-9);
+  assert.equal(sampler.elevationAt(44.5, 6.5), null);
+});
+
+test("readDemTile lit un GeoTIFF deflate à prédicteur horizontal et sa valeur nodata", () => {
+  const tile = readDemTile("cop30.tif", geoTiff());
+  assert.deepEqual([tile.west, tile.north, tile.dx, tile.dy, tile.width, tile.height], [6, 46, 0.5, 0.5, 3, 3]);
+  assert.deepEqual([...tile.values.slice(0, 8)], GRID.slice(0, 8));
+  assert.ok(Number.isNaN(tile.values[8]));
+  assert.equal(createDemSampler([tile]).elevationAt(45.75, 6.25), 300);
+});
+
+test("une tuile hors emprise n'est pas décodée, une tuile mal formée est signalée", () => {
+  assert.equal(readDemTile("N45E006.hgt", hgtBytes(GRID), { south: 40, west: 0, north: 41, east: 1 }), null);
+  assert.throws(() => readDemTile("N45E006.hgt", new Uint8Array(10)), /taille inattendue/);
+  assert.throws(() => readDemTile("tuile.hgt", hgtBytes(GRID)), /nom de tuile \.hgt invalide/);
+  assert.throws(() => readDemTile("carte.png", new Uint8Array(4)), /format non reconnu/);
+});
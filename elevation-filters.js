@@ -0,0 +1,145 @@
+/**
+ * Filtres de lissage de l'altitude le long de la trace, sans dépendance, pour Node et le navigateur
+ * Les fenêtres sont exprimées en mètres de distance parcourue : le lissage ne dépend pas de la
+ * fréquence d'enregistrement (montre à 1 s ou route clairsemée).
+ * Entrée : altitudes sans valeur manquante (voir fillMissingElevation) et distances cumulées (m).
+ */
+
+// ==================== MÉTHODES ====================
+
+/**
+ * Méthodes de lissage disponibles
+ * moving-average : moyenne mobile sur N points (historique, dépend de l'espacement des points)
+ * distance       : moyenne mobile sur une fenêtre en mètres
+ * savitzky-golay : ajustement local d'un polynôme de degré 2 sur la fenêtre (conserve mieux sommets et cols)
+ * median-mean    : médiane sur la fenêtre (supprime les pics isolés), puis moyenne sur la même fenêtre
+ * kalman         : filtre de Kalman (marche aléatoire) aller puis lissage retour (Rauch-Tung-Striebel)
+ */
+export const SMOOTHING_METHODS = ["moving-average", "distance", "savitzky-golay", "median-mean", "kalman"];
+
+// Écart type supposé du bruit de mesure de l'altitude pour le filtre de Kalman (m)
+const KALMAN_MEASUREMENT_SIGMA_M = 5;
+
+// ==================== FENÊTRES EN DISTANCE ====================
+
+/**
+ * Bornes [début, fin] (indices inclus) des points à moins de windowM / 2 de chaque point
+ * @returns {{from: Int32Array, to: Int32Array}}
+ */
+function distanceWindows(cumulativeDistances, windowM) {
+  const n = cumulativeDistances.length;
+  const half = windowM / 2;
+  const from = new Int32Array(n);
+  const to = new Int32Array(n);
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < n; i++) {
+    const d = cumulativeDistances[i];
+    while (cumulativeDistances[lo] < d - half) lo++;
+    if (hi < i) hi = i;
+    while (hi + 1 < n && cumulativeDistances[hi + 1] <= d + half) hi++;
+    from[i] = lo;
+    to[i] = hi;
+  }
+  return { from, to };
+}
+
+/**
+ * Moyenne mobile sur une fenêtre en mètres centrée sur chaque point
+ * @param {number[]} elevations
+ * @param {number[]} cumulativeDistances - Distances cumulées (m)
+ * @param {number} windowM - Largeur de la fenêtre (m)
+ * @returns {number[]}
+ */
+export function distanceMovingAverage(elevations, cumulativeDistances, windowM) {
+  const { from, to } = distanceWindows(cumulativeDistances, windowM);
+  const prefix = new Float64Array(elevations.length + 1);
+  for (let i = 0; i < elevations.length; i++) prefix[i + 1] = prefix[i] + elevations[i];
+  return elevations.map((_, i) => (prefix[to[i] + 1] - prefix[from[i]]) / (to[i] - from[i] + 1));
+}
+
+/**
+ * Savitzky-Golay sur points irrégulièrement espacés : polynôme de degré 2 ajusté aux moindres carrés
+ * sur la fenêtre, évalué au point central (moyenne de la fenêtre si moins de 3 points)
+ * @param {number[]} elevations
+ * @param {number[]} cumulativeDistances - Distances cumulées (m)
+ * @param {number} windowM - Largeur de la fenêtre (m)
+ * @returns {number[]}
+ */
+export function savitzkyGolay(elevations, cumulativeDistances, windowM) {
+  const { from, to } = distanceWindows(cumulativeDistances, windowM);
+  const out = new Array(elevations.length);
+  for (let i = 0; i < elevations.length; i++) {
+    // Sommes des moments de x (distance au point central, en km pour le conditionnement) et de y
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0, s4 = 0, t0 = 0, t1 = 0, t2 = 0;
+    for (let j = from[i]; j <= to[i]; j++) {
+      const x = (cumulativeDistances[j] - cumulativeDistances[i]) / 1000;
+      const y = elevations[j];
+      const x2 = x * x;
+      s0 += 1; s1 += x; s2 += x2; s3 += x2 * x; s4 += x2 * x2;
+      t0 += y; t1 += x * y; t2 += x2 * y;
+    }
+    // Équations normales 3x3, résolues par Cramer pour le seul terme constant
+    const det = s0 * (s2 * s4 - s3 * s3) - s1 * (s1 * s4 - s3 * s2) + s2 * (s1 * s3 - s2 * s2);
+    if (s0 < 3 || Math.abs(det) < 1e-12) {
+      out[i] = t0 / s0;
+      continue;
+    }
+    out[i] = (t0 * (s2 * s4 - s3 * s3) - s1 * (t1 * s4 - s3 * t2) + s2 * (t1 * s3 - s2 * t2)) / det;
+  }
+  return out;
+}
+
+/**
+ * Médiane glissante sur la fenêtre (élimine les pics isolés), puis moyenne glissante sur la même fenêtre
+ * @param {number[]} elevations
+ * @param {number[]} cumulativeDistances - Distances cumulées (m)
+ * @param {number} windowM - Largeur de la fenêtre (m)
+ * @returns {number[]}
+ */
+export function medianThenMean(elevations, cumulativeDistances, windowM) {
+  const { from, to } = distanceWindows(cumulativeDistances, windowM);
+  const medians = elevations.map((_, i) => {
+    const values = elevations.slice(from[i], to[i] + 1).sort((a, b) => a - b);
+    const mid = values.length >> 1;
+    return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+  });
+  return distanceMovingAverage(medians, cumulativeDistances, windowM);
+}
+
+/**
+ * Filtre de Kalman en marche aléatoire le long de la distance, lissé dans les deux sens (Rauch-Tung-Striebel)
+ * La variance du bruit de modèle croît avec la distance : la tendance devient comparable au bruit de
+ * mesure (5 m d'écart type) au bout d'environ windowM mètres.
+ * @param {number[]} elevations
+ * @param {number[]} cumulativeDistances - Distances cumulées (m)
+ * @param {number} windowM - Longueur de lissage (m)
+ * @returns {number[]}
+ */
+export function kalmanSmooth(elevations, cumulativeDistances, windowM) {
+  const n = elevations.length;
+  if (n === 0) return [];
+  const r = KALMAN_MEASUREMENT_SIGMA_M ** 2;
+  const qPerM = r / windowM;
+
+  const xf = new Float64Array(n); // estimation filtrée
+  const pf = new Float64Array(n); // variance filtrée
+  const pp = new Float64Array(n); // variance prédite
+  xf[0] = elevations[0];
+  pf[0] = pp[0] = r;
+  for (let k = 1; k < n; k++) {
+    const d = Math.max(0, cumulativeDistances[k] - cumulativeDistances[k - 1]);
+    pp[k] = pf[k - 1] + qPerM * d;
+    const gain = pp[k] / (pp[k] + r);
+    xf[k] = xf[k - 1] + gain * (elevations[k] - xf[k - 1]);
+    pf[k] = (1 - gain) * pp[k];
+  }
+
+  const xs = new Array(n);
+  xs[n - 1] = xf[n - 1];
+  for (let k = n - 2; k >= 0; k--) {
+    const c = pp[k + 1] > 0 ? pf[k] / pp[k + 1] : 0;
+    xs[k] = xf[k] + c * (xs[k + 1] - xf[k]);
+  }
+  return xs;
+}
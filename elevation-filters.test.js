@@ -0,0 +1,44 @@
+/**
+ * Tests des filtres de lissage de l'altitude (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { distanceMovingAverage, savitzkyGolay, medianThenMean, kalmanSmooth } from './elevation-filters.js';
+
+// Points irrégulièrement espacés (m)
+const DISTANCES = [0, 5, 10, 30, 35, 80, 120, 125, 200, 260];
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance, `point ${i} : ${v} au lieu de ${expected[i]}`));
+};
+
+test("distanceMovingAverage moyenne les points à moins d'une demi-fenêtre, quel que soit leur espacement", () => {
+  const elevations = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90];
+  // Fenêtre de 20 m : ±10 m autour de chaque point
+  close(distanceMovingAverage(elevations, DISTANCES, 20), [10, 10, 10, 35, 35, 50, 65, 65, 80, 90]);
+});
+
+test("savitzkyGolay conserve exactement une parabole", () => {
+  const parabola = DISTANCES.map(d => 1000 + 0.3 * d - 0.002 * d * d);
+  close(savitzkyGolay(parabola, DISTANCES, 100), parabola, 1e-6);
+  // Fenêtre trop courte (un seul point) : altitude inchangée
+  close(savitzkyGolay(parabola, DISTANCES, 1), parabola);
+});
+
+test("medianThenMean supprime un pic isolé", () => {
+  const distances = Array.from({ length: 21 }, (_, i) => i * 10);
+  const elevations = distances.map((_, i) => (i === 10 ? 300 : 100));
+  close(medianThenMean(elevations, distances, 50), distances.map(() => 100));
+});
+
+test("kalmanSmooth garde une altitude constante et réduit le bruit", () => {
+  const distances = Array.from({ length: 200 }, (_, i) => i * 5);
+  close(kalmanSmooth(distances.map(() => 500), distances, 200), distances.map(() => 500));
+
+  const noisy = distances.map((_, i) => 500 + (i % 2 ? 4 : -4));
+  const smoothed = kalmanSmooth(noisy, distances, 200);
+  assert.ok(smoothed.slice(10, -10).every(v => Math.abs(v - 500) < 1));
+  assert.deepEqual(kalmanSmooth([], [], 200), []);
+});
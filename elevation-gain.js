@@ -0,0 +1,136 @@
+/**
+ * Calcul du dénivelé (D+ / D-) avec seuil d'hystérésis, sans dépendance, pour Node et le navigateur
+ * Une montée ou une descente n'est comptée que si elle dépasse le seuil : les oscillations plus petites
+ * (bruit GPS / baromètre) sont ignorées. Le profil obtenu se découpe par tronçon (étapes, km) et les
+ * tronçons s'additionnent au total.
+ */
+
+// ==================== MÉTHODES ====================
+
+/**
+ * Altitudes sur lesquelles le dénivelé est compté
+ * segments : altitudes lissées rééchantillonnées (celles des pentes du plan)
+ * smoothed : altitudes lissées de tous les points
+ * raw      : altitudes brutes de tous les points (valeurs manquantes complétées)
+ */
+export const CLIMB_METHODS = ["segments", "smoothed", "raw"];
+
+// Seuil maximal essayé par la calibration (m)
+const MAX_THRESHOLD_M = 200;
+
+// ==================== HYSTÉRÉSIS ====================
+
+/**
+ * Profil d'altitude filtré par hystérésis : seuls les changements de sens de plus de thresholdM sont gardés
+ * Les extrêmes retenus (zigzag) sont reliés en suivant le profil réel de façon monotone ; le début et
+ * la fin en deçà du seuil restent à plat. Avec un seuil nul, le profil est inchangé.
+ * @param {number[]} elevations - Altitudes sans valeur manquante
+ * @param {number} thresholdM - Seuil (m)
+ * @returns {number[]} Profil filtré, de même longueur
+ */
+export function hysteresisProfile(elevations, thresholdM) {
+  const n = elevations.length;
+  if (n === 0 || thresholdM <= 0) return elevations.slice();
+
+  // Extrêmes alternés séparés d'au moins thresholdM
+  const pivots = [];
+  let dir = 0;
+  let minIdx = 0;
+  let maxIdx = 0;
+  let ext = 0;
+  for (let i = 1; i < n; i++) {
+    const e = elevations[i];
+    if (dir === 0) {
+      if (e < elevations[minIdx]) minIdx = i;
+      if (e > elevations[maxIdx]) maxIdx = i;
+      if (e - elevations[minIdx] >= thresholdM) {
+        pivots.push(minIdx);
+        dir = 1;
+        ext = i;
+      } else if (elevations[maxIdx] - e >= thresholdM) {
+        pivots.push(maxIdx);
+        dir = -1;
+        ext = i;
+      }
+    } else if (dir === 1) {
+      if (e >= elevations[ext]) ext = i;
+      else if (elevations[ext] - e >= thresholdM) {
+        pivots.push(ext);
+        dir = -1;
+        ext = i;
+      }
+    } else if (e <= elevations[ext]) {
+      ext = i;
+    } else if (e - elevations[ext] >= thresholdM) {
+      pivots.push(ext);
+      dir = 1;
+      ext = i;
+    }
+  }
+  if (dir !== 0) pivots.push(ext);
+
+  const out = new Array(n);
+  if (pivots.length === 0) return out.fill(elevations[0]);
+
+  // Avant le premier extrême et après le dernier : à plat
+  for (let i = 0; i <= pivots[0]; i++) out[i] = elevations[pivots[0]];
+  const last = pivots[pivots.length - 1];
+  for (let i = last; i < n; i++) out[i] = elevations[last];
+
+  // Entre deux extrêmes : plus haut (montée) ou plus bas (descente) atteint depuis le début de la branche
+  for (let k = 0; k + 1 < pivots.length; k++) {
+    const from = pivots[k];
+    const to = pivots[k + 1];
+    const up = elevations[to] > elevations[from];
+    let level = elevations[from];
+    for (let i = from; i <= to; i++) {
+      level = up ? Math.max(level, elevations[i]) : Math.min(level, elevations[i]);
+      out[i] = level;
+    }
+  }
+  return out;
+}
+
+/**
+ * D+ et D- d'un profil
+ * @param {number[]} elevations
+ * @returns {{dPlusM: number, dMinusM: number}}
+ */
+export function climbTotals(elevations) {
+  let dPlusM = 0;
+  let dMinusM = 0;
+  for (let i = 1; i < elevations.length; i++) {
+    const de = elevations[i] - elevations[i - 1];
+    if (de > 0) dPlusM += de;
+    else dMinusM -= de;
+  }
+  return { dPlusM, dMinusM };
+}
+
+// ==================== CALIBRATION ====================
+
+/**
+ * Cherche le seuil d'hystérésis qui reproduit un D+ officiel (le D+ décroît quand le seuil augmente)
+ * @param {number[]} elevations - Profil sur lequel le D+ est compté
+ * @param {number} officialDPlusM - D+ annoncé par l'organisation (m)
+ * @returns {{thresholdM: number, dPlusM: number, residualM: number}} residualM = D+ obtenu - D+ officiel ;
+ *   si le D+ sans seuil est déjà inférieur au D+ officiel, le seuil reste à 0
+ */
+export function calibrateClimbThreshold(elevations, officialDPlusM) {
+  const dPlusFor = t => climbTotals(hysteresisProfile(elevations, t)).dPlusM;
+  let lo = 0;
+  let hi = MAX_THRESHOLD_M;
+  if (dPlusFor(0) > officialDPlusM) {
+    for (let i = 0; i < 30; i++) {
+      const mid = (lo + hi) / 2;
+      if (dPlusFor(mid) > officialDPlusM) lo = mid;
+      else hi = mid;
+    }
+  } else {
+    hi = 0;
+  }
+  // Des deux bornes, garder celle qui s'approche le plus du D+ officiel
+  const thresholdM = Math.abs(dPlusFor(lo) - officialDPlusM) <= Math.abs(dPlusFor(hi) - officialDPlusM) ? lo : hi;
+  const dPlusM = dPlusFor(thresholdM);
+  return { thresholdM, dPlusM, residualM: dPlusM - officialDPlusM };
+}
@@ -0,0 +1,31 @@
+/**
+ * Tests du calcul du dénivelé avec seuil d'hystérésis (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hysteresisProfile, climbTotals, calibrateClimbThreshold } from './elevation-gain.js';
+
+// Une montée et une descente de ~50 m, avec des oscillations de 1 à 3 m
+const PROFILE = [100, 102, 100, 103, 150, 148, 151, 120, 121, 100, 101];
+
+test("sans seuil, le profil et son dénivelé sont inchangés", () => {
+  assert.deepEqual(hysteresisProfile(PROFILE, 0), PROFILE);
+  assert.deepEqual(climbTotals(PROFILE), { dPlusM: 57, dMinusM: 56 });
+});
+
+test("hysteresisProfile ignore les oscillations plus petites que le seuil", () => {
+  const filtered = hysteresisProfile(PROFILE, 5);
+  assert.deepEqual(filtered, [100, 102, 102, 103, 150, 150, 151, 120, 120, 100, 100]);
+  assert.deepEqual(climbTotals(filtered), { dPlusM: 51, dMinusM: 51 });
+  // Rien ne dépasse le seuil : profil à plat
+  assert.deepEqual(hysteresisProfile([10, 12, 11, 13], 5), [10, 10, 10, 10]);
+});
+
+test("calibrateClimbThreshold retrouve le D+ officiel, ou garde un seuil nul s'il est plus grand", () => {
+  const calibrated = calibrateClimbThreshold(PROFILE, 51);
+  assert.equal(calibrated.dPlusM, 51);
+  assert.equal(calibrated.residualM, 0);
+  assert.ok(calibrated.thresholdM > 0 && calibrated.thresholdM <= 5);
+  assert.deepEqual(calibrateClimbThreshold(PROFILE, 500), { thresholdM: 0, dPlusM: 57, residualM: -443 });
+});
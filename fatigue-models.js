@@ -0,0 +1,65 @@
+/**
+ * Modèles de fatigue du planificateur par segments, sans dépendance, pour Node et le navigateur
+ * La vitesse de chaque segment (selon la pente) est multipliée par un facteur de fatigue, 1 au départ,
+ * qui baisse avec ce qui a déjà été couru : le plan part plus vite et finit plus lentement à temps égal.
+ * Le facteur est évalué au début de chaque segment ; le temps écoulé est le temps de course (hors arrêts).
+ */
+
+// ==================== MODÈLES ====================
+
+/**
+ * Modèles de fatigue et unité de leur taux (ratePct)
+ * none             : pas de fatigue
+ * time-linear      : baisse linéaire avec le temps de course, ratePct % par heure
+ * time-exponential : décroissance exponentielle avec le temps de course, ratePct % par heure
+ * distance         : baisse linéaire avec la distance parcourue, ratePct % par 10 km
+ * eccentric        : charge excentrique, baisse linéaire avec le D- cumulé, ratePct % par 1000 m de D-
+ */
+export const FATIGUE_MODELS = ["none", "time-linear", "time-exponential", "distance", "eccentric"];
+
+// Taux par défaut de chaque modèle (%, dans l'unité du modèle)
+export const FATIGUE_DEFAULT_RATES = {
+  "time-linear": 1,
+  "time-exponential": 1,
+  distance: 1,
+  eccentric: 2
+};
+
+// Unité du taux de chaque modèle (affichage)
+export const FATIGUE_RATE_UNITS = {
+  "time-linear": "%/h",
+  "time-exponential": "%/h",
+  distance: "%/10 km",
+  eccentric: "%/1000 m D-"
+};
+
+// Plancher du facteur : la fatigue ne divise jamais la vitesse par plus de 2
+const MIN_FATIGUE_FACTOR = 0.5;
+
+// ==================== FACTEUR ====================
+
+/**
+ * Fonction facteur de fatigue d'un modèle
+ * @param {string} model - Modèle (FATIGUE_MODELS)
+ * @param {number} ratePct - Taux dans l'unité du modèle (FATIGUE_RATE_UNITS)
+ * @returns {((state: {elapsedSec: number, distanceM: number, dMinusM: number}) => number)|null} Facteur (1 = frais,
+ *   jamais sous 0,5) selon le temps de course, la distance et le D- cumulés au début du segment ; null sans fatigue
+ */
+export function fatigueFunction(model, ratePct) {
+  const rate = ratePct / 100;
+  const floor = f => Math.max(MIN_FATIGUE_FACTOR, f);
+  switch (model) {
+    case "none":
+      return null;
+    case "time-linear":
+      return s => floor(1 - rate * (s.elapsedSec / 3600));
+    case "time-exponential":
+      return s => floor(Math.exp(-rate * (s.elapsedSec / 3600)));
+    case "distance":
+      return s => floor(1 - rate * (s.distanceM / 10000));
+    case "eccentric":
+      return s => floor(1 - rate * (s.dMinusM / 1000));
+    default:
+      throw new Error(`Modèle de fatigue inconnu : ${model} (${FATIGUE_MODELS.join(", ")})`);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Tests des modèles de fatigue (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fatigueFunction } from './fatigue-models.js';
+import { calculatePacing } from './pacing-engine.js';
+import { straightTrack, near } from './testing-helpers.js';
+
+test("chaque modèle baisse le facteur avec ce qui a déjà été couru", () => {
+  const state = { elapsedSec: 2 * 3600, distanceM: 30000, dMinusM: 1500 };
+  near(fatigueFunction("time-linear", 5)(state), 0.9);
+  near(fatigueFunction("time-exponential", 5)(state), Math.exp(-0.1));
+  near(fatigueFunction("distance", 2)(state), 0.94);
+  near(fatigueFunction("eccentric", 2)(state), 0.97);
+  assert.equal(fatigueFunction("time-linear", 5)({ elapsedSec: 0, distanceM: 0, dMinusM: 0 }), 1);
+  assert.equal(fatigueFunction("none", 5), null);
+});
+
+test("le facteur ne descend jamais sous 0,5", () => {
+  assert.equal(fatigueFunction("time-linear", 10)({ elapsedSec: 20 * 3600, distanceM: 0, dMinusM: 0 }), 0.5);
+  assert.throws(() => fatigueFunction("sommeil", 1), /Modèle de fatigue inconnu : sommeil/);
+});
+
+test("avec fatigue, le plan part plus vite et finit plus lentement à temps égal", () => {
+  const points = straightTrack(() => 1000);
+  const fresh = calculatePacing({ points, targetTime: "01:00:00" });
+  const tired = calculatePacing({ points, targetTime: "01:00:00", fatigueModel: "time-linear", fatigueRatePct: 10 });
+  assert.deepEqual(tired.input.fatigue, { model: "time-linear", ratePct: 10, unit: "%/h" });
+  assert.ok(Math.abs(tired.totals.computedMovingSec - 3600) <= 5);
+  assert.ok(tired.per250m[0].speedKmh > fresh.per250m[0].speedKmh);
+  assert.ok(tired.per250m.at(-1).speedKmh < fresh.per250m.at(-1).speedKmh);
+  near(tired.per250m.at(-1).fatigueFactor, 0.9, 0.005);
+  assert.throws(() => calculatePacing({ points, targetTime: "01:00:00", fatigueModel: "distance", fatigueRatePct: -1 }), /Taux de fatigue invalide/);
+});
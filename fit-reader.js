@@ -0,0 +1,264 @@
+/**
+ * Décodeur de fichiers FIT (Garmin, Coros, Suunto…) partagé par le CLI, script.js et le navigateur
+ * Module ES sans dépendance : travaille sur un Uint8Array (Buffer sous Node, ArrayBuffer du navigateur)
+ *
+ * Seuls les messages utiles au calcul d'allure sont décodés :
+ * - record (20)       : position, altitude, distance, horodatage
+ * - course_point (32) : points remarquables d'un parcours (ravitaillements, sommets…)
+ */
+
+// ==================== CONSTANTES FIT ====================
+
+const MESG_RECORD = 20;
+const MESG_COURSE_POINT = 32;
+
+// Champs du message record
+const RECORD_POSITION_LAT = 0;
+const RECORD_POSITION_LONG = 1;
+const RECORD_ALTITUDE = 2;
+const RECORD_DISTANCE = 5;
+const RECORD_ENHANCED_ALTITUDE = 78;
+const FIELD_TIMESTAMP = 253;
+
+// Champs du message course_point
+const COURSE_POINT_POSITION_LAT = 2;
+const COURSE_POINT_POSITION_LONG = 3;
+const COURSE_POINT_DISTANCE = 4;
+const COURSE_POINT_TYPE = 5;
+const COURSE_POINT_NAME = 6;
+
+// Décalage entre l'époque FIT (1989-12-31T00:00:00Z) et l'époque Unix, en secondes
+const FIT_EPOCH_OFFSET_SEC = 631065600;
+const SEMICIRCLES_TO_DEG = 180 / 2 ** 31;
+
+// Types de base FIT (5 bits de poids faible) : [taille en octets, valeur invalide]
+const BASE_TYPES = {
+  0x00: { size: 1, invalid: 0xff },         // enum
+  0x01: { size: 1, invalid: 0x7f },         // sint8
+  0x02: { size: 1, invalid: 0xff },         // uint8
+  0x03: { size: 2, invalid: 0x7fff },       // sint16
+  0x04: { size: 2, invalid: 0xffff },       // uint16
+  0x05: { size: 4, invalid: 0x7fffffff },   // sint32
+  0x06: { size: 4, invalid: 0xffffffff },   // uint32
+  0x07: { size: 1, invalid: null },         // string
+  0x08: { size: 4, invalid: null },         // float32
+  0x09: { size: 8, invalid: null },         // float64
+  0x0a: { size: 1, invalid: 0x00 },         // uint8z
+  0x0b: { size: 2, invalid: 0x0000 },       // uint16z
+  0x0c: { size: 4, invalid: 0x00000000 },   // uint32z
+  0x0d: { size: 1, invalid: 0xff },         // byte
+  0x0e: { size: 8, invalid: null },         // sint64
+  0x0f: { size: 8, invalid: null },         // uint64
+  0x10: { size: 8, invalid: null }          // uint64z
+};
+
+// Types de course_point (profil FIT), pour un affichage lisible
+const COURSE_POINT_TYPES = {
+  0: "generic", 1: "summit", 2: "valley", 3: "water", 4: "food", 5: "danger",
+  6: "left", 7: "right", 8: "straight", 9: "first_aid", 15: "sprint",
+  23: "u_turn", 24: "segment_start", 25: "segment_end", 27: "campsite",
+  28: "aid_station", 29: "rest_area", 30: "general_distance", 31: "service",
+  32: "energy_gel", 33: "sports_drink", 34: "mile_marker", 35: "checkpoint",
+  36: "shelter", 37: "meeting_spot", 38: "overlook", 39: "toilet", 40: "shower",
+  41: "gear", 42: "sharp_curve", 43: "steep_incline", 44: "tunnel", 45: "bridge",
+  46: "obstacle", 47: "crossing", 48: "store", 49: "transition", 50: "navaid",
+  51: "transport", 52: "alert", 53: "info"
+};
+
+// ==================== DÉTECTION ====================
+
+/**
+ * Indique si des octets correspondent à un fichier FIT (signature ".FIT" à l'octet 8)
+ * @param {Uint8Array|ArrayBuffer} data - Contenu binaire du fichier
+ * @returns {boolean}
+ */
+export function isFitData(data) {
+  if (typeof data === "string") return false;
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return bytes.length >= 12 &&
+    bytes[8] === 0x2e && bytes[9] === 0x46 && bytes[10] === 0x49 && bytes[11] === 0x54;
+}
+
+// ==================== DÉCODAGE ====================
+
+/**
+ * Lit une valeur scalaire d'un type de base FIT
+ * @returns {number|string|null} null si la valeur vaut "invalide" pour ce type
+ */
+function readValue(view, offset, baseType, size, littleEndian) {
+  const type = baseType & 0x1f;
+  const def = BASE_TYPES[type];
+  if (!def) return null;
+
+  if (type === 0x07) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    const str = new TextDecoder("utf-8").decode(end === -1 ? bytes : bytes.subarray(0, end));
+    return str === "" ? null : str;
+  }
+  // Tableaux : seule la première valeur nous intéresse
+  if (size < def.size) return null;
+
+  let v;
+  switch (type) {
+    case 0x00: case 0x02: case 0x0a: case 0x0d: v = view.getUint8(offset); break;
+    case 0x01: v = view.getInt8(offset); break;
+    case 0x03: v = view.getInt16(offset, littleEndian); break;
+    case 0x04: case 0x0b: v = view.getUint16(offset, littleEndian); break;
+    case 0x05: v = view.getInt32(offset, littleEndian); break;
+    case 0x06: case 0x0c: v = view.getUint32(offset, littleEndian); break;
+    case 0x08: v = view.getFloat32(offset, littleEndian); return Number.isFinite(v) ? v : null;
+    case 0x09: v = view.getFloat64(offset, littleEndian); return Number.isFinite(v) ? v : null;
+    default: return null; // entiers 64 bits : non utilisés ici
+  }
+  return v === def.invalid ? null : v;
+}
+
+/**
+ * Décode les messages record et course_point d'un fichier FIT (fichiers chaînés acceptés)
+ * @param {Uint8Array|ArrayBuffer} data - Contenu binaire du fichier
+ * @returns {{records: Array<Object>, coursePoints: Array<Object>}} Champs bruts indexés par numéro de champ
+ */
+function decodeFitMessages(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  const coursePoints = [];
+
+  let fileStart = 0;
+  while (fileStart + 12 <= bytes.length) {
+    const headerSize = bytes[fileStart];
+    if ((headerSize !== 12 && headerSize !== 14) || !isFitData(bytes.subarray(fileStart))) {
+      if (fileStart === 0) throw new Error("Fichier FIT invalide : en-tête non reconnu");
+      break; // octets de bourrage après le dernier fichier chaîné
+    }
+    const dataSize = view.getUint32(fileStart + 4, true);
+    const dataStart = fileStart + headerSize;
+    const dataEnd = dataStart + dataSize;
+    if (dataEnd > bytes.length) throw new Error("Fichier FIT tronqué");
+
+    const definitions = new Map();
+    let lastTimestamp = null;
+    let pos = dataStart;
+
+    while (pos < dataEnd) {
+      const header = bytes[pos++];
+      let localType;
+      let compressedTimestamp = null;
+
+      if (header & 0x80) {
+        // En-tête à horodatage compressé
+        localType = (header >> 5) & 0x03;
+        compressedTimestamp = header & 0x1f;
+      } else {
+        localType = header & 0x0f;
+        if (header & 0x40) {
+          // Message de définition
+          if (pos + 5 > dataEnd) throw new Error("Fichier FIT tronqué (définition)");
+          const littleEndian = bytes[pos + 1] === 0;
+          const globalNum = view.getUint16(pos + 2, littleEndian);
+          const fieldCount = bytes[pos + 4];
+          pos += 5;
+          const fields = [];
+          for (let i = 0; i < fieldCount; i++) {
+            fields.push({ num: bytes[pos], size: bytes[pos + 1], baseType: bytes[pos + 2] });
+            pos += 3;
+          }
+          let devSize = 0;
+          if (header & 0x20) {
+            const devCount = bytes[pos++];
+            for (let i = 0; i < devCount; i++) {
+              devSize += bytes[pos + 1];
+              pos += 3;
+            }
+          }
+          definitions.set(localType, { littleEndian, globalNum, fields, devSize });
+          continue;
+        }
+      }
+
+      // Message de données
+      const def = definitions.get(localType);
+      if (!def) throw new Error(`Fichier FIT invalide : message local ${localType} sans définition`);
+
+      const values = {};
+      for (const field of def.fields) {
+        if (pos + field.size > dataEnd) throw new Error("Fichier FIT tronqué (données)");
+        const v = readValue(view, pos, field.baseType, field.size, def.littleEndian);
+        if (v !== null) values[field.num] = v;
+        pos += field.size;
+      }
+      pos += def.devSize;
+
+      if (compressedTimestamp !== null && lastTimestamp !== null) {
+        let ts = (lastTimestamp & ~0x1f) + compressedTimestamp;
+        if (compressedTimestamp < (lastTimestamp & 0x1f)) ts += 0x20;
+        values[FIELD_TIMESTAMP] = ts >>> 0;
+      }
+      if (values[FIELD_TIMESTAMP] !== undefined) lastTimestamp = values[FIELD_TIMESTAMP];
+
+      if (def.globalNum === MESG_RECORD) records.push(values);
+      else if (def.globalNum === MESG_COURSE_POINT) coursePoints.push(values);
+    }
+
+    // CRC du fichier (2 octets) puis éventuel fichier chaîné
+    fileStart = dataEnd + 2;
+  }
+
+  return { records, coursePoints };
+}
+
+function fitTimestampToDate(ts) {
+  return ts === undefined ? null : new Date((ts + FIT_EPOCH_OFFSET_SEC) * 1000);
+}
+
+/**
+ * Extrait les points d'un fichier FIT (activité enregistrée ou parcours)
+ * Les records sans position (avant fix GPS, intérieur) sont ignorés.
+ * @param {Uint8Array|ArrayBuffer} data - Contenu binaire du fichier
+ * @returns {Array<{lat: number, lon: number, ele: number|null, distanceM: number|null, time: Date|null}>}
+ */
+export function parseFitPoints(data) {
+  const { records } = decodeFitMessages(data);
+  const points = [];
+  for (const r of records) {
+    const latSc = r[RECORD_POSITION_LAT];
+    const lonSc = r[RECORD_POSITION_LONG];
+    if (latSc === undefined || lonSc === undefined) continue;
+
+    const altRaw = r[RECORD_ENHANCED_ALTITUDE] !== undefined ? r[RECORD_ENHANCED_ALTITUDE] : r[RECORD_ALTITUDE];
+    points.push({
+      lat: latSc * SEMICIRCLES_TO_DEG,
+      lon: lonSc * SEMICIRCLES_TO_DEG,
+      ele: altRaw === undefined ? null : altRaw / 5 - 500,
+      distanceM: r[RECORD_DISTANCE] === undefined ? null : r[RECORD_DISTANCE] / 100,
+      time: fitTimestampToDate(r[FIELD_TIMESTAMP])
+    });
+  }
+  if (points.length < 2) throw new Error("Pas assez de points avec position trouvés dans le FIT");
+  return points;
+}
+
+/**
+ * Extrait les course_point d'un parcours FIT
+ * @param {Uint8Array|ArrayBuffer} data - Contenu binaire du fichier
+ * @returns {Array<{name: string, type: string|null, lat: number, lon: number, distanceM: number|null}>}
+ */
+export function parseFitCoursePoints(data) {
+  const { coursePoints } = decodeFitMessages(data);
+  const out = [];
+  for (const cp of coursePoints) {
+    const latSc = cp[COURSE_POINT_POSITION_LAT];
+    const lonSc = cp[COURSE_POINT_POSITION_LONG];
+    if (latSc === undefined || lonSc === undefined) continue;
+    const type = cp[COURSE_POINT_TYPE];
+    out.push({
+      name: cp[COURSE_POINT_NAME] || `Point ${out.length + 1}`,
+      type: type === undefined ? null : (COURSE_POINT_TYPES[type] || String(type)),
+      lat: latSc * SEMICIRCLES_TO_DEG,
+      lon: lonSc * SEMICIRCLES_TO_DEG,
+      distanceM: cp[COURSE_POINT_DISTANCE] === undefined ? null : cp[COURSE_POINT_DISTANCE] / 100
+    });
+  }
+  return out;
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests du décodeur FIT (node --test), sur un petit fichier FIT construit en mémoire
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isFitData, parseFitPoints, parseFitCoursePoints } from './fit-reader.js';
+
+// ==================== CONSTRUCTION D'UN FIT ====================
+
+const DEG_TO_SEMICIRCLES = 2 ** 31 / 180;
+const SINT32 = 0x85;
+const UINT32 = 0x86;
+const ENUM = 0x00;
+const STRING = 0x07;
+
+// 2026-06-01T08:00:00Z en secondes depuis l'époque FIT
+const START_TS = Date.UTC(2026, 5, 1, 8) / 1000 - 631065600;
+
+/**
+ * Message de définition (petit-boutiste) : fields = [[numéro, taille, type de base], ...]
+ */
+function definition(localType, globalNum, fields) {
+  return [0x40 | localType, 0, 0, globalNum & 0xff, globalNum >> 8, fields.length, ...fields.flat()];
+}
+
+/**
+ * Message de données : values dans l'ordre des champs de la définition (undefined = valeur invalide)
+ */
+function dataMessage(localType, fields, values) {
+  const bytes = [localType];
+  fields.forEach(([, size, baseType], i) => {
+    const buffer = new DataView(new ArrayBuffer(size));
+    const v = values[i];
+    if (baseType === STRING) new TextEncoder().encodeInto(v, new Uint8Array(buffer.buffer));
+    else if (baseType === SINT32) buffer.setInt32(0, v === undefined ? 0x7fffffff : v, true);
+    else if (baseType === UINT32) buffer.setUint32(0, v === undefined ? 0xffffffff : v, true);
+    else buffer.setUint8(0, v === undefined ? 0xff : v);
+    bytes.push(...new Uint8Array(buffer.buffer));
+  });
+  return bytes;
+}
+
+/**
+ * Fichier complet : en-tête de 14 octets, messages, CRC (non vérifié par le lecteur)
+ */
+function fitFile(messages) {
+  const data = messages.flat();
+  const header = new DataView(new ArrayBuffer(14));
+  header.setUint8(0, 14);
+  header.setUint8(1, 0x20);
+  header.setUint16(2, 2100, true);
+  header.setUint32(4, data.length, true);
+  [0x2e, 0x46, 0x49, 0x54].forEach((b, i) => header.setUint8(8 + i, b));
+  return new Uint8Array([...new Uint8Array(header.buffer), ...data, 0, 0]);
+}
+
+const RECORD_FIELDS = [[253, 4, UINT32], [0, 4, SINT32], [1, 4, SINT32], [78, 4, UINT32], [5, 4, UINT32]];
+const COURSE_POINT_FIELDS = [[2, 4, SINT32], [3, 4, SINT32], [4, 4, UINT32], [5, 1, ENUM], [6, 8, STRING]];
+
+const record = (sec, lat, lon, ele, distanceM) => dataMessage(0, RECORD_FIELDS, [
+  START_TS + sec,
+  lat === undefined ? undefined : Math.round(lat * DEG_TO_SEMICIRCLES),
+  lon === undefined ? undefined : Math.round(lon * DEG_TO_SEMICIRCLES),
+  ele === undefined ? undefined : (ele + 500) * 5,
+  Math.round(distanceM * 100)
+]);
+
+const FIT = fitFile([
+  definition(0, 20, RECORD_FIELDS),
+  record(0, undefined, undefined, 1000, 0),
+  record(1, 45, 6, 1000, 0),
+  record(11, 45.001, 6, undefined, 111.2),
+  record(21, 45.002, 6, 1010.4, 222.4),
+  definition(1, 32, COURSE_POINT_FIELDS),
+  dataMessage(1, COURSE_POINT_FIELDS, [Math.round(45.001 * DEG_TO_SEMICIRCLES), Math.round(6 * DEG_TO_SEMICIRCLES), 11120, 4, "Ravito"]),
+  dataMessage(1, COURSE_POINT_FIELDS, [Math.round(45.002 * DEG_TO_SEMICIRCLES), Math.round(6 * DEG_TO_SEMICIRCLES), undefined, 200, ""])
+]);
+
+// ==================== TESTS ====================
+
+test("isFitData reconnaît la signature .FIT", () => {
+  assert.equal(isFitData(FIT), true);
+  assert.equal(isFitData(new TextEncoder().encode("<gpx></gpx> pas un FIT")), false);
+  assert.equal(isFitData("texte"), false);
+});
+
+test("parseFitPoints ignore les records sans position et décode altitude, distance et heure", () => {
+  const points = parseFitPoints(FIT);
+  assert.equal(points.length, 3);
+  assert.ok(Math.abs(points[0].lat - 45) < 1e-7 && Math.abs(points[0].lon - 6) < 1e-7);
+  assert.equal(points[0].ele, 1000);
+  assert.equal(points[1].ele, null);
+  assert.ok(Math.abs(points[2].ele - 1010.4) < 1e-9);
+  assert.equal(points[2].distanceM, 222.4);
+  assert.equal(points[0].time.toISOString(), "2026-06-01T08:00:01.000Z");
+});
+
+test("parseFitCoursePoints lit nom, type et distance du fichier", () => {
+  const coursePoints = parseFitCoursePoints(FIT);
+  assert.equal(coursePoints.length, 2);
+  assert.deepEqual({ ...coursePoints[0], lat: undefined, lon: undefined }, {
+    name: "Ravito", type: "food", lat: undefined, lon: undefined, distanceM: 111.2
+  });
+  assert.equal(coursePoints[1].name, "Point 2");
+  assert.equal(coursePoints[1].type, "200");
+  assert.equal(coursePoints[1].distanceM, null);
+});
+
+test("un FIT tronqué ou à l'en-tête inconnu est refusé", () => {
+  assert.throws(() => parseFitPoints(FIT.subarray(0, FIT.length - 20)), /tronqué/);
+  const badHeader = FIT.slice();
+  badHeader[0] = 13;
+  assert.throws(() => parseFitPoints(badHeader), /en-tête non reconnu/);
+});
@@ -0,0 +1,112 @@
+/**
+ * Distances le long de la trace, sans dépendance, pour Node et le navigateur
+ * Sphère (Haversine, rapide) ou ellipsoïde WGS-84 (Vincenty, celle des GPS et des mesures officielles),
+ * à plat ou en suivant la pente (distance 3D avec l'altitude).
+ */
+
+// ==================== CONSTANTES ====================
+
+const EARTH_RADIUS_M = 6371000;
+
+// Ellipsoïde WGS-84
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Calculs de distance horizontale disponibles
+ * haversine : sphère de rayon 6371 km
+ * vincenty  : ellipsoïde WGS-84 (formule inverse de Vincenty)
+ */
+export const DISTANCE_METHODS = ["haversine", "vincenty"];
+
+// ==================== DISTANCE ENTRE DEUX POINTS ====================
+
+/**
+ * Distance entre deux points (formule de Haversine), en mètres
+ */
+export function haversineDistance(a, b) {
+  const sinDLat = Math.sin(((b.lat - a.lat) * DEG_TO_RAD) / 2);
+  const sinDLon = Math.sin(((b.lon - a.lon) * DEG_TO_RAD) / 2);
+  const h = sinDLat * sinDLat + Math.cos(a.lat * DEG_TO_RAD) * Math.cos(b.lat * DEG_TO_RAD) * sinDLon * sinDLon;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Distance géodésique sur l'ellipsoïde WGS-84 (formule inverse de Vincenty), en mètres
+ * Pour des points quasi antipodaux où l'itération ne converge pas, la distance Haversine est renvoyée.
+ */
+export function vincentyDistance(a, b) {
+  const L = (b.lon - a.lon) * DEG_TO_RAD;
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(a.lat * DEG_TO_RAD));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(b.lat * DEG_TO_RAD));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  for (let i = 0; i < 100; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    const sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return 0; // points confondus
+    const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    const sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    const cos2Alpha = 1 - sinAlpha * sinAlpha;
+    const cos2SigmaM = cos2Alpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cos2Alpha : 0; // ligne équatoriale
+    const C = (WGS84_F / 16) * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+    const previous = lambda;
+    lambda = L + (1 - C) * WGS84_F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const u2 = (cos2Alpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+      const A = 1 + (u2 / 16384) * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+      const B = (u2 / 1024) * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+      return WGS84_B * A * (sigma - deltaSigma);
+    }
+  }
+  return haversineDistance(a, b);
+}
+
+// ==================== CAP ====================
+
+/**
+ * Cap initial de a vers b sur la sphère (°, 0 = nord, 90 = est, sens horaire), 0 pour des points confondus
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number} De 0 à moins de 360
+ */
+export function initialBearing(a, b) {
+  const phi1 = a.lat * DEG_TO_RAD;
+  const phi2 = b.lat * DEG_TO_RAD;
+  const dLon = (b.lon - a.lon) * DEG_TO_RAD;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  if (x === 0 && y === 0) return 0;
+  return (Math.atan2(y, x) / DEG_TO_RAD + 360) % 360;
+}
+
+// ==================== DISTANCES CUMULÉES ====================
+
+/**
+ * Distances cumulées le long des points (m)
+ * @param {Array<{lat: number, lon: number}>} points
+ * @param {string} method - "haversine" ou "vincenty" (DISTANCE_METHODS)
+ * @param {number[]|null} [elevations=null] - Altitudes des points : distance 3D (suivant la pente) si fournies
+ * @returns {number[]}
+ */
+export function cumulativeDistances(points, method, elevations = null) {
+  const distance = method === "vincenty" ? vincentyDistance : haversineDistance;
+  const cum = [0];
+  for (let i = 1; i < points.length; i++) {
+    const horizontalM = distance(points[i - 1], points[i]);
+    const stepM = elevations ? Math.hypot(horizontalM, elevations[i] - elevations[i - 1]) : horizontalM;
+    cum.push(cum[i - 1] + stepM);
+  }
+  return cum;
+}
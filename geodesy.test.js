@@ -0,0 +1,35 @@
+/**
+ * Tests des distances et du cap (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { haversineDistance, vincentyDistance, initialBearing, cumulativeDistances } from './geodesy.js';
+import { near } from './testing-helpers.js';
+
+test("vincentyDistance retrouve l'exemple de référence de Vincenty (Flinders Peak - Buninyong)", () => {
+  near(vincentyDistance({ lat: -37.95103341, lon: 144.42486789 }, { lat: -37.65282114, lon: 143.92649554 }), 54972.271, 0.01);
+  assert.equal(vincentyDistance({ lat: 45, lon: 6 }, { lat: 45, lon: 6 }), 0);
+});
+
+test("un degré de méridien à l'équateur : sphère et ellipsoïde", () => {
+  near(haversineDistance({ lat: 0, lon: 0 }, { lat: 1, lon: 0 }), 111194.93, 0.01);
+  near(vincentyDistance({ lat: 0, lon: 0 }, { lat: 1, lon: 0 }), 110574.39, 0.01);
+});
+
+test("initialBearing donne le cap dans le sens horaire depuis le nord", () => {
+  near(initialBearing({ lat: 45, lon: 6 }, { lat: 46, lon: 6 }), 0, 1e-9);
+  near(initialBearing({ lat: 45, lon: 6 }, { lat: 44, lon: 6 }), 180, 1e-9);
+  near(initialBearing({ lat: 0, lon: 6 }, { lat: 0, lon: 5 }), 270, 1e-9);
+  assert.equal(initialBearing({ lat: 45, lon: 6 }, { lat: 45, lon: 6 }), 0);
+});
+
+test("cumulativeDistances suit la pente quand les altitudes sont fournies", () => {
+  const points = [{ lat: 0, lon: 0 }, { lat: 0.001, lon: 0 }, { lat: 0.002, lon: 0 }];
+  const flat = cumulativeDistances(points, "haversine");
+  const slope = cumulativeDistances(points, "haversine", [0, 50, 0]);
+  assert.equal(flat[0], 0);
+  near(flat[2], 2 * flat[1], 1e-9);
+  near(slope[2], 2 * Math.hypot(flat[1], 50), 1e-9);
+  assert.ok(cumulativeDistances(points, "vincenty")[2] < flat[2]);
+});
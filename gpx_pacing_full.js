@@ -3,7 +3,7 @@
  * gpx_pacing_full.js (Node 18+)
  *
  * FULL VERSION:
- * - Reads a GPX
+ * - Reads a GPX, TCX, FIT, KML/KMZ or GeoJSON (format picked from the file content)
  * - Resamples the track every N meters (default 250m)
  * - Computes slope% for each segment
  * - Calibrates Vflat (km/h) via binary search to hit a target moving time
@@ -15,6 +15,11 @@
  *   - per-250m: slope%, speed, pace, time
  *   - per-km: average pace/time (+ split details)
  *   - steps: stage summary (distance, D+/D-, moving time, stops, total, avg pace)
+ *   - with a start time: local clock times and night sections (steps, per-km, per-250m),
+ *     and with hourly conditions the time lost to heat per step
+ *   - with wind: segment bearing and headwind, wind cost per km
+ *   - with an altitude penalty: time lost to altitude per step
+ *   - recorded tracks (time / hr / cad / atemp / power): "sensors" averages per step and per km
  *   - optional elevation profile points (samples)
  *
  * USAGE:
@@ -30,32 +35,170 @@
  *
  * FLAGS:
  *   --target   HH:MM or HH:MM:SS (required)
- *   --profile  trained|standard (default trained)
+ *   --profile  trained|standard|<file.json>[#name] (default trained) slope bands of the "rules" model;
+ *              a JSON file defines custom profiles (one profile or an array): each band covers
+ *              minPct..maxPct and gives either a speed relative to Vflat or an absolute pace range
+ *              (see slope-profiles.js); #name picks a profile when the file holds several
  *   --prudence 0..1 (default 0.5) affects "range" segments (0=fast end, 1=slow end)
+ *   --model    rules|smooth|minetti (default rules) speed on a gradient: rules = pace table by slope band
+ *              (--profile, --prudence); smooth = the same bands as a continuous curve (monotone cubic
+ *              through each band's speed at its midpoint, no jump at band edges); minetti = constant metabolic power from the Minetti energy cost
+ *              of running on gradients (speed = flat speed x cost(flat) / cost(slope)); either way the
+ *              flat speed is solved for the target time
+ *   --fatigue  none|time-linear|time-exponential|distance|eccentric (default none) speed multiplied by a
+ *              fatigue factor (1 at the start, never below 0.5) evaluated at the start of each segment:
+ *              time-linear / time-exponential: over elapsed moving time, --fatigue-rate % per hour;
+ *              distance: --fatigue-rate % per 10 km; eccentric: cumulative D-, --fatigue-rate % per 1000 m;
+ *              the solver calibrates the starting flat speed with fatigue included, so the plan front-loads
+ *              speed (calibration.fatigue gives the flat speed left at the finish)
+ *   --fatigue-rate percent (default 1, eccentric 2) in the unit of the --fatigue model
+ *   --start    local start date and time "YYYY-MM-DDTHH:MM" (optional): adds local clock times to steps
+ *              (departure/arrival), perKm (arrival) and per250m (clock); segments run between local sunset
+ *              and sunrise (computed at each segment's position) are night sections, slowed by
+ *              --night-slowdown and flagged "night"; the solver includes the slowdown, so day sections get
+ *              faster; checkpoint stops shift the clock, --sleep rests are not placed in time;
+ *              totals.night gives the time run at night and the sunrise/sunset of each race day;
+ *              a faster plan can move a segment across sunset or sunrise, so the moving time jumps and
+ *              the target may be out of reach: calibration.targetGapSec gives the gap left (targetReached)
+ *   --tz       time zone of --start and of the printed times: IANA name (e.g. Europe/Paris) or fixed
+ *              offset (+02:00, UTC) (default: the system time zone)
+ *   --night-slowdown percent of speed lost at night, 0..<100 (default 15)
+ *   --heat     hourly conditions file, JSON or CSV (needs --start): temperature and relative humidity per
+ *              local hour (--tz), for the whole race or per altitude band (minEleM..maxEleM; a segment uses
+ *              the band of its elevation, or the nearest one); CSV header time,tempC,humidityPct[,minEleM,maxEleM];
+ *              each segment is slowed by --heat-rate % per °C of NOAA heat index above --heat-threshold at its
+ *              passage time (no slowdown outside the file's hours); the solver includes it, steps report
+ *              heatCost (time lost to heat) and per250m the heat index (see heat-conditions.js)
+ *   --heat-threshold heat index in °C from which speed drops (default 20)
+ *   --heat-rate percent of speed lost per °C of heat index above the threshold (default 1, capped at 50 % in all)
+ *   --altitude-penalty percent of speed lost per 1000 m above --altitude-threshold (default 0 = none), from
+ *              each segment's smoothed absolute elevation (per250m.eleM); the solver includes it, steps report
+ *              altitudeCost and per250m / perKm the altitudeFactor (see altitude-model.js)
+ *   --altitude-threshold meters (default 1500)
+ *   --acclimatization percent of the altitude penalty recovered by an acclimatised runner, 0..100 (default 0)
+ *   --wind     "<speedKmh>,<fromDirection>" constant wind (direction it blows from, degrees or compass point,
+ *              e.g. 20,270 or 20,W), or a JSON/CSV file of hourly wind (needs --start; CSV header
+ *              time,speedKmh,fromDeg, local hours in --tz); the along-track component is taken from each
+ *              segment's bearing (per250m.bearingDeg) and speed is adjusted at constant metabolic power with
+ *              an air-drag model (see wind-model.js); perKm reports avgHeadwindKmh and windCost (+ lost, - gained)
  *   --step     meters for resampling (default 250)
- *   --smooth   odd integer >=1 (default 9) moving average on elevation
- *   --cp       checkpoint definition: "<km>,<stopMinutes>" repeatable
- *              Example: --cp 18,4 --cp 42,8
+ *   --segmentation fixed|adaptive (default fixed) fixed: one segment every --step meters;
+ *              adaptive: segments cut where the gradient changes by more than --slope-change
+ *              (whole km are always cut points, so perKm stays 1 km)
+ *   --seg-min  adaptive: minimum segment length in meters (default 50)
+ *   --seg-max  adaptive: maximum segment length in meters (default 500)
+ *   --slope-change adaptive: gradient difference in % points that forces a cut (default 3)
+ *   --distance haversine|vincenty (default haversine) horizontal distance on a sphere or on the WGS-84
+ *              ellipsoid (Vincenty); totals.distanceComparison gives the course length with each one
+ *   --3d       measure distance along the slope (smoothed elevation) for cumulative km and segment
+ *              lengths; slopes stay elevation change / horizontal distance
+ *   --clean    clean a recorded track before measuring it: duplicate points, GPS spikes (speed over
+ *              --clean-max-speed or acceleration over --clean-max-accel) and stops (points within
+ *              --clean-stop-radius for at least --clean-stop-sec, collapsed to the stop's start and end);
+ *              the "cleanup" output reports how many points were removed and why
+ *   --clean-max-speed km/h (default 30)   --clean-max-accel m/s² (default 4)
+ *   --clean-stop-radius meters (default 10)   --clean-stop-sec seconds (default 60)
+ *              speed, acceleration and stops need timestamps; untimed tracks only lose duplicates
+ *   --official-distance km (optional) official race distance: the measured distance is scaled to it,
+ *              so --cp kms, steps, perKm and the solver use official kms (slopes stay those of the
+ *              measured lengths); totals.measuredDistanceKm and totals.distanceScale keep the measured length
+ *   --smooth   odd integer >=1 (default 9) moving average on elevation, in points (--smooth-method moving-average)
+ *   --smooth-method moving-average|distance|savitzky-golay|median-mean|kalman (default moving-average)
+ *              distance: moving average over --smooth-m meters; savitzky-golay: local quadratic fit;
+ *              median-mean: median then mean (removes isolated spikes); kalman: forward-backward Kalman smoother
+ *   --smooth-m window in meters for the distance-based methods (default 200), independent of the
+ *              recording interval of the file
+ *   --cp       checkpoint definition: "<km>,<stopMinutes>" or "<course point name>,<stopMinutes>" repeatable
+ *              Example: --cp 18,4 --cp 42,8 --cp "Col de Balme,10"
+ *              A name matches every passage of that course point (see "coursePoints")
+ *   --waypoints <stopMin> (optional) use every course point snapped to the track as a checkpoint
+ *              with this stop time (explicit --cp entries keep their own stop time)
  *   --sleep    "<count>,<minutesEach>" (optional) adds count * minutesEach to stop time
  *              Example: --sleep 1,30
  *   --vmin     min Vflat bound (km/h, default 3)
  *   --vmax     max Vflat bound (km/h, default 25)
  *   --iters    binary search iterations (default 40)
+ *   --dem      directory of local DEM tiles: SRTM .hgt / .hgt.zip or GeoTIFF in lat/lon (e.g. Copernicus GLO-30);
+ *              only the tiles covering the track are decoded
+ *   --elevation gpx|dem|blend (default dem when --dem is given, else gpx) elevation used for the plan;
+ *              outside the tiles the track elevation is kept
+ *   --dem-weight 0..1 (default 0.5) DEM share of the "blend" elevation
+ *   --climb-method smoothed|segments|raw (default smoothed, the D+ this script always reported) elevations
+ *              D+/D- are counted on: every smoothed point, resampled smoothed segments, or every raw point
+ *   --climb-threshold meters (default 0) hysteresis: climbs and descents smaller than this are ignored
+ *   --official-dplus meters (optional) official D+ of the race: the hysteresis threshold is calibrated
+ *              to reproduce it (calibration.climbThreshold; overrides --climb-threshold)
+ *   --track    GPX only: track or route to plan on, by name or by number (1..n, in file order)
+ *              (default: the first one; available ones are listed in input.tracks)
  *   --out      output file path (if omitted -> stdout)
  *
+ * INPUT FORMATS:
+ *   GPX  <trk>/<trkpt> tracks (segments merged) and <rte>/<rtept> routes;
+ *        <wpt> waypoints are reported in "coursePoints" with their km on the track.
+ *        Read by the shared XML reader (any attribute order, namespace prefixes such as
+ *        <gpx:ele>, self-closing points, CDATA); lat/lon are required on every point and
+ *        malformed XML stops with the offending line number. GPX files are streamed in
+ *        chunks (no size limit); files over 5 MB show a progress line on stderr (terminal only)
+ *   TCX  Trackpoint/Position/AltitudeMeters (activities and courses);
+ *        CoursePoints are reported in "coursePoints" as well
+ *   FIT  binary record messages (position, altitude, distance, timestamp) and
+ *        course_point messages; the device distance is reported as
+ *        totals.recordedDistanceKm next to the computed distance
+ *   KML  LineString <coordinates> and gx:Track <gx:coord> (KMZ: zipped KML)
+ *   GeoJSON  LineString / MultiLineString, optional 3rd coordinate = elevation
+ *
+ * ELEVATION:
+ *   With --dem, each track point gets a DEM elevation (bilinear interpolation between the 4 surrounding
+ *   samples). totals.elevationSources reports D+/D- for gpx, dem and blend (same smoothing and resampling
+ *   as the plan) and the D+ difference of each one against the track elevation.
+ *   D+/D- use --climb-method and --climb-threshold everywhere: a variation is attributed to the segment
+ *   where it happens, so totals, steps, perKm and per250m add up whatever the method.
+ *
+ * COURSE POINTS:
+ *   Each point is projected on the nearest track segment (within 250 m, else km = null).
+ *   On loops and out-and-backs the points are taken in file order, each one on the first
+ *   passage after the previous point, so an aid station visited twice can be listed twice.
+ *   Their km are measured like the plan (--distance, --3d, --official-distance), so "--cp <name>" lands
+ *   on the same scale.
+ *
+ * ENGINE:
+ *   The computation (smoothing, resampling, Vflat solver, per-km and steps) is pacing-engine.js,
+ *   shared with script.js / script_node.js and the browser: same inputs give the same numbers.
+ *   D+/D- in totals, steps and perKm all come from the same climb method (steps add up to the totals);
+ *   totals.dPlusMAllPoints / dMinusMAllPoints are the raw-point values without threshold for reference.
+ *
  * NOTES / V1 assumptions:
  * - Downhill range rules are capped only by their own ranges; you can add Vmax caps if desired.
  * - Elevation noise is smoothed (recommended).
  * - Segment slope uses (deltaElev / segmentLength)*100; segmentLength is along-track distance.
+ * - per250m lists the plan segments; with --segmentation adaptive their lengths vary.
  */
 
 import * as fs from "fs";
 import * as path from "path";
+import {
+  detectTrackFormat, parseGpxTracks, readGpxStream, selectGpxTrack, parseTcxPoints, parseTcxCoursePoints, parseKmlPoints,
+  extractKmlFromKmz, parseGeoJsonPoints, parseGpxWaypoints, locateCoursePoints
+} from "./track-readers.js";
+import { isFitData, parseFitPoints, parseFitCoursePoints } from "./fit-reader.js";
+import { isZipData } from "./zip-reader.js";
+import { calculatePacing, trackDistances, clamp01, parseTimeToSeconds, ELEVATION_SOURCES } from "./pacing-engine.js";
+import { DISTANCE_METHODS } from "./geodesy.js";
+import { SMOOTHING_METHODS } from "./elevation-filters.js";
+import { CLIMB_METHODS } from "./elevation-gain.js";
+import { SEGMENTATION_MODES } from "./segmentation.js";
+import { SLOPE_MODELS } from "./slope-models.js";
+import { FATIGUE_MODELS } from "./fatigue-models.js";
+import { HEAT_DEFAULTS, parseHourlyConditions } from "./heat-conditions.js";
+import { parseWindConditions, validateWind } from "./wind-model.js";
+import { ALTITUDE_DEFAULTS } from "./altitude-model.js";
+import { BUILTIN_PROFILES, parseSlopeProfiles } from "./slope-profiles.js";
+import { selectDemFiles, readDemTile, createDemSampler, trackBounds } from "./dem-reader.js";
 
 // ------------------------ CLI args ------------------------
 const argv = process.argv.slice(2);
 if (argv.length === 0 || argv[0].startsWith("-")) {
-  console.error("Usage: node gpx_pacing_full.js <file.gpx> --target HH:MM[:SS] [options]");
+  console.error("Usage: node gpx_pacing_full.js <file.gpx|.tcx|.fit|.kml|.kmz|.geojson> --target HH:MM[:SS] [options]");
   process.exit(1);
 }
 
@@ -66,41 +209,111 @@ if (!targetStr) {
   process.exit(1);
 }
 
-const profile = (getArg("--profile", "trained") || "trained").toLowerCase();
-if (!["trained", "standard"].includes(profile)) {
-  console.error("Error: --profile must be 'trained' or 'standard'");
-  process.exit(1);
-}
+const profileArg = getArg("--profile", "trained") || "trained";
+const profile = Object.hasOwn(BUILTIN_PROFILES, profileArg.toLowerCase()) ? profileArg.toLowerCase() : loadProfile(profileArg);
 
 const stepM = Number(getArg("--step", "250"));
+const segmentationMode = getArg("--segmentation", "fixed");
+const segMin = Number(getArg("--seg-min", "50"));
+const segMax = Number(getArg("--seg-max", "500"));
+const slopeChange = Number(getArg("--slope-change", "3"));
 const smoothWindow = Number(getArg("--smooth", "9"));
+const smoothMethod = getArg("--smooth-method", "moving-average");
+const smoothWindowM = Number(getArg("--smooth-m", "200"));
 const prudence = clamp01(Number(getArg("--prudence", "0.5")));
+const slopeModel = getArg("--model", "rules");
+if (!SLOPE_MODELS.includes(slopeModel)) throw new Error(`--model must be one of ${SLOPE_MODELS.join(", ")}`);
+const fatigueModel = getArg("--fatigue", "none");
+if (!FATIGUE_MODELS.includes(fatigueModel)) throw new Error(`--fatigue must be one of ${FATIGUE_MODELS.join(", ")}`);
+const fatigueRateArg = getArg("--fatigue-rate", "");
+const fatigueRate = fatigueRateArg ? Number(fatigueRateArg) : null;
+if (fatigueRate !== null && !(fatigueRate >= 0)) throw new Error("--fatigue-rate must be a percentage >= 0");
+const startTime = getArg("--start", "") || null;
+const timeZone = getArg("--tz", "") || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const nightSlowdown = Number(getArg("--night-slowdown", "15"));
+if (!(nightSlowdown >= 0 && nightSlowdown < 100)) throw new Error("--night-slowdown must be a percentage from 0 to below 100");
+const heatPath = getArg("--heat", "");
+if (heatPath && !startTime) throw new Error("--heat needs --start (heat depends on the passage time)");
+const heatConditions = heatPath ? parseHourlyConditions(fs.readFileSync(heatPath, "utf8")) : null;
+const heatThreshold = Number(getArg("--heat-threshold", String(HEAT_DEFAULTS.thresholdC)));
+if (!Number.isFinite(heatThreshold)) throw new Error("--heat-threshold must be a temperature in °C");
+const heatRate = Number(getArg("--heat-rate", String(HEAT_DEFAULTS.slowdownPctPerDeg)));
+if (!(heatRate >= 0)) throw new Error("--heat-rate must be a percentage >= 0");
+const altitudePenalty = Number(getArg("--altitude-penalty", String(ALTITUDE_DEFAULTS.penaltyPctPer1000M)));
+if (!(altitudePenalty >= 0)) throw new Error("--altitude-penalty must be a percentage per 1000 m >= 0");
+const altitudeThreshold = Number(getArg("--altitude-threshold", String(ALTITUDE_DEFAULTS.thresholdM)));
+if (!Number.isFinite(altitudeThreshold)) throw new Error("--altitude-threshold must be an elevation in meters");
+const acclimatization = Number(getArg("--acclimatization", String(ALTITUDE_DEFAULTS.acclimatizationPct)));
+if (!(acclimatization >= 0 && acclimatization <= 100)) throw new Error("--acclimatization must be a percentage from 0 to 100");
+const wind = parseWindArg(getArg("--wind", ""));
+if (wind && "hours" in wind && !startTime) throw new Error("--wind with an hourly file needs --start (wind depends on the passage time)");
 
 const vminBound = Number(getArg("--vmin", "3"));
 const vmaxBound = Number(getArg("--vmax", "25"));
 const iters = Number(getArg("--iters", "40"));
 
 const sleepArg = getArg("--sleep", "");
+const trackArg = getArg("--track", "");
+const demDir = getArg("--dem", "");
+const elevationSource = getArg("--elevation", demDir ? "dem" : "gpx");
+const demWeight = Number(getArg("--dem-weight", "0.5"));
+const distanceMethod = getArg("--distance", "haversine");
+const distance3d = argv.includes("--3d");
+const officialDistanceArg = getArg("--official-distance", "");
+const cleanup = argv.includes("--clean");
+const cleanMaxSpeed = Number(getArg("--clean-max-speed", "30"));
+const cleanMaxAccel = Number(getArg("--clean-max-accel", "4"));
+const cleanStopRadius = Number(getArg("--clean-stop-radius", "10"));
+const cleanStopSec = Number(getArg("--clean-stop-sec", "60"));
+const climbMethod = getArg("--climb-method", "smoothed");
+const climbThreshold = Number(getArg("--climb-threshold", "0"));
+const officialDPlusArg = getArg("--official-dplus", "");
 const outPath = getArg("--out", "");
 
 if (!Number.isFinite(stepM) || stepM <= 0) throw new Error("--step must be a positive number");
+if (!SEGMENTATION_MODES.includes(segmentationMode)) throw new Error(`--segmentation must be one of ${SEGMENTATION_MODES.join(", ")}`);
+if (!Number.isFinite(segMin) || segMin <= 0) throw new Error("--seg-min must be a positive number of meters");
+if (!Number.isFinite(segMax) || segMax < segMin) throw new Error("--seg-max must be a number of meters >= --seg-min");
+if (!Number.isFinite(slopeChange) || slopeChange <= 0) throw new Error("--slope-change must be a positive gradient difference in %");
 if (!Number.isFinite(smoothWindow) || smoothWindow < 1 || smoothWindow % 2 === 0) {
   throw new Error("--smooth must be an odd integer >= 1 (e.g. 1, 5, 9, 11)");
 }
+if (!SMOOTHING_METHODS.includes(smoothMethod)) throw new Error(`--smooth-method must be one of ${SMOOTHING_METHODS.join(", ")}`);
+if (!Number.isFinite(smoothWindowM) || smoothWindowM <= 0) throw new Error("--smooth-m must be a positive number of meters");
 if (!Number.isFinite(vminBound) || !Number.isFinite(vmaxBound) || vminBound <= 0 || vmaxBound <= vminBound) {
   throw new Error("--vmin/--vmax bounds invalid");
 }
 if (!Number.isFinite(iters) || iters < 10) throw new Error("--iters must be >= 10");
+if (!ELEVATION_SOURCES.includes(elevationSource)) throw new Error(`--elevation must be one of ${ELEVATION_SOURCES.join(", ")}`);
+if (elevationSource !== "gpx" && !demDir) throw new Error(`--elevation ${elevationSource} requires --dem <directory>`);
+if (!Number.isFinite(demWeight) || demWeight < 0 || demWeight > 1) throw new Error("--dem-weight must be between 0 and 1");
+if (!DISTANCE_METHODS.includes(distanceMethod)) throw new Error(`--distance must be one of ${DISTANCE_METHODS.join(", ")}`);
+if (!Number.isFinite(cleanMaxSpeed) || cleanMaxSpeed <= 0) throw new Error("--clean-max-speed must be a positive speed in km/h");
+if (!Number.isFinite(cleanMaxAccel) || cleanMaxAccel <= 0) throw new Error("--clean-max-accel must be a positive acceleration in m/s²");
+if (!Number.isFinite(cleanStopRadius) || cleanStopRadius < 0) throw new Error("--clean-stop-radius must be a number of meters >= 0");
+if (!Number.isFinite(cleanStopSec) || cleanStopSec < 0) throw new Error("--clean-stop-sec must be a number of seconds >= 0");
+const officialDistance = officialDistanceArg ? Number(officialDistanceArg) : null;
+if (officialDistance !== null && !(officialDistance > 0)) throw new Error("--official-distance must be a positive number of km");
+if (!CLIMB_METHODS.includes(climbMethod)) throw new Error(`--climb-method must be one of ${CLIMB_METHODS.join(", ")}`);
+if (!Number.isFinite(climbThreshold) || climbThreshold < 0) throw new Error("--climb-threshold must be a number of meters >= 0");
+const officialDPlus = officialDPlusArg ? Number(officialDPlusArg) : null;
+if (officialDPlus !== null && !(officialDPlus > 0)) throw new Error("--official-dplus must be a positive number of meters");
 
 const targetTotalSec = parseTimeToSeconds(targetStr);
 if (targetTotalSec <= 0) throw new Error("--target must be > 0");
 
-// Parse checkpoints: repeatable --cp "<km>,<stopMin>"
+// Parse checkpoints: repeatable --cp "<km|name>,<stopMin>" (names are resolved once the track is read)
 const checkpointArgs = getAllArgs("--cp");
-const checkpoints = checkpointArgs
-  .map((s) => parseCheckpoint(s))
-  .filter(Boolean)
-  .sort((a, b) => a.km - b.km);
+const checkpointSpecs = checkpointArgs.map((s) => parseCheckpoint(s));
+
+// Parse waypoints: "<stopMin>" applied to every course point on the track
+const waypointsArg = getArg("--waypoints", "");
+let waypointStopSec = null;
+if (waypointsArg) {
+  const stopMin = Number(waypointsArg);
+  if (!Number.isFinite(stopMin) || stopMin < 0) throw new Error("--waypoints must be a stop time in minutes >= 0");
+  waypointStopSec = Math.round(stopMin * 60);
+}
 
 // Parse sleep: "<count>,<minutesEach>"
 let sleepCount = 0;
@@ -115,217 +328,55 @@ if (sleepArg) {
   }
 }
 
-const sleepStopSec = Math.round(sleepCount * sleepMinEach * 60);
-const checkpointsStopSec = checkpoints.reduce((s, c) => s + c.stopSec, 0);
-const totalStopSec = sleepStopSec + checkpointsStopSec;
-
-// ------------------------ GPX parsing (minimal, no deps) ------------------------
-function parseGpxPoints(xml) {
-  const points = [];
-  const trkptRegex = /<trkpt\b[^>]*?lat="([^"]+)"[^>]*?lon="([^"]+)"[^>]*?>([\s\S]*?)<\/trkpt>/g;
-  let m;
-  while ((m = trkptRegex.exec(xml)) !== null) {
-    const lat = Number(m[1]);
-    const lon = Number(m[2]);
-    const inner = m[3];
-    const eleMatch = inner.match(/<ele>([^<]+)<\/ele>/);
-    const ele = eleMatch ? Number(eleMatch[1]) : NaN;
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      points.push({ lat, lon, ele: Number.isFinite(ele) ? ele : null });
-    }
-  }
-  if (points.length < 2) throw new Error("Not enough <trkpt> points found in GPX.");
-  return points;
-}
-
-// ------------------------ Geo helpers ------------------------
-const R = 6371000; // meters
-function toRad(deg) { return (deg * Math.PI) / 180; }
-function haversineM(a, b) {
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lon - a.lon);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-
-  const sinDLat = Math.sin(dLat / 2);
-  const sinDLon = Math.sin(dLon / 2);
-  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLon * sinDLon;
-  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
-  return R * c;
-}
-function lerp(a, b, t) { return a + (b - a) * t; }
-
-// ------------------------ Smoothing ------------------------
-function movingAverage(arr, windowSize) {
-  if (windowSize === 1) return arr.slice();
-  const half = Math.floor(windowSize / 2);
-  const out = new Array(arr.length).fill(null);
-
-  for (let i = 0; i < arr.length; i++) {
-    let sum = 0;
-    let count = 0;
-    for (let j = i - half; j <= i + half; j++) {
-      if (j >= 0 && j < arr.length && arr[j] !== null && Number.isFinite(arr[j])) {
-        sum += arr[j];
-        count++;
-      }
-    }
-    out[i] = count ? sum / count : null;
-  }
-  return out;
-}
-function fillMissing(arr) {
-  const out = arr.slice();
-  let last = null;
-  for (let i = 0; i < out.length; i++) {
-    if (Number.isFinite(out[i])) last = out[i];
-    else if (last !== null) out[i] = last;
-  }
-  let next = null;
-  for (let i = out.length - 1; i >= 0; i--) {
-    if (Number.isFinite(out[i])) next = out[i];
-    else if (next !== null) out[i] = next;
-  }
-  return out.map(v => (Number.isFinite(v) ? v : 0));
-}
-
-// ------------------------ Resample ------------------------
-function resampleByDistance(pts, cum, stepM) {
-  const total = cum[cum.length - 1];
-  const targets = [];
-  for (let d = 0; d < total; d += stepM) targets.push(d);
-  targets.push(total); // include end
-
-  const out = [];
-  let j = 1;
-  for (let i = 0; i < targets.length; i++) {
-    const target = targets[i];
-    while (j < cum.length && cum[j] < target) j++;
-    if (j >= cum.length) j = cum.length - 1;
-
-    const d0 = cum[j - 1];
-    const d1 = cum[j];
-    const t = d1 === d0 ? 0 : (target - d0) / (d1 - d0);
-
-    const p0 = pts[j - 1];
-    const p1 = pts[j];
-
-    const lat = lerp(p0.lat, p1.lat, t);
-    const lon = lerp(p0.lon, p1.lon, t);
-    const ele = lerp(p0.ele, p1.ele, t);
+// ------------------------ Checkpoints parsing ------------------------
+function parseCheckpoint(s) {
+  // split on the last comma: course point names may contain commas
+  const str = String(s);
+  const sep = str.lastIndexOf(",");
+  if (sep === -1) throw new Error(`Invalid --cp "${s}" (expected "<km|name>,<stopMin>")`);
+  const where = str.slice(0, sep).trim();
+  const stopMin = Number(str.slice(sep + 1).trim());
+  if (!Number.isFinite(stopMin) || stopMin < 0) throw new Error(`Invalid checkpoint stopMin in "${s}"`);
+  const stopSec = Math.round(stopMin * 60);
 
-    out.push({ index: i, distanceM: target, lat, lon, ele });
+  if (/^[+-]?\d+(\.\d+)?$/.test(where)) {
+    const km = Number(where);
+    if (!Number.isFinite(km) || km <= 0) throw new Error(`Invalid checkpoint km in "${s}"`);
+    return { km, name: null, stopSec };
   }
-  return out;
-}
-
-// ------------------------ Speed rules (your formulas) ------------------------
-function clamp01(x) {
-  if (!Number.isFinite(x)) return 0.5;
-  return Math.max(0, Math.min(1, x));
+  if (!where) throw new Error(`Invalid checkpoint km in "${s}"`);
+  return { km: null, name: where, stopSec };
 }
 
-/**
- * For ranges (like 9:00-11:00 pace), we convert to km/h bounds then pick
- * based on prudence:
- *   prudence=0 => fast end (max speed)
- *   prudence=1 => slow end (min speed)
- */
-function pickSpeedFromRangeKmh(minKmh, maxKmh, prudence) {
-  // minKmh is slower, maxKmh is faster
-  return maxKmh - prudence * (maxKmh - minKmh);
-}
-
-function speedForSlopeKmh(pctSlope, vFlatKmh, profile, prudence) {
-  // pctSlope: + uphill, - downhill
-  if (pctSlope >= -1 && pctSlope <= 1) return vFlatKmh;
-
-  // Uphill
-  if (pctSlope > 1 && pctSlope <= 12) {
-    return vFlatKmh / (1 + 0.04 * pctSlope);
+// Custom slope profile: "<file.json>" (single profile) or "<file.json>#<name>"
+function loadProfile(spec) {
+  const hash = spec.lastIndexOf("#");
+  const file = hash > 0 ? spec.slice(0, hash) : spec;
+  const name = hash > 0 ? spec.slice(hash + 1) : null;
+  if (!fs.existsSync(file)) {
+    throw new Error(`--profile must be ${Object.keys(BUILTIN_PROFILES).join(", ")} or a JSON profile file (not found: ${file})`);
   }
-
-  if (pctSlope > 12 && pctSlope <= 15) {
-    if (profile === "trained") return pickSpeedFromRangeKmh(5.45, 6.0, prudence);
-    return pickSpeedFromRangeKmh(4.62, 5.45, prudence);
+  const profiles = parseSlopeProfiles(fs.readFileSync(file, "utf8"));
+  if (name !== null) {
+    const found = profiles.find(p => p.name === name);
+    if (!found) throw new Error(`--profile: no profile "${name}" in ${file} (available: ${profiles.map(p => p.name).join(", ")})`);
+    return found;
   }
-
-  if (pctSlope > 15 && pctSlope <= 20) {
-    if (profile === "trained") return pickSpeedFromRangeKmh(4.80, 5.45, prudence);
-    return pickSpeedFromRangeKmh(4.0, 4.62, prudence);
-  }
-
-  if (pctSlope > 20) {
-    if (profile === "trained") return pickSpeedFromRangeKmh(4.0, 4.62, prudence);
-    return pickSpeedFromRangeKmh(3.33, 4.0, prudence);
-  }
-
-  // Downhill
-  const absP = Math.abs(pctSlope);
-
-  if (pctSlope < -1 && pctSlope >= -3) {
-    return vFlatKmh / (1 - 0.02 * absP);
-  }
-
-  if (pctSlope < -3 && pctSlope >= -4) {
-    return vFlatKmh / ((1 - 0.02 * absP) * 1.05);
-  }
-
-  if (pctSlope < -4 && pctSlope >= -6) {
-    return vFlatKmh / ((1 - 0.02 * absP) * 1.10);
-  }
-
-  if (pctSlope < -6 && pctSlope >= -8) {
-    return pickSpeedFromRangeKmh(5.45, 6.67, prudence);
+  if (profiles.length > 1) {
+    throw new Error(`--profile: ${file} holds ${profiles.length} profiles, pick one with ${file}#<name> (${profiles.map(p => p.name).join(", ")})`);
   }
-
-  if (pctSlope < -8 && pctSlope >= -12) {
-    return pickSpeedFromRangeKmh(4.62, 6.0, prudence);
-  }
-
-  // pctSlope < -12
-  return pickSpeedFromRangeKmh(4.0, 5.45, prudence);
+  return profiles[0];
 }
 
-// ------------------------ Time / pace helpers ------------------------
-function parseTimeToSeconds(s) {
-  const parts = s.split(":").map(x => x.trim());
-  if (parts.length < 2 || parts.length > 3) throw new Error("Time must be HH:MM or HH:MM:SS");
-  const hh = Number(parts[0]);
-  const mm = Number(parts[1]);
-  const ss = parts.length === 3 ? Number(parts[2]) : 0;
-  if (![hh, mm, ss].every(Number.isFinite) || hh < 0 || mm < 0 || ss < 0) {
-    throw new Error("Invalid time format");
+// Wind: "<speedKmh>,<fromDirection>" (constant) or a JSON/CSV file of hourly wind
+function parseWindArg(spec) {
+  if (!spec) return null;
+  if (fs.existsSync(spec)) return parseWindConditions(fs.readFileSync(spec, "utf8"));
+  const parts = spec.split(",").map(x => x.trim());
+  if (parts.length !== 2 || !(Number(parts[0]) >= 0)) {
+    throw new Error(`--wind must be '<speedKmh>,<fromDirection>' or a wind file (not found: ${spec})`);
   }
-  return Math.round(hh * 3600 + mm * 60 + ss);
-}
-function formatHMS(totalSec) {
-  const s = Math.max(0, Math.round(totalSec));
-  const hh = Math.floor(s / 3600);
-  const mm = Math.floor((s % 3600) / 60);
-  const ss = s % 60;
-  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)}`;
-}
-function formatPaceMinKm(vKmh) {
-  if (!Number.isFinite(vKmh) || vKmh <= 0) return null;
-  const paceMin = 60 / vKmh; // min/km
-  const m = Math.floor(paceMin);
-  let sec = Math.round((paceMin - m) * 60);
-  let mm = m;
-  if (sec === 60) { sec = 0; mm += 1; }
-  return `${pad2(mm)}:${pad2(sec)}`;
-}
-function pad2(n) { return String(n).padStart(2, "0"); }
-
-// ------------------------ Checkpoints parsing ------------------------
-function parseCheckpoint(s) {
-  const parts = String(s).split(",").map(x => x.trim());
-  if (parts.length !== 2) throw new Error(`Invalid --cp "${s}" (expected "<km>,<stopMin>")`);
-  const km = Number(parts[0]);
-  const stopMin = Number(parts[1]);
-  if (!Number.isFinite(km) || km <= 0) throw new Error(`Invalid checkpoint km in "${s}"`);
-  if (!Number.isFinite(stopMin) || stopMin < 0) throw new Error(`Invalid checkpoint stopMin in "${s}"`);
-  return { km, stopSec: Math.round(stopMin * 60) };
+  return validateWind({ speedKmh: Number(parts[0]), fromDeg: parts[1] });
 }
 
 // collect repeatable args
@@ -355,284 +406,187 @@ function round(x, n) {
 }
 
 // ------------------------ Main ------------------------
-const xml = fs.readFileSync(gpxPath, "utf8");
-const rawPts = parseGpxPoints(xml);
-
-// elevation smoothing
-const eleRaw = rawPts.map(p => (p.ele === null ? NaN : p.ele));
-const eleFilled = fillMissing(eleRaw);
-const eleSmoothed = movingAverage(eleFilled, smoothWindow);
-const pts = rawPts.map((p, i) => ({ ...p, ele: eleSmoothed[i] }));
-
-// cumulative distance
-const cum = [0];
-for (let i = 1; i < pts.length; i++) {
-  cum[i] = cum[i - 1] + haversineM(pts[i - 1], pts[i]);
-}
-const totalDistanceM = cum[cum.length - 1];
-const totalDistanceKm = totalDistanceM / 1000;
-
-// total D+ D- (smoothed)
-let dPlusM = 0;
-let dMinusM = 0;
-for (let i = 1; i < pts.length; i++) {
-  const de = pts[i].ele - pts[i - 1].ele;
-  if (de > 0) dPlusM += de;
-  else dMinusM += -de;
-}
-
-// sanity: checkpoints within course
-const validCheckpoints = checkpoints
-  .filter(c => c.km > 0 && c.km < totalDistanceKm)
-  .sort((a, b) => a.km - b.km);
-
-// resample
-const samples = resampleByDistance(pts, cum, stepM);
-
-// segments 250m (or last shorter)
-const baseSegments = [];
-for (let i = 1; i < samples.length; i++) {
-  const a = samples[i - 1];
-  const b = samples[i];
-  const dist = b.distanceM - a.distanceM;
-  const deltaElev = b.ele - a.ele;
-  const slopePct = dist > 0 ? (deltaElev / dist) * 100 : 0;
-  baseSegments.push({
-    index: i - 1,
-    fromM: a.distanceM,
-    toM: b.distanceM,
-    lengthM: dist,
-    deltaElevM: deltaElev,
-    slopePct
-  });
-}
-
-// target moving time
-const movingTargetSec = targetTotalSec - totalStopSec;
-if (movingTargetSec <= 0) {
-  throw new Error("Target moving time <= 0 (stops exceed target total time). Reduce stops or increase target.");
-}
-
-// time function for a given Vflat
-function movingTimeForVflatSec(vFlatKmh) {
-  let t = 0;
-  for (const seg of baseSegments) {
-    const distKm = seg.lengthM / 1000;
-    const v = speedForSlopeKmh(seg.slopePct, vFlatKmh, profile, prudence);
-    if (!Number.isFinite(v) || v <= 0) return Infinity;
-    t += (distKm / v) * 3600;
+const PROGRESS_MIN_BYTES = 5 * 1024 * 1024;
+
+function readHead(filePath, size = 64 * 1024) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buf = Buffer.alloc(size);
+    return buf.subarray(0, fs.readSync(fd, buf, 0, size, 0));
+  } finally {
+    fs.closeSync(fd);
   }
-  return t;
 }
 
-// binary search to find Vflat
-let lo = vminBound;
-let hi = vmaxBound;
-
-// check feasibility
-const tLo = movingTimeForVflatSec(lo);
-const tHi = movingTimeForVflatSec(hi);
-if (tHi > movingTargetSec) {
-  throw new Error(
-    `Objective seems too fast: even at Vflat=${hi} km/h, moving time=${formatHMS(tHi)} > target moving=${formatHMS(movingTargetSec)}`
-  );
-}
-if (tLo < movingTargetSec) {
-  // This means even very slow flat speed is still faster than target moving time (rare but possible).
-  // We'll still solve, but it will push to the low bound.
-  // Keep going; result will be near lo.
+function progressReporter(totalBytes) {
+  if (!process.stderr.isTTY || totalBytes < PROGRESS_MIN_BYTES) return null;
+  let lastPct = -1;
+  return ({ ratio, points }) => {
+    const pct = Math.floor(ratio * 100);
+    if (pct === lastPct) return;
+    lastPct = pct;
+    process.stderr.write(`\rReading GPX: ${pct}% (${points} points)`);
+    if (pct === 100) process.stderr.write("\n");
+  };
 }
 
-for (let i = 0; i < iters; i++) {
-  const mid = (lo + hi) / 2;
-  const tMid = movingTimeForVflatSec(mid);
-  if (tMid > movingTargetSec) {
-    // too slow overall -> increase Vflat
-    lo = mid;
-  } else {
-    hi = mid;
+async function readTrack(filePath) {
+  // GPX: streamed, the whole file is never held as one string
+  const head = readHead(filePath);
+  if (!isFitData(head) && !isZipData(head) && detectTrackFormat(head.toString("utf8")) === "gpx") {
+    const totalBytes = fs.statSync(filePath).size;
+    const { tracks, waypoints } = await readGpxStream(fs.createReadStream(filePath), {
+      totalBytes,
+      onProgress: progressReporter(totalBytes)
+    });
+    const track = selectGpxTrack(tracks, trackArg);
+    return { format: "gpx", points: track.points, coursePoints: waypoints, track, tracks };
   }
-}
-
-const vFlatKmh = (lo + hi) / 2;
-const flatPace = formatPaceMinKm(vFlatKmh);
-
-// build detailed segments with speed/pace/time + D+/D- per segment
-const segments = baseSegments.map(seg => {
-  const v = speedForSlopeKmh(seg.slopePct, vFlatKmh, profile, prudence);
-  const pace = formatPaceMinKm(v);
-  const distKm = seg.lengthM / 1000;
-  const timeSec = (distKm / v) * 3600;
-
-  const dPlus = seg.deltaElevM > 0 ? seg.deltaElevM : 0;
-  const dMinus = seg.deltaElevM < 0 ? -seg.deltaElevM : 0;
-
-  return {
-    index: seg.index,
-    fromM: round(seg.fromM, 2),
-    toM: round(seg.toM, 2),
-    lengthM: round(seg.lengthM, 2),
-    deltaElevM: round(seg.deltaElevM, 2),
-    dPlusM: round(dPlus, 2),
-    dMinusM: round(dMinus, 2),
-    slopePct: round(seg.slopePct, 3),
-    speedKmh: round(v, 3),
-    pace: pace,
-    timeSec: Math.round(timeSec),
-    time: formatHMS(timeSec)
-  };
-});
 
-// group per km: weighted by time (more correct than just avg of paces)
-function groupPerKmDetailed(segments) {
-  const bins = new Map();
-  for (const seg of segments) {
-    const mid = (seg.fromM + seg.toM) / 2;
-    const kmIndex = Math.floor(mid / 1000) + 1; // 1-based
-    if (!bins.has(kmIndex)) bins.set(kmIndex, []);
-    bins.get(kmIndex).push(seg);
+  const data = fs.readFileSync(filePath);
+  if (isFitData(data)) {
+    return { format: "fit", points: parseFitPoints(data), coursePoints: parseFitCoursePoints(data) };
   }
-
-  const out = [];
-  for (const [km, segs] of [...bins.entries()].sort((a, b) => a[0] - b[0])) {
-    const lenM = segs.reduce((s, x) => s + x.lengthM, 0);
-    const timeSec = segs.reduce((s, x) => s + x.timeSec, 0);
-    const dPlus = segs.reduce((s, x) => s + x.dPlusM, 0);
-    const dMinus = segs.reduce((s, x) => s + x.dMinusM, 0);
-
-    const distKm = lenM / 1000;
-    const avgSpeed = distKm > 0 ? (distKm / (timeSec / 3600)) : 0;
-    out.push({
-      km,
-      segmentsCount: segs.length,
-      lengthM: round(lenM, 2),
-      timeSec: Math.round(timeSec),
-      time: formatHMS(timeSec),
-      avgSpeedKmh: round(avgSpeed, 3),
-      avgPace: formatPaceMinKm(avgSpeed),
-      dPlusM: round(dPlus, 1),
-      dMinusM: round(dMinus, 1),
-      slopePctList: segs.map(s => s.slopePct),
-    });
+  if (isZipData(data)) {
+    return { format: "kmz", points: parseKmlPoints(extractKmlFromKmz(data)), coursePoints: [] };
   }
-  return out;
-}
-
-const perKm = groupPerKmDetailed(segments);
-
-// Steps (stages) based on checkpoints
-function buildSteps(segments, totalDistanceKm, checkpoints) {
-  // stage boundaries in meters
-  const boundariesKm = [0, ...checkpoints.map(c => c.km), totalDistanceKm].sort((a, b) => a - b);
-  const unique = [];
-  for (const k of boundariesKm) {
-    if (unique.length === 0 || Math.abs(unique[unique.length - 1] - k) > 1e-9) unique.push(k);
+  const xml = data.toString("utf8");
+  const format = detectTrackFormat(xml);
+  if (format === "tcx") return { format, points: parseTcxPoints(xml), coursePoints: parseTcxCoursePoints(xml) };
+  if (format === "gpx") {
+    const tracks = parseGpxTracks(xml);
+    const track = selectGpxTrack(tracks, trackArg);
+    return { format, points: track.points, coursePoints: parseGpxWaypoints(xml), track, tracks };
   }
+  if (format === "kml") return { format, points: parseKmlPoints(xml), coursePoints: [] };
+  if (format === "geojson") return { format, points: parseGeoJsonPoints(xml), coursePoints: [] };
+  throw new Error(`Unrecognized track file (expected GPX, TCX, FIT, KML/KMZ or GeoJSON): ${gpxPath}`);
+}
+
+function loadDem(dir, points) {
+  // only the tiles around the track are read (.hgt by name, GeoTIFF by header)
+  const bounds = trackBounds(points);
+  const tiles = selectDemFiles(fs.readdirSync(dir).sort(), bounds)
+    .map(name => readDemTile(name, fs.readFileSync(path.join(dir, name)), bounds))
+    .filter(Boolean);
+  if (tiles.length === 0) throw new Error(`--dem ${dir}: no .hgt or GeoTIFF tile covers the track`);
+  return createDemSampler(tiles);
+}
+
+const { format, points: rawPts, coursePoints: trackCoursePoints, track, tracks } = await readTrack(gpxPath);
+const dem = demDir ? loadDem(demDir, rawPts) : null;
+
+// GPX tracks/routes summary (which one was planned on, and the alternatives)
+const describeTrack = t => ({ index: t.index, kind: t.kind, name: t.name, distanceKm: round(t.distanceM / 1000, 3) });
+
+// engine options (the checkpoints are added once resolved)
+const planOptions = {
+  points: rawPts,
+  targetTime: targetStr,
+  profile,
+  prudence,
+  slopeModel,
+  fatigueModel,
+  fatigueRatePct: fatigueRate,
+  startTime,
+  timeZone,
+  nightSlowdownPct: nightSlowdown,
+  heatConditions,
+  heatThresholdC: heatThreshold,
+  heatSlowdownPctPerDeg: heatRate,
+  wind,
+  altitudeThresholdM: altitudeThreshold,
+  altitudePenaltyPctPer1000M: altitudePenalty,
+  altitudeAcclimatizationPct: acclimatization,
+  rests: { count: sleepCount, minutesEach: sleepMinEach },
+  segmentLengthM: stepM,
+  segmentationMode,
+  segmentMinM: segMin,
+  segmentMaxM: segMax,
+  segmentSlopeChangePct: slopeChange,
+  smoothingWindow: smoothWindow,
+  smoothingMethod: smoothMethod,
+  smoothingWindowM: smoothWindowM,
+  vMin: vminBound,
+  vMax: vmaxBound,
+  iterations: iters,
+  dem,
+  elevationSource,
+  demBlendWeight: demWeight,
+  distanceMethod,
+  distance3d,
+  officialDistanceKm: officialDistance,
+  cleanupTrack: cleanup,
+  cleanupMaxSpeedKmh: cleanMaxSpeed,
+  cleanupMaxAccelMs2: cleanMaxAccel,
+  cleanupStationaryRadiusM: cleanStopRadius,
+  cleanupStationaryMinSec: cleanStopSec,
+  climbMethod,
+  climbThresholdM: climbThreshold,
+  officialDPlusM: officialDPlus
+};
 
-  // map checkpoint stop sec to boundary end (km)
-  const stopByKm = new Map();
-  for (const cp of checkpoints) {
-    stopByKm.set(cp.km, (stopByKm.get(cp.km) || 0) + cp.stopSec);
+// GPX waypoints / TCX-FIT course points located on the track, in course order
+// (km measured like the plan: same distance method, 3D or not)
+const coursePoints = locateCoursePoints(rawPts, trackCoursePoints, 250, trackDistances(planOptions)).map(cp => ({
+  name: cp.name,
+  type: cp.type,
+  km: cp.km === null ? null : round(cp.km, 3),
+  offTrackM: cp.offTrackM === null ? null : round(cp.offTrackM, 1)
+}));
+
+// checkpoints: explicit --cp (by km or by course point name), then --waypoints for the other course points
+const onTrackCoursePoints = coursePoints.filter(cp => cp.km !== null);
+const checkpoints = [];
+for (const spec of checkpointSpecs) {
+  if (spec.name === null) {
+    checkpoints.push(spec);
+    continue;
   }
-
-  const steps = [];
-  for (let i = 0; i < unique.length - 1; i++) {
-    const fromKm = unique[i];
-    const toKm = unique[i + 1];
-    const fromM = fromKm * 1000;
-    const toM = toKm * 1000;
-
-    // include segments whose midpoint is inside [fromM, toM)
-    const segs = segments.filter(s => {
-      const mid = (s.fromM + s.toM) / 2;
-      return mid >= fromM && mid < toM;
-    });
-
-    const lenM = segs.reduce((s, x) => s + x.lengthM, 0);
-    const movingSec = segs.reduce((s, x) => s + x.timeSec, 0);
-    const dPlus = segs.reduce((s, x) => s + x.dPlusM, 0);
-    const dMinus = segs.reduce((s, x) => s + x.dMinusM, 0);
-
-    const stepStopSec = stopByKm.get(toKm) || 0; // stop at end checkpoint, if any
-    const totalSec = movingSec + stepStopSec;
-
-    const distKm = lenM / 1000;
-    const avgSpeed = distKm > 0 ? (distKm / (movingSec / 3600)) : 0;
-
-    steps.push({
-      index: i + 1,
-      fromKm: round(fromKm, 3),
-      toKm: round(toKm, 3),
-      distanceKm: round(distKm, 3),
-      dPlusM: round(dPlus, 1),
-      dMinusM: round(dMinus, 1),
-      movingSec: Math.round(movingSec),
-      moving: formatHMS(movingSec),
-      stopsSec: stepStopSec,
-      stops: formatHMS(stepStopSec),
-      totalSec: Math.round(totalSec),
-      total: formatHMS(totalSec),
-      avgSpeedKmh: round(avgSpeed, 3),
-      avgPace: formatPaceMinKm(avgSpeed),
-    });
+  const matches = onTrackCoursePoints.filter(cp => cp.name.toLowerCase() === spec.name.toLowerCase());
+  if (matches.length === 0) {
+    const names = [...new Set(onTrackCoursePoints.map(cp => cp.name))].join(", ") || "none";
+    throw new Error(`--cp "${spec.name}": no course point with this name on the track (available: ${names})`);
+  }
+  for (const cp of matches) checkpoints.push({ km: cp.km, name: cp.name, stopSec: spec.stopSec });
+}
+if (waypointStopSec !== null) {
+  for (const cp of onTrackCoursePoints) {
+    if (!checkpoints.some(c => c.name === cp.name && c.km === cp.km)) {
+      checkpoints.push({ km: cp.km, name: cp.name, stopSec: waypointStopSec });
+    }
   }
-
-  return steps;
 }
 
-const steps = buildSteps(segments, totalDistanceKm, validCheckpoints);
-
-// sanity totals
-const computedMovingSec = segments.reduce((s, x) => s + x.timeSec, 0);
-const computedTotalSec = computedMovingSec + totalStopSec;
+// the computation itself is the shared engine (same numbers as script.js and the browser)
+const plan = calculatePacing({
+  ...planOptions,
+  checkpoints: checkpoints.map(c => ({ km: c.km, stopMinutes: c.stopSec / 60, name: c.name }))
+});
 
 // output payload
 const result = {
   input: {
     file: path.basename(gpxPath),
-    target: targetStr,
-    targetTotalSec,
-    profile,
-    prudence,
-    stepM,
-    smoothWindow,
-    checkpoints: validCheckpoints.map(c => ({ km: c.km, stopSec: c.stopSec, stop: formatHMS(c.stopSec) })),
-    sleep: sleepArg ? { count: sleepCount, minutesEach: sleepMinEach, stopSec: sleepStopSec, stop: formatHMS(sleepStopSec) } : null,
-    bounds: { vmin: vminBound, vmax: vmaxBound, iters }
-  },
-  totals: {
-    totalDistanceM: round(totalDistanceM, 2),
-    totalDistanceKm: round(totalDistanceKm, 3),
-    dPlusM: round(dPlusM, 1),
-    dMinusM: round(dMinusM, 1),
-
-    targetTotal: formatHMS(targetTotalSec),
-    targetTotalSec,
-
-    stopTime: formatHMS(totalStopSec),
-    stopTimeSec: totalStopSec,
-
-    movingTarget: formatHMS(movingTargetSec),
-    movingTargetSec,
-
-    computedMoving: formatHMS(computedMovingSec),
-    computedMovingSec: Math.round(computedMovingSec),
-
-    computedTotal: formatHMS(computedTotalSec),
-    computedTotalSec: Math.round(computedTotalSec),
-  },
-  calibration: {
-    vFlatKmh: round(vFlatKmh, 4),
-    flatPace,
+    format,
+    track: track ? describeTrack(track) : null,
+    tracks: tracks ? tracks.map(describeTrack) : null,
+    ...plan.input,
+    // key names of the out.json written before the shared engine, kept for existing readers
+    target: plan.input.targetTime,
+    stepM: plan.input.segmentLengthM,
+    smoothWindow: plan.input.smoothing.windowPoints,
+    sleep: sleepArg ? plan.input.rests : null,
+    bounds: { ...plan.input.bounds, vmin: plan.input.bounds.vMin, vmax: plan.input.bounds.vMax, iters: plan.input.bounds.iterations }
   },
-  steps,
-  perKm,
-  per250m: segments,
-  samples: samples.map(s => ({
-    index: s.index,
-    distanceM: round(s.distanceM, 2),
-    eleM: round(s.ele, 2)
-  }))
+  totals: plan.totals,
+  calibration: plan.calibration,
+  cleanup: plan.cleanup,
+  coursePoints,
+  steps: plan.steps.map(step => ({ ...step, stopsSec: step.stopSec, stops: step.stop })),
+  perKm: plan.perKm,
+  per250m: plan.per250m,
+  samples: plan.samples
 };
 
 if (outPath) {
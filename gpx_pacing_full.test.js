@@ -0,0 +1,34 @@
+/**
+ * Tests de la sortie JSON de la ligne de commande (node --test), sur file.gpx
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const run = (...args) => JSON.parse(execFileSync(process.execPath, [
+  fileURLToPath(new URL('./gpx_pacing_full.js', import.meta.url)),
+  fileURLToPath(new URL('./file.gpx', import.meta.url)),
+  ...args
+], { maxBuffer: 1 << 28 }));
+
+test("la sortie garde les anciennes clés à côté des nouvelles", () => {
+  const out = run("--target", "20:00:00", "--cp", "30,30", "--sleep", "1,20");
+  assert.equal(out.input.target, "20:00:00");
+  assert.equal(out.input.smoothWindow, 9);
+  assert.deepEqual(out.input.sleep, out.input.rests);
+  assert.deepEqual(
+    [out.input.bounds.vmin, out.input.bounds.vmax, out.input.bounds.iters],
+    [out.input.bounds.vMin, out.input.bounds.vMax, out.input.bounds.iterations]
+  );
+  assert.equal(out.steps[0].stopsSec, 1800);
+  assert.equal(out.steps[0].stops, "00:30:00");
+  assert.equal(out.steps[0].stopSec, 1800);
+});
+
+test("le D+ par défaut reste celui des points lissés", () => {
+  const out = run("--target", "20:00:00");
+  assert.equal(out.input.climb.method, "smoothed");
+  assert.equal(out.totals.dPlusM, 2775.3);
+});
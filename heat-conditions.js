@@ -0,0 +1,201 @@
+/**
+ * Conditions horaires (température, humidité) et ralentissement dû à la chaleur, sans dépendance, pour Node et le navigateur
+ * Le fichier donne une série horaire pour toute la course, ou une série par tranche d'altitude (minEleM..maxEleM) ;
+ * les heures sont locales, dans le fuseau de l'heure de départ. Chaque segment prend la température et l'humidité
+ * interpolées à son heure de passage, dans la tranche de son altitude, et en déduit l'indice de chaleur (NOAA) :
+ * au-delà d'un seuil, la vitesse baisse d'un pourcentage par degré.
+ *
+ * JSON : [{time, tempC, humidityPct}, ...], {hours: [...]}, ou {bands: [{minEleM?, maxEleM?, hours: [...]}, ...]}
+ * CSV  : en-tête time,tempC,humidityPct[,minEleM,maxEleM] (séparateur "," ou ";"), une ligne par heure et par tranche
+ */
+
+import { zonedTimeToUtc } from './daylight.js';
+
+// ==================== CONSTANTES ====================
+
+// Valeurs par défaut du ralentissement : indice de chaleur à partir duquel la vitesse baisse (°C), baisse par degré (%)
+export const HEAT_DEFAULTS = {
+  thresholdC: 20,
+  slowdownPctPerDeg: 1
+};
+
+// Ralentissement maximal dû à la chaleur (% de la vitesse)
+const MAX_HEAT_SLOWDOWN_PCT = 50;
+
+// Durée couverte par une tranche d'une seule heure (ms) : sa valeur vaut jusqu'à l'heure suivante
+const SINGLE_HOUR_MS = 3600 * 1000;
+
+// Noms de colonnes CSV acceptés pour chaque champ
+const CSV_COLUMNS = {
+  time: ["time", "datetime", "date"],
+  tempC: ["tempc", "temp", "temperature"],
+  humidityPct: ["humiditypct", "humidity", "rh"],
+  minEleM: ["minelem", "minele"],
+  maxEleM: ["maxelem", "maxele"]
+};
+
+// ==================== LECTURE ====================
+
+/**
+ * Lit un fichier de conditions horaires, JSON ou CSV (détecté au premier caractère)
+ * @param {string} text - Contenu du fichier
+ * @returns {{bands: Array<{minEleM: number|null, maxEleM: number|null, hours: Array<{time: string, tempC: number, humidityPct: number}>}>}}
+ */
+export function parseHourlyConditions(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Conditions horaires : JSON invalide (${error.message})`);
+    }
+    return validateHourlyConditions(data);
+  }
+  return validateHourlyConditions(parseConditionsCsv(String(text)));
+}
+
+/**
+ * Lignes CSV => tranches : les lignes de mêmes bornes d'altitude forment une tranche
+ */
+function parseConditionsCsv(text) {
+  // Numéros de ligne du fichier gardés pour les erreurs, lignes vides comprises
+  const lines = text.split(/\r?\n/).map((line, i) => ({ line, number: i + 1 })).filter(({ line }) => line.trim() !== "");
+  if (lines.length < 2) throw new Error("Conditions horaires : CSV vide (en-tête time,tempC,humidityPct puis une ligne par heure)");
+  const separator = lines[0].line.includes(";") ? ";" : ",";
+  const header = lines[0].line.split(separator).map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ""));
+  const column = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex(h => names.includes(h));
+    column[field] = index === -1 ? null : index;
+  }
+  for (const field of ["time", "tempC", "humidityPct"]) {
+    if (column[field] === null) throw new Error(`Conditions horaires : colonne ${field} absente de l'en-tête CSV`);
+  }
+  const bands = new Map();
+  lines.slice(1).forEach(({ line, number }) => {
+    const cells = line.split(separator).map(c => c.trim());
+    const cell = field => (column[field] === null || cells[column[field]] === "" ? null : cells[column[field]]);
+    const minEleM = cell("minEleM") === null ? null : Number(cell("minEleM"));
+    const maxEleM = cell("maxEleM") === null ? null : Number(cell("maxEleM"));
+    const key = `${minEleM}|${maxEleM}`;
+    if (!bands.has(key)) bands.set(key, { minEleM, maxEleM, hours: [] });
+    // Cellule vide : NaN, refusé par validateHourlyConditions avec le numéro de ligne (Number(null) vaudrait 0)
+    const value = field => (cell(field) === null ? NaN : Number(cell(field)));
+    bands.get(key).hours.push({ time: cell("time"), tempC: value("tempC"), humidityPct: value("humidityPct"), line: number });
+  });
+  return { bands: [...bands.values()] };
+}
+
+/**
+ * Vérifie et normalise des conditions horaires (résultat de parseHourlyConditions, ou objet équivalent)
+ * @param {Object|Array} data
+ * @returns {{bands: Array<{minEleM: number|null, maxEleM: number|null, hours: Array<{time: string, tempC: number, humidityPct: number}>}>}}
+ */
+export function validateHourlyConditions(data) {
+  const bandsIn = Array.isArray(data) ? [{ hours: data }]
+    : Array.isArray(data?.bands) ? data.bands
+    : Array.isArray(data?.hours) ? [{ hours: data.hours }]
+    : null;
+  if (!bandsIn || bandsIn.length === 0) throw new Error("Conditions horaires : liste d'heures ou de tranches d'altitude attendue");
+  const bands = bandsIn.map((band, b) => {
+    const where = bandsIn.length > 1 ? ` (tranche ${b + 1})` : "";
+    const minEleM = band.minEleM ?? null;
+    const maxEleM = band.maxEleM ?? null;
+    for (const bound of [minEleM, maxEleM]) {
+      if (bound !== null && !Number.isFinite(bound)) throw new Error(`Conditions horaires${where} : borne d'altitude invalide ${bound}`);
+    }
+    if (minEleM !== null && maxEleM !== null && !(minEleM < maxEleM)) {
+      throw new Error(`Conditions horaires${where} : minEleM (${minEleM}) doit être inférieur à maxEleM (${maxEleM})`);
+    }
+    if (!Array.isArray(band.hours) || band.hours.length === 0) throw new Error(`Conditions horaires${where} : aucune heure`);
+    const hours = band.hours.map((h, i) => {
+      const at = h.line ? `ligne ${h.line}` : `heure ${i + 1}`;
+      if (typeof h.time !== "string" || !/^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}(:\d{2})?$/.test(h.time.trim())) {
+        throw new Error(`Conditions horaires${where}, ${at} : heure locale "YYYY-MM-DDTHH:MM" attendue (${h.time})`);
+      }
+      if (!Number.isFinite(h.tempC)) throw new Error(`Conditions horaires${where}, ${at} : température invalide (${h.tempC})`);
+      if (!(Number.isFinite(h.humidityPct) && h.humidityPct >= 0 && h.humidityPct <= 100)) throw new Error(`Conditions horaires${where}, ${at} : humidité invalide (${h.humidityPct}, de 0 à 100 %)`);
+      return { time: h.time.trim(), tempC: h.tempC, humidityPct: h.humidityPct };
+    });
+    return { minEleM, maxEleM, hours };
+  });
+  return { bands };
+}
+
+// ==================== INDICE DE CHALEUR ====================
+
+/**
+ * Indice de chaleur (température ressentie) du National Weather Service (NOAA)
+ * Formule simple de Steadman moyennée avec la température de l'air ; quand cette moyenne atteint 80 °F,
+ * régression de Rothfusz et ses corrections.
+ * @param {number} tempC - Température de l'air (°C)
+ * @param {number} humidityPct - Humidité relative (%)
+ * @returns {number} Indice de chaleur (°C)
+ */
+export function heatIndexC(tempC, humidityPct) {
+  const t = tempC * 9 / 5 + 32;
+  const rh = humidityPct;
+  let hi = (0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094) + t) / 2;
+  if (hi >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    else if (rh > 85 && t >= 80 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return (hi - 32) * 5 / 9;
+}
+
+// ==================== RALENTISSEMENT ====================
+
+/**
+ * Tranche d'altitude d'un segment : celle qui contient l'altitude, sinon la plus proche
+ */
+function bandFor(bands, eleM) {
+  if (bands.length === 1) return bands[0];
+  let best = bands[0];
+  let bestGap = Infinity;
+  for (const band of bands) {
+    const gap = Math.max(0, (band.minEleM ?? -Infinity) - eleM, eleM - (band.maxEleM ?? Infinity));
+    if (gap < bestGap) {
+      best = band;
+      bestGap = gap;
+    }
+  }
+  return best;
+}
+
+/**
+ * Ralentissement dû à la chaleur selon l'heure de passage et l'altitude
+ * @param {Object} conditions - Conditions horaires (parseHourlyConditions ou validateHourlyConditions)
+ * @param {string} timeZone - Fuseau des heures du fichier (celui de l'heure de départ)
+ * @param {{thresholdC?: number, slowdownPctPerDeg?: number}} [settings] - Seuil d'indice de chaleur (°C) et baisse par degré (%)
+ * @returns {(ms: number, eleM: number) => {heatIndexC: number, factor: number}|null} Indice et facteur de vitesse
+ *   (1 = sans effet) ; null hors de la période du fichier (pas de ralentissement). Une tranche d'une seule heure
+ *   couvre cette heure entière avec sa valeur.
+ */
+export function heatFunction(conditions, timeZone, settings = {}) {
+  const thresholdC = settings.thresholdC ?? HEAT_DEFAULTS.thresholdC;
+  const slowdownPctPerDeg = settings.slowdownPctPerDeg ?? HEAT_DEFAULTS.slowdownPctPerDeg;
+  if (!Number.isFinite(thresholdC)) throw new Error(`Seuil de chaleur invalide : ${thresholdC} (°C)`);
+  if (!(slowdownPctPerDeg >= 0)) throw new Error(`Ralentissement dû à la chaleur invalide : ${slowdownPctPerDeg} (% par °C, 0 ou plus)`);
+  const bands = validateHourlyConditions(conditions).bands.map(band => {
+    const hours = band.hours
+      .map(h => ({ ms: zonedTimeToUtc(h.time, timeZone), tempC: h.tempC, humidityPct: h.humidityPct }))
+      .sort((a, b) => a.ms - b.ms);
+    const endMs = hours.length === 1 ? hours[0].ms + SINGLE_HOUR_MS : hours[hours.length - 1].ms;
+    return { ...band, hours, endMs };
+  });
+  return (ms, eleM) => {
+    const { hours, endMs } = bandFor(bands, eleM);
+    if (ms < hours[0].ms || ms > endMs) return null;
+    let i = 1;
+    while (i < hours.length - 1 && hours[i].ms < ms) i++;
+    const a = hours[Math.max(0, i - 1)];
+    const b = hours[i] ?? a;
+    const t = b.ms > a.ms ? (ms - a.ms) / (b.ms - a.ms) : 0;
+    const index = heatIndexC(a.tempC + (b.tempC - a.tempC) * t, a.humidityPct + (b.humidityPct - a.humidityPct) * t);
+    const slowdownPct = Math.min(MAX_HEAT_SLOWDOWN_PCT, Math.max(0, index - thresholdC) * slowdownPctPerDeg);
+    return { heatIndexC: index, factor: 1 - slowdownPct / 100 };
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests des conditions horaires et du ralentissement dû à la chaleur (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHourlyConditions, heatIndexC, heatFunction } from './heat-conditions.js';
+import { near } from './testing-helpers.js';
+
+const fahrenheitToC = f => (f - 32) * 5 / 9;
+
+test("heatIndexC : moyenne de la formule simple sous 80 °F, Rothfusz au-delà", () => {
+  // Sous 80 °F, la formule simple moyennée avec la température de l'air
+  near(heatIndexC(20, 50), 19.68, 0.01);
+  near(heatIndexC(30, 50), 31.05, 0.01);
+  // Table du National Weather Service : 90 °F et 50 % donnent 95 °F
+  near(heatIndexC(fahrenheitToC(90), 50), fahrenheitToC(95), 0.5);
+});
+
+test("parseHourlyConditions lit un CSV par tranches d'altitude, séparateur ; et noms de colonnes courts", () => {
+  const conditions = parseHourlyConditions([
+    "time;temp;rh;minEle;maxEle",
+    "2026-06-26T10:00;28;40;;1500",
+    "2026-06-26T10:00;18;60;1500;",
+    "2026-06-26T11:00;30;35;;1500"
+  ].join("\n"));
+  assert.deepEqual(conditions.bands, [
+    { minEleM: null, maxEleM: 1500, hours: [{ time: "2026-06-26T10:00", tempC: 28, humidityPct: 40 }, { time: "2026-06-26T11:00", tempC: 30, humidityPct: 35 }] },
+    { minEleM: 1500, maxEleM: null, hours: [{ time: "2026-06-26T10:00", tempC: 18, humidityPct: 60 }] }
+  ]);
+});
+
+test("une cellule de température ou d'humidité vide est refusée avec son numéro de ligne", () => {
+  const csv = row => `time,tempC,humidityPct\n2026-06-26T10:00,20,50\n${row}`;
+  assert.throws(() => parseHourlyConditions(csv("2026-06-26T11:00,,50")), /Conditions horaires, ligne 3 : température invalide/);
+  assert.throws(() => parseHourlyConditions(csv("2026-06-26T11:00,25,")), /Conditions horaires, ligne 3 : humidité invalide/);
+  assert.throws(() => parseHourlyConditions(csv("2026-06-26T11:00,25, ")), /ligne 3 : humidité invalide/);
+  assert.throws(() => parseHourlyConditions("time,tempC\n2026-06-26T10:00,20"), /colonne humidityPct absente/);
+  // Lignes vides comptées : le numéro est celui du fichier
+  assert.throws(() => parseHourlyConditions(`\ntime,tempC,humidityPct\n\n2026-06-26T10:00,20,50\n\n2026-06-26T11:00,,50`), /ligne 6 : température invalide/);
+});
+
+test("heatFunction interpole à l'heure de passage et ralentit au-delà du seuil", () => {
+  const conditions = parseHourlyConditions(JSON.stringify([
+    { time: "2026-06-26T10:00", tempC: 20, humidityPct: 50 },
+    { time: "2026-06-26T11:00", tempC: 30, humidityPct: 50 }
+  ]));
+  const heat = heatFunction(conditions, "+02:00", { thresholdC: 20, slowdownPctPerDeg: 2 });
+  const at = heat(Date.UTC(2026, 5, 26, 8, 30), 1000);
+  near(at.heatIndexC, heatIndexC(25, 50), 1e-9);
+  near(at.factor, 1 - (heatIndexC(25, 50) - 20) * 0.02, 1e-9);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 8), 1000).factor, 1);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 12), 1000), null);
+});
+
+test("une tranche d'une seule heure garde sa valeur pendant cette heure", () => {
+  const conditions = parseHourlyConditions("time,tempC,humidityPct,minEleM,maxEleM\n"
+    + "2026-06-26T10:00,28,40,,1500\n2026-06-26T12:00,32,30,,1500\n2026-06-26T10:00,30,50,1500,");
+  const heat = heatFunction(conditions, "+02:00");
+  const high = heat(Date.UTC(2026, 5, 26, 8, 40), 2000);
+  near(high.heatIndexC, heatIndexC(30, 50), 1e-9);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 9, 0), 2000).heatIndexC, high.heatIndexC);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 9, 1), 2000), null);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 7, 59), 2000), null);
+  // La tranche basse, de deux heures, s'arrête toujours à sa dernière heure
+  assert.notEqual(heat(Date.UTC(2026, 5, 26, 10), 1000), null);
+  assert.equal(heat(Date.UTC(2026, 5, 26, 10, 1), 1000), null);
+});
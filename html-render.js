@@ -0,0 +1,39 @@
+/**
+ * Rendu HTML des textes venant des fichiers (noms de traces, de points de passage, de profils)
+ * Fonctions pures utilisées par la page (script-browser.js) : les noms importés sont toujours échappés.
+ */
+
+/**
+ * Échappe un texte venant d'un fichier ou de l'utilisateur avant de l'insérer dans du HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Libellé d'un profil de coureur, prêt pour le HTML (nom d'un profil personnalisé échappé)
+ * @param {string} profile
+ * @returns {string}
+ */
+export function profileLabel(profile) {
+  if (profile === 'trained') return 'Entraîné';
+  if (profile === 'standard') return 'Standard';
+  return `Personnalisé (${escapeHtml(profile)})`;
+}
+
+/**
+ * Titre d'une étape : noms des points de passage (waypoints importés, échappés) et kilomètres
+ * @param {{index: number, fromKm: number, toKm: number, fromName: string|null, toName: string|null, night?: boolean}} step
+ * @returns {string}
+ */
+export function renderStepHeader(step) {
+  const place = (name, km) => (name ? `${escapeHtml(name)} (${km.toFixed(1)} km)` : `${km.toFixed(1)} km`);
+  return `Étape ${step.index} : ${place(step.fromName, step.fromKm)} → ${place(step.toName, step.toKm)}${step.night ? ' 🌙' : ''}`;
+}
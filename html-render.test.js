@@ -0,0 +1,27 @@
+/**
+ * Tests du rendu HTML des noms venant des fichiers (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, profileLabel, renderStepHeader } from './html-render.js';
+
+test("escapeHtml neutralise balises, attributs et entités", () => {
+  assert.equal(escapeHtml(`<img src=x onerror="alert('x')">&`), "&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("renderStepHeader échappe les noms des points de passage importés", () => {
+  const step = { index: 2, fromKm: 10, toKm: 21.04, fromName: "<script>alert(1)</script>", toName: "Col & Refuge" };
+  assert.equal(renderStepHeader(step), "Étape 2 : &lt;script&gt;alert(1)&lt;/script&gt; (10.0 km) → Col &amp; Refuge (21.0 km)");
+});
+
+test("renderStepHeader sans nom affiche les kilomètres", () => {
+  assert.equal(renderStepHeader({ index: 1, fromKm: 0, toKm: 10, fromName: null, toName: null }), "Étape 1 : 0.0 km → 10.0 km");
+  assert.equal(renderStepHeader({ index: 3, fromKm: 10, toKm: 20, fromName: null, toName: null, night: true }), "Étape 3 : 10.0 km → 20.0 km 🌙");
+});
+
+test("profileLabel échappe le nom d'un profil personnalisé", () => {
+  assert.equal(profileLabel("trained"), "Entraîné");
+  assert.equal(profileLabel(`<img src=x onerror="alert(1)">`), "Personnalisé (&lt;img src=x onerror=&quot;alert(1)&quot;&gt;)");
+});
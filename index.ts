@@ -1,5 +1,13 @@
 import { readFileSync } from "fs";
-import { XMLParser } from "fast-xml-parser";
+import {
+  detectTrackFormat,
+  describeGpxTrack,
+  parseGpxTracks,
+  parseTcxPoints,
+  selectGpxTrack,
+  type TrackPoint,
+} from "./track-readers.js";
+import { fillMissingElevation } from "./pacing-engine.js";
 
 // Constants
 const EARTH_RADIUS_M = 6371000;
@@ -41,117 +49,59 @@ type SectionPacing = SectionStats & {
   targetPaceMinPerKm: number;
 };
 
-type GpxTrkpt = {
-  lat?: string | number;
-  lon?: string | number;
-  ele?: string | number;
-  time?: string;
-};
-
-type GpxTrkseg = {
-  trkpt?: GpxTrkpt | GpxTrkpt[];
-};
-
-type GpxTrk = {
-  trkseg?: GpxTrkseg | GpxTrkseg[];
-};
-
-type ParsedGpx = {
-  gpx?: {
-    trk?: GpxTrk | GpxTrk[];
-  };
-};
-
 // Utility functions
-function ensureArray<T>(v: T | T[] | undefined): T[] {
-  if (!v) return [];
-  return Array.isArray(v) ? v : [v];
-}
-
 function toRadians(degrees: number): number {
   return (degrees * Math.PI) / 180;
 }
 
-function parseFloatSafe(
-  value: string | number | undefined,
-  defaultValue: number
-): number {
-  if (value === undefined || value === null) return defaultValue;
-  const parsed = typeof value === "number" ? value : parseFloat(String(value));
-  return isNaN(parsed) ? defaultValue : parsed;
-}
-
-// GPX parsing
-function parseGpx(filePath: string): RawGpxPoint[] {
+// Track file parsing (GPX or TCX, chosen from the root element)
+// Shared readers: the same file yields the same points as the CLI, script.js and the browser
+function parseTrackFile(filePath: string, trackSelector?: string): RawGpxPoint[] {
   let xml: string;
   try {
     xml = readFileSync(filePath, "utf-8");
   } catch (error) {
-    throw new Error(`Impossible de lire le fichier GPX: ${filePath}`);
+    throw new Error(`Impossible de lire le fichier de trace: ${filePath}`);
   }
 
   if (!xml.trim()) {
-    throw new Error("Le fichier GPX est vide");
+    throw new Error("Le fichier de trace est vide");
   }
 
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: "",
-    parseTagValue: false,
-  });
-
-  let gpx: ParsedGpx;
-  try {
-    gpx = parser.parse(xml) as ParsedGpx;
-  } catch (error) {
-    throw new Error("Erreur lors du parsing XML");
+  const format = detectTrackFormat(xml);
+  if (format === "tcx") {
+    return toRawPoints(parseTcxPoints(xml));
   }
-
-  const trks = ensureArray(gpx.gpx?.trk);
-  if (trks.length === 0) {
-    throw new Error("Aucun <trk> trouvé dans le GPX");
+  if (format === "gpx") {
+    return parseGpx(xml, trackSelector);
   }
+  throw new Error("Format de fichier non reconnu (GPX ou TCX attendu)");
+}
 
-  const firstTrk: GpxTrk = trks[0]!;
-  const segs = ensureArray(firstTrk.trkseg);
-  if (segs.length === 0) {
-    throw new Error("Aucun <trkseg> trouvé dans le GPX");
-  }
-
-  // Merge all segments into one continuous track
-  const allTrkpts: GpxTrkpt[] = [];
-  for (const seg of segs) {
-    const trkpts = ensureArray(seg.trkpt);
-    allTrkpts.push(...trkpts);
-  }
-
-  if (allTrkpts.length === 0) {
-    throw new Error("Aucun point de trace trouvé dans le GPX");
-  }
-
-  const points: RawGpxPoint[] = allTrkpts.map((pt) => {
-    const lat = parseFloatSafe(pt.lat, 0);
-    const lon = parseFloatSafe(pt.lon, 0);
-    const ele = parseFloatSafe(pt.ele, 0);
-
-    if (lat === 0 && lon === 0) {
-      throw new Error("Point GPX invalide: coordonnées manquantes");
-    }
-
-    const point: RawGpxPoint = {
-      lat,
-      lon,
-      ele,
-    };
-
-    if (pt.time) {
-      point.time = new Date(pt.time);
+// Missing elevations are filled by the pacing engine (nearest known value)
+function toRawPoints(points: (TrackPoint & { time?: Date | null })[]): RawGpxPoint[] {
+  const elevations = fillMissingElevation(points.map((p) => p.ele));
+  return points.map((p, i) => {
+    const point: RawGpxPoint = { lat: p.lat, lon: p.lon, ele: elevations[i]! };
+    if (p.time) {
+      point.time = p.time;
     }
-
     return point;
   });
+}
+
+// GPX parsing: <trk> (segments merged) or <rte>, numbered 1..n in file order
+function parseGpx(xml: string, trackSelector?: string): RawGpxPoint[] {
+  const tracks = parseGpxTracks(xml);
+  const chosen = selectGpxTrack(tracks, trackSelector);
+
+  if ((trackSelector === undefined || trackSelector.trim() === "") && tracks.length > 1) {
+    console.warn(
+      `Plusieurs traces/routes dans le GPX, utilisation de : ${describeGpxTrack(chosen)}`
+    );
+  }
 
-  return points;
+  return toRawPoints(chosen.points);
 }
 
 // Distance calculation
@@ -391,9 +341,10 @@ function formatPace(minPerKm: number): string {
 function main() {
   try {
     const filePath = "./file.gpx";
+    const trackSelector = ""; // GPX: nom ou numéro (1..n) de la trace/route, vide = la première
 
-    // 1. Lecture & parsing GPX
-    const rawPoints = parseGpx(filePath);
+    // 1. Lecture & parsing GPX / TCX
+    const rawPoints = parseTrackFile(filePath, trackSelector);
     const points = buildCumulativePoints(rawPoints);
 
     // 2. Config des portions
@@ -0,0 +1,329 @@
+// Types for pacing-engine.js (shared pacing engine: CLI, script.js / script_node.js, browser)
+
+import type { TrackPoint } from "./track-readers.js";
+
+export type RunnerProfile = "trained" | "standard";
+
+// Slope band of a runner profile (slope-profiles.js), as written in a JSON profile file
+export type SlopeBandInput = {
+  minPct?: number | null;
+  maxPct?: number | null;
+  relative?: { perPct: number; factor?: number };
+  speedKmh?: [number, number];
+  pace?: [string, string];
+};
+
+// Validated band: paces converted to km/h
+export type SlopeBand = {
+  minPct: number | null;
+  maxPct: number | null;
+  relative: { perPct: number; factor: number } | null;
+  speedKmh: [number, number] | null;
+};
+
+export type SlopeProfile = { name?: string; bands: SlopeBandInput[] };
+
+export type PacingPoint = TrackPoint & {
+  time?: Date | null;
+  hr?: number | null;
+  cad?: number | null;
+  atemp?: number | null;
+  power?: number | null;
+  distanceM?: number | null;
+};
+
+export type PacingCheckpoint = {
+  km: number;
+  stopMinutes?: number;
+  name?: string | null;
+};
+
+export type ElevationSource = "gpx" | "dem" | "blend";
+
+export type SmoothingMethod = "moving-average" | "distance" | "savitzky-golay" | "median-mean" | "kalman";
+
+export type SegmentationMode = "fixed" | "adaptive";
+
+export type DistanceMethod = "haversine" | "vincenty";
+
+export type SlopeModel = "rules" | "smooth" | "minetti";
+
+export type FatigueModel = "none" | "time-linear" | "time-exponential" | "distance" | "eccentric";
+
+export type HourlyConditions = {
+  bands: {
+    minEleM: number | null;
+    maxEleM: number | null;
+    hours: { time: string; tempC: number; humidityPct: number }[];
+  }[];
+};
+
+export type WindConditions =
+  | { speedKmh: number; fromDeg: number | string }
+  | { hours: { time: string; speedKmh: number; fromDeg: number | string }[] };
+
+export type ClimbMethod = "segments" | "smoothed" | "raw";
+
+export type DemSampler = {
+  tiles?: number;
+  elevationAt(lat: number, lon: number): number | null;
+};
+
+export type ElevationSourceClimb = {
+  dPlusM: number;
+  dMinusM: number;
+  dPlusDiffM: number;
+};
+
+export type PacingOptions = {
+  points: PacingPoint[];
+  targetTime: string;
+  profile?: RunnerProfile | SlopeProfile;
+  prudence?: number;
+  slopeModel?: SlopeModel;
+  fatigueModel?: FatigueModel;
+  fatigueRatePct?: number | null;
+  startTime?: string | null;
+  timeZone?: string;
+  nightSlowdownPct?: number;
+  heatConditions?: HourlyConditions | null;
+  heatThresholdC?: number;
+  heatSlowdownPctPerDeg?: number;
+  wind?: WindConditions | null;
+  altitudeThresholdM?: number;
+  altitudePenaltyPctPer1000M?: number;
+  altitudeAcclimatizationPct?: number;
+  checkpoints?: PacingCheckpoint[];
+  rests?: { count: number; minutesEach: number };
+  segmentLengthM?: number;
+  segmentationMode?: SegmentationMode;
+  segmentMinM?: number;
+  segmentMaxM?: number;
+  segmentSlopeChangePct?: number;
+  smoothingWindow?: number;
+  smoothingMethod?: SmoothingMethod;
+  smoothingWindowM?: number;
+  vMin?: number;
+  vMax?: number;
+  iterations?: number;
+  dem?: DemSampler | null;
+  elevationSource?: ElevationSource;
+  demBlendWeight?: number;
+  distanceMethod?: DistanceMethod;
+  distance3d?: boolean;
+  officialDistanceKm?: number | null;
+  cleanupTrack?: boolean;
+  cleanupMaxSpeedKmh?: number;
+  cleanupMaxAccelMs2?: number;
+  cleanupStationaryRadiusM?: number;
+  cleanupStationaryMinSec?: number;
+  climbMethod?: ClimbMethod;
+  climbThresholdM?: number;
+  officialDPlusM?: number | null;
+};
+
+export type SensorAverages = {
+  recordedSec: number | null;
+  hr: number | null;
+  cad: number | null;
+  atemp: number | null;
+  power: number | null;
+};
+
+export type PacingStep = {
+  index: number;
+  fromKm: number;
+  toKm: number;
+  fromName: string | null;
+  toName: string | null;
+  distanceKm: number;
+  dPlusM: number;
+  dMinusM: number;
+  movingSec: number;
+  moving: string;
+  stopSec: number;
+  stop: string;
+  totalSec: number;
+  total: string;
+  avgSpeedKmh: number;
+  avgPace: string;
+  effortDistanceKm: number;
+  avgEffortPace: string;
+  departure: string | null;
+  arrival: string | null;
+  nightSec: number;
+  night: boolean;
+  heatCostSec: number;
+  heatCost: string;
+  maxHeatIndexC: number | null;
+  altitudeCostSec: number;
+  altitudeCost: string;
+  sensors: SensorAverages | null;
+};
+
+export type PacingKm = {
+  km: number;
+  segmentsCount: number;
+  lengthM: number;
+  distanceKm: number;
+  timeSec: number;
+  time: string;
+  avgSpeedKmh: number;
+  avgPace: string;
+  avgSlopePct: number;
+  dPlusM: number;
+  dMinusM: number;
+  slopePctList: number[];
+  avgHeadwindKmh: number | null;
+  windCostSec: number;
+  windCost: string;
+  fatigueFactor: number;
+  altitudeFactor: number;
+  arrival: string | null;
+  nightSec: number;
+  night: boolean;
+  sensors: SensorAverages | null;
+};
+
+export type PacingSegment = {
+  index: number;
+  fromM: number;
+  toM: number;
+  fromKm: number;
+  toKm: number;
+  lengthM: number;
+  lengthKm: number;
+  deltaElevM: number;
+  dPlusM: number;
+  dMinusM: number;
+  slopePct: number;
+  speedKmh: number;
+  pace: string;
+  fatigueFactor: number;
+  eleM: number;
+  altitudeFactor: number;
+  clock: string | null;
+  night: boolean;
+  heatIndexC: number | null;
+  heatFactor: number;
+  bearingDeg: number;
+  headwindKmh: number | null;
+  windFactor: number;
+  timeSec: number;
+  time: string;
+};
+
+export type CleanupReport = {
+  timed: boolean;
+  inputPoints: number;
+  outputPoints: number;
+  removed: { duplicates: number; speed: number; acceleration: number; stationary: number };
+  stationaryClusters: number;
+  removedDistanceM: number;
+  settings: { maxSpeedKmh: number; maxAccelMs2: number; stationaryRadiusM: number; stationaryMinSec: number };
+};
+
+export type PacingResult = {
+  input: {
+    targetTime: string;
+    targetTotalSec: number;
+    profile: string;
+    profileBands: SlopeBand[];
+    prudence: number;
+    slopeModel: SlopeModel;
+    segmentLengthM: number | null;
+    segmentation: { mode: SegmentationMode; minM: number | null; maxM: number | null; slopeChangePct: number | null };
+    smoothing: { method: SmoothingMethod; windowPoints: number | null; windowM: number | null };
+    checkpoints: { km: number; name: string | null; stopSec: number; stop: string }[];
+    rests: { count: number; minutesEach: number; stopSec: number; stop: string };
+    bounds: { vMin: number; vMax: number; iterations: number };
+    elevation: { source: ElevationSource; demTiles: number | null; blendWeight: number | null };
+    distance: { method: DistanceMethod; slope3d: boolean; officialKm: number | null };
+    climb: { method: ClimbMethod; thresholdM: number; officialDPlusM: number | null };
+    fatigue: { model: FatigueModel; ratePct: number | null; unit: string | null };
+    clock: { startTime: string; timeZone: string; startUtc: string; nightSlowdownPct: number } | null;
+    heat: { bands: number; thresholdC: number; slowdownPctPerDeg: number } | null;
+    altitude: { thresholdM: number; penaltyPctPer1000M: number; acclimatizationPct: number } | null;
+    wind: { mode: "constant" | "hourly"; speedKmh: number | null; fromDeg: number | null; hours: number | null } | null;
+  };
+  totals: {
+    totalDistanceM: number;
+    totalDistanceKm: number;
+    measuredDistanceKm: number;
+    distanceScale: number;
+    recordedDistanceKm: number | null;
+    distanceComparison: { haversineKm: number; haversine3dKm: number; vincentyKm: number; vincenty3dKm: number };
+    dPlusM: number;
+    dMinusM: number;
+    dPlusMAllPoints: number;
+    dMinusMAllPoints: number;
+    elevationSources: {
+      demCoveragePct: number;
+      gpxPointsWithEle: number;
+      gpx: ElevationSourceClimb;
+      dem: ElevationSourceClimb;
+      blend: ElevationSourceClimb;
+    } | null;
+    targetTotalSec: number;
+    targetTotal: string;
+    stopTimeSec: number;
+    stopTime: string;
+    movingTargetSec: number;
+    movingTarget: string;
+    computedMovingSec: number;
+    computedMoving: string;
+    computedTotalSec: number;
+    computedTotal: string;
+    avgPace: string;
+    effortDistanceKm: number;
+    avgEffortPace: string;
+    night: {
+      movingSec: number;
+      moving: string;
+      sun: { date: string; sunrise: string | null; sunset: string | null }[];
+    } | null;
+    heat: { costSec: number; cost: string; maxHeatIndexC: number | null; uncoveredSegments: number } | null;
+    altitude: { costSec: number; cost: string; aboveThresholdSec: number; maxEleM: number } | null;
+    wind: { costSec: number; cost: string; uncoveredSegments: number } | null;
+  };
+  calibration: {
+    vFlatKmh: number;
+    flatPace: string;
+    // Computed moving time minus target (s); targetReached when the gap is under one second
+    targetGapSec: number;
+    targetReached: boolean;
+    climbThreshold: { officialDPlusM: number; thresholdM: number; dPlusM: number; residualM: number } | null;
+    fatigue: { finalFactor: number; finalFlatKmh: number; finalFlatPace: string } | null;
+  };
+  cleanup: CleanupReport | null;
+  steps: PacingStep[];
+  perKm: PacingKm[];
+  per250m: PacingSegment[];
+  samples: { index: number; distanceM: number; eleM: number }[];
+};
+
+export const DEFAULT_OPTIONS: Required<Omit<PacingOptions, "points" | "targetTime" | "checkpoints" | "rests">>;
+export const ELEVATION_SOURCES: ElevationSource[];
+
+export function calculatePacing(options: PacingOptions): PacingResult;
+export function trackDistances(options: Omit<PacingOptions, "targetTime">): number[];
+
+export function speedForSlope(slopePct: number, vFlatKmh: number, profile: RunnerProfile | SlopeProfile, prudence: number): number;
+export function parseTimeToSeconds(timeStr: string): number;
+export function formatTime(totalSec: number): string;
+export function formatPaceFromMinutes(minPerKm: number): string;
+export function speedToPace(kmh: number): string;
+export function clamp01(x: number): number;
+export function haversineDistance(a: { lat: number; lon: number }, b: { lat: number; lon: number }): number;
+export function fillMissingElevation(elevations: (number | null)[]): number[];
+export function smoothElevation(elevations: number[], windowSize: number): (number | null)[];
+export function smoothElevationProfile(
+  elevations: number[],
+  cumulativeDistances: number[],
+  smoothing: { method: SmoothingMethod; windowPoints: number; windowM: number }
+): number[];
+export function resamplePoints(
+  points: (PacingPoint & { ele: number })[],
+  cumulativeDistances: number[],
+  stepM: number
+): { index: number; distanceM: number; lat: number; lon: number; ele: number }[];
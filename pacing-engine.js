@@ -0,0 +1,1190 @@
+/**
+ * Moteur de calcul d'allure partagé par le CLI (gpx_pacing_full.js), script.js / script_node.js et le navigateur
+ * Module ES sans dépendance : mêmes entrées => mêmes nombres, quel que soit le point d'entrée.
+ *
+ * Étapes du calcul :
+ * 1. distances le long de la trace (sphère ou ellipsoïde WGS-84, à plat ou en 3D : geodesy.js) ;
+ *    altitude de la trace, d'un MNT local ou mélange des deux ; valeurs manquantes complétées
+ *    puis lissées (moyenne mobile sur N points, ou filtre sur une fenêtre en mètres : elevation-filters.js)
+ * 2. rééchantillonnage tous les N mètres (250 m par défaut), ou découpage adaptatif aux changements
+ *    de pente (segmentation.js), et pente de chaque segment
+ * 3. recherche binaire de la vitesse sur plat (Vflat) qui donne le temps de course cible
+ *    (temps total visé - arrêts aux points de passage - repos) ; la vitesse de chaque segment suit
+ *    les tranches de pente du profil (slope-profiles.js), leur courbe continue, ou le coût énergétique de Minetti (slope-models.js),
+ *    multipliée par un facteur de fatigue éventuel (fatigue-models.js) : Vflat est alors la vitesse sur plat au départ ;
+ *    au-dessus d'une altitude seuil, la vitesse baisse aussi avec l'altitude du segment (altitude-model.js) ;
+ *    avec une heure de départ, les segments courus de nuit (daylight.js) ou à l'heure la plus chaude (conditions horaires,
+ *    heat-conditions.js) sont ralentis et comptés dans la calibration ; le vent de face ou de dos (wind-model.js) dépend
+ *    du cap de chaque segment
+ * 4. regroupement par km et par étape (entre points de passage)
+ *
+ * Le D+/D- des étapes, des km et des totaux est compté avec la même méthode (elevation-gain.js) : par défaut
+ * sur tous les points lissés, sinon sur les segments rééchantillonnés ou les points bruts, avec un seuil
+ * d'hystérésis éventuel. Chaque variation est affectée au segment où elle a lieu : la somme des étapes vaut
+ * le total. Le D+ des points bruts est donné pour référence.
+ */
+
+import { hasSensorData, interpolateSensors, averageSensors } from './sensor-channels.js';
+import { SMOOTHING_METHODS, distanceMovingAverage, savitzkyGolay, medianThenMean, kalmanSmooth } from './elevation-filters.js';
+import { CLIMB_METHODS, hysteresisProfile, climbTotals, calibrateClimbThreshold } from './elevation-gain.js';
+import { SEGMENTATION_MODES, segmentationGrid, adaptiveBreakpoints } from './segmentation.js';
+import { DISTANCE_METHODS, haversineDistance, initialBearing, cumulativeDistances as cumulativeDistancesAlong } from './geodesy.js';
+import { CLEANUP_DEFAULTS, cleanTrack } from './track-cleanup.js';
+import { SLOPE_MODELS, minettiSpeed } from './slope-models.js';
+import { resolveSlopeProfile, profileSpeed, smoothProfileSpeed } from './slope-profiles.js';
+import { FATIGUE_MODELS, FATIGUE_DEFAULT_RATES, FATIGUE_RATE_UNITS, fatigueFunction } from './fatigue-models.js';
+import { zonedTimeToUtc, formatZonedTime, isNight, sunTimes } from './daylight.js';
+import { HEAT_DEFAULTS, heatFunction } from './heat-conditions.js';
+import { windFunction, headwindKmh, windSpeedFactor } from './wind-model.js';
+import { ALTITUDE_DEFAULTS, altitudeFunction } from './altitude-model.js';
+
+// Distance Haversine entre deux points (geodesy.js), toujours exportée par le moteur
+export { haversineDistance };
+
+// ==================== CONSTANTES ====================
+
+// Valeurs par défaut des options de calculatePacing
+export const DEFAULT_OPTIONS = {
+  profile: "trained",
+  prudence: 0.5,
+  slopeModel: "rules",
+  fatigueModel: "none",
+  fatigueRatePct: null,
+  startTime: null,
+  timeZone: "UTC",
+  nightSlowdownPct: 15,
+  heatConditions: null,
+  heatThresholdC: HEAT_DEFAULTS.thresholdC,
+  heatSlowdownPctPerDeg: HEAT_DEFAULTS.slowdownPctPerDeg,
+  wind: null,
+  altitudeThresholdM: ALTITUDE_DEFAULTS.thresholdM,
+  altitudePenaltyPctPer1000M: ALTITUDE_DEFAULTS.penaltyPctPer1000M,
+  altitudeAcclimatizationPct: ALTITUDE_DEFAULTS.acclimatizationPct,
+  segmentLengthM: 250,
+  segmentationMode: "fixed",
+  segmentMinM: 50,
+  segmentMaxM: 500,
+  segmentSlopeChangePct: 3,
+  smoothingWindow: 9,
+  smoothingMethod: "moving-average",
+  smoothingWindowM: 200,
+  vMin: 3,
+  vMax: 25,
+  iterations: 40,
+  dem: null,
+  elevationSource: "gpx",
+  demBlendWeight: 0.5,
+  distanceMethod: "haversine",
+  distance3d: false,
+  officialDistanceKm: null,
+  cleanupTrack: false,
+  cleanupMaxSpeedKmh: CLEANUP_DEFAULTS.maxSpeedKmh,
+  cleanupMaxAccelMs2: CLEANUP_DEFAULTS.maxAccelMs2,
+  cleanupStationaryRadiusM: CLEANUP_DEFAULTS.stationaryRadiusM,
+  cleanupStationaryMinSec: CLEANUP_DEFAULTS.stationaryMinSec,
+  climbMethod: "smoothed",
+  climbThresholdM: 0,
+  officialDPlusM: null
+};
+
+// Sources d'altitude : celle de la trace, celle du MNT (dem-reader.js), ou un mélange pondéré des deux
+export const ELEVATION_SOURCES = ["gpx", "dem", "blend"];
+
+// ==================== FONCTIONS UTILITAIRES ====================
+
+/**
+ * Convertit un temps "HH:MM" ou "HH:MM:SS" en secondes
+ * @param {string} timeStr - Temps à convertir
+ * @returns {number} Secondes
+ */
+export function parseTimeToSeconds(timeStr) {
+  const parts = String(timeStr).split(":").map(x => x.trim());
+  if (parts.length < 2 || parts.length > 3) throw new Error(`Format de temps invalide (HH:MM ou HH:MM:SS attendu) : ${timeStr}`);
+  const hh = Number(parts[0]);
+  const mm = Number(parts[1]);
+  const ss = parts.length === 3 ? Number(parts[2]) : 0;
+  if (![hh, mm, ss].every(Number.isFinite) || hh < 0 || mm < 0 || ss < 0) {
+    throw new Error(`Format de temps invalide : ${timeStr}`);
+  }
+  return Math.round(hh * 3600 + mm * 60 + ss);
+}
+
+/**
+ * Convertit des secondes en "HH:MM:SS" (arrondi à la seconde)
+ * @param {number} totalSec - Durée en secondes
+ * @returns {string}
+ */
+export function formatTime(totalSec) {
+  const s = Math.max(0, Math.round(totalSec));
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const ss = s % 60;
+  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)}`;
+}
+
+/**
+ * Formate une allure en "MM:SS" à partir de minutes par km
+ * @param {number} minPerKm - Allure en minutes par km
+ * @returns {string} "N/A" si l'allure n'est pas calculable
+ */
+export function formatPaceFromMinutes(minPerKm) {
+  if (!Number.isFinite(minPerKm) || minPerKm <= 0) return "N/A";
+  let mm = Math.floor(minPerKm);
+  let sec = Math.round((minPerKm - mm) * 60);
+  if (sec === 60) { sec = 0; mm += 1; }
+  return `${pad2(mm)}:${pad2(sec)}`;
+}
+
+/**
+ * Convertit une vitesse (km/h) en allure "MM:SS" (min/km)
+ * @param {number} kmh - Vitesse
+ * @returns {string} "N/A" si la vitesse est nulle ou invalide
+ */
+export function speedToPace(kmh) {
+  if (!Number.isFinite(kmh) || kmh <= 0) return "N/A";
+  return formatPaceFromMinutes(60 / kmh);
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function round(x, n) {
+  const p = 10 ** n;
+  return Math.round(x * p) / p;
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Ramène une valeur entre 0 et 1 (0.5 si invalide)
+ */
+export function clamp01(x) {
+  if (!Number.isFinite(x)) return 0.5;
+  return Math.max(0, Math.min(1, x));
+}
+
+// ==================== VITESSE SELON LA PENTE ====================
+
+/**
+ * Calcule la vitesse (km/h) en fonction du pourcentage de pente (tranches du profil, slope-profiles.js)
+ * @param {number} slopePct - Pente en % (+ montée, - descente)
+ * @param {number} vFlatKmh - Vitesse sur plat (km/h)
+ * @param {string|Object} profile - "trained", "standard" ou profil personnalisé { name, bands }
+ * @param {number} prudence - Facteur de prudence (0-1)
+ * @returns {number} Vitesse en km/h
+ */
+export function speedForSlope(slopePct, vFlatKmh, profile, prudence) {
+  return profileSpeed(resolveSlopeProfile(profile), slopePct, vFlatKmh, prudence);
+}
+
+/**
+ * Fonction vitesse (pente %, Vflat km/h) → km/h du modèle choisi
+ * @param {string} slopeModel - "rules" (tranches du profil, prudence), "smooth" (même profil en courbe continue)
+ *   ou "minetti" (slope-models.js)
+ * @param {Object} profile - Profil normalisé (resolveSlopeProfile)
+ */
+function slopeSpeedFunction(slopeModel, profile, prudence) {
+  if (slopeModel === "minetti") return minettiSpeed;
+  if (slopeModel === "smooth") return smoothProfileSpeed(profile, prudence);
+  return (slopePct, vFlatKmh) => profileSpeed(profile, slopePct, vFlatKmh, prudence);
+}
+
+// ==================== ALTITUDE ====================
+
+/**
+ * Complète les altitudes manquantes avec la valeur connue la plus proche (avant, sinon après)
+ * @param {Array<number|null>} elevations
+ * @returns {number[]} 0 partout si aucune altitude n'est connue
+ */
+export function fillMissingElevation(elevations) {
+  const out = elevations.slice();
+  let last = null;
+  for (let i = 0; i < out.length; i++) {
+    if (Number.isFinite(out[i])) last = out[i];
+    else if (last !== null) out[i] = last;
+  }
+  let next = null;
+  for (let i = out.length - 1; i >= 0; i--) {
+    if (Number.isFinite(out[i])) next = out[i];
+    else if (next !== null) out[i] = next;
+  }
+  return out.map(v => (Number.isFinite(v) ? v : 0));
+}
+
+/**
+ * Lisse les altitudes avec une moyenne mobile centrée
+ * @param {number[]} elevations
+ * @param {number} windowSize - Nombre de points (impair, 1 = pas de lissage)
+ * @returns {number[]}
+ */
+export function smoothElevation(elevations, windowSize) {
+  if (windowSize <= 1) return elevations.slice();
+  const half = Math.floor(windowSize / 2);
+  const out = new Array(elevations.length);
+  for (let i = 0; i < elevations.length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(elevations.length - 1, i + half); j++) {
+      if (Number.isFinite(elevations[j])) {
+        sum += elevations[j];
+        count++;
+      }
+    }
+    out[i] = count > 0 ? sum / count : null;
+  }
+  return out;
+}
+
+/**
+ * Lisse un profil d'altitude complété avec la méthode choisie
+ * @param {number[]} elevations - Altitudes sans valeur manquante
+ * @param {number[]} cumulativeDistances - Distances cumulées des points (m)
+ * @param {{method: string, windowPoints: number, windowM: number}} smoothing - Méthode (SMOOTHING_METHODS)
+ *   et fenêtre : en points pour "moving-average", en mètres pour les autres
+ * @returns {number[]}
+ */
+export function smoothElevationProfile(elevations, cumulativeDistances, smoothing) {
+  switch (smoothing.method) {
+    case "moving-average": return smoothElevation(elevations, smoothing.windowPoints);
+    case "distance": return distanceMovingAverage(elevations, cumulativeDistances, smoothing.windowM);
+    case "savitzky-golay": return savitzkyGolay(elevations, cumulativeDistances, smoothing.windowM);
+    case "median-mean": return medianThenMean(elevations, cumulativeDistances, smoothing.windowM);
+    case "kalman": return kalmanSmooth(elevations, cumulativeDistances, smoothing.windowM);
+    default: throw new Error(`Méthode de lissage inconnue : ${smoothing.method} (${SMOOTHING_METHODS.join(", ")})`);
+  }
+}
+
+// ==================== RÉÉCHANTILLONNAGE ====================
+
+/**
+ * Rééchantillonne les points tous les N mètres le long de la trace
+ * (l'horodatage et les capteurs hr/cad/atemp/power sont interpolés comme l'altitude)
+ * @param {Array<Object>} points - Points avec altitude complétée
+ * @param {number[]} cumulativeDistances - Distances cumulées des points (m)
+ * @param {number} stepM - Pas de rééchantillonnage (m)
+ * @returns {Array<{index: number, distanceM: number, lat: number, lon: number, ele: number}>}
+ */
+export function resamplePoints(points, cumulativeDistances, stepM) {
+  const total = cumulativeDistances[cumulativeDistances.length - 1];
+  const targets = [];
+  for (let d = 0; d < total; d += stepM) targets.push(d);
+  targets.push(total); // inclure la fin
+  return resampleAt(points, cumulativeDistances, targets);
+}
+
+/**
+ * Points interpolés aux distances demandées (croissantes)
+ */
+function resampleAt(points, cumulativeDistances, targets) {
+  const out = [];
+  let j = 1;
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    while (j < cumulativeDistances.length && cumulativeDistances[j] < target) j++;
+    if (j >= cumulativeDistances.length) j = cumulativeDistances.length - 1;
+
+    const d0 = cumulativeDistances[j - 1];
+    const d1 = cumulativeDistances[j];
+    const t = d1 === d0 ? 0 : (target - d0) / (d1 - d0);
+    const p0 = points[j - 1];
+    const p1 = points[j];
+
+    out.push({
+      index: i,
+      distanceM: target,
+      lat: lerp(p0.lat, p1.lat, t),
+      lon: lerp(p0.lon, p1.lon, t),
+      ele: lerp(p0.ele, p1.ele, t),
+      ...interpolateSensors(p0, p1, t)
+    });
+  }
+  return out;
+}
+
+/**
+ * Découpage adaptatif : grille fine tous les minM mètres, puis fusion des morceaux de pente proche
+ * @param {{minM: number, maxM: number, slopeChangePct: number}} segmentation
+ * @param {number} distanceScale - Échelle de la distance officielle : les pentes comparées restent celles
+ *   des longueurs mesurées
+ * @returns {Array<Object>} Points aux coupures, comme resamplePoints
+ */
+function adaptiveSamples(points, cumulativeDistances, segmentation, distanceScale) {
+  const total = cumulativeDistances[cumulativeDistances.length - 1];
+  const grid = resampleAt(points, cumulativeDistances, segmentationGrid(total, segmentation.minM));
+  const cuts = adaptiveBreakpoints(grid.map(s => s.distanceM), grid.map(s => s.ele * distanceScale), segmentation);
+  return cuts.map((c, i) => ({ ...grid[c], index: i }));
+}
+
+// ==================== SOURCES D'ALTITUDE ====================
+
+/**
+ * Altitudes des points selon chaque source
+ * Hors des tuiles MNT, les sources "dem" et "blend" reprennent l'altitude de la trace.
+ * @param {Array<Object>} points - Points bruts
+ * @param {{elevationAt: (lat: number, lon: number) => number|null}|null} dem - Échantillonneur MNT
+ * @param {number} blendWeight - Poids du MNT dans le mélange (0..1)
+ * @returns {{gpx: Array<number|null>, dem?: Array<number|null>, blend?: Array<number|null>, demPoints: number}}
+ */
+function elevationsBySource(points, dem, blendWeight) {
+  const gpx = points.map(p => (Number.isFinite(p.ele) ? p.ele : null));
+  if (!dem) return { gpx, demPoints: 0 };
+
+  const fromDem = points.map(p => dem.elevationAt(p.lat, p.lon));
+  return {
+    gpx,
+    dem: fromDem.map((d, i) => (d !== null ? d : gpx[i])),
+    blend: fromDem.map((d, i) => {
+      if (d === null) return gpx[i];
+      if (gpx[i] === null) return d;
+      return blendWeight * d + (1 - blendWeight) * gpx[i];
+    }),
+    demPoints: fromDem.filter(d => d !== null).length
+  };
+}
+
+/**
+ * D+ / D- d'une série d'altitudes, calculés comme les totaux du plan (complétées, lissées, même méthode de dénivelé)
+ */
+function sourceClimb(elevations, horizontalDistances, cumulativeDistances, sampleDistances, smoothing, climb) {
+  const filled = fillMissingElevation(elevations);
+  const smoothed = smoothElevationProfile(filled, horizontalDistances, smoothing);
+  const samples = resampleAt(smoothed.map(ele => ({ lat: 0, lon: 0, ele })), cumulativeDistances, sampleDistances);
+  const series = climbSeries(climb.method, filled, smoothed, cumulativeDistances, samples);
+  return climbTotals(hysteresisProfile(series.elevations, climb.thresholdM));
+}
+
+// ==================== DÉNIVELÉ ====================
+
+/**
+ * Altitudes (et leurs positions) sur lesquelles le dénivelé est compté selon la méthode (CLIMB_METHODS)
+ * @returns {{elevations: number[], distances: number[]}}
+ */
+function climbSeries(method, eleFilled, eleSmoothed, cumulativeDistances, samples) {
+  if (method === "segments") return { elevations: samples.map(s => s.ele), distances: samples.map(s => s.distanceM) };
+  return { elevations: method === "raw" ? eleFilled : eleSmoothed, distances: cumulativeDistances };
+}
+
+/**
+ * Répartit le D+ / D- d'un profil (déjà filtré par hystérésis) entre les segments rééchantillonnés :
+ * chaque variation entre deux positions va au segment qui contient son milieu
+ * @param {number[]} sampleDistances - Bornes des segments (m), croissantes
+ * @returns {{dPlusM: number, dMinusM: number}[]} Un élément par segment
+ */
+function climbPerSegment(profile, distances, sampleDistances) {
+  const out = Array.from({ length: sampleDistances.length - 1 }, () => ({ dPlusM: 0, dMinusM: 0 }));
+  let k = 0;
+  for (let i = 1; i < profile.length; i++) {
+    const de = profile[i] - profile[i - 1];
+    if (de === 0) continue;
+    const mid = (distances[i - 1] + distances[i]) / 2;
+    while (k < out.length - 1 && mid >= sampleDistances[k + 1]) k++;
+    const seg = out[k];
+    if (de > 0) seg.dPlusM += de;
+    else seg.dMinusM -= de;
+  }
+  return out;
+}
+
+// ==================== CALIBRATION ====================
+
+/**
+ * Parcourt les segments dans l'ordre pour une vitesse sur plat donnée : vitesse selon la pente, multipliée par
+ * les facteurs atteints au début du segment (fatigue selon le temps de course, la distance et le D- cumulés ;
+ * nuit selon l'heure de passage, arrêts aux points de passage compris). Les facteurs dépendent des temps de
+ * passage, donc de Vflat : chaque essai de la recherche binaire refait tout le parcours.
+ * @param {{slopeSpeed: Function, fatigue: Function|null, clock: {startMs: number, stops: Array<{atM: number, stopSec: number}>}|null,
+ *   nightFactor: number, heat: Function|null, wind: Function|null, altitude: Function|null}} pace - Vitesse selon la pente,
+ *   fatigue (null = aucune), heure de départ et arrêts (null = heure inconnue, pas de nuit), facteur de vitesse de nuit,
+ *   chaleur selon l'heure et l'altitude (heatFunction, null = aucune), vent selon l'heure (windFunction().at, null = aucun),
+ *   facteur selon l'altitude du segment (altitudeFunction, null = aucun)
+ * @returns {{movingSec: number, speeds: number[], fatigueFactors: number[], altitudeFactors: number[], clockSec: number[], night: boolean[],
+ *   heat: Array<{heatIndexC: number, factor: number}|null>, wind: Array<{headwindKmh: number, factor: number}|null>}}
+ *   movingSec = Infinity si une vitesse est nulle ; clockSec = secondes depuis le départ (arrêts compris) au début de chaque segment
+ */
+function runSegments(segments, vFlatKmh, pace) {
+  const { slopeSpeed, fatigue, clock, nightFactor } = pace;
+  const speeds = [];
+  const fatigueFactors = [];
+  const altitudeFactors = [];
+  const clockSec = [];
+  const night = [];
+  const heat = [];
+  const wind = [];
+  let elapsedSec = 0;
+  let stoppedSec = 0;
+  let nextStop = 0;
+  let dMinusM = 0;
+  for (const seg of segments) {
+    // Arrêt compté à l'arrivée de l'étape : avant le premier segment dont le milieu dépasse le point de passage
+    while (clock && nextStop < clock.stops.length && (seg.fromM + seg.toM) / 2 >= clock.stops[nextStop].atM) {
+      stoppedSec += clock.stops[nextStop++].stopSec;
+    }
+    const factor = fatigue ? fatigue({ elapsedSec, distanceM: seg.fromM, dMinusM }) : 1;
+    const atMs = clock === null ? null : clock.startMs + (elapsedSec + stoppedSec) * 1000;
+    const dark = atMs !== null && isNight(atMs, seg.lat, seg.lon);
+    const hot = pace.heat && atMs !== null ? pace.heat(atMs, seg.eleM) : null;
+    const thin = pace.altitude ? pace.altitude(seg.eleM) : 1;
+    const calm = slopeSpeed(seg.slopePct, vFlatKmh) * factor * thin * (dark ? nightFactor : 1) * (hot ? hot.factor : 1);
+    if (!Number.isFinite(calm) || calm <= 0) {
+      return { movingSec: Infinity, speeds, fatigueFactors, altitudeFactors, clockSec, night, heat, wind };
+    }
+    // Vent le long du segment, appliqué à la vitesse atteinte sans vent (la traînée dépend de la vitesse)
+    const air = pace.wind ? pace.wind(atMs) : null;
+    const head = air ? headwindKmh(air, seg.bearingDeg) : null;
+    const gust = head === null ? null : { headwindKmh: head, factor: windSpeedFactor(calm, head) };
+    const v = calm * (gust ? gust.factor : 1);
+    clockSec.push(elapsedSec + stoppedSec);
+    elapsedSec += (seg.lengthM / 1000 / v) * 3600;
+    dMinusM += seg.dMinusM;
+    speeds.push(v);
+    fatigueFactors.push(factor);
+    altitudeFactors.push(thin);
+    night.push(dark);
+    heat.push(hot);
+    wind.push(gust);
+  }
+  return { movingSec: elapsedSec, speeds, fatigueFactors, altitudeFactors, clockSec, night, heat, wind };
+}
+
+/**
+ * Temps de course (s) sur des segments pour une vitesse sur plat donnée
+ */
+function movingTimeForVflat(segments, vFlatKmh, pace) {
+  return runSegments(segments, vFlatKmh, pace).movingSec;
+}
+
+/**
+ * Recherche binaire de la vitesse sur plat qui donne le temps de course cible
+ * Avec une heure de départ, le temps n'est pas monotone en Vflat : plus vite, un segment peut passer de la nuit
+ * au jour (ou l'inverse), ou à une heure plus chaude ou plus ventée. La recherche peut alors s'arrêter sur un saut
+ * de temps qui enjambe l'objectif : on garde la borne la plus proche et on rend l'écart restant.
+ * @returns {{vFlatKmh: number, gapSec: number}} Vitesse sur plat et écart du temps de course à l'objectif
+ *   (s, positif = plus lent que l'objectif)
+ * @throws {Error} Si l'objectif est trop rapide même à la borne haute
+ */
+function findVflatForTargetTime(segments, targetMovingSec, pace, vMin, vMax, iterations) {
+  const tHi = movingTimeForVflat(segments, vMax, pace);
+  if (tHi > targetMovingSec) {
+    throw new Error(
+      `Objectif trop rapide : même à Vflat=${vMax} km/h, le temps de course serait ${formatTime(tHi)} > ${formatTime(targetMovingSec)}`
+    );
+  }
+  // Si même vMin est trop rapide, le résultat reste collé à la borne basse
+  let lo = vMin;
+  let hi = vMax;
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    if (movingTimeForVflat(segments, mid, pace) > targetMovingSec) lo = mid; // trop lent
+    else hi = mid;
+  }
+  const [slow, fast] = [lo, hi].map(v => ({ vFlatKmh: v, gapSec: movingTimeForVflat(segments, v, pace) - targetMovingSec }));
+  return Math.abs(slow.gapSec) < Math.abs(fast.gapSec) ? slow : fast;
+}
+
+// ==================== REGROUPEMENTS ====================
+
+/**
+ * Somme des segments d'un groupe (km ou étape)
+ */
+function sumSegments(segs) {
+  const lengthM = segs.reduce((s, x) => s + x.lengthM, 0);
+  const movingSec = segs.reduce((s, x) => s + x.timeSec, 0);
+  const dPlusM = segs.reduce((s, x) => s + x.dPlusM, 0);
+  const dMinusM = segs.reduce((s, x) => s + x.dMinusM, 0);
+  const distKm = lengthM / 1000;
+  const avgSpeedKmh = distKm > 0 && movingSec > 0 ? distKm / (movingSec / 3600) : 0;
+  const avgSlopePct = lengthM > 0 ? segs.reduce((s, x) => s + x.slopePct * x.lengthM, 0) / lengthM : 0;
+  return { lengthM, distKm, movingSec, dPlusM, dMinusM, avgSpeedKmh, avgSlopePct };
+}
+
+/**
+ * Allure "d'effort" : 100 m de D+ comptent comme 1 km supplémentaire
+ * @returns {{effortDistanceKm: number, avgEffortPace: string}}
+ */
+function effortPace(distKm, dPlusM, totalSec) {
+  const effortDistanceKm = distKm + dPlusM / 100;
+  const minPerKm = effortDistanceKm > 0 ? totalSec / 60 / effortDistanceKm : 0;
+  return { effortDistanceKm, avgEffortPace: formatPaceFromMinutes(minPerKm) };
+}
+
+/**
+ * Jours locaux "YYYY-MM-DD" couverts par la course, du départ à l'arrivée (arrêts compris)
+ */
+function courseDates(startMs, durationSec, timeZone) {
+  const dates = new Set();
+  const endMs = startMs + durationSec * 1000;
+  for (let ms = startMs; ms < endMs; ms += 6 * 3600 * 1000) dates.add(formatZonedTime(ms, timeZone).slice(0, 10));
+  dates.add(formatZonedTime(endMs, timeZone).slice(0, 10));
+  return [...dates];
+}
+
+/**
+ * Normalise les points de passage : {km, stopSec, name}, triés, dans la course (0 < km < distance)
+ */
+function normalizeCheckpoints(checkpoints, totalDistanceKm) {
+  return (checkpoints || [])
+    .map(cp => {
+      const km = Number(cp.km);
+      const stopMinutes = Number(cp.stopMinutes || 0);
+      if (!Number.isFinite(km)) throw new Error(`Point de passage invalide : km = ${cp.km}`);
+      if (!Number.isFinite(stopMinutes) || stopMinutes < 0) throw new Error(`Arrêt invalide au km ${km} : ${cp.stopMinutes}`);
+      return { km, stopSec: Math.round(stopMinutes * 60), name: cp.name || null };
+    })
+    .filter(cp => cp.km > 0 && cp.km < totalDistanceKm)
+    .sort((a, b) => a.km - b.km);
+}
+
+// ==================== TRACE ====================
+
+/**
+ * Options complètes : une option absente ou undefined prend sa valeur par défaut
+ */
+function mergeOptions(options) {
+  const opts = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (value !== undefined) opts[key] = value;
+  }
+  return opts;
+}
+
+/**
+ * Distances et altitudes de la trace : nettoyage éventuel (track-cleanup.js), distance horizontale
+ * (sphère ou ellipsoïde), altitude de la source choisie complétée puis lissée, et distance 3D le long
+ * de la pente si demandée
+ */
+function prepareTrack(opts) {
+  const { points: inputPoints, smoothingWindow, elevationSource, dem, distanceMethod } = opts;
+  if (!Array.isArray(inputPoints) || inputPoints.length < 2) throw new Error("Pas assez de points dans la trace");
+  if (!Number.isInteger(smoothingWindow) || smoothingWindow < 1) throw new Error(`Fenêtre de lissage invalide : ${smoothingWindow}`);
+  const smoothing = { method: opts.smoothingMethod, windowPoints: smoothingWindow, windowM: Number(opts.smoothingWindowM) };
+  if (!SMOOTHING_METHODS.includes(smoothing.method)) {
+    throw new Error(`Méthode de lissage inconnue : ${smoothing.method} (${SMOOTHING_METHODS.join(", ")})`);
+  }
+  if (!(smoothing.windowM > 0)) throw new Error(`Fenêtre de lissage en mètres invalide : ${opts.smoothingWindowM}`);
+
+  const demBlendWeight = Number(opts.demBlendWeight);
+  if (!ELEVATION_SOURCES.includes(elevationSource)) {
+    throw new Error(`Source d'altitude invalide : ${elevationSource} (${ELEVATION_SOURCES.join(", ")})`);
+  }
+  if (elevationSource !== "gpx" && !dem) throw new Error(`Source d'altitude "${elevationSource}" : aucun MNT fourni (tuiles .hgt ou GeoTIFF)`);
+  if (!(demBlendWeight >= 0 && demBlendWeight <= 1)) throw new Error(`Poids du MNT invalide : ${opts.demBlendWeight} (entre 0 et 1)`);
+  if (!DISTANCE_METHODS.includes(distanceMethod)) {
+    throw new Error(`Calcul de distance inconnu : ${distanceMethod} (${DISTANCE_METHODS.join(", ")})`);
+  }
+  const distance3d = Boolean(opts.distance3d);
+  const officialDistanceKm = opts.officialDistanceKm === null ? null : Number(opts.officialDistanceKm);
+  if (officialDistanceKm !== null && !(officialDistanceKm > 0)) throw new Error(`Distance officielle invalide : ${opts.officialDistanceKm}`);
+
+  // Nettoyage avant tout calcul de distance
+  const cleanup = opts.cleanupTrack
+    ? cleanTrack(inputPoints, {
+      maxSpeedKmh: Number(opts.cleanupMaxSpeedKmh),
+      maxAccelMs2: Number(opts.cleanupMaxAccelMs2),
+      stationaryRadiusM: Number(opts.cleanupStationaryRadiusM),
+      stationaryMinSec: Number(opts.cleanupStationaryMinSec)
+    })
+    : null;
+  const rawPoints = cleanup ? cleanup.points : inputPoints;
+  if (rawPoints.length < 2) throw new Error("Pas assez de points dans la trace après nettoyage");
+
+  const horizontalDistances = cumulativeDistancesAlong(rawPoints, distanceMethod);
+  if (!(horizontalDistances[horizontalDistances.length - 1] > 0)) throw new Error("La trace a une longueur nulle");
+
+  // Altitude de la source choisie : valeurs manquantes complétées, puis lissage (fenêtres en distance horizontale)
+  const bySource = elevationsBySource(rawPoints, dem, demBlendWeight);
+  const eleFilled = fillMissingElevation(bySource[elevationSource]);
+  const eleSmoothed = smoothElevationProfile(eleFilled, horizontalDistances, smoothing);
+
+  // Distance 3D avec l'altitude lissée (l'altitude brute ajouterait son bruit à la distance)
+  const measuredDistances = distance3d ? cumulativeDistancesAlong(rawPoints, distanceMethod, eleSmoothed) : horizontalDistances;
+
+  // Distance officielle : toutes les distances sont étirées (ou réduites) dans la même proportion
+  const measuredM = measuredDistances[measuredDistances.length - 1];
+  const distanceScale = officialDistanceKm === null ? 1 : (officialDistanceKm * 1000) / measuredM;
+  const cumulativeDistances = distanceScale === 1 ? measuredDistances : measuredDistances.map(d => d * distanceScale);
+  return {
+    rawPoints, cleanup, smoothing, demBlendWeight, distance3d, officialDistanceKm, distanceScale, horizontalDistances, measuredDistances,
+    cumulativeDistances, bySource, eleFilled, eleSmoothed
+  };
+}
+
+/**
+ * Distances cumulées (m) des points de la trace, sur la même échelle que calculatePacing
+ * (calcul de distance, distance 3D, distance officielle) : pour positionner des points nommés comme les points de passage
+ * @param {Object} options - Mêmes options que calculatePacing (targetTime inutile)
+ * @returns {number[]} Une distance par point fourni ; après nettoyage, un point retiré prend la distance
+ *   du dernier point gardé avant lui
+ */
+export function trackDistances(options) {
+  const opts = mergeOptions(options);
+  const { cleanup, cumulativeDistances } = prepareTrack(opts);
+  if (!cleanup) return cumulativeDistances;
+
+  const out = new Array(opts.points.length);
+  let k = 0;
+  for (let i = 0; i < out.length; i++) {
+    while (k + 1 < cleanup.sourceIndex.length && cleanup.sourceIndex[k + 1] <= i) k++;
+    out[i] = cumulativeDistances[k];
+  }
+  return out;
+}
+
+// ==================== CALCUL PRINCIPAL ====================
+
+/**
+ * Calcule le plan d'allure d'une trace pour un temps cible
+ *
+ * @param {Object} options
+ * @param {Array<{lat: number, lon: number, ele: number|null}>} options.points - Points de la trace (lecteurs de track-readers.js / fit-reader.js) ;
+ *   time / hr / cad / atemp / power / distanceM optionnels (traces enregistrées)
+ * @param {string} options.targetTime - Temps total visé "HH:MM" ou "HH:MM:SS" (arrêts compris)
+ * @param {"trained"|"standard"|{name?: string, bands: Array<Object>}} [options.profile="trained"] - Profil de coureur :
+ *   tranches de pente intégrées, ou profil personnalisé vérifié par slope-profiles.js (validateSlopeProfile)
+ * @param {number} [options.prudence=0.5] - 0 = bas rapide des intervalles d'allure, 1 = bas prudent
+ * @param {"rules"|"smooth"|"minetti"} [options.slopeModel="rules"] - Vitesse selon la pente : table d'allures (profil, prudence),
+ *   même table en courbe continue sans saut aux bornes des tranches, ou puissance métabolique constante d'après
+ *   le coût énergétique de Minetti (profil et prudence sans effet)
+ * @param {"none"|"time-linear"|"time-exponential"|"distance"|"eccentric"} [options.fatigueModel="none"] - Fatigue
+ *   (fatigue-models.js) : baisse de vitesse avec le temps de course, la distance ou le D- cumulé ; calibrée avec Vflat
+ * @param {number|null} [options.fatigueRatePct=null] - Taux de fatigue (% par heure, par 10 km ou par 1000 m de D-
+ *   selon le modèle) ; null = taux par défaut du modèle
+ * @param {string|null} [options.startTime=null] - Heure de départ locale "YYYY-MM-DDTHH:MM" : heures de passage,
+ *   nuit calculée au lever et au coucher du soleil de chaque segment ; null = pas d'heure ni de nuit
+ * @param {string} [options.timeZone="UTC"] - Fuseau de l'heure de départ et des heures affichées (nom IANA ou "+02:00")
+ * @param {number} [options.nightSlowdownPct=15] - Ralentissement de nuit (% de la vitesse, 0 à moins de 100) ; les arrêts
+ *   aux points de passage décalent l'heure de passage, les repos ne sont pas placés dans le temps
+ * @param {Object|null} [options.heatConditions=null] - Température et humidité horaires, pour la course ou par tranche
+ *   d'altitude (parseHourlyConditions de heat-conditions.js, heures locales du fuseau timeZone) ; demande startTime
+ * @param {number} [options.heatThresholdC=20] - Indice de chaleur (°C) à partir duquel la vitesse baisse
+ * @param {number} [options.heatSlowdownPctPerDeg=1] - Baisse de vitesse par degré d'indice de chaleur au-delà du seuil (%)
+ * @param {{speedKmh: number, fromDeg: number|string}|{hours: Array<Object>}|null} [options.wind=null] - Vent constant
+ *   (vitesse, direction d'où il vient) ou horaire (parseWindConditions de wind-model.js ; demande startTime) :
+ *   la composante de face ou de dos selon le cap de chaque segment change sa vitesse (modèle de traînée)
+ * @param {number} [options.altitudeThresholdM=1500] - Altitude (m) au-dessus de laquelle la vitesse baisse
+ * @param {number} [options.altitudePenaltyPctPer1000M=0] - Baisse de vitesse par 1000 m au-dessus du seuil (%, 0 = aucune),
+ *   selon l'altitude lissée de chaque segment ; comptée dans la calibration de Vflat
+ * @param {number} [options.altitudeAcclimatizationPct=0] - Part de la baisse récupérée par un coureur acclimaté (%, 0 à 100)
+ * @param {Array<{km: number, stopMinutes?: number, name?: string}>} [options.checkpoints=[]] - Points de passage ;
+ *   ceux hors de la course (km <= 0 ou >= distance) sont ignorés
+ * @param {{count: number, minutesEach: number}} [options.rests] - Repos (sommeil…) hors points de passage
+ * @param {number} [options.segmentLengthM=250] - Pas de rééchantillonnage (m)
+ * @param {"fixed"|"adaptive"} [options.segmentationMode="fixed"] - Segments de segmentLengthM mètres, ou coupés
+ *   aux changements de pente (les km entiers restent des coupures)
+ * @param {number} [options.segmentMinM=50] - Découpage adaptatif : longueur minimale d'un segment (m)
+ * @param {number} [options.segmentMaxM=500] - Découpage adaptatif : longueur maximale d'un segment (m)
+ * @param {number} [options.segmentSlopeChangePct=3] - Découpage adaptatif : écart de pente (points de %) qui impose une coupure
+ * @param {number} [options.smoothingWindow=9] - Fenêtre de lissage "moving-average" (points, impair)
+ * @param {string} [options.smoothingMethod="moving-average"] - Lissage de l'altitude : "moving-average" (N points),
+ *   "distance", "savitzky-golay", "median-mean" ou "kalman" (fenêtre en mètres)
+ * @param {number} [options.smoothingWindowM=200] - Fenêtre des méthodes en distance (m)
+ * @param {number} [options.vMin=3] - Borne basse de Vflat (km/h)
+ * @param {number} [options.vMax=25] - Borne haute de Vflat (km/h)
+ * @param {number} [options.iterations=40] - Itérations de la recherche binaire
+ * @param {{elevationAt: (lat: number, lon: number) => number|null, tiles?: number}|null} [options.dem=null] - MNT local
+ *   (createDemSampler de dem-reader.js) ; le D+ de chaque source est alors donné dans totals.elevationSources
+ * @param {"gpx"|"dem"|"blend"} [options.elevationSource="gpx"] - Altitude utilisée pour le plan
+ * @param {number} [options.demBlendWeight=0.5] - Source "blend" : poids du MNT (0 = trace seule, 1 = MNT seul)
+ * @param {"haversine"|"vincenty"} [options.distanceMethod="haversine"] - Distance horizontale : sphère ou ellipsoïde WGS-84
+ * @param {boolean} [options.distance3d=false] - Distance le long de la pente (altitude lissée) pour les distances
+ *   cumulées et la longueur des segments ; la pente reste dénivelé / distance horizontale
+ * @param {boolean} [options.cleanupTrack=false] - Nettoyage de la trace avant les distances (track-cleanup.js) :
+ *   doublons, points aberrants et arrêts ; rapport dans result.cleanup
+ * @param {number} [options.cleanupMaxSpeedKmh=30] - Nettoyage : vitesse au-delà de laquelle un point est un saut GPS
+ * @param {number} [options.cleanupMaxAccelMs2=4] - Nettoyage : accélération maximale (m/s²)
+ * @param {number} [options.cleanupStationaryRadiusM=10] - Nettoyage : rayon d'un arrêt (m)
+ * @param {number} [options.cleanupStationaryMinSec=60] - Nettoyage : durée minimale d'un arrêt (s)
+ * @param {number|null} [options.officialDistanceKm=null] - Distance officielle de la course : les distances mesurées sont
+ *   mises à l'échelle pour la retrouver (points de passage, km, segments et calibration en km officiels) ;
+ *   la distance mesurée reste donnée dans totals.measuredDistanceKm
+ * @param {"segments"|"smoothed"|"raw"} [options.climbMethod="smoothed"] - Altitudes sur lesquelles le D+/D- est compté :
+ *   segments rééchantillonnés, points lissés (D+ historique de gpx_pacing_full.js) ou points bruts
+ * @param {number} [options.climbThresholdM=0] - Seuil d'hystérésis (m) : montées et descentes plus petites ignorées
+ * @param {number|null} [options.officialDPlusM=null] - D+ officiel : le seuil est alors calibré pour le reproduire
+ *   (résultat dans calibration.climbThreshold)
+ * @returns {Object} Résultat : input, totals, calibration, cleanup, steps, perKm, per250m, samples (voir pacing-engine.d.ts)
+ */
+export function calculatePacing(options) {
+  const opts = mergeOptions(options);
+  const { targetTime, profile, slopeModel, segmentLengthM, vMin, vMax, iterations, elevationSource, dem, distanceMethod } = opts;
+  const prudence = clamp01(Number(opts.prudence));
+
+  if (!targetTime) throw new Error("Temps cible manquant (HH:MM ou HH:MM:SS)");
+  const slopeProfile = resolveSlopeProfile(profile);
+  if (!SLOPE_MODELS.includes(slopeModel)) throw new Error(`Modèle de pente inconnu : ${slopeModel} (${SLOPE_MODELS.join(", ")})`);
+
+  const { fatigueModel } = opts;
+  if (!FATIGUE_MODELS.includes(fatigueModel)) throw new Error(`Modèle de fatigue inconnu : ${fatigueModel} (${FATIGUE_MODELS.join(", ")})`);
+  const fatigueRatePct = fatigueModel === "none" ? null
+    : opts.fatigueRatePct === null ? FATIGUE_DEFAULT_RATES[fatigueModel] : Number(opts.fatigueRatePct);
+  if (fatigueRatePct !== null && !(fatigueRatePct >= 0)) throw new Error(`Taux de fatigue invalide : ${opts.fatigueRatePct} (%, 0 ou plus)`);
+
+  const { startTime, timeZone } = opts;
+  const nightSlowdownPct = Number(opts.nightSlowdownPct);
+  if (!(nightSlowdownPct >= 0 && nightSlowdownPct < 100)) {
+    throw new Error(`Ralentissement de nuit invalide : ${opts.nightSlowdownPct} (%, de 0 à moins de 100)`);
+  }
+  const startMs = startTime ? zonedTimeToUtc(startTime, timeZone) : null;
+  const heatSettings = { thresholdC: Number(opts.heatThresholdC), slowdownPctPerDeg: Number(opts.heatSlowdownPctPerDeg) };
+  if (opts.heatConditions && startMs === null) {
+    throw new Error("Conditions horaires sans heure de départ : la chaleur dépend de l'heure de passage (startTime)");
+  }
+  const heat = opts.heatConditions ? heatFunction(opts.heatConditions, timeZone, heatSettings) : null;
+  const wind = opts.wind ? windFunction(opts.wind, timeZone) : null;
+  if (wind && wind.hourly && startMs === null) {
+    throw new Error("Vent horaire sans heure de départ : le vent dépend de l'heure de passage (startTime)");
+  }
+  const altitudeSettings = {
+    thresholdM: Number(opts.altitudeThresholdM),
+    penaltyPctPer1000M: Number(opts.altitudePenaltyPctPer1000M),
+    acclimatizationPct: Number(opts.altitudeAcclimatizationPct)
+  };
+  const altitude = altitudeFunction(altitudeSettings);
+  if (!(segmentLengthM > 0)) throw new Error(`Longueur de segment invalide : ${segmentLengthM}`);
+
+  const segmentation = {
+    mode: opts.segmentationMode,
+    minM: Number(opts.segmentMinM),
+    maxM: Number(opts.segmentMaxM),
+    slopeChangePct: Number(opts.segmentSlopeChangePct)
+  };
+  if (!SEGMENTATION_MODES.includes(segmentation.mode)) {
+    throw new Error(`Mode de découpage inconnu : ${segmentation.mode} (${SEGMENTATION_MODES.join(", ")})`);
+  }
+  if (!(segmentation.minM > 0)) throw new Error(`Longueur minimale de segment invalide : ${opts.segmentMinM}`);
+  if (!(segmentation.maxM >= segmentation.minM)) {
+    throw new Error(`Longueur maximale de segment invalide : ${opts.segmentMaxM} (au moins ${segmentation.minM} m)`);
+  }
+  if (!(segmentation.slopeChangePct > 0)) throw new Error(`Écart de pente de découpage invalide : ${opts.segmentSlopeChangePct}`);
+
+  const { climbMethod } = opts;
+  const officialDPlusM = opts.officialDPlusM === null ? null : Number(opts.officialDPlusM);
+  if (!CLIMB_METHODS.includes(climbMethod)) {
+    throw new Error(`Méthode de dénivelé inconnue : ${climbMethod} (${CLIMB_METHODS.join(", ")})`);
+  }
+  if (!(Number(opts.climbThresholdM) >= 0)) throw new Error(`Seuil de dénivelé invalide : ${opts.climbThresholdM} (m, 0 ou plus)`);
+  if (officialDPlusM !== null && !(officialDPlusM > 0)) throw new Error(`D+ officiel invalide : ${opts.officialDPlusM}`);
+
+  // 1-2. Distances cumulées, altitude de la source choisie (complétée, lissée)
+  const {
+    rawPoints, cleanup, smoothing, demBlendWeight, distance3d, officialDistanceKm, distanceScale, horizontalDistances, measuredDistances,
+    cumulativeDistances, bySource, eleFilled, eleSmoothed
+  } = prepareTrack(opts);
+  const totalDistanceM = cumulativeDistances[cumulativeDistances.length - 1];
+  const totalDistanceKm = totalDistanceM / 1000;
+  const points = rawPoints.map((p, i) => ({ ...p, ele: eleSmoothed[i] }));
+
+  // Longueur de la trace selon chaque calcul, pour choisir celui qui correspond à la distance officielle
+  const distanceComparison = {};
+  for (const method of DISTANCE_METHODS) {
+    const flat = method === distanceMethod ? horizontalDistances : cumulativeDistancesAlong(rawPoints, method);
+    const slope = method === distanceMethod && distance3d ? measuredDistances : cumulativeDistancesAlong(rawPoints, method, eleSmoothed);
+    distanceComparison[`${method}Km`] = round(flat[flat.length - 1] / 1000, 3);
+    distanceComparison[`${method}3dKm`] = round(slope[slope.length - 1] / 1000, 3);
+  }
+
+  // D+ / D- des points bruts (référence)
+  let dPlusRawM = 0;
+  let dMinusRawM = 0;
+  for (let i = 1; i < eleFilled.length; i++) {
+    const de = eleFilled[i] - eleFilled[i - 1];
+    if (de > 0) dPlusRawM += de;
+    else dMinusRawM -= de;
+  }
+
+  // Distance mesurée par l'appareil (FIT), quand elle existe
+  const lastRecorded = rawPoints.findLast(p => Number.isFinite(p.distanceM));
+  const recordedDistanceKm = lastRecorded ? lastRecorded.distanceM / 1000 : null;
+
+  // 3. Rééchantillonnage et segments
+  const samples = segmentation.mode === "adaptive"
+    ? adaptiveSamples(points, cumulativeDistances, segmentation, distanceScale)
+    : resamplePoints(points, cumulativeDistances, segmentLengthM);
+  const sampleDistances = samples.map(s => s.distanceM);
+  const baseSegments = [];
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const lengthM = b.distanceM - a.distanceM;
+    const deltaElevM = b.ele - a.ele;
+    // La pente se calcule sur la longueur mesurée (la distance officielle ne change que les positions) et,
+    // en 3D où la longueur suit la pente, sur sa projection horizontale
+    const measuredM = lengthM / distanceScale;
+    const horizontalM = distance3d ? Math.sqrt(Math.max(0, measuredM * measuredM - deltaElevM * deltaElevM)) : measuredM;
+    baseSegments.push({
+      index: i - 1,
+      fromM: a.distanceM,
+      toM: b.distanceM,
+      lengthM,
+      deltaElevM,
+      slopePct: horizontalM > 0 ? (deltaElevM / horizontalM) * 100 : 0,
+      bearingDeg: initialBearing(a, b)
+    });
+  }
+
+  // Dénivelé : méthode choisie, seuil d'hystérésis donné ou calibré sur le D+ officiel
+  const series = climbSeries(climbMethod, eleFilled, eleSmoothed, cumulativeDistances, samples);
+  const climbCalibration = officialDPlusM === null ? null : calibrateClimbThreshold(series.elevations, officialDPlusM);
+  const climb = {
+    method: climbMethod,
+    thresholdM: climbCalibration ? climbCalibration.thresholdM : Number(opts.climbThresholdM)
+  };
+  const segmentClimbs = climbPerSegment(
+    hysteresisProfile(series.elevations, climb.thresholdM), series.distances, sampleDistances
+  );
+
+  // Comparaison des sources quand un MNT est fourni : D+ / D- de chacune et écart avec la trace
+  let elevationSources = null;
+  if (dem) {
+    const climbs = {};
+    for (const source of ELEVATION_SOURCES) {
+      climbs[source] = sourceClimb(bySource[source], horizontalDistances, cumulativeDistances, sampleDistances, smoothing, climb);
+    }
+    elevationSources = {
+      demCoveragePct: round((bySource.demPoints / rawPoints.length) * 100, 1),
+      gpxPointsWithEle: bySource.gpx.filter(e => e !== null).length
+    };
+    for (const source of ELEVATION_SOURCES) {
+      elevationSources[source] = {
+        dPlusM: round(climbs[source].dPlusM, 1),
+        dMinusM: round(climbs[source].dMinusM, 1),
+        dPlusDiffM: round(climbs[source].dPlusM - climbs.gpx.dPlusM, 1)
+      };
+    }
+  }
+
+  // 4. Arrêts et temps de course cible
+  const checkpoints = normalizeCheckpoints(opts.checkpoints, totalDistanceKm);
+  const restCount = Number(opts.rests?.count) || 0;
+  const restMinutesEach = Number(opts.rests?.minutesEach) || 0;
+  const restStopSec = Math.round(restCount * restMinutesEach * 60);
+  const checkpointsStopSec = checkpoints.reduce((s, c) => s + c.stopSec, 0);
+  const totalStopSec = checkpointsStopSec + restStopSec;
+
+  const targetTotalSec = parseTimeToSeconds(targetTime);
+  const targetMovingSec = targetTotalSec - totalStopSec;
+  if (targetMovingSec <= 0) {
+    throw new Error("Le temps d'arrêt total dépasse le temps cible. Réduisez les arrêts ou augmentez le temps cible.");
+  }
+
+  // 5. Calibration de la vitesse sur plat (au départ, avant fatigue)
+  const courseSegments = baseSegments.map(seg => ({
+    ...seg,
+    lat: samples[seg.index].lat,
+    lon: samples[seg.index].lon,
+    eleM: (samples[seg.index].ele + samples[seg.index + 1].ele) / 2,
+    dPlusM: segmentClimbs[seg.index].dPlusM,
+    dMinusM: segmentClimbs[seg.index].dMinusM
+  }));
+  const pace = {
+    slopeSpeed: slopeSpeedFunction(slopeModel, slopeProfile, prudence),
+    fatigue: fatigueRatePct === null ? null : fatigueFunction(fatigueModel, fatigueRatePct),
+    clock: startMs === null ? null : { startMs, stops: checkpoints.map(cp => ({ atM: cp.km * 1000, stopSec: cp.stopSec })) },
+    nightFactor: 1 - nightSlowdownPct / 100,
+    heat,
+    wind: wind && wind.at,
+    altitude
+  };
+  const { vFlatKmh, gapSec } = findVflatForTargetTime(courseSegments, targetMovingSec, pace, vMin, vMax, iterations);
+
+  // 6. Détail par segment
+  // Secondes entières arrondies sur le temps cumulé : la somme de segments consécutifs (km, étapes, total)
+  // reste à moins d'une seconde du temps calculé, même avec des milliers de segments courts
+  const run = runSegments(courseSegments, vFlatKmh, pace);
+  let cumulativeExactSec = 0;
+  const segments = courseSegments.map((seg, i) => {
+    const speedKmh = run.speeds[i];
+    const exactSec = (seg.lengthM / 1000 / speedKmh) * 3600;
+    const timeSec = Math.round(cumulativeExactSec + exactSec) - Math.round(cumulativeExactSec);
+    cumulativeExactSec += exactSec;
+    const hot = run.heat[i];
+    const gust = run.wind[i];
+    return {
+      ...seg,
+      speedKmh,
+      fatigueFactor: run.fatigueFactors[i],
+      altitudeFactor: run.altitudeFactors[i],
+      // Temps perdu à cause de l'altitude, comme pour la chaleur
+      altitudeCostSec: exactSec * (1 - run.altitudeFactors[i]),
+      night: run.night[i],
+      heatIndexC: hot ? hot.heatIndexC : null,
+      heatFactor: hot ? hot.factor : 1,
+      // Temps perdu à cause de la chaleur : à vitesse sans chaleur, le segment prendrait exactSec × facteur
+      heatCostSec: hot ? exactSec * (1 - hot.factor) : 0,
+      headwindKmh: gust ? gust.headwindKmh : null,
+      windFactor: gust ? gust.factor : 1,
+      // Temps perdu (positif) ou gagné (négatif) à cause du vent, comme pour la chaleur
+      windCostSec: gust ? exactSec * (1 - gust.factor) : 0,
+      clockSec: run.clockSec[i],
+      endClockSec: run.clockSec[i] + exactSec,
+      timeSec
+    };
+  });
+
+  // Heure locale à un instant de la course (secondes depuis le départ, arrêts compris) ; null sans heure de départ
+  const clockAt = sec => (startMs === null ? null : formatZonedTime(startMs + sec * 1000, timeZone));
+  const nightSecOf = segs => segs.reduce((s, x) => s + (x.night ? x.timeSec : 0), 0);
+  const heatCostSecOf = segs => Math.round(segs.reduce((s, x) => s + x.heatCostSec, 0));
+  const windCostSecOf = segs => Math.round(segs.reduce((s, x) => s + x.windCostSec, 0));
+  const altitudeCostSecOf = segs => Math.round(segs.reduce((s, x) => s + x.altitudeCostSec, 0));
+  const signedTime = sec => `${sec < 0 ? "-" : "+"}${formatTime(Math.abs(sec))}`;
+  const maxHeatIndexOf = segs => {
+    const indexes = segs.map(x => x.heatIndexC).filter(h => h !== null);
+    return indexes.length ? round(Math.max(...indexes), 1) : null;
+  };
+
+  // Moyennes des capteurs d'un groupe de segments (traces enregistrées uniquement)
+  const withSensors = hasSensorData(rawPoints);
+  const sensorsFor = segs => withSensors
+    ? averageSensors(segs.map(seg => ({ from: samples[seg.index], to: samples[seg.index + 1], lengthM: seg.lengthM })))
+    : null;
+
+  // 7. Regroupement par km (segment affecté au km de son milieu)
+  const bins = new Map();
+  for (const seg of segments) {
+    const km = Math.floor((seg.fromM + seg.toM) / 2 / 1000) + 1;
+    if (!bins.has(km)) bins.set(km, []);
+    bins.get(km).push(seg);
+  }
+  const perKm = [...bins.entries()].sort((a, b) => a[0] - b[0]).map(([km, segs]) => {
+    const sum = sumSegments(segs);
+    return {
+      km,
+      segmentsCount: segs.length,
+      lengthM: round(sum.lengthM, 2),
+      distanceKm: round(sum.distKm, 3),
+      timeSec: sum.movingSec,
+      time: formatTime(sum.movingSec),
+      avgSpeedKmh: round(sum.avgSpeedKmh, 3),
+      avgPace: speedToPace(sum.avgSpeedKmh),
+      avgSlopePct: round(sum.avgSlopePct, 3),
+      dPlusM: round(sum.dPlusM, 1),
+      dMinusM: round(sum.dMinusM, 1),
+      slopePctList: segs.map(s => round(s.slopePct, 3)),
+      avgHeadwindKmh: wind ? round(segs.reduce((s, x) => s + (x.headwindKmh ?? 0) * x.lengthM, 0) / sum.lengthM, 1) : null,
+      windCostSec: windCostSecOf(segs),
+      windCost: signedTime(windCostSecOf(segs)),
+      fatigueFactor: round(segs.reduce((s, x) => s + x.fatigueFactor * x.lengthM, 0) / sum.lengthM, 4),
+      altitudeFactor: round(segs.reduce((s, x) => s + x.altitudeFactor * x.lengthM, 0) / sum.lengthM, 4),
+      arrival: clockAt(segs[segs.length - 1].endClockSec),
+      nightSec: nightSecOf(segs),
+      night: nightSecOf(segs) * 2 > sum.movingSec,
+      sensors: sensorsFor(segs)
+    };
+  });
+
+  // 8. Étapes entre points de passage (arrêt compté à l'arrivée de l'étape)
+  const boundariesKm = [0];
+  for (const cp of checkpoints) {
+    if (cp.km - boundariesKm[boundariesKm.length - 1] > 1e-9) boundariesKm.push(cp.km);
+  }
+  boundariesKm.push(totalDistanceKm);
+
+  const stopByKm = new Map();
+  const nameByKm = new Map();
+  for (const cp of checkpoints) {
+    stopByKm.set(cp.km, (stopByKm.get(cp.km) || 0) + cp.stopSec);
+    if (cp.name) nameByKm.set(cp.km, nameByKm.has(cp.km) ? `${nameByKm.get(cp.km)} / ${cp.name}` : cp.name);
+  }
+
+  const steps = [];
+  for (let i = 0; i < boundariesKm.length - 1; i++) {
+    const fromKm = boundariesKm[i];
+    const toKm = boundariesKm[i + 1];
+    const segs = segments.filter(s => {
+      const mid = (s.fromM + s.toM) / 2;
+      return mid >= fromKm * 1000 && mid < toKm * 1000;
+    });
+    const sum = sumSegments(segs);
+    const stopSec = stopByKm.get(toKm) || 0;
+    const totalSec = sum.movingSec + stopSec;
+    const effort = effortPace(sum.distKm, sum.dPlusM, totalSec);
+    const nightSec = nightSecOf(segs);
+
+    steps.push({
+      index: i + 1,
+      fromKm: round(fromKm, 3),
+      toKm: round(toKm, 3),
+      fromName: nameByKm.get(fromKm) || null,
+      toName: nameByKm.get(toKm) || null,
+      distanceKm: round(sum.distKm, 3),
+      dPlusM: round(sum.dPlusM, 1),
+      dMinusM: round(sum.dMinusM, 1),
+      movingSec: sum.movingSec,
+      moving: formatTime(sum.movingSec),
+      stopSec,
+      stop: formatTime(stopSec),
+      totalSec,
+      total: formatTime(totalSec),
+      avgSpeedKmh: round(sum.avgSpeedKmh, 3),
+      avgPace: speedToPace(sum.avgSpeedKmh),
+      effortDistanceKm: round(effort.effortDistanceKm, 3),
+      avgEffortPace: effort.avgEffortPace,
+      departure: segs.length ? clockAt(segs[0].clockSec) : null,
+      arrival: segs.length ? clockAt(segs[segs.length - 1].endClockSec) : null,
+      nightSec,
+      night: nightSec * 2 > sum.movingSec,
+      heatCostSec: heatCostSecOf(segs),
+      heatCost: formatTime(heatCostSecOf(segs)),
+      maxHeatIndexC: maxHeatIndexOf(segs),
+      altitudeCostSec: altitudeCostSecOf(segs),
+      altitudeCost: formatTime(altitudeCostSecOf(segs)),
+      sensors: sensorsFor(segs)
+    });
+  }
+
+  // 9. Totaux
+  const total = sumSegments(segments);
+  const computedTotalSec = total.movingSec + totalStopSec;
+  const effort = effortPace(totalDistanceKm, total.dPlusM, targetTotalSec);
+
+  return {
+    input: {
+      targetTime,
+      targetTotalSec,
+      profile: slopeProfile.name,
+      profileBands: slopeProfile.bands,
+      prudence,
+      slopeModel,
+      segmentLengthM: segmentation.mode === "fixed" ? segmentLengthM : null,
+      segmentation: segmentation.mode === "adaptive" ? segmentation : { mode: "fixed", minM: null, maxM: null, slopeChangePct: null },
+      smoothing: {
+        method: smoothing.method,
+        windowPoints: smoothing.method === "moving-average" ? smoothing.windowPoints : null,
+        windowM: smoothing.method === "moving-average" ? null : smoothing.windowM
+      },
+      checkpoints: checkpoints.map(c => ({ km: c.km, name: c.name, stopSec: c.stopSec, stop: formatTime(c.stopSec) })),
+      rests: { count: restCount, minutesEach: restMinutesEach, stopSec: restStopSec, stop: formatTime(restStopSec) },
+      bounds: { vMin, vMax, iterations },
+      elevation: {
+        source: elevationSource,
+        demTiles: dem ? (dem.tiles ?? null) : 0,
+        blendWeight: elevationSource === "blend" ? demBlendWeight : null
+      },
+      distance: { method: distanceMethod, slope3d: distance3d, officialKm: officialDistanceKm },
+      climb: { method: climb.method, thresholdM: round(climb.thresholdM, 2), officialDPlusM },
+      fatigue: { model: fatigueModel, ratePct: fatigueRatePct, unit: fatigueRatePct === null ? null : FATIGUE_RATE_UNITS[fatigueModel] },
+      clock: startMs === null ? null : {
+        startTime,
+        timeZone,
+        startUtc: new Date(startMs).toISOString(),
+        nightSlowdownPct
+      },
+      heat: heat && {
+        bands: opts.heatConditions.bands ? opts.heatConditions.bands.length : 1,
+        thresholdC: heatSettings.thresholdC,
+        slowdownPctPerDeg: heatSettings.slowdownPctPerDeg
+      },
+      altitude: altitude && altitudeSettings,
+      wind: wind && (wind.hourly
+        ? { mode: "hourly", speedKmh: null, fromDeg: null, hours: opts.wind.hours.length }
+        : { mode: "constant", speedKmh: wind.at(null).speedKmh, fromDeg: wind.at(null).fromDeg, hours: null })
+    },
+    totals: {
+      totalDistanceM: round(totalDistanceM, 2),
+      totalDistanceKm: round(totalDistanceKm, 3),
+      measuredDistanceKm: round(measuredDistances[measuredDistances.length - 1] / 1000, 3),
+      distanceScale: round(distanceScale, 5),
+      recordedDistanceKm: recordedDistanceKm === null ? null : round(recordedDistanceKm, 3),
+      distanceComparison,
+      dPlusM: round(total.dPlusM, 1),
+      dMinusM: round(total.dMinusM, 1),
+      dPlusMAllPoints: round(dPlusRawM, 1),
+      dMinusMAllPoints: round(dMinusRawM, 1),
+      elevationSources,
+      targetTotalSec,
+      targetTotal: formatTime(targetTotalSec),
+      stopTimeSec: totalStopSec,
+      stopTime: formatTime(totalStopSec),
+      movingTargetSec: targetMovingSec,
+      movingTarget: formatTime(targetMovingSec),
+      computedMovingSec: total.movingSec,
+      computedMoving: formatTime(total.movingSec),
+      computedTotalSec,
+      computedTotal: formatTime(computedTotalSec),
+      avgPace: formatPaceFromMinutes(targetTotalSec / 60 / totalDistanceKm),
+      effortDistanceKm: round(effort.effortDistanceKm, 3),
+      avgEffortPace: effort.avgEffortPace,
+      // Temps couru de nuit, lever et coucher du soleil au départ pour chaque jour de course
+      night: startMs === null ? null : {
+        movingSec: nightSecOf(segments),
+        moving: formatTime(nightSecOf(segments)),
+        sun: courseDates(startMs, segments[segments.length - 1].endClockSec, timeZone)
+          .map(date => sunTimes(date, samples[0].lat, samples[0].lon, timeZone))
+      },
+      // Temps perdu à cause de la chaleur ; segments courus hors de la période du fichier (sans ralentissement)
+      heat: heat && {
+        costSec: heatCostSecOf(segments),
+        cost: formatTime(heatCostSecOf(segments)),
+        maxHeatIndexC: maxHeatIndexOf(segments),
+        uncoveredSegments: segments.filter(x => x.heatIndexC === null).length
+      },
+      // Temps perdu à cause de l'altitude, temps de course au-dessus du seuil
+      altitude: altitude && {
+        costSec: altitudeCostSecOf(segments),
+        cost: formatTime(altitudeCostSecOf(segments)),
+        aboveThresholdSec: segments.reduce((s, x) => s + (x.eleM > altitudeSettings.thresholdM ? x.timeSec : 0), 0),
+        maxEleM: round(Math.max(...segments.map(x => x.eleM)), 1)
+      },
+      // Temps perdu (+) ou gagné (-) à cause du vent ; segments courus hors de la période du fichier (sans vent)
+      wind: wind && {
+        costSec: windCostSecOf(segments),
+        cost: signedTime(windCostSecOf(segments)),
+        uncoveredSegments: segments.filter(x => x.headwindKmh === null).length
+      }
+    },
+    calibration: {
+      vFlatKmh: round(vFlatKmh, 4),
+      flatPace: speedToPace(vFlatKmh),
+      // Écart du temps de course calculé à l'objectif : objectif atteint à la seconde près, sinon hors de portée
+      // (Vflat bloquée à vMin, ou saut de temps quand un segment bascule de nuit, de chaleur ou de vent)
+      targetGapSec: Math.abs(gapSec) < 1 ? 0 : round(gapSec, 1),
+      targetReached: Math.abs(gapSec) < 1,
+      climbThreshold: climbCalibration && {
+        officialDPlusM,
+        thresholdM: round(climbCalibration.thresholdM, 2),
+        dPlusM: round(climbCalibration.dPlusM, 1),
+        residualM: round(climbCalibration.residualM, 1)
+      },
+      // Vitesse sur plat atteinte à l'arrivée (facteur de fatigue du dernier segment)
+      fatigue: pace.fatigue && {
+        finalFactor: round(segments[segments.length - 1].fatigueFactor, 4),
+        finalFlatKmh: round(vFlatKmh * segments[segments.length - 1].fatigueFactor, 4),
+        finalFlatPace: speedToPace(vFlatKmh * segments[segments.length - 1].fatigueFactor)
+      }
+    },
+    cleanup: cleanup ? cleanup.report : null,
+    steps,
+    perKm,
+    per250m: segments.map(seg => ({
+      index: seg.index,
+      fromM: round(seg.fromM, 2),
+      toM: round(seg.toM, 2),
+      fromKm: round(seg.fromM / 1000, 5),
+      toKm: round(seg.toM / 1000, 5),
+      lengthM: round(seg.lengthM, 2),
+      lengthKm: round(seg.lengthM / 1000, 5),
+      deltaElevM: round(seg.deltaElevM, 2),
+      dPlusM: round(seg.dPlusM, 2),
+      dMinusM: round(seg.dMinusM, 2),
+      slopePct: round(seg.slopePct, 3),
+      speedKmh: round(seg.speedKmh, 3),
+      pace: speedToPace(seg.speedKmh),
+      fatigueFactor: round(seg.fatigueFactor, 4),
+      eleM: round(seg.eleM, 1),
+      altitudeFactor: round(seg.altitudeFactor, 4),
+      clock: clockAt(seg.clockSec),
+      night: seg.night,
+      heatIndexC: seg.heatIndexC === null ? null : round(seg.heatIndexC, 1),
+      heatFactor: round(seg.heatFactor, 4),
+      bearingDeg: round(seg.bearingDeg, 1),
+      headwindKmh: seg.headwindKmh === null ? null : round(seg.headwindKmh, 1),
+      windFactor: round(seg.windFactor, 4),
+      timeSec: seg.timeSec,
+      time: formatTime(seg.timeSec)
+    })),
+    samples: samples.map(s => ({ index: s.index, distanceM: round(s.distanceM, 2), eleM: round(s.ele, 2) }))
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Tests du moteur de calcul (node --test), sur une trace synthétique montée puis descente
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePacing, fillMissingElevation, parseTimeToSeconds, formatTime, speedToPace } from './pacing-engine.js';
+import { straightTrack } from './testing-helpers.js';
+
+// 201 points vers le nord tous les ~50 m : 5 km de montée à 10 %, puis 5 km de descente
+const POINTS = straightTrack(i => (i <= 100 ? 1000 + i * 5 : 1500 - (i - 100) * 5));
+
+test("fillMissingElevation complète avec la valeur connue la plus proche, 0 si aucune", () => {
+  assert.deepEqual(fillMissingElevation([null, 5, null, 7, undefined]), [5, 5, 5, 7, 7]);
+  assert.deepEqual(fillMissingElevation([null, null]), [0, 0]);
+});
+
+test("parseTimeToSeconds et formatTime se correspondent", () => {
+  assert.equal(parseTimeToSeconds("01:30"), 5400);
+  assert.equal(parseTimeToSeconds("20:00:05"), 72005);
+  assert.equal(formatTime(72005), "20:00:05");
+  assert.throws(() => parseTimeToSeconds("1h30"), /Format de temps invalide/);
+  assert.equal(speedToPace(12), "05:00");
+  assert.equal(speedToPace(0), "N/A");
+});
+
+test("calculatePacing atteint le temps cible, arrêts compris", () => {
+  const plan = calculatePacing({ points: POINTS, targetTime: "02:00:00", checkpoints: [{ km: 5, stopMinutes: 5, name: "Ravito" }] });
+  assert.equal(plan.totals.movingTargetSec, 6900);
+  assert.ok(Math.abs(plan.totals.computedMovingSec - 6900) <= 5);
+  assert.equal(plan.totals.stopTimeSec, 300);
+  assert.ok(plan.totals.dPlusM > 450 && plan.totals.dPlusM < 510);
+});
+
+test("des centaines de segments courts de longueurs variables gardent le temps cible à la seconde", () => {
+  // Bosses de 30 m : coupures à chaque changement de pente, segments de moins de 10 m à 150 m
+  const bumpy = POINTS.map((p, i) => ({ ...p, ele: 1000 + 30 * Math.sin(i / 3) + (i % 7 === 0 ? 4 : 0) }));
+  const plan = calculatePacing({
+    points: bumpy, targetTime: "02:00:00", segmentationMode: "adaptive", segmentMinM: 10, segmentSlopeChangePct: 0.5,
+    checkpoints: [{ km: 3.3, stopMinutes: 5 }]
+  });
+  const lengths = plan.per250m.map(s => s.lengthM);
+  assert.ok(lengths.length > 300 && Math.max(...lengths) > 10 * Math.min(...lengths));
+  assert.equal(plan.totals.computedMovingSec, plan.totals.movingTargetSec);
+  assert.equal(plan.totals.computedTotal, "02:00:00");
+  assert.equal(plan.perKm.reduce((s, k) => s + k.timeSec, 0), plan.totals.computedMovingSec);
+  assert.equal(plan.steps.reduce((s, step) => s + step.movingSec, 0), plan.totals.computedMovingSec);
+});
+
+test("quand un plan plus rapide fait basculer un segment de nuit, l'écart à l'objectif est rendu", () => {
+  // 10 km à plat en segments de 1 km, vitesse divisée par deux la nuit
+  const flat = straightTrack(() => 1000);
+  const plan = (start, targetTime) => calculatePacing({
+    points: flat, targetTime, segmentLengthM: 1000, startTime: start, timeZone: "Europe/Paris", nightSlowdownPct: 50
+  });
+  const nightSegments = p => p.per250m.filter(s => s.night).length;
+
+  // Avant l'aube, plus vite = un segment de plus couru de nuit : le temps remonte, l'objectif reste atteint
+  const slower = plan("2026-06-26T04:00", "02:12:00");
+  const faster = plan("2026-06-26T04:00", "02:06:00");
+  assert.ok(faster.calibration.vFlatKmh > slower.calibration.vFlatKmh);
+  assert.equal(nightSegments(faster), nightSegments(slower) + 1);
+  for (const p of [slower, faster]) {
+    assert.deepEqual([p.calibration.targetReached, p.calibration.targetGapSec], [true, 0]);
+    assert.equal(p.totals.computedMovingSec, p.totals.movingTargetSec);
+  }
+
+  // Au coucher du soleil, le dernier segment part de jour ou de nuit selon Vflat : le temps saute par-dessus l'objectif
+  const early = plan("2026-06-26T20:00", "01:40:00");
+  const late = plan("2026-06-26T20:00", "01:42:00");
+  assert.equal(early.calibration.vFlatKmh, late.calibration.vFlatKmh);
+  assert.equal(early.calibration.targetReached, false);
+  assert.ok(early.calibration.targetGapSec < -60 && late.calibration.targetGapSec > 60);
+  assert.equal(nightSegments(late), nightSegments(early) + 1);
+  for (const p of [early, late]) {
+    assert.ok(Math.abs(p.totals.computedMovingSec - p.totals.movingTargetSec - p.calibration.targetGapSec) <= 1);
+  }
+});
+
+test("les étapes s'arrêtent aux points de passage et portent leur arrêt", () => {
+  const plan = calculatePacing({ points: POINTS, targetTime: "02:00:00", checkpoints: [{ km: 5, stopMinutes: 5, name: "Ravito" }] });
+  assert.equal(plan.steps.length, 2);
+  assert.deepEqual(plan.steps.map(s => [s.fromName, s.toName, s.stopSec]), [[null, "Ravito", 300], ["Ravito", null, 0]]);
+  assert.equal(plan.steps[0].toKm, 5);
+  assert.equal(plan.steps[0].dMinusM, 0);
+  assert.equal(plan.steps[1].dPlusM, 0);
+  // La montée est plus lente que la descente
+  assert.ok(plan.steps[0].avgSpeedKmh < plan.steps[1].avgSpeedKmh);
+});
+
+test("un arrêt plus long que le temps cible est refusé", () => {
+  assert.throws(
+    () => calculatePacing({ points: POINTS, targetTime: "01:00", rests: { count: 2, minutesEach: 30 } }),
+    /Le temps d'arrêt total dépasse le temps cible/
+  );
+  assert.throws(() => calculatePacing({ points: POINTS.slice(0, 1), targetTime: "01:00" }), /Pas assez de points/);
+});
+
+test("la distance officielle met les km à l'échelle sans changer les pentes mesurées", () => {
+  const measured = calculatePacing({ points: POINTS, targetTime: "02:00:00" });
+  const official = calculatePacing({ points: POINTS, targetTime: "02:00:00", officialDistanceKm: 11, checkpoints: [{ km: 5.5, name: "Col" }] });
+  assert.equal(official.totals.totalDistanceKm, 11);
+  assert.equal(official.totals.measuredDistanceKm, measured.totals.totalDistanceKm);
+  assert.equal(official.per250m[4].lengthM, 250);
+  assert.equal(official.per250m[4].slopePct, measured.per250m[4].slopePct);
+  assert.equal(official.per250m.at(-5).slopePct, measured.per250m.at(-5).slopePct);
+  assert.equal(official.totals.dPlusM, measured.totals.dPlusM);
+  assert.equal(official.steps[0].toKm, 5.5);
+});
@@ -3,655 +3,155 @@
  * Adapté de script.js pour fonctionner dans le navigateur
  */
 
-// ==================== FONCTIONS UTILITAIRES ====================
+import {
+  detectTrackFormat, parseGpxTracks, readGpxStream, selectGpxTrack, describeGpxTrack, parseTcxPoints, parseKmlPoints, extractKmlFromKmz,
+  parseGeoJsonPoints, parseGpxWaypoints, parseTcxCoursePoints, locateCoursePoints
+} from './track-readers.js';
+import { isFitData, parseFitPoints, parseFitCoursePoints } from './fit-reader.js';
+import { isZipData } from './zip-reader.js';
+import { calculatePacing as runPacingEngine, trackDistances, formatTime } from './pacing-engine.js';
+import { selectDemFiles, readDemTile, createDemSampler, trackBounds } from './dem-reader.js';
+import { BUILTIN_PROFILES, parseSlopeProfiles, slopeBandLevel } from './slope-profiles.js';
+import { HEAT_DEFAULTS, parseHourlyConditions } from './heat-conditions.js';
+import { parseWindConditions, validateWind } from './wind-model.js';
+import { ALTITUDE_DEFAULTS } from './altitude-model.js';
+import { CLEANUP_DEFAULTS } from './track-cleanup.js';
+import { escapeHtml, profileLabel, renderStepHeader } from './html-render.js';
 
-/**
- * Convertit un temps en format "HH:MM:SS" ou "HH:MM" en secondes
- */
-function parseTimeToSeconds(timeStr) {
-  const parts = timeStr.split(":").map(x => parseInt(x.trim(), 10));
-  if (parts.length === 2) {
-    return parts[0] * 3600 + parts[1] * 60;
-  } else if (parts.length === 3) {
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  }
-  throw new Error(`Format de temps invalide: ${timeStr}`);
-}
+// ==================== AFFICHAGE ====================
 
-/**
- * Convertit des secondes en format "HH:MM:SS"
- */
-function formatTime(seconds) {
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = Math.round(seconds % 60);
-  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-}
+// Classes de couleur des tranches, de la plus proche du plat à la plus raide
+const CLIMB_SLOPE_CLASSES = ['slope-montee-legere', 'slope-montee-moderee', 'slope-montee-forte', 'slope-montee-tres-forte'];
+const DESCENT_SLOPE_CLASSES = [
+  'slope-descente-legere', 'slope-descente-moderee', 'slope-descente-forte',
+  'slope-descente-tres-forte', 'slope-descente-extreme', 'slope-descente-maximale'
+];
 
 /**
- * Convertit une vitesse (km/h) en allure (min/km)
- * Format: "MM:SS/km"
+ * Retourne la classe CSS pour le pourcentage de pente selon les tranches du profil utilisé
+ * (au-delà de la dernière couleur, les tranches plus raides gardent la plus foncée)
+ * @param {number} slopePct
+ * @param {Array<Object>} bands - Tranches du profil (results.input.profileBands)
  */
-function speedToPace(kmh) {
-  if (!isFinite(kmh) || kmh <= 0) return "N/A";
-  
-  const paceMin = 60 / kmh; // minutes par km
-  return formatPaceFromMinutes(paceMin);
+function getSlopeClass(slopePct, bands = BUILTIN_PROFILES.trained.bands) {
+  const level = slopeBandLevel(bands, slopePct);
+  if (level > 0) return CLIMB_SLOPE_CLASSES[Math.min(level, CLIMB_SLOPE_CLASSES.length) - 1];
+  if (level < 0) return DESCENT_SLOPE_CLASSES[Math.min(-level, DESCENT_SLOPE_CLASSES.length) - 1];
+  return 'slope-plat';
 }
 
+// ==================== PARSING GPX ====================
+
 /**
- * Formate une allure à partir de minutes par km
- * Format: "MM:SS/km"
+ * Parse un fichier GPX et extrait les points (lat, lon, ele) de la trace ou route choisie
+ * @param {string|{tracks: Array<Object>}} xmlContent - Contenu du GPX, ou GPX déjà lu en flux (readGpxStream)
+ * @param {string|number|null} trackSelector - Nom ou numéro (1..n) de la trace/route ; null = la première
  */
-function formatPaceFromMinutes(minPerKm) {
-  if (!isFinite(minPerKm) || minPerKm <= 0) return "N/A";
-  
-  const minutes = Math.floor(minPerKm);
-  const decimal = minPerKm - minutes;
-  let seconds = Math.round(decimal * 60);
-  
-  // Gestion du cas où seconds = 60
-  if (seconds === 60) {
-    seconds = 0;
-    return `${String(minutes + 1).padStart(2, '0')}:00`;
-  }
-  
-  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+function parseGpxFile(xmlContent, trackSelector = null) {
+  const tracks = typeof xmlContent === "string" ? parseGpxTracks(xmlContent) : xmlContent.tracks;
+  // Les altitudes absentes (null) sont complétées par le moteur de calcul
+  return selectGpxTrack(tracks, trackSelector).points;
 }
 
 /**
- * Retourne la classe CSS pour le pourcentage de pente selon les intervalles du script
+ * Parse un fichier de trace GPX, TCX, KML, GeoJSON (texte), FIT ou KMZ (binaire) selon son contenu
+ * (un GPX lu en flux par readTrackInput est accepté tel quel)
  */
-function getSlopeClass(slopePct) {
-  if (!isFinite(slopePct)) return 'slope-plat';
-  
-  // Plat ou D+ jusqu'à 1% / D- jusqu'à -1%
-  if (slopePct >= -1 && slopePct <= 1) {
-    return 'slope-plat';
+function parseTrackFile(content, trackSelector = null) {
+  if (isStreamedGpx(content)) {
+    return parseGpxFile(content, trackSelector);
   }
-  
-  // MONTÉE
-  // D+ entre 1% et 12%
-  if (slopePct > 1 && slopePct <= 12) {
-    return 'slope-montee-legere';
+  if (isFitData(content)) {
+    return parseFitPoints(content);
   }
-  
-  // D+ > 12% jusqu'à 15%
-  if (slopePct > 12 && slopePct <= 15) {
-    return 'slope-montee-moderee';
+  if (isZipData(content)) {
+    return parseKmlPoints(extractKmlFromKmz(content));
   }
-  
-  // D+ > 15% jusqu'à 20%
-  if (slopePct > 15 && slopePct <= 20) {
-    return 'slope-montee-forte';
+  const text = typeof content === "string" ? content : new TextDecoder("utf-8").decode(content);
+  const format = detectTrackFormat(text);
+  if (format === "tcx") {
+    return parseTcxPoints(text);
   }
-  
-  // D+ > 20%
-  if (slopePct > 20) {
-    return 'slope-montee-tres-forte';
+  if (format === "kml") {
+    return parseKmlPoints(text);
   }
-  
-  // DESCENTE
-  // D- entre -1% et -3%
-  if (slopePct < -1 && slopePct >= -3) {
-    return 'slope-descente-legere';
-  }
-  
-  // D- entre -3% et -4%
-  if (slopePct < -3 && slopePct >= -4) {
-    return 'slope-descente-moderee';
-  }
-  
-  // D- entre -4% et -6%
-  if (slopePct < -4 && slopePct >= -6) {
-    return 'slope-descente-forte';
+  if (format === "geojson") {
+    return parseGeoJsonPoints(text);
   }
-  
-  // D- > -6% jusqu'à -8%
-  if (slopePct < -6 && slopePct >= -8) {
-    return 'slope-descente-tres-forte';
-  }
-  
-  // D- > -8% jusqu'à -12%
-  if (slopePct < -8 && slopePct >= -12) {
-    return 'slope-descente-extreme';
-  }
-  
-  // D- > -12%
-  if (slopePct < -12) {
-    return 'slope-descente-maximale';
+  if (format === "gpx") {
+    return parseGpxFile(text, trackSelector);
   }
-  
-  return 'slope-plat';
+  throw new Error("Format de fichier non reconnu (GPX, TCX, FIT, KML/KMZ ou GeoJSON attendu)");
 }
 
 /**
- * Clamp une valeur entre 0 et 1
+ * Extrait les points remarquables du fichier (waypoints GPX, CoursePoints TCX/FIT)
+ * et les place sur la trace dans l'ordre du parcours
+ * @param {string|Uint8Array} content - Contenu du fichier
+ * @param {string|null} trackSelector - Trace GPX choisie (nom ou numéro)
+ * @param {Object} [distanceOptions={}] - Options du moteur pour les distances (readDistanceOptions, readCleanupOptions) :
+ *   km mesurés comme ceux du plan
+ * @returns {{totalDistanceKm: number, coursePoints: Array<{name: string, type: string|null, km: number|null, offTrackM: number|null}>}}
  */
-function clamp01(x) {
-  if (!isFinite(x)) return 0.5;
-  return Math.max(0, Math.min(1, x));
-}
-
-/**
- * Sélectionne une vitesse dans un intervalle selon le facteur de prudence
- */
-function pickSpeedFromRange(minKmh, maxKmh, prudence) {
-  return maxKmh - prudence * (maxKmh - minKmh);
-}
-
-// ==================== CALCUL DE VITESSE SELON DÉNIVELÉ ====================
-
-function calculateSpeedForSlope(slopePct, vFlatKmh, profile, prudence) {
-  if (slopePct >= -1 && slopePct <= 1) {
-    return vFlatKmh;
-  }
-
-  // MONTÉE
-  if (slopePct > 1 && slopePct <= 12) {
-    return vFlatKmh / (1 + 0.04 * slopePct);
-  }
-
-  if (slopePct > 12 && slopePct <= 15) {
-    if (profile === "trained") {
-      return pickSpeedFromRange(5.45, 6.0, prudence);
-    } else {
-      return pickSpeedFromRange(4.62, 5.45, prudence);
-    }
-  }
-
-  if (slopePct > 15 && slopePct <= 20) {
-    if (profile === "trained") {
-      return pickSpeedFromRange(4.80, 5.45, prudence);
-    } else {
-      return pickSpeedFromRange(4.0, 4.62, prudence);
-    }
-  }
-
-  if (slopePct > 20) {
-    if (profile === "trained") {
-      return pickSpeedFromRange(4.0, 4.62, prudence);
-    } else {
-      return pickSpeedFromRange(3.33, 4.0, prudence);
-    }
-  }
-
-  // DESCENTE
-  const absSlope = Math.abs(slopePct);
-
-  if (slopePct < -1 && slopePct >= -3) {
-    return vFlatKmh / (1 - 0.02 * absSlope);
-  }
-
-  if (slopePct < -3 && slopePct >= -4) {
-    return vFlatKmh / ((1 - 0.02 * absSlope) * 1.05);
-  }
-
-  if (slopePct < -4 && slopePct >= -6) {
-    return vFlatKmh / ((1 - 0.02 * absSlope) * 1.10);
-  }
-
-  if (slopePct < -6 && slopePct >= -8) {
-    return pickSpeedFromRange(5.45, 6.67, prudence);
-  }
-
-  if (slopePct < -8 && slopePct >= -12) {
-    return pickSpeedFromRange(4.62, 6.0, prudence);
-  }
-
-  if (slopePct < -12) {
-    return pickSpeedFromRange(4.0, 5.45, prudence);
-  }
-
-  return vFlatKmh;
-}
-
-// ==================== PARSING GPX ====================
-
-function parseGpxFile(xmlContent) {
-  const points = [];
-  const trkptRegex = /<trkpt\b[^>]*?lat="([^"]+)"[^>]*?lon="([^"]+)"[^>]*?>([\s\S]*?)<\/trkpt>/g;
-  let match;
-  
-  while ((match = trkptRegex.exec(xmlContent)) !== null) {
-    const lat = parseFloat(match[1]);
-    const lon = parseFloat(match[2]);
-    const inner = match[3];
-    const eleMatch = inner.match(/<ele>([^<]+)<\/ele>/);
-    const ele = eleMatch ? parseFloat(eleMatch[1]) : 0;
-    const eleValue = isFinite(ele) ? ele : 0;
-    
-    if (isFinite(lat) && isFinite(lon)) {
-      points.push({ lat, lon, ele: eleValue });
-    }
-  }
-  
-  if (points.length < 2) {
-    throw new Error("Pas assez de points trouvés dans le GPX");
-  }
-  
-  return points;
-}
-
-function haversineDistance(a, b) {
-  const R = 6371000;
-  const dLat = toRadians(b.lat - a.lat);
-  const dLon = toRadians(b.lon - a.lon);
-  const lat1 = toRadians(a.lat);
-  const lat2 = toRadians(b.lat);
-
-  const sinDLat = Math.sin(dLat / 2);
-  const sinDLon = Math.sin(dLon / 2);
-  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLon * sinDLon;
-  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
-  
-  return R * c;
-}
-
-function toRadians(degrees) {
-  return (degrees * Math.PI) / 180;
-}
-
-function smoothElevation(elevations, windowSize) {
-  if (windowSize === 1) return elevations.slice();
-  
-  const half = Math.floor(windowSize / 2);
-  const smoothed = new Array(elevations.length).fill(null);
-  
-  for (let i = 0; i < elevations.length; i++) {
-    let sum = 0;
-    let count = 0;
-    for (let j = i - half; j <= i + half; j++) {
-      if (j >= 0 && j < elevations.length && elevations[j] !== null && isFinite(elevations[j])) {
-        sum += elevations[j];
-        count++;
-      }
-    }
-    smoothed[i] = count > 0 ? sum / count : null;
-  }
-  
-  return smoothed;
-}
-
-function fillMissingElevation(elevations) {
-  const filled = elevations.slice();
-  let last = null;
-  
-  for (let i = 0; i < filled.length; i++) {
-    if (isFinite(filled[i])) last = filled[i];
-    else if (last !== null) filled[i] = last;
-  }
+function locateFileCoursePoints(content, trackSelector = null, distanceOptions = {}) {
+  const points = parseTrackFile(content, trackSelector);
+  const cumulativeDistances = trackDistances({ ...distanceOptions, points });
+  const totalDistanceM = cumulativeDistances[cumulativeDistances.length - 1];
   
-  let next = null;
-  for (let i = filled.length - 1; i >= 0; i--) {
-    if (isFinite(filled[i])) next = filled[i];
-    else if (next !== null) filled[i] = next;
+  let coursePoints = [];
+  if (isStreamedGpx(content)) {
+    coursePoints = content.waypoints;
+  } else if (isFitData(content)) {
+    coursePoints = parseFitCoursePoints(content);
+  } else if (!isZipData(content)) {
+    const text = typeof content === "string" ? content : new TextDecoder("utf-8").decode(content);
+    const format = detectTrackFormat(text);
+    if (format === "gpx") coursePoints = parseGpxWaypoints(text);
+    else if (format === "tcx") coursePoints = parseTcxCoursePoints(text);
   }
-  
-  return filled.map(v => (isFinite(v) ? v : 0));
+  return { totalDistanceKm: totalDistanceM / 1000, coursePoints: locateCoursePoints(points, coursePoints, 250, cumulativeDistances) };
 }
 
-function resamplePoints(points, cumulativeDistances, stepM) {
-  const total = cumulativeDistances[cumulativeDistances.length - 1];
-  const targets = [];
-  for (let d = 0; d < total; d += stepM) {
-    targets.push(d);
-  }
-  targets.push(total);
-  
-  const resampled = [];
-  let j = 1;
-  
-  for (let i = 0; i < targets.length; i++) {
-    const target = targets[i];
-    while (j < cumulativeDistances.length && cumulativeDistances[j] < target) {
-      j++;
-    }
-    if (j >= cumulativeDistances.length) j = cumulativeDistances.length - 1;
-    
-    const d0 = cumulativeDistances[j - 1];
-    const d1 = cumulativeDistances[j];
-    const t = d1 === d0 ? 0 : (target - d0) / (d1 - d0);
-    
-    const p0 = points[j - 1];
-    const p1 = points[j];
-    
-    const lat = p0.lat + (p1.lat - p0.lat) * t;
-    const lon = p0.lon + (p1.lon - p0.lon) * t;
-    const ele = p0.ele + (p1.ele - p0.ele) * t;
-    
-    resampled.push({ 
-      index: i, 
-      distanceM: target, 
-      lat, 
-      lon, 
-      ele 
-    });
-  }
-  
-  return resampled;
+/**
+ * Indique si le contenu est un GPX déjà lu en flux ({tracks, waypoints}) plutôt que des octets
+ */
+function isStreamedGpx(content) {
+  return content !== null && typeof content === "object" && Array.isArray(content.tracks);
 }
 
 // ==================== CALCUL PRINCIPAL ====================
 
-function calculateMovingTimeForVflat(segments, vFlatKmh, profile, prudence) {
-  let totalTime = 0;
-  
-  for (const seg of segments) {
-    const distKm = seg.lengthM / 1000;
-    const speed = calculateSpeedForSlope(seg.slopePct, vFlatKmh, profile, prudence);
-    
-    if (!isFinite(speed) || speed <= 0) {
-      return Infinity;
-    }
-    
-    totalTime += (distKm / speed) * 3600;
+/**
+ * Calcule le plan d'allure d'un fichier de trace (calcul délégué au moteur partagé pacing-engine.js)
+ * @param {Object} options - Options du moteur (voir calculatePacing de pacing-engine.js : targetTime, profile,
+ *   checkpoints, rests, segmentation, altitude, distances, nettoyage, fatigue, heure, chaleur, vent…), plus :
+ * @param {string|Uint8Array|{tracks: Array<Object>}} options.fileContent - Contenu du fichier (ou GPX lu en flux)
+ * @param {string|null} [options.track=null] - Trace GPX choisie (nom ou numéro)
+ * @param {Array<{name: string, bytes: Uint8Array}>} [options.demFiles=[]] - Tuiles MNT choisies (.hgt, .hgt.zip, GeoTIFF) ;
+ *   seules celles qui couvrent la trace sont décodées
+ * @returns {Object} Résultats du moteur, input.track en plus
+ */
+function calculatePacing(options) {
+  const { fileContent, track = null, demFiles = [], ...engineOptions } = options;
+  const points = parseTrackFile(fileContent, track);
+  
+  // MNT : seules les tuiles qui couvrent la trace sont décodées
+  if (demFiles.length > 0) {
+    const bounds = trackBounds(points);
+    const names = selectDemFiles(demFiles.map(f => f.name), bounds);
+    const tiles = demFiles
+      .filter(f => names.includes(f.name))
+      .map(f => readDemTile(f.name, f.bytes, bounds))
+      .filter(Boolean);
+    if (tiles.length === 0) throw new Error("Aucune des tuiles MNT choisies ne couvre la trace");
+    engineOptions.dem = createDemSampler(tiles);
   }
   
-  return totalTime;
+  const results = runPacingEngine({ ...engineOptions, points });
+  results.input.track = track;
+  return results;
 }
 
-function findVflatForTargetTime(segments, targetMovingTimeSec, profile, prudence, vMin = 3, vMax = 25, iterations = 40) {
-  let lo = vMin;
-  let hi = vMax;
-  
-  for (let i = 0; i < iterations; i++) {
-    const mid = (lo + hi) / 2;
-    const timeMid = calculateMovingTimeForVflat(segments, mid, profile, prudence);
-    
-    if (timeMid > targetMovingTimeSec) {
-      lo = mid;
-    } else {
-      hi = mid;
-    }
-  }
-  
-  return (lo + hi) / 2;
-}
-
-function calculatePacing(xmlContent, targetTime, profile, prudence, checkpoints, restPeriods, segmentLengthM = 250, smoothingWindow = 9) {
-  // 1. Parsing des points GPX
-  const rawPoints = parseGpxFile(xmlContent);
-  
-  // 2. Calcul du D+ et D- total sur les points BRUTS
-  let dPlusTotal = 0;
-  let dMinusTotal = 0;
-  for (let i = 1; i < rawPoints.length; i++) {
-    const de = rawPoints[i].ele - rawPoints[i - 1].ele;
-    if (de > 0) dPlusTotal += de;
-    else if (de < 0) dMinusTotal += -de;
-  }
-  
-  // 3. Préparation de l'élévation pour le lissage
-  const eleRaw = rawPoints.map(p => p.ele);
-  const eleFilled = fillMissingElevation(eleRaw);
-  
-  // 4. Lissage de l'élévation
-  const eleSmoothed = smoothElevation(eleFilled, smoothingWindow);
-  const points = rawPoints.map((p, i) => ({ ...p, ele: eleSmoothed[i] }));
-  
-  // 5. Calcul des distances cumulatives
-  const cumulativeDistances = [0];
-  for (let i = 1; i < points.length; i++) {
-    const dist = haversineDistance(points[i - 1], points[i]);
-    cumulativeDistances.push(cumulativeDistances[i - 1] + dist);
-  }
-  
-  const totalDistanceM = cumulativeDistances[cumulativeDistances.length - 1];
-  const totalDistanceKm = totalDistanceM / 1000;
-  
-  // 6. Rééchantillonnage
-  const resampledPoints = resamplePoints(points, cumulativeDistances, segmentLengthM);
-  
-  // 7. Création des segments
-  const segments = [];
-  for (let i = 1; i < resampledPoints.length; i++) {
-    const a = resampledPoints[i - 1];
-    const b = resampledPoints[i];
-    const distM = b.distanceM - a.distanceM;
-    const deltaElev = b.ele - a.ele;
-    const slopePct = distM > 0 ? (deltaElev / distM) * 100 : 0;
-    
-    segments.push({
-      index: i - 1,
-      fromM: a.distanceM,
-      toM: b.distanceM,
-      lengthM: distM,
-      deltaElevM: deltaElev,
-      slopePct: slopePct
-    });
-  }
-  
-  // 8. Calcul du temps d'arrêt total
-  const checkpointStopSec = checkpoints.reduce((sum, cp) => sum + (cp[1] || 0) * 60, 0);
-  const restStopSec = (restPeriods[0] || 0) * (restPeriods[1] || 0) * 60;
-  const totalStopSec = checkpointStopSec + restStopSec;
-  
-  // 9. Calcul du temps de course cible
-  const targetTotalSec = parseTimeToSeconds(targetTime);
-  const targetMovingSec = targetTotalSec - totalStopSec;
-  
-  if (targetMovingSec <= 0) {
-    throw new Error("Le temps d'arrêt total dépasse le temps cible.");
-  }
-  
-  // 10. Recherche de la vitesse sur plat nécessaire
-  const vFlatKmh = findVflatForTargetTime(segments, targetMovingSec, profile, prudence);
-  const flatPace = speedToPace(vFlatKmh);
-  
-  // 11. Calcul détaillé pour chaque segment
-  const detailedSegments = segments.map(seg => {
-    const speed = calculateSpeedForSlope(seg.slopePct, vFlatKmh, profile, prudence);
-    const pace = speedToPace(speed);
-    const distKm = seg.lengthM / 1000;
-    const timeSec = (distKm / speed) * 3600;
-    
-    return {
-      ...seg,
-      speedKmh: speed,
-      pace: pace,
-      timeSec: Math.round(timeSec)
-    };
-  });
-  
-  // 12. Regroupement par kilomètre
-  const perKm = {};
-  for (const seg of detailedSegments) {
-    const kmIndex = Math.floor((seg.fromM + seg.toM) / 2 / 1000);
-    if (!perKm[kmIndex]) {
-      perKm[kmIndex] = {
-        km: kmIndex + 1,
-        segments: [],
-        totalLengthM: 0,
-        totalTimeSec: 0,
-        dPlusM: 0,
-        dMinusM: 0
-      };
-    }
-    
-    perKm[kmIndex].segments.push(seg);
-    perKm[kmIndex].totalLengthM += seg.lengthM;
-    perKm[kmIndex].totalTimeSec += seg.timeSec;
-    if (seg.deltaElevM > 0) {
-      perKm[kmIndex].dPlusM += seg.deltaElevM;
-    } else {
-      perKm[kmIndex].dMinusM += -seg.deltaElevM;
-    }
-  }
-  
-  const perKmArray = Object.values(perKm).map(km => {
-    const distKm = km.totalLengthM / 1000;
-    const avgSpeed = distKm > 0 ? (distKm / (km.totalTimeSec / 3600)) : 0;
-    // Calculer le pourcentage de pente moyen pondéré par la distance
-    const avgSlopePct = distKm > 0 ? km.segments.reduce((sum, seg) => {
-      const segDistKm = seg.lengthM / 1000;
-      return sum + (seg.slopePct * segDistKm);
-    }, 0) / distKm : 0;
-    return {
-      km: km.km,
-      distanceKm: distKm,
-      timeSec: Math.round(km.totalTimeSec),
-      time: formatTime(km.totalTimeSec),
-      avgSpeedKmh: avgSpeed,
-      avgPace: speedToPace(avgSpeed),
-      avgSlopePct: avgSlopePct,
-      dPlusM: Math.round(km.dPlusM),
-      dMinusM: Math.round(km.dMinusM)
-    };
-  });
-  
-  // 13. Calcul des distances cumulatives pour les points bruts
-  const cumulativeDistancesRaw = [0];
-  for (let i = 1; i < rawPoints.length; i++) {
-    const dist = haversineDistance(rawPoints[i - 1], rawPoints[i]);
-    cumulativeDistancesRaw.push(cumulativeDistancesRaw[i - 1] + dist);
-  }
-  
-  // 14. Création des étapes
-  const boundariesKm = [0, ...checkpoints.map(cp => cp[0]), totalDistanceKm].sort((a, b) => a - b);
-  const uniqueBoundaries = [];
-  for (const b of boundariesKm) {
-    if (uniqueBoundaries.length === 0 || Math.abs(uniqueBoundaries[uniqueBoundaries.length - 1] - b) > 0.001) {
-      uniqueBoundaries.push(b);
-    }
-  }
-  
-  const steps = [];
-  for (let i = 0; i < uniqueBoundaries.length - 1; i++) {
-    const fromKm = uniqueBoundaries[i];
-    const toKm = uniqueBoundaries[i + 1];
-    const fromM = fromKm * 1000;
-    const toM = toKm * 1000;
-    
-    // Trouver les points bruts dans cette étape
-    const stepPointIndices = [];
-    for (let j = 0; j < rawPoints.length; j++) {
-      const cumDistKm = cumulativeDistancesRaw[j] / 1000;
-      if (cumDistKm >= fromKm && cumDistKm <= toKm) {
-        stepPointIndices.push(j);
-      }
-    }
-    
-    // Calculer le D+ et D- sur les points bruts
-    let stepDPlus = 0;
-    let stepDMinus = 0;
-    if (stepPointIndices.length >= 2) {
-      for (let j = 1; j < stepPointIndices.length; j++) {
-        const prevIdx = stepPointIndices[j - 1];
-        const currIdx = stepPointIndices[j];
-        const de = rawPoints[currIdx].ele - rawPoints[prevIdx].ele;
-        if (de > 0) stepDPlus += de;
-        else if (de < 0) stepDMinus += -de;
-      }
-    }
-    
-    // Trouver les segments rééchantillonnés
-    const stepSegments = detailedSegments.filter(s => {
-      const mid = (s.fromM + s.toM) / 2;
-      return mid >= fromM && mid < toM;
-    });
-    
-    const stepLengthM = stepSegments.reduce((sum, s) => sum + s.lengthM, 0);
-    const stepMovingSec = stepSegments.reduce((sum, s) => sum + s.timeSec, 0);
-    
-    const checkpoint = checkpoints.find(cp => Math.abs(cp[0] - toKm) < 0.1);
-    const stopSec = checkpoint ? (checkpoint[1] || 0) * 60 : 0;
-    
-    const stepDistKm = stepLengthM / 1000;
-    const stepAvgSpeed = stepDistKm > 0 ? (stepDistKm / (stepMovingSec / 3600)) : 0;
-    
-    // Calcul de l'allure moyenne d'effort pour cette étape
-    // Formule : distance d'effort = distance + (D+ / 100) en km
-    const stepEffortDistanceKm = stepDistKm + (stepDPlus / 100);
-    const stepTotalSec = stepMovingSec + stopSec;
-    const stepAvgEffortPaceMinPerKm = stepEffortDistanceKm > 0 ? (stepTotalSec / 60) / stepEffortDistanceKm : 0;
-    const stepAvgEffortPace = formatPaceFromMinutes(stepAvgEffortPaceMinPerKm);
-    
-    steps.push({
-      index: i + 1,
-      fromKm: fromKm,
-      toKm: toKm,
-      distanceKm: stepDistKm,
-      dPlusM: Math.round(stepDPlus),
-      dMinusM: Math.round(stepDMinus),
-      movingSec: Math.round(stepMovingSec),
-      moving: formatTime(stepMovingSec),
-      stopSec: stopSec,
-      stop: formatTime(stopSec),
-      totalSec: Math.round(stepMovingSec + stopSec),
-      total: formatTime(stepMovingSec + stopSec),
-      avgSpeedKmh: stepAvgSpeed,
-      avgPace: speedToPace(stepAvgSpeed),
-      avgEffortPace: stepAvgEffortPace,
-      effortDistanceKm: stepEffortDistanceKm
-    });
-  }
-  
-  // 15. Résultats finaux
-  const computedMovingSec = detailedSegments.reduce((sum, s) => sum + s.timeSec, 0);
-  const computedTotalSec = computedMovingSec + totalStopSec;
-  
-  const dPlusTotalFromSteps = steps.reduce((sum, s) => sum + s.dPlusM, 0);
-  const dMinusTotalFromSteps = steps.reduce((sum, s) => sum + s.dMinusM, 0);
-  
-  // 16. Calcul de l'allure moyenne (basée sur le temps total et la distance)
-  // Allure moyenne = temps total / distance totale
-  const avgPaceMinPerKm = totalDistanceKm > 0 ? (targetTotalSec / 60) / totalDistanceKm : 0;
-  const avgPace = formatPaceFromMinutes(avgPaceMinPerKm);
-  
-  // 17. Calcul de l'allure moyenne d'effort (prend en compte le dénivelé)
-  // Formule : distance d'effort = distance + (D+ / 100) en km
-  // 100m de D+ = 1km d'effort supplémentaire
-  const effortDistanceKm = totalDistanceKm + (dPlusTotalFromSteps / 100);
-  const avgEffortPaceMinPerKm = effortDistanceKm > 0 ? (targetTotalSec / 60) / effortDistanceKm : 0;
-  const avgEffortPace = formatPaceFromMinutes(avgEffortPaceMinPerKm);
-  
-  return {
-    input: {
-      targetTime: targetTime,
-      targetTotalSec: targetTotalSec,
-      profile: profile,
-      prudence: prudence,
-      checkpoints: checkpoints.map(cp => ({ km: cp[0], stopMinutes: cp[1] })),
-      restPeriods: { count: restPeriods[0], minutesEach: restPeriods[1] }
-    },
-    totals: {
-      totalDistanceKm: totalDistanceKm,
-      dPlusM: Math.round(dPlusTotalFromSteps),
-      dMinusM: Math.round(dMinusTotalFromSteps),
-      dPlusMAllPoints: Math.round(dPlusTotal),
-      dMinusMAllPoints: Math.round(dMinusTotal),
-      targetTotal: formatTime(targetTotalSec),
-      stopTime: formatTime(totalStopSec),
-      movingTarget: formatTime(targetMovingSec),
-      computedMoving: formatTime(computedMovingSec),
-      computedTotal: formatTime(computedTotalSec),
-      avgPace: avgPace,
-      avgEffortPace: avgEffortPace,
-      effortDistanceKm: effortDistanceKm
-    },
-    calibration: {
-      vFlatKmh: vFlatKmh,
-      flatPace: flatPace
-    },
-    steps: steps,
-    perKm: perKmArray,
-    per250m: detailedSegments.map(seg => ({
-      fromM: seg.fromM,
-      toM: seg.toM,
-      fromKm: seg.fromM / 1000,
-      toKm: seg.toM / 1000,
-      lengthM: seg.lengthM,
-      lengthKm: seg.lengthM / 1000,
-      deltaElevM: seg.deltaElevM,
-      slopePct: seg.slopePct,
-      speedKmh: seg.speedKmh,
-      pace: seg.pace,
-      timeSec: seg.timeSec,
-      time: formatTime(seg.timeSec)
-    }))
-  };
-}
 
 // ==================== GESTION DES CONFIGURATIONS SAUVEGARDÉES ====================
 
@@ -698,8 +198,9 @@ function getCurrentFormData() {
   checkpointItems.forEach(item => {
     const km = parseFloat(item.querySelector('.checkpoint-km').value);
     const stop = parseFloat(item.querySelector('.checkpoint-stop').value);
+    const name = item.querySelector('.checkpoint-name').value.trim();
     if (!isNaN(km) && km > 0) {
-      checkpoints.push([km, stop || 0]);
+      checkpoints.push([km, stop || 0, name]);
     }
   });
   
@@ -707,9 +208,38 @@ function getCurrentFormData() {
     targetTime: document.getElementById('targetTime').value,
     profile: document.getElementById('profile').value,
     prudence: parseFloat(document.getElementById('prudence').value),
+    slopeModel: document.getElementById('slopeModel').value,
+    customProfile: document.getElementById('customProfile').value,
+    fatigueModel: document.getElementById('fatigueModel').value,
+    fatigueRatePct: parseFloat(document.getElementById('fatigueRatePct').value),
+    altitudePenaltyPctPer1000M: parseFloat(document.getElementById('altitudePenaltyPctPer1000M').value) || 0,
+    altitudeThresholdM: parseFloat(document.getElementById('altitudeThresholdM').value),
+    altitudeAcclimatizationPct: parseFloat(document.getElementById('altitudeAcclimatizationPct').value) || 0,
     checkpoints: checkpoints,
     restCount: parseInt(document.getElementById('restCount').value) || 0,
-    restMinutes: parseInt(document.getElementById('restMinutes').value) || 0
+    restMinutes: parseInt(document.getElementById('restMinutes').value) || 0,
+    startTime: document.getElementById('startTime').value,
+    timeZone: document.getElementById('timeZone').value.trim(),
+    nightSlowdownPct: parseFloat(document.getElementById('nightSlowdownPct').value),
+    heatThresholdC: parseFloat(document.getElementById('heatThresholdC').value),
+    heatSlowdownPctPerDeg: parseFloat(document.getElementById('heatSlowdownPctPerDeg').value),
+    windSpeedKmh: parseFloat(document.getElementById('windSpeedKmh').value) || 0,
+    windFromDeg: document.getElementById('windFromDeg').value.trim(),
+    elevationSource: document.getElementById('elevationSource').value,
+    demBlendWeight: parseFloat(document.getElementById('demBlendWeight').value),
+    smoothingMethod: document.getElementById('smoothingMethod').value,
+    smoothingWindowM: parseFloat(document.getElementById('smoothingWindowM').value),
+    climbMethod: document.getElementById('climbMethod').value,
+    climbThresholdM: parseFloat(document.getElementById('climbThresholdM').value) || 0,
+    officialDPlusM: parseFloat(document.getElementById('officialDPlusM').value) || null,
+    segmentationMode: document.getElementById('segmentationMode').value,
+    segmentMinM: parseFloat(document.getElementById('segmentMinM').value),
+    segmentMaxM: parseFloat(document.getElementById('segmentMaxM').value),
+    segmentSlopeChangePct: parseFloat(document.getElementById('segmentSlopeChangePct').value),
+    distanceMethod: document.getElementById('distanceMethod').value,
+    distance3d: document.getElementById('distance3d').checked,
+    officialDistanceKm: parseFloat(document.getElementById('officialDistanceKm').value) || null,
+    ...readCleanupOptions()
   };
 }
 
@@ -717,8 +247,43 @@ function loadFormData(config) {
   document.getElementById('targetTime').value = config.targetTime || '18:00:00';
   document.getElementById('profile').value = config.profile || 'trained';
   document.getElementById('prudence').value = config.prudence || 0.5;
+  document.getElementById('slopeModel').value = config.slopeModel || 'rules';
+  document.getElementById('customProfile').value = config.customProfile || '';
+  document.getElementById('fatigueModel').value = config.fatigueModel || 'none';
+  document.getElementById('fatigueRatePct').value = Number.isFinite(config.fatigueRatePct) ? config.fatigueRatePct : '';
+  document.getElementById('altitudePenaltyPctPer1000M').value = config.altitudePenaltyPctPer1000M || 0;
+  document.getElementById('altitudeThresholdM').value = Number.isFinite(config.altitudeThresholdM)
+    ? config.altitudeThresholdM : ALTITUDE_DEFAULTS.thresholdM;
+  document.getElementById('altitudeAcclimatizationPct').value = config.altitudeAcclimatizationPct || 0;
   document.getElementById('restCount').value = config.restCount || 0;
   document.getElementById('restMinutes').value = config.restMinutes || 0;
+  document.getElementById('startTime').value = config.startTime || '';
+  document.getElementById('timeZone').value = config.timeZone || browserTimeZone();
+  document.getElementById('nightSlowdownPct').value = Number.isFinite(config.nightSlowdownPct) ? config.nightSlowdownPct : 15;
+  document.getElementById('heatThresholdC').value = Number.isFinite(config.heatThresholdC) ? config.heatThresholdC : HEAT_DEFAULTS.thresholdC;
+  document.getElementById('heatSlowdownPctPerDeg').value = Number.isFinite(config.heatSlowdownPctPerDeg)
+    ? config.heatSlowdownPctPerDeg : HEAT_DEFAULTS.slowdownPctPerDeg;
+  document.getElementById('windSpeedKmh').value = config.windSpeedKmh || 0;
+  document.getElementById('windFromDeg').value = config.windFromDeg || '270';
+  document.getElementById('elevationSource').value = config.elevationSource || 'gpx';
+  document.getElementById('demBlendWeight').value = config.demBlendWeight ?? 0.5;
+  document.getElementById('smoothingMethod').value = config.smoothingMethod || 'moving-average';
+  document.getElementById('smoothingWindowM').value = config.smoothingWindowM || 200;
+  document.getElementById('climbMethod').value = config.climbMethod || 'smoothed';
+  document.getElementById('climbThresholdM').value = config.climbThresholdM || 0;
+  document.getElementById('officialDPlusM').value = config.officialDPlusM || '';
+  document.getElementById('segmentationMode').value = config.segmentationMode || 'fixed';
+  document.getElementById('segmentMinM').value = config.segmentMinM || 50;
+  document.getElementById('segmentMaxM').value = config.segmentMaxM || 500;
+  document.getElementById('segmentSlopeChangePct').value = config.segmentSlopeChangePct || 3;
+  document.getElementById('distanceMethod').value = config.distanceMethod || 'haversine';
+  document.getElementById('distance3d').checked = Boolean(config.distance3d);
+  document.getElementById('officialDistanceKm').value = config.officialDistanceKm || '';
+  document.getElementById('cleanupTrack').checked = Boolean(config.cleanupTrack);
+  document.getElementById('cleanupMaxSpeedKmh').value = config.cleanupMaxSpeedKmh || CLEANUP_DEFAULTS.maxSpeedKmh;
+  document.getElementById('cleanupMaxAccelMs2').value = config.cleanupMaxAccelMs2 || CLEANUP_DEFAULTS.maxAccelMs2;
+  document.getElementById('cleanupStationaryRadiusM').value = config.cleanupStationaryRadiusM || CLEANUP_DEFAULTS.stationaryRadiusM;
+  document.getElementById('cleanupStationaryMinSec').value = config.cleanupStationaryMinSec || CLEANUP_DEFAULTS.stationaryMinSec;
   
   // Charger les checkpoints
   const container = document.getElementById('checkpointsContainer');
@@ -726,21 +291,23 @@ function loadFormData(config) {
   
   if (config.checkpoints && config.checkpoints.length > 0) {
     config.checkpoints.forEach(cp => {
-      addCheckpointItem(container, cp[0], cp[1]);
+      addCheckpointItem(container, cp[0], cp[1], cp[2] || '');
     });
   } else {
     addCheckpointItem(container);
   }
 }
 
-function addCheckpointItem(container, km = '', stop = '') {
+function addCheckpointItem(container, km = '', stop = '', name = '') {
   const checkpointItem = document.createElement('div');
   checkpointItem.className = 'checkpoint-item';
   checkpointItem.innerHTML = `
+    <input type="text" class="checkpoint-name" placeholder="Nom (optionnel)">
     <input type="number" class="checkpoint-km" placeholder="Kilomètre" step="0.1" min="0" value="${km}">
     <input type="number" class="checkpoint-stop" placeholder="Arrêt (minutes)" step="1" min="0" value="${stop}">
     <button type="button" class="btn btn-secondary remove-checkpoint">Supprimer</button>
   `;
+  checkpointItem.querySelector('.checkpoint-name').value = name;
   container.appendChild(checkpointItem);
   
   checkpointItem.querySelector('.remove-checkpoint').addEventListener('click', () => {
@@ -774,7 +341,7 @@ function renderSavedConfigurations() {
         <h3>${config.name}</h3>
         <div class="config-info">
           <div>Temps: ${config.config.targetTime}</div>
-          <div>Profil: ${config.config.profile === 'trained' ? 'Entraîné' : 'Standard'}</div>
+          <div>Profil: ${config.config.profile === 'custom' ? 'Personnalisé' : profileLabel(config.config.profile)}</div>
           <div>Points de passage: ${checkpointsCount}</div>
           <div style="font-size: 0.85em; color: #999; margin-top: 5px;">${dateStr}</div>
         </div>
@@ -812,17 +379,140 @@ function renderSavedConfigurations() {
 
 // ==================== INTERFACE UTILISATEUR ====================
 
+/**
+ * Profil choisi dans le formulaire : nom d'un profil intégré, ou profil personnalisé du champ JSON
+ * @throws {Error} Si le JSON est illisible ou invalide (message de slope-profiles.js)
+ */
+function readProfile() {
+  const profile = document.getElementById('profile').value;
+  if (profile !== 'custom') return profile;
+  const text = document.getElementById('customProfile').value.trim();
+  if (!text) throw new Error('Profil personnalisé vide : saisissez ou chargez un profil JSON');
+  const profiles = parseSlopeProfiles(text);
+  if (profiles.length > 1) {
+    throw new Error(`Un seul profil attendu dans le champ JSON (trouvés : ${profiles.map(p => p.name).join(', ')})`);
+  }
+  return profiles[0];
+}
+
+/**
+ * Nettoyage de la trace choisi dans le formulaire (seuils vides ou invalides : valeurs par défaut de track-cleanup.js)
+ * @returns {{cleanupTrack: boolean, cleanupMaxSpeedKmh: number, cleanupMaxAccelMs2: number,
+ *   cleanupStationaryRadiusM: number, cleanupStationaryMinSec: number}} Options du moteur
+ */
+function readCleanupOptions() {
+  const value = (id, fallback) => parseFloat(document.getElementById(id).value) || fallback;
+  return {
+    cleanupTrack: document.getElementById('cleanupTrack').checked,
+    cleanupMaxSpeedKmh: value('cleanupMaxSpeedKmh', CLEANUP_DEFAULTS.maxSpeedKmh),
+    cleanupMaxAccelMs2: value('cleanupMaxAccelMs2', CLEANUP_DEFAULTS.maxAccelMs2),
+    cleanupStationaryRadiusM: value('cleanupStationaryRadiusM', CLEANUP_DEFAULTS.stationaryRadiusM),
+    cleanupStationaryMinSec: value('cleanupStationaryMinSec', CLEANUP_DEFAULTS.stationaryMinSec)
+  };
+}
+
+/**
+ * Fuseau horaire du navigateur (fuseau par défaut de l'heure de départ)
+ */
+function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Heure de départ et nuit choisies dans le formulaire
+ * @returns {{startTime?: string, timeZone?: string, nightSlowdownPct?: number}} Options du moteur ; {} = pas d'heure de départ
+ */
+function readClockOptions() {
+  const startTime = document.getElementById('startTime').value;
+  if (!startTime) return {};
+  const slowdown = parseFloat(document.getElementById('nightSlowdownPct').value);
+  return {
+    startTime,
+    timeZone: document.getElementById('timeZone').value.trim() || browserTimeZone(),
+    nightSlowdownPct: Number.isFinite(slowdown) ? slowdown : 15
+  };
+}
+
+/**
+ * Conditions horaires choisies dans le formulaire (fichier JSON ou CSV lu à chaque calcul)
+ * @returns {Promise<{heatConditions?: Object, heatThresholdC?: number, heatSlowdownPctPerDeg?: number}>} Options du moteur ;
+ *   {} = sans fichier
+ */
+async function readHeatOptions() {
+  const file = document.getElementById('heatFile').files[0];
+  if (!file) return {};
+  const threshold = parseFloat(document.getElementById('heatThresholdC').value);
+  const rate = parseFloat(document.getElementById('heatSlowdownPctPerDeg').value);
+  return {
+    heatConditions: parseHourlyConditions(await file.text()),
+    heatThresholdC: Number.isFinite(threshold) ? threshold : HEAT_DEFAULTS.thresholdC,
+    heatSlowdownPctPerDeg: Number.isFinite(rate) ? rate : HEAT_DEFAULTS.slowdownPctPerDeg
+  };
+}
+
+/**
+ * Vent choisi dans le formulaire : fichier horaire, sinon vent constant
+ * @returns {Promise<{wind: Object|null}>} Options du moteur ; wind = null : sans vent
+ */
+async function readWindOptions() {
+  const file = document.getElementById('windFile').files[0];
+  if (file) return { wind: parseWindConditions(await file.text()) };
+  const speedKmh = parseFloat(document.getElementById('windSpeedKmh').value);
+  if (!(speedKmh > 0)) return { wind: null };
+  return { wind: validateWind({ speedKmh, fromDeg: document.getElementById('windFromDeg').value.trim() }) };
+}
+
+/**
+ * Baisse de vitesse en altitude choisie dans le formulaire
+ * @returns {{altitudeThresholdM?: number, altitudePenaltyPctPer1000M?: number, altitudeAcclimatizationPct?: number}}
+ *   Options du moteur ; {} = sans effet de l'altitude
+ */
+function readAltitudeOptions() {
+  const penaltyPctPer1000M = parseFloat(document.getElementById('altitudePenaltyPctPer1000M').value);
+  if (!(penaltyPctPer1000M > 0)) return {};
+  const thresholdM = parseFloat(document.getElementById('altitudeThresholdM').value);
+  return {
+    altitudeThresholdM: Number.isFinite(thresholdM) ? thresholdM : ALTITUDE_DEFAULTS.thresholdM,
+    altitudePenaltyPctPer1000M: penaltyPctPer1000M,
+    altitudeAcclimatizationPct: parseFloat(document.getElementById('altitudeAcclimatizationPct').value) || 0
+  };
+}
+
+/**
+ * Calcul des distances choisi dans le formulaire
+ * @returns {{distanceMethod: string, distance3d: boolean, officialDistanceKm: number|null}} Options du moteur
+ */
+function readDistanceOptions() {
+  return {
+    distanceMethod: document.getElementById('distanceMethod').value,
+    distance3d: document.getElementById('distance3d').checked,
+    officialDistanceKm: parseFloat(document.getElementById('officialDistanceKm').value) || null
+  };
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('calculatorForm');
   const gpxFileInput = document.getElementById('gpxFile');
+  const trackPickerGroup = document.getElementById('trackPickerGroup');
+  const trackSelect = document.getElementById('trackSelect');
   const addCheckpointBtn = document.getElementById('addCheckpoint');
+  const importCoursePointsBtn = document.getElementById('importCoursePoints');
   const checkpointsContainer = document.getElementById('checkpointsContainer');
   const resultsDiv = document.getElementById('results');
   const errorDiv = document.getElementById('errorMessage');
   const loadingDiv = document.getElementById('loading');
+  
+  // Avancement de la lecture en flux d'un GPX volumineux
+  const showReadProgress = ({ ratio, points }) => {
+    loadingDiv.style.display = 'block';
+    loadingDiv.textContent = `Lecture du GPX : ${Math.floor((ratio || 0) * 100)} % (${points} points)`;
+  };
   const saveConfigBtn = document.getElementById('saveConfigBtn');
   const configNameInput = document.getElementById('configName');
   
+  // Fuseau de l'heure de départ : celui du navigateur tant qu'aucun n'est saisi
+  document.getElementById('timeZone').value = browserTimeZone();
+  
   // Charger et afficher les configurations sauvegardées
   renderSavedConfigurations();
 
@@ -862,11 +552,73 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  // Profil personnalisé chargé depuis un fichier JSON
+  document.getElementById('profileFile').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    document.getElementById('customProfile').value = await file.text();
+    document.getElementById('profile').value = 'custom';
+  });
+  
+  // Lister les traces et routes du GPX choisi pour proposer un choix
+  gpxFileInput.addEventListener('change', async () => {
+    trackSelect.innerHTML = '';
+    trackPickerGroup.style.display = 'none';
+    
+    const file = gpxFileInput.files[0];
+    if (!file) return;
+    
+    try {
+      const content = await readTrackInput(file, showReadProgress);
+      if (!isStreamedGpx(content)) return;
+      
+      const tracks = content.tracks;
+      if (tracks.length < 2) return;
+      // Noms venant du fichier : options construites sans HTML
+      tracks.forEach(t => trackSelect.add(new Option(describeGpxTrack(t), String(t.index))));
+      trackPickerGroup.style.display = 'block';
+    } catch (error) {
+      // Fichier illisible : l'erreur sera affichée au moment du calcul
+    } finally {
+      loadingDiv.style.display = 'none';
+    }
+  });
+  
   // Ajouter un point de passage
   addCheckpointBtn.addEventListener('click', () => {
     addCheckpointItem(checkpointsContainer);
   });
 
+  // Importer les waypoints / points de parcours du fichier comme points de passage nommés
+  importCoursePointsBtn.addEventListener('click', async () => {
+    const file = gpxFileInput.files[0];
+    if (!file) {
+      alert('Veuillez d\'abord sélectionner un fichier de trace');
+      return;
+    }
+    
+    try {
+      const content = await readTrackInput(file, showReadProgress);
+      loadingDiv.style.display = 'none';
+      const trackSelector = trackPickerGroup.style.display === 'none' ? null : trackSelect.value;
+      const { totalDistanceKm, coursePoints } = locateFileCoursePoints(content, trackSelector, { ...readDistanceOptions(), ...readCleanupOptions() });
+      // Départ et arrivée ne sont pas des points de passage
+      const onTrack = coursePoints.filter(cp => cp.km !== null && cp.km >= 0.1 && cp.km <= totalDistanceKm - 0.1);
+      if (onTrack.length === 0) {
+        alert('Aucun point de passage nommé trouvé sur la trace');
+        return;
+      }
+      
+      checkpointsContainer.innerHTML = '';
+      onTrack.forEach(cp => {
+        addCheckpointItem(checkpointsContainer, Math.round(cp.km * 10) / 10, '', cp.name);
+      });
+    } catch (error) {
+      loadingDiv.style.display = 'none';
+      alert(`Erreur lors de la lecture des points de passage: ${error.message}`);
+    }
+  });
+
   // Supprimer les points de passage existants
   checkpointsContainer.addEventListener('click', (e) => {
     if (e.target.classList.contains('remove-checkpoint')) {
@@ -889,18 +641,19 @@ document.addEventListener('DOMContentLoaded', () => {
     loadingDiv.style.display = 'block';
     
     try {
-      // Lire le fichier GPX
+      // Lire le fichier de trace
       const file = gpxFileInput.files[0];
       if (!file) {
-        throw new Error('Veuillez sélectionner un fichier GPX');
+        throw new Error('Veuillez sélectionner un fichier de trace (GPX, TCX, FIT, KML/KMZ ou GeoJSON)');
       }
       
-      const xmlContent = await readFileAsText(file);
+      const fileContent = await readTrackInput(file, showReadProgress);
+      loadingDiv.textContent = 'Calcul en cours...';
+      // Laisser le navigateur afficher le message avant le calcul (synchrone)
+      await new Promise(resolve => setTimeout(resolve, 0));
       
       // Récupérer les paramètres
-      const targetTime = document.getElementById('targetTime').value.trim();
-      const profile = document.getElementById('profile').value;
-      const prudence = parseFloat(document.getElementById('prudence').value);
+      const fatigueRate = parseFloat(document.getElementById('fatigueRatePct').value);
       
       // Récupérer les checkpoints
       const checkpointItems = checkpointsContainer.querySelectorAll('.checkpoint-item');
@@ -908,19 +661,56 @@ document.addEventListener('DOMContentLoaded', () => {
       checkpointItems.forEach(item => {
         const km = parseFloat(item.querySelector('.checkpoint-km').value);
         const stop = parseFloat(item.querySelector('.checkpoint-stop').value);
+        const name = item.querySelector('.checkpoint-name').value.trim();
         if (!isNaN(km) && km > 0) {
-          checkpoints.push([km, stop || 0]);
+          checkpoints.push({ km, stopMinutes: stop || 0, name: name || null });
         }
       });
-      checkpoints.sort((a, b) => a[0] - b[0]);
+      checkpoints.sort((a, b) => a.km - b.km);
       
-      // Récupérer les repos
-      const restCount = parseInt(document.getElementById('restCount').value) || 0;
-      const restMinutes = parseInt(document.getElementById('restMinutes').value) || 0;
-      const restPeriods = [restCount, restMinutes];
+      // Tuiles MNT choisies (altitude "dem" ou "blend")
+      const demFiles = [];
+      for (const demFile of document.getElementById('demFiles').files) {
+        demFiles.push({ name: demFile.name, bytes: await readFileAsBytes(demFile) });
+      }
       
-      // Calculer
-      const results = calculatePacing(xmlContent, targetTime, profile, prudence, checkpoints, restPeriods);
+      // Calculer : options du moteur (pacing-engine.js), valeurs par défaut pour les champs non exposés
+      const results = calculatePacing({
+        fileContent,
+        // Trace / route choisie (GPX à plusieurs traces)
+        track: trackPickerGroup.style.display === 'none' ? null : trackSelect.value,
+        demFiles,
+        targetTime: document.getElementById('targetTime').value.trim(),
+        profile: readProfile(),
+        prudence: parseFloat(document.getElementById('prudence').value),
+        slopeModel: document.getElementById('slopeModel').value,
+        fatigueModel: document.getElementById('fatigueModel').value,
+        fatigueRatePct: Number.isFinite(fatigueRate) ? fatigueRate : null,
+        checkpoints,
+        rests: {
+          count: parseInt(document.getElementById('restCount').value) || 0,
+          minutesEach: parseInt(document.getElementById('restMinutes').value) || 0
+        },
+        // Altitude : trace, MNT ou mélange, lissage et calcul du D+
+        elevationSource: document.getElementById('elevationSource').value,
+        demBlendWeight: parseFloat(document.getElementById('demBlendWeight').value),
+        smoothingMethod: document.getElementById('smoothingMethod').value,
+        smoothingWindowM: parseFloat(document.getElementById('smoothingWindowM').value),
+        climbMethod: document.getElementById('climbMethod').value,
+        climbThresholdM: parseFloat(document.getElementById('climbThresholdM').value) || 0,
+        officialDPlusM: parseFloat(document.getElementById('officialDPlusM').value) || null,
+        // Découpage : segments de 250 m ou adaptés aux changements de pente
+        segmentationMode: document.getElementById('segmentationMode').value,
+        segmentMinM: parseFloat(document.getElementById('segmentMinM').value),
+        segmentMaxM: parseFloat(document.getElementById('segmentMaxM').value),
+        segmentSlopeChangePct: parseFloat(document.getElementById('segmentSlopeChangePct').value),
+        ...readDistanceOptions(),
+        ...readCleanupOptions(),
+        ...readClockOptions(),
+        ...await readHeatOptions(),
+        ...await readWindOptions(),
+        ...readAltitudeOptions()
+      });
       
       // Afficher les résultats
       displayResults(results);
@@ -935,15 +725,180 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 });
 
-function readFileAsText(file) {
+// Dernier fichier lu : la liste des traces, l'import des points et le calcul ne relisent pas le fichier
+let trackInputCache = { file: null, content: null };
+
+/**
+ * Lit le fichier de trace choisi
+ * Un GPX est lu en flux (File.stream()) : le texte n'est jamais chargé en entier et
+ * l'onglet reste réactif ; les autres formats sont lus en binaire.
+ * @param {File} file - Fichier choisi
+ * @param {Function} [onProgress] - Avancement de la lecture du GPX (voir readGpxStream)
+ * @returns {Promise<Uint8Array|{tracks: Array<Object>, waypoints: Array<Object>}>}
+ */
+async function readTrackInput(file, onProgress = null) {
+  if (trackInputCache.file === file) return trackInputCache.content;
+  
+  const head = await readFileAsBytes(file.slice(0, 64 * 1024));
+  const isGpx = !isFitData(head) && !isZipData(head) &&
+    detectTrackFormat(new TextDecoder('utf-8').decode(head)) === 'gpx';
+  const content = isGpx && typeof file.stream === 'function'
+    ? await readGpxStream(file.stream(), { totalBytes: file.size, onProgress })
+    : await readFileAsBytes(file);
+  
+  trackInputCache = { file, content };
+  return content;
+}
+
+/**
+ * Lit le fichier en binaire : le format (texte ou binaire FIT/KMZ) est détecté ensuite
+ */
+function readFileAsBytes(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    reader.onload = (e) => resolve(e.target.result);
+    reader.onload = (e) => resolve(new Uint8Array(e.target.result));
     reader.onerror = (e) => reject(new Error('Erreur lors de la lecture du fichier'));
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
   });
 }
 
+// Libellés des canaux capteurs (traces enregistrées)
+const SENSOR_LABELS = {
+  hr: { label: 'FC moyenne', unit: 'bpm' },
+  cad: { label: 'Cadence moyenne', unit: 'pas/min' },
+  atemp: { label: 'Température', unit: '°C' },
+  power: { label: 'Puissance moyenne', unit: 'W' }
+};
+
+/**
+ * Cases "temps enregistré" et moyennes des capteurs d'une étape (vide sans données enregistrées)
+ */
+function renderSensorItems(sensors) {
+  if (!sensors) return '';
+  const items = [];
+  if (sensors.recordedSec !== null) {
+    items.push(`<div class="total-item"><strong>Temps enregistré</strong><span>${formatTime(sensors.recordedSec)}</span></div>`);
+  }
+  for (const [channel, { label, unit }] of Object.entries(SENSOR_LABELS)) {
+    if (sensors[channel] === null) continue;
+    items.push(`<div class="total-item"><strong>${label}</strong><span>${sensors[channel]} ${unit}</span></div>`);
+  }
+  return items.join('');
+}
+
+const ELEVATION_SOURCE_LABELS = { gpx: 'Trace', dem: 'MNT', blend: 'Mélange' };
+
+/**
+ * Éléments de totaux comparant le D+ des sources d'altitude (quand un MNT est fourni)
+ */
+function renderElevationSourceItems(elevationSources) {
+  if (!elevationSources) return '';
+  return Object.entries(ELEVATION_SOURCE_LABELS).map(([source, label]) => {
+    const s = elevationSources[source];
+    const diff = source === 'gpx' ? '' : ` (${s.dPlusDiffM >= 0 ? '+' : ''}${s.dPlusDiffM} m)`;
+    return `<div class="total-item"><strong>D+ ${label}</strong><span>${s.dPlusM} m${diff}</span></div>`;
+  }).join('') + `<div class="total-item"><strong>Couverture MNT</strong><span>${elevationSources.demCoveragePct} %</span></div>`;
+}
+
+/**
+ * Élément de totaux du rapport de nettoyage de la trace
+ */
+function renderCleanupItem(cleanup) {
+  if (!cleanup) return '';
+  const r = cleanup.removed;
+  const total = r.duplicates + r.speed + r.acceleration + r.stationary;
+  const detail = cleanup.timed
+    ? `doublons ${r.duplicates}, sauts ${r.speed}, accélérations ${r.acceleration}, arrêts ${r.stationary} (${cleanup.stationaryClusters} zones)`
+    : `doublons ${r.duplicates}, trace sans horodatage`;
+  return `<div class="total-item"><strong>Nettoyage</strong><span>${total} points retirés sur ${cleanup.inputPoints} : ${detail}, ${cleanup.removedDistanceM} m en moins</span></div>`;
+}
+
+/**
+ * Élément de totaux comparant la longueur du parcours selon le calcul de distance
+ */
+function renderDistanceComparisonItem(totals) {
+  const km = x => x.toFixed(2);
+  const distances = totals.distanceComparison;
+  const measured = totals.distanceScale === 1 ? ''
+    : `<div class="total-item"><strong>Distance mesurée</strong><span>${km(totals.measuredDistanceKm)} km (échelle ×${totals.distanceScale})</span></div>`;
+  return measured + `<div class="total-item"><strong>Haversine / Vincenty</strong><span>${km(distances.haversineKm)} / ${km(distances.vincentyKm)} km (3D : ${km(distances.haversine3dKm)} / ${km(distances.vincenty3dKm)} km)</span></div>`;
+}
+
+/**
+ * Élément de totaux du seuil d'hystérésis calibré sur le D+ officiel
+ */
+function renderClimbThresholdItem(climbThreshold) {
+  if (!climbThreshold) return '';
+  const residual = `${climbThreshold.residualM >= 0 ? '+' : ''}${climbThreshold.residualM} m`;
+  return `<div class="total-item"><strong>Seuil D+ calibré</strong><span>${climbThreshold.thresholdM} m (D+ officiel ${climbThreshold.officialDPlusM} m, écart ${residual})</span></div>`;
+}
+
+/**
+ * Élément de totaux de l'écart à l'objectif, quand le temps cible est hors de portée
+ */
+function renderTargetGapItem(calibration) {
+  if (calibration.targetReached) return '';
+  const gap = calibration.targetGapSec;
+  return `<div class="total-item"><strong>Écart à l'objectif</strong><span>${gap > 0 ? '+' : '-'}${formatTime(Math.abs(gap))} (Vflat bornée, ou saut de temps de nuit, de chaleur ou de vent)</span></div>`;
+}
+
+/**
+ * Élément de totaux de la fatigue : taux et vitesse sur plat restante à l'arrivée
+ */
+function renderFatigueItem(results) {
+  if (!results.calibration.fatigue) return '';
+  const { ratePct, unit } = results.input.fatigue;
+  const { finalFactor, finalFlatKmh, finalFlatPace } = results.calibration.fatigue;
+  return `<div class="total-item"><strong>Fatigue à l'arrivée</strong><span>×${finalFactor.toFixed(3)} (${ratePct} ${unit}) : plat à ${finalFlatKmh.toFixed(2)} km/h, ${finalFlatPace}/km</span></div>`;
+}
+
+/**
+ * Élément de totaux de la nuit : temps couru de nuit, lever et coucher du soleil au départ
+ */
+function renderNightItem(results) {
+  if (!results.totals.night) return '';
+  const { startTime, timeZone, nightSlowdownPct } = results.input.clock;
+  const sun = results.totals.night.sun
+    .map(d => `${d.date.slice(5)} ☀ ${d.sunrise || '-'} → ${d.sunset || '-'}`)
+    .join(', ');
+  return `<div class="total-item"><strong>Départ</strong><span>${startTime.replace('T', ' ')} (${timeZone})</span></div>`
+    + `<div class="total-item"><strong>Temps de nuit</strong><span>${results.totals.night.moving} (-${nightSlowdownPct} %) ; ${sun}</span></div>`;
+}
+
+/**
+ * Élément de totaux de la chaleur : temps perdu et indice de chaleur maximal
+ */
+function renderHeatItem(results) {
+  if (!results.totals.heat) return '';
+  const { cost, maxHeatIndexC, uncoveredSegments } = results.totals.heat;
+  const { thresholdC, slowdownPctPerDeg } = results.input.heat;
+  const uncovered = uncoveredSegments > 0 ? ` ; ${uncoveredSegments} segments hors du fichier` : '';
+  return `<div class="total-item"><strong>Coût de la chaleur</strong><span>${cost} (indice max ${maxHeatIndexC ?? '-'} °C, -${slowdownPctPerDeg} %/°C au-delà de ${thresholdC} °C${uncovered})</span></div>`;
+}
+
+/**
+ * Élément de totaux du vent : vent choisi et temps perdu ou gagné
+ */
+function renderWindItem(results) {
+  if (!results.totals.wind) return '';
+  const { mode, speedKmh, fromDeg, hours } = results.input.wind;
+  const wind = mode === 'constant' ? `${speedKmh} km/h du ${fromDeg}°` : `horaire (${hours} heures)`;
+  const { cost, uncoveredSegments } = results.totals.wind;
+  const uncovered = uncoveredSegments > 0 ? ` ; ${uncoveredSegments} segments hors du fichier` : '';
+  return `<div class="total-item"><strong>Effet du vent</strong><span>${cost} (${wind}${uncovered})</span></div>`;
+}
+
+/**
+ * Élément de totaux de l'altitude : temps perdu et temps de course au-dessus du seuil
+ */
+function renderAltitudeItem(results) {
+  if (!results.totals.altitude) return '';
+  const { thresholdM, penaltyPctPer1000M, acclimatizationPct } = results.input.altitude;
+  const { cost, aboveThresholdSec, maxEleM } = results.totals.altitude;
+  const acclimatization = acclimatizationPct > 0 ? `, acclimatation ${acclimatizationPct} %` : '';
+  return `<div class="total-item"><strong>Coût de l'altitude</strong><span>${cost} (-${penaltyPctPer1000M} %/1000 m au-dessus de ${thresholdM} m${acclimatization} ; ${formatTime(aboveThresholdSec)} au-dessus, max ${maxEleM} m)</span></div>`;
+}
+
 function displayResults(results) {
   const totalsSection = document.getElementById('totalsSection');
   const stepsSection = document.getElementById('stepsSection');
@@ -966,6 +921,8 @@ function displayResults(results) {
           <strong>Distance totale</strong>
           <span>${results.totals.totalDistanceKm.toFixed(2)} km</span>
         </div>
+        ${renderDistanceComparisonItem(results.totals)}
+        ${renderCleanupItem(results.cleanup)}
         <div class="total-item">
           <strong>D+ total</strong>
           <span>${results.totals.dPlusM || 0} m</span>
@@ -990,13 +947,14 @@ function displayResults(results) {
           <strong>Temps calculé</strong>
           <span>${results.totals.computedMoving}</span>
         </div>
+        ${renderTargetGapItem(results.calibration)}
         <div class="total-item">
           <strong>Temps total calculé</strong>
           <span>${results.totals.computedTotal}</span>
         </div>
         <div class="total-item">
           <strong>Profil</strong>
-          <span>${results.input.profile === 'trained' ? 'Entraîné' : 'Standard'}</span>
+          <span>${results.input.slopeModel === 'minetti' ? 'Minetti (puissance constante)' : profileLabel(results.input.profile)}${results.input.slopeModel === 'smooth' ? ' (courbe lissée)' : ''}</span>
         </div>
         <div class="total-item">
           <strong>Vitesse sur plat</strong>
@@ -1006,6 +964,11 @@ function displayResults(results) {
           <strong>Allure sur plat</strong>
           <span>${results.calibration.flatPace}/km</span>
         </div>
+        ${renderFatigueItem(results)}
+        ${renderAltitudeItem(results)}
+        ${renderNightItem(results)}
+        ${renderHeatItem(results)}
+        ${renderWindItem(results)}
         <div class="total-item">
           <strong>Allure moyenne</strong>
           <span>${results.totals.avgPace}/km</span>
@@ -1014,6 +977,8 @@ function displayResults(results) {
           <strong>Allure moyenne d'effort</strong>
           <span>${results.totals.avgEffortPace}/km</span>
         </div>
+        ${renderElevationSourceItems(results.totals.elevationSources)}
+        ${renderClimbThresholdItem(results.calibration.climbThreshold)}
       </div>
     </div>
   `;
@@ -1023,8 +988,8 @@ function displayResults(results) {
     <div class="steps">
       <h3 style="color: #667eea; margin-bottom: 20px; font-size: 1.3em;">🏃 Étapes de la course</h3>
       ${results.steps.map(step => `
-        <div class="step">
-          <div class="step-header">Étape ${step.index} : ${step.fromKm.toFixed(1)} km → ${step.toKm.toFixed(1)} km</div>
+        <div class="step${step.night ? ' night-step' : ''}">
+          <div class="step-header">${renderStepHeader(step)}</div>
           <div class="step-grid">
             <div class="total-item">
               <strong>Distance</strong>
@@ -1042,6 +1007,10 @@ function displayResults(results) {
               <strong>Temps de course</strong>
               <span>${step.moving}</span>
             </div>
+            ${step.departure ? `<div class="total-item"><strong>Passage</strong><span>${step.departure.slice(11)} → ${step.arrival.slice(11)}</span></div>` : ''}
+            ${step.nightSec > 0 ? `<div class="total-item"><strong>De nuit</strong><span>${formatTime(step.nightSec)}</span></div>` : ''}
+            ${results.input.altitude ? `<div class="total-item"><strong>Coût de l'altitude</strong><span>${step.altitudeCost}</span></div>` : ''}
+            ${results.input.heat ? `<div class="total-item"><strong>Coût de la chaleur</strong><span>${step.heatCost}${step.maxHeatIndexC !== null ? ` (indice max ${step.maxHeatIndexC} °C)` : ''}</span></div>` : ''}
             <div class="total-item">
               <strong>Temps d'arrêt</strong>
               <span>${step.stop}</span>
@@ -1062,13 +1031,17 @@ function displayResults(results) {
               <strong>Allure moyenne d'effort</strong>
               <span>${step.avgEffortPace}/km</span>
             </div>
+            ${renderSensorItems(step.sensors)}
           </div>
         </div>
       `).join('')}
     </div>
   `;
   
-  // Par kilomètre
+  // Par kilomètre (colonnes capteurs seulement pour les canaux présents dans la trace)
+  const kmSensorChannels = Object.keys(SENSOR_LABELS).filter(c =>
+    results.perKm.some(km => km.sensors && km.sensors[c] !== null)
+  );
   perKmSection.innerHTML = `
     <div class="per-km">
       <h3>📏 Résultats par kilomètre</h3>
@@ -1083,19 +1056,25 @@ function displayResults(results) {
             <th>Pente</th>
             <th>D+</th>
             <th>D-</th>
+            ${results.input.wind ? '<th>Vent de face</th>' : ''}
+            ${results.input.clock ? '<th>Passage</th>' : ''}
+            ${kmSensorChannels.map(c => `<th>${SENSOR_LABELS[c].label}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
           ${results.perKm.map(km => `
-            <tr>
+            <tr${km.night ? ' class="night-row"' : ''}>
               <td><strong>${km.km}</strong></td>
               <td>${km.distanceKm.toFixed(3)} km</td>
               <td>${km.time}</td>
               <td>${km.avgPace}/km</td>
               <td>${km.avgSpeedKmh.toFixed(2)} km/h</td>
-              <td><span class="${getSlopeClass(km.avgSlopePct)}">${km.avgSlopePct >= 0 ? '+' : ''}${km.avgSlopePct.toFixed(2)}%</span></td>
+              <td><span class="${getSlopeClass(km.avgSlopePct, results.input.profileBands)}">${km.avgSlopePct >= 0 ? '+' : ''}${km.avgSlopePct.toFixed(2)}%</span></td>
               <td>${km.dPlusM || 0} m</td>
               <td>${km.dMinusM || 0} m</td>
+              ${results.input.wind ? `<td>${km.avgHeadwindKmh} km/h (${km.windCost})</td>` : ''}
+              ${results.input.clock ? `<td>${km.arrival.slice(11)}${km.night ? ' 🌙' : ''}</td>` : ''}
+              ${kmSensorChannels.map(c => `<td>${km.sensors[c] !== null ? `${km.sensors[c]} ${SENSOR_LABELS[c].unit}` : '-'}</td>`).join('')}
             </tr>
           `).join('')}
         </tbody>
@@ -1103,10 +1082,14 @@ function displayResults(results) {
     </div>
   `;
   
-  // Par segment de 250m
+  // Par segment (250 m, ou découpage adaptatif)
+  const { segmentation } = results.input;
+  const segmentsTitle = segmentation.mode === 'adaptive'
+    ? `Segments adaptés à la pente (${segmentation.minM} à ${segmentation.maxM} m)`
+    : `Segments de ${results.input.segmentLengthM}m`;
   per250mSection.innerHTML = `
     <div class="per-km">
-      <h3>📐 Segments de 250m</h3>
+      <h3>📐 ${segmentsTitle}</h3>
       <table class="km-table">
         <thead>
           <tr>
@@ -1119,20 +1102,22 @@ function displayResults(results) {
             <th>Pente</th>
             <th>D+</th>
             <th>D-</th>
+            ${results.input.clock ? '<th>Heure</th>' : ''}
           </tr>
         </thead>
         <tbody>
           ${results.per250m.map(seg => `
-            <tr>
+            <tr${seg.night ? ' class="night-row"' : ''}>
               <td>${seg.fromKm.toFixed(3)}</td>
               <td>${seg.toKm.toFixed(3)}</td>
               <td>${seg.lengthKm.toFixed(3)} km</td>
               <td>${seg.time}</td>
               <td>${seg.pace}/km</td>
               <td>${seg.speedKmh.toFixed(2)} km/h</td>
-              <td><span class="${getSlopeClass(seg.slopePct)}">${seg.slopePct >= 0 ? '+' : ''}${seg.slopePct.toFixed(2)}%</span></td>
-              <td>${seg.deltaElevM > 0 ? seg.deltaElevM.toFixed(1) : '0'} m</td>
-              <td>${seg.deltaElevM < 0 ? (-seg.deltaElevM).toFixed(1) : '0'} m</td>
+              <td><span class="${getSlopeClass(seg.slopePct, results.input.profileBands)}">${seg.slopePct >= 0 ? '+' : ''}${seg.slopePct.toFixed(2)}%</span></td>
+              <td>${seg.dPlusM.toFixed(1)} m</td>
+              <td>${seg.dMinusM.toFixed(1)} m</td>
+              ${results.input.clock ? `<td>${seg.clock.slice(11)}${seg.night ? ' 🌙' : ''}</td>` : ''}
             </tr>
           `).join('')}
         </tbody>
@@ -0,0 +1,290 @@
+/**
+ * Calculateur d'allure pour course à pied - Lanceur console
+ * Variables globales configurables en haut du fichier ; le calcul est fait par calculatePacing (script.js)
+ * Usage : node script-cli.js
+ */
+
+import { readFileSync } from 'fs';
+import { calculatePacing } from './script.js';
+import { formatTime } from './pacing-engine.js';
+import { parseSlopeProfiles } from './slope-profiles.js';
+import { parseHourlyConditions } from './heat-conditions.js';
+import { parseWindConditions } from './wind-model.js';
+
+// ==================== VARIABLES GLOBALES ====================
+
+// Fichier de trace à analyser : GPX, TCX, FIT, KML/KMZ ou GeoJSON (format détecté d'après le contenu)
+const GPX_FILE_PATH = './file.gpx';
+
+// Trace ou route du GPX à utiliser : nom ou numéro (1..n) ; null = la première
+const GPX_TRACK = null;
+
+// Objectif de temps total (format: "HH:MM:SS" ou "HH:MM")
+const TARGET_TIME = "18:00:00";
+
+// Profil du coureur: "trained" ou "standard"
+const RUNNER_PROFILE = "trained"; // "trained" ou "standard"
+
+// Profil personnalisé : fichier JSON de tranches de pente (voir slope-profiles.js), remplace RUNNER_PROFILE ;
+// s'il contient plusieurs profils, PROFILE_NAME choisit lequel (null = le premier)
+const PROFILE_FILE = null;
+const PROFILE_NAME = null;
+
+// Facteur de prudence pour les intervalles d'allure (0 = rapide, 1 = prudent)
+// Utilisé pour les dénivelés avec intervalle d'allure (ex: 9:00-11:00/km)
+const PRUDENCE_FACTOR = 0.5; // Entre 0 et 1
+
+// Vitesse selon la pente : "rules" (table d'allures, profil et prudence ci-dessus),
+// "smooth" (même table en courbe continue, sans saut aux bornes des tranches)
+// ou "minetti" (puissance métabolique constante, coût énergétique de la course en pente)
+const SLOPE_MODEL = "rules";
+
+// Fatigue : "none", "time-linear" / "time-exponential" (% par heure de course), "distance" (% par 10 km)
+// ou "eccentric" (% par 1000 m de D- cumulé) ; taux null = taux par défaut du modèle
+const FATIGUE_MODEL = "none";
+const FATIGUE_RATE_PCT = null;
+
+// Altitude : baisse de vitesse de ALTITUDE_PENALTY_PCT_PER_1000M % par 1000 m au-dessus de ALTITUDE_THRESHOLD_M
+// (0 = aucune), réduite de ALTITUDE_ACCLIMATIZATION_PCT % pour un coureur acclimaté
+const ALTITUDE_THRESHOLD_M = 1500;
+const ALTITUDE_PENALTY_PCT_PER_1000M = 0;
+const ALTITUDE_ACCLIMATIZATION_PCT = 0;
+
+// Points de passage (ravitaillements) : [kilomètre, durée_arrêt_minutes]
+const CHECKPOINTS = [
+  [20, 5],   // Ravitaillement au km 20, arrêt de 5 minutes
+  [41, 5],   // Ravitaillement au km 41, arrêt de 5 minutes
+  [64, 10],  // Ravitaillement au km 64, arrêt de 10 minutes
+  [85, 5],   // Ravitaillement au km 85, arrêt de 5 minutes
+  [108, 5]   // Ravitaillement au km 108, arrêt de 5 minutes
+];
+
+// Repos (sieste) : [nombre_de_repos, durée_chaque_repos_minutes]
+const REST_PERIODS = [1, 30]; // 1 repos de 30 minutes
+
+// Heure de départ locale "AAAA-MM-JJTHH:MM" (null = sans heures de passage ni nuit), fuseau horaire
+// (nom IANA ou "+02:00") et ralentissement entre le coucher et le lever du soleil (% de la vitesse)
+const START_TIME = null;
+const TIME_ZONE = "Europe/Paris";
+const NIGHT_SLOWDOWN_PCT = 15;
+
+// Conditions horaires (JSON ou CSV : time,tempC,humidityPct[,minEleM,maxEleM], heures locales de TIME_ZONE) ;
+// null = sans chaleur. Demande START_TIME. Ralentissement de HEAT_SLOWDOWN_PCT_PER_DEG % par degré d'indice
+// de chaleur au-delà de HEAT_THRESHOLD_C
+const HEAT_FILE = null;
+const HEAT_THRESHOLD_C = 20;
+const HEAT_SLOWDOWN_PCT_PER_DEG = 1;
+
+// Vent constant { speedKmh, fromDeg } (direction d'où il vient : degrés ou "N", "SO"…), null = sans vent ;
+// ou fichier de vent horaire (JSON ou CSV : time,speedKmh,fromDeg, demande START_TIME), prioritaire s'il est donné
+const WIND = null; // Exemple : { speedKmh: 20, fromDeg: "W" }
+const WIND_FILE = null;
+
+// Paramètres de calcul
+const SEGMENT_LENGTH_M = 250; // Longueur des segments en mètres (250m par défaut)
+// Découpage : "fixed" (SEGMENT_LENGTH_M) ou "adaptive" (coupures aux changements de pente de plus de
+// SEGMENT_SLOPE_CHANGE_PCT points de %, segments entre SEGMENT_MIN_M et SEGMENT_MAX_M mètres)
+const SEGMENTATION_MODE = "fixed";
+const SEGMENT_MIN_M = 50;
+const SEGMENT_MAX_M = 500;
+const SEGMENT_SLOPE_CHANGE_PCT = 3;
+const SMOOTHING_WINDOW = 9; // Fenêtre de lissage pour l'élévation (doit être impair)
+// Méthode de lissage : "moving-average" (SMOOTHING_WINDOW points) ou, sur SMOOTHING_WINDOW_M mètres,
+// "distance", "savitzky-golay", "median-mean", "kalman"
+const SMOOTHING_METHOD = "moving-average";
+const SMOOTHING_WINDOW_M = 200;
+
+// Altitude : dossier de tuiles MNT locales (.hgt, .hgt.zip, GeoTIFF) ; null = altitude du fichier seulement
+const DEM_DIR = null;
+const ELEVATION_SOURCE = "dem"; // Avec DEM_DIR : "gpx", "dem" ou "blend"
+const DEM_BLEND_WEIGHT = 0.5; // "blend" : poids du MNT (0 = trace, 1 = MNT)
+
+// Distance : "haversine" (sphère) ou "vincenty" (ellipsoïde WGS-84), à plat ou le long de la pente (3D)
+const DISTANCE_METHOD = "haversine";
+const DISTANCE_3D = false;
+const CLEANUP_TRACK = false; // Nettoyage d'une trace enregistrée : doublons, sauts GPS, va-et-vient aux arrêts
+const OFFICIAL_DISTANCE_KM = null; // Distance officielle : les km des CHECKPOINTS sont alors des km officiels
+
+// D+ / D- : compté sur les points lissés ("smoothed"), les "segments" rééchantillonnés ou les points bruts ("raw"),
+// en ignorant les variations de moins de CLIMB_THRESHOLD_M mètres
+const CLIMB_METHOD = "smoothed";
+const CLIMB_THRESHOLD_M = 0;
+const OFFICIAL_DPLUS_M = null; // D+ officiel de la course : le seuil est alors calibré pour le retrouver
+
+// ==================== AFFICHAGE FORMATÉ ====================
+
+/**
+ * Affiche les résultats de manière formatée dans la console
+ */
+function displayResults(results) {
+  console.log("\n" + "=".repeat(60));
+  console.log("  CALCULATEUR D'ALLURE - RÉSULTATS");
+  console.log("=".repeat(60) + "\n");
+  
+  // Données principales
+  console.log("📊 DONNÉES PRINCIPALES");
+  console.log("-".repeat(60));
+  console.log(`Distance totale        : ${results.totals.totalDistanceKm.toFixed(2)} km (${results.input.distance.method}${results.input.distance.slope3d ? ", 3D" : ""})`);
+  if (results.input.distance.officialKm !== null) {
+    console.log(`Distance mesurée       : ${results.totals.measuredDistanceKm.toFixed(2)} km (échelle ×${results.totals.distanceScale})`);
+  }
+  if (results.cleanup) {
+    const { removed } = results.cleanup;
+    console.log(`Nettoyage              : ${results.cleanup.inputPoints - results.cleanup.outputPoints} points retirés (doublons ${removed.duplicates}, sauts ${removed.speed}, accélérations ${removed.acceleration}, arrêts ${removed.stationary}), ${results.cleanup.removedDistanceM} m en moins`);
+  }
+  const distances = results.totals.distanceComparison;
+  console.log(`Haversine / Vincenty   : ${distances.haversineKm.toFixed(2)} / ${distances.vincentyKm.toFixed(2)} km (3D : ${distances.haversine3dKm.toFixed(2)} / ${distances.vincenty3dKm.toFixed(2)} km)`);
+  console.log(`D+ total               : ${results.totals.dPlusM} m`);
+  console.log(`D- total               : ${results.totals.dMinusM} m`);
+  if (results.totals.elevationSources) {
+    const sources = results.totals.elevationSources;
+    console.log(`D+ trace / MNT / mél.  : ${sources.gpx.dPlusM} / ${sources.dem.dPlusM} / ${sources.blend.dPlusM} m (MNT : ${sources.dem.dPlusDiffM >= 0 ? "+" : ""}${sources.dem.dPlusDiffM} m, couverture ${sources.demCoveragePct} %)`);
+  }
+  const { climb } = results.input;
+  console.log(`Calcul du D+           : ${climb.method}, seuil ${climb.thresholdM} m`);
+  if (results.calibration.climbThreshold) {
+    const c = results.calibration.climbThreshold;
+    console.log(`D+ officiel            : ${c.officialDPlusM} m (écart ${c.residualM >= 0 ? "+" : ""}${c.residualM} m)`);
+  }
+  console.log(`Objectif temps total   : ${results.totals.targetTotal}`);
+  console.log(`Temps d'arrêt total    : ${results.totals.stopTime}`);
+  console.log(`Temps de course cible  : ${results.totals.movingTarget}`);
+  console.log(`Temps calculé          : ${results.totals.computedMoving}`);
+  if (!results.calibration.targetReached) {
+    const gap = results.calibration.targetGapSec;
+    console.log(`Écart à l'objectif     : ${gap > 0 ? "+" : "-"}${formatTime(Math.abs(gap))} (objectif hors de portée : Vflat bornée, ou saut de temps de nuit, de chaleur ou de vent)`);
+  }
+  console.log(`Temps total calculé    : ${results.totals.computedTotal}`);
+  const { smoothing } = results.input;
+  console.log(`Lissage de l'altitude  : ${smoothing.method} (${smoothing.windowM !== null ? `${smoothing.windowM} m` : `${smoothing.windowPoints} points`})`);
+  const { segmentation } = results.input;
+  console.log(`Découpage              : ${segmentation.mode === "adaptive"
+    ? `adaptatif (${segmentation.minM}-${segmentation.maxM} m, écart de pente ${segmentation.slopeChangePct} %), ${results.per250m.length} segments`
+    : `tous les ${results.input.segmentLengthM} m`}`);
+  console.log(`\nProfil                 : ${results.input.profile}`);
+  const slopeModelLabels = { rules: "table d'allures", smooth: "table d'allures lissée", minetti: "Minetti (puissance constante)" };
+  console.log(`Modèle de pente        : ${slopeModelLabels[results.input.slopeModel]}`);
+  console.log(`Vitesse sur plat       : ${results.calibration.vFlatKmh.toFixed(2)} km/h`);
+  console.log(`Allure sur plat        : ${results.calibration.flatPace}/km`);
+  if (results.calibration.fatigue) {
+    const { fatigue } = results.calibration;
+    console.log(`Fatigue                : ${results.input.fatigue.model}, ${results.input.fatigue.ratePct} ${results.input.fatigue.unit} → plat à l'arrivée ${fatigue.finalFlatKmh.toFixed(2)} km/h (${fatigue.finalFlatPace}/km)`);
+  }
+  if (results.totals.altitude) {
+    const { altitude } = results.input;
+    console.log(`Coût de l'altitude     : ${results.totals.altitude.cost} (${altitude.penaltyPctPer1000M} % par 1000 m au-dessus de ${altitude.thresholdM} m, acclimatation ${altitude.acclimatizationPct} %)`);
+  }
+  if (results.totals.night) {
+    const { clock } = results.input;
+    console.log(`Départ                 : ${clock.startTime.replace("T", " ")} (${clock.timeZone})`);
+    console.log(`Temps de nuit          : ${results.totals.night.moving} (ralenti de ${clock.nightSlowdownPct} %)`);
+    for (const day of results.totals.night.sun) {
+      console.log(`Soleil ${day.date}      : lever ${day.sunrise || "-"}, coucher ${day.sunset || "-"}`);
+    }
+  }
+  if (results.totals.heat) {
+    const { heat } = results.totals;
+    console.log(`Coût de la chaleur     : ${heat.cost} (indice de chaleur max ${heat.maxHeatIndexC ?? "-"} °C)`);
+  }
+  if (results.totals.wind) {
+    const { wind } = results.input;
+    const source = wind.mode === "constant" ? `${wind.speedKmh} km/h du ${wind.fromDeg}°` : `horaire, ${wind.hours} heures`;
+    console.log(`Effet du vent          : ${results.totals.wind.cost} (${source})`);
+  }
+  console.log("\n");
+  
+  // Étapes (steps)
+  console.log("🏃 ÉTAPES DE LA COURSE");
+  console.log("=".repeat(60));
+  
+  results.steps.forEach((step, index) => {
+    console.log(`\nÉtape ${step.index} : ${step.fromKm.toFixed(1)} km → ${step.toKm.toFixed(1)} km`);
+    console.log("-".repeat(60));
+    console.log(`  Distance             : ${step.distanceKm.toFixed(2)} km`);
+    console.log(`  D+                   : ${step.dPlusM} m`);
+    console.log(`  D-                   : ${step.dMinusM} m`);
+    console.log(`  Temps de course      : ${step.moving}`);
+    console.log(`  Temps d'arrêt        : ${step.stop}`);
+    console.log(`  Temps total          : ${step.total}`);
+    if (step.departure) {
+      console.log(`  Passage              : ${step.departure} → ${step.arrival}${step.nightSec > 0 ? ` (nuit ${formatTime(step.nightSec)})` : ""}`);
+    }
+    if (results.input.heat) console.log(`  Coût de la chaleur   : ${step.heatCost}`);
+    if (results.input.altitude) console.log(`  Coût de l'altitude   : ${step.altitudeCost}`);
+    console.log(`  Vitesse moyenne      : ${step.avgSpeedKmh.toFixed(2)} km/h`);
+    console.log(`  Allure moyenne       : ${step.avgPace}/km`);
+    if (step.sensors) {
+      const s = step.sensors;
+      if (s.recordedSec !== null) console.log(`  Temps enregistré     : ${formatTime(s.recordedSec)}`);
+      if (s.hr !== null) console.log(`  FC moyenne           : ${s.hr} bpm`);
+      if (s.cad !== null) console.log(`  Cadence moyenne      : ${s.cad} pas/min`);
+      if (s.atemp !== null) console.log(`  Température moyenne  : ${s.atemp} °C`);
+      if (s.power !== null) console.log(`  Puissance moyenne    : ${s.power} W`);
+    }
+  });
+  
+  console.log("\n" + "=".repeat(60));
+  console.log("  FIN DES RÉSULTATS");
+  console.log("=".repeat(60) + "\n");
+}
+
+// ==================== EXÉCUTION ====================
+
+/**
+ * Profil du calcul : RUNNER_PROFILE, ou profil lu dans PROFILE_FILE
+ */
+function runnerProfile() {
+  if (!PROFILE_FILE) return RUNNER_PROFILE;
+  const profiles = parseSlopeProfiles(readFileSync(PROFILE_FILE, 'utf8'));
+  const profile = PROFILE_NAME === null ? profiles[0] : profiles.find(p => p.name === PROFILE_NAME);
+  if (!profile) throw new Error(`Profil "${PROFILE_NAME}" absent de ${PROFILE_FILE} (${profiles.map(p => p.name).join(", ")})`);
+  return profile;
+}
+
+try {
+  const results = calculatePacing({
+    gpxPath: GPX_FILE_PATH,
+    track: GPX_TRACK,
+    targetTime: TARGET_TIME,
+    profile: runnerProfile(),
+    prudence: PRUDENCE_FACTOR,
+    slopeModel: SLOPE_MODEL,
+    fatigueModel: FATIGUE_MODEL,
+    fatigueRatePct: FATIGUE_RATE_PCT,
+    checkpoints: CHECKPOINTS,
+    rests: REST_PERIODS,
+    startTime: START_TIME,
+    timeZone: TIME_ZONE,
+    nightSlowdownPct: NIGHT_SLOWDOWN_PCT,
+    heatConditions: HEAT_FILE ? parseHourlyConditions(readFileSync(HEAT_FILE, 'utf8')) : null,
+    heatThresholdC: HEAT_THRESHOLD_C,
+    heatSlowdownPctPerDeg: HEAT_SLOWDOWN_PCT_PER_DEG,
+    altitudeThresholdM: ALTITUDE_THRESHOLD_M,
+    altitudePenaltyPctPer1000M: ALTITUDE_PENALTY_PCT_PER_1000M,
+    altitudeAcclimatizationPct: ALTITUDE_ACCLIMATIZATION_PCT,
+    wind: WIND_FILE ? parseWindConditions(readFileSync(WIND_FILE, 'utf8')) : WIND,
+    segmentLengthM: SEGMENT_LENGTH_M,
+    segmentationMode: SEGMENTATION_MODE,
+    segmentMinM: SEGMENT_MIN_M,
+    segmentMaxM: SEGMENT_MAX_M,
+    segmentSlopeChangePct: SEGMENT_SLOPE_CHANGE_PCT,
+    smoothingWindow: SMOOTHING_WINDOW,
+    smoothingMethod: SMOOTHING_METHOD,
+    smoothingWindowM: SMOOTHING_WINDOW_M,
+    demDir: DEM_DIR || undefined,
+    elevationSource: DEM_DIR ? ELEVATION_SOURCE : "gpx",
+    demBlendWeight: DEM_BLEND_WEIGHT,
+    distanceMethod: DISTANCE_METHOD,
+    distance3d: DISTANCE_3D,
+    officialDistanceKm: OFFICIAL_DISTANCE_KM,
+    cleanupTrack: CLEANUP_TRACK,
+    climbMethod: CLIMB_METHOD,
+    climbThresholdM: CLIMB_THRESHOLD_M,
+    officialDPlusM: OFFICIAL_DPLUS_M
+  });
+  
+  displayResults(results);
+} catch (error) {
+  console.error("Erreur:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,33 @@
+/**
+ * Tests de l'API par objet d'options du module Node (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { calculatePacing } from './script.js';
+
+const GPX_PATH = fileURLToPath(new URL('./file.gpx', import.meta.url));
+
+test("calculatePacing lit la trace depuis son chemin et accepte les tableaux [km, minutes, nom]", () => {
+  const results = calculatePacing({ gpxPath: GPX_PATH, targetTime: "20:00:00", checkpoints: [[30, 30, "Refuge"]], rests: [1, 20] });
+  assert.equal(results.input.file, GPX_PATH);
+  assert.equal(results.input.track, null);
+  assert.deepEqual(results.input.checkpoints, [{ km: 30, name: "Refuge", stopSec: 1800, stop: "00:30:00" }]);
+  assert.equal(results.input.rests.stopSec, 1200);
+  assert.equal(results.totals.stopTimeSec, 3000);
+  assert.equal(results.steps[0].toName, "Refuge");
+});
+
+test("le contenu fourni donne le même résultat que le chemin", () => {
+  const fromPath = calculatePacing({ gpxPath: GPX_PATH, targetTime: "20:00:00" });
+  const fromContent = calculatePacing({ gpxContent: readFileSync(GPX_PATH, "utf8"), targetTime: "20:00:00" });
+  assert.equal(fromContent.input.file, null);
+  assert.deepEqual(fromContent.totals, fromPath.totals);
+});
+
+test("une trace ou un temps cible manquant est signalé sans quitter le processus", () => {
+  assert.throws(() => calculatePacing({ targetTime: "20:00:00" }), /Trace manquante/);
+  assert.throws(() => calculatePacing({ gpxPath: GPX_PATH }), /Temps cible manquant/);
+});
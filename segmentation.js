@@ -0,0 +1,119 @@
+/**
+ * Découpage adaptatif de la trace aux changements de pente, sans dépendance, pour Node et le navigateur
+ * Un mur court garde son propre segment au lieu d'être moyenné avec le plat voisin dans un pas fixe.
+ * Entrée : profil échantillonné finement (distances croissantes en m, altitudes lissées).
+ */
+
+// ==================== MODES ====================
+
+/**
+ * Modes de découpage
+ * fixed    : un segment tous les N mètres (segmentLengthM)
+ * adaptive : coupures là où la pente change de plus de slopeChangePct, segments entre minM et maxM
+ */
+export const SEGMENTATION_MODES = ["fixed", "adaptive"];
+
+// ==================== DÉCOUPAGE ====================
+
+/**
+ * Distances de la grille fine : chaque km entier est partagé en morceaux égaux d'au moins minM
+ * (le dernier km incomplet peut être plus court que minM) ; les km entiers restent des coupures
+ * @param {number} totalM - Longueur de la trace (m)
+ * @param {number} minM - Longueur minimale d'un segment (m)
+ * @returns {number[]} Distances croissantes, de 0 à totalM inclus
+ */
+export function segmentationGrid(totalM, minM) {
+  const out = [0];
+  for (let kmStart = 0; kmStart < totalM; kmStart += 1000) {
+    const kmEnd = Math.min(kmStart + 1000, totalM);
+    const pieces = Math.max(1, Math.floor((kmEnd - kmStart) / minM));
+    for (let i = 1; i <= pieces; i++) out.push(kmStart + ((kmEnd - kmStart) * i) / pieces);
+  }
+  return out;
+}
+
+/**
+ * Fusionne les morceaux voisins de pente proche (écart le plus faible d'abord) tant que l'écart reste
+ * sous slopeChangePct, que le segment fusionné ne dépasse pas maxM et qu'il ne franchit pas un km entier
+ * Les coupures forment une liste chaînée et les fusions possibles une file de priorité : une fusion ne
+ * change que les deux coupures voisines, recalculées seules (O(n log n) au lieu de rescanner toute la trace).
+ * À écart égal, la coupure la plus proche du départ est retirée la première.
+ * @param {number[]} distances - Distances de la grille (m), voir segmentationGrid
+ * @param {number[]} elevations - Altitudes aux mêmes positions (m)
+ * @param {{maxM: number, slopeChangePct: number}} options
+ * @returns {number[]} Indices des coupures gardées dans la grille (premier et dernier compris)
+ */
+export function adaptiveBreakpoints(distances, elevations, { maxM, slopeChangePct }) {
+  const n = distances.length;
+  const prev = Array.from({ length: n }, (_, i) => i - 1);
+  const next = Array.from({ length: n }, (_, i) => (i + 1 < n ? i + 1 : -1));
+  const removed = new Array(n).fill(false);
+  // Version de chaque coupure : une entrée de la file dont la version est dépassée est ignorée
+  const version = new Array(n).fill(0);
+  const heap = [];
+  const slope = (a, b) => ((elevations[b] - elevations[a]) / (distances[b] - distances[a])) * 100;
+  const onKm = i => Math.abs(distances[i] / 1000 - Math.round(distances[i] / 1000)) < 1e-9;
+
+  // (Re)calcule la fusion qui retirerait la coupure j entre ses deux voisines actuelles
+  const consider = j => {
+    version[j]++;
+    const a = prev[j];
+    const b = next[j];
+    if (a < 0 || b < 0 || onKm(j) || distances[b] - distances[a] > maxM) return;
+    const diff = Math.abs(slope(a, j) - slope(j, b));
+    if (diff < slopeChangePct) heapPush(heap, { diff, index: j, version: version[j] });
+  };
+
+  for (let j = 1; j < n - 1; j++) consider(j);
+  while (heap.length > 0) {
+    const { index: j, version: v } = heapPop(heap);
+    if (removed[j] || v !== version[j]) continue;
+    removed[j] = true;
+    const a = prev[j];
+    const b = next[j];
+    next[a] = b;
+    prev[b] = a;
+    consider(a);
+    consider(b);
+  }
+
+  const cuts = [];
+  for (let i = 0; i !== -1 && i < n; i = next[i]) cuts.push(i);
+  return cuts;
+}
+
+// ==================== FILE DE PRIORITÉ ====================
+
+// Ordre de la file : plus petit écart de pente d'abord, puis coupure la plus proche du départ
+const before = (x, y) => x.diff < y.diff || (x.diff === y.diff && x.index < y.index);
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!before(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && before(heap[l], heap[m])) m = l;
+      if (r < heap.length && before(heap[r], heap[m])) m = r;
+      if (m === i) break;
+      [heap[i], heap[m]] = [heap[m], heap[i]];
+      i = m;
+    }
+  }
+  return top;
+}
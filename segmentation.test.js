@@ -0,0 +1,76 @@
+/**
+ * Tests du découpage adaptatif aux changements de pente (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentationGrid, adaptiveBreakpoints } from './segmentation.js';
+
+const close = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9, `coupure ${i} : ${v} au lieu de ${expected[i]}`));
+};
+
+test("segmentationGrid partage chaque km en morceaux égaux d'au moins minM", () => {
+  close(segmentationGrid(2300, 300), [0, 1000 / 3, 2000 / 3, 1000, 4000 / 3, 5000 / 3, 2000, 2300]);
+  close(segmentationGrid(120, 300), [0, 120]);
+});
+
+// 400 m de plat, un mur de 100 m à 10 %, puis du plat jusqu'au km
+const GRID = segmentationGrid(1000, 50);
+const WALL = GRID.map(d => (d <= 400 ? 0 : d <= 500 ? (d - 400) * 0.1 : 10));
+
+test("adaptiveBreakpoints garde un mur court dans son propre segment", () => {
+  close(adaptiveBreakpoints(GRID, WALL, { maxM: 500, slopeChangePct: 3 }).map(i => GRID[i]), [0, 400, 500, 1000]);
+});
+
+test("les segments fusionnés ne dépassent pas maxM", () => {
+  close(adaptiveBreakpoints(GRID, WALL, { maxM: 200, slopeChangePct: 3 }).map(i => GRID[i]), [0, 200, 400, 500, 700, 900, 1000]);
+});
+
+test("les km entiers restent des coupures, même sur le plat", () => {
+  const grid = segmentationGrid(2000, 250);
+  close(adaptiveBreakpoints(grid, grid.map(() => 0), { maxM: 5000, slopeChangePct: 3 }).map(i => grid[i]), [0, 1000, 2000]);
+});
+
+// Fusion de référence : rescanne toutes les coupures à chaque fusion (plus petit écart, puis premier indice)
+function naiveBreakpoints(distances, elevations, { maxM, slopeChangePct }) {
+  const cuts = distances.map((_, i) => i);
+  const slope = (a, b) => ((elevations[b] - elevations[a]) / (distances[b] - distances[a])) * 100;
+  const onKm = i => Math.abs(distances[i] / 1000 - Math.round(distances[i] / 1000)) < 1e-9;
+  for (;;) {
+    let best = -1;
+    let bestDiff = slopeChangePct;
+    for (let k = 1; k < cuts.length - 1; k++) {
+      const [a, j, b] = [cuts[k - 1], cuts[k], cuts[k + 1]];
+      if (onKm(j) || distances[b] - distances[a] > maxM) continue;
+      const diff = Math.abs(slope(a, j) - slope(j, b));
+      if (diff < bestDiff) [bestDiff, best] = [diff, k];
+    }
+    if (best < 0) return cuts;
+    cuts.splice(best, 1);
+  }
+}
+
+test("adaptiveBreakpoints fusionne dans le même ordre que la fusion de référence, égalités comprises", () => {
+  const grid = segmentationGrid(5300, 20);
+  const profiles = [
+    grid.map(d => 40 * Math.sin(d / 300) + 8 * Math.sin(d / 37)),
+    grid.map(d => Math.round(d / 500) * 10),
+    grid.map(() => 0)
+  ];
+  for (const elevations of profiles) {
+    for (const options of [{ maxM: 500, slopeChangePct: 3 }, { maxM: 120, slopeChangePct: 1 }, { maxM: 2000, slopeChangePct: 8 }]) {
+      assert.deepEqual(adaptiveBreakpoints(grid, elevations, options), naiveBreakpoints(grid, elevations, options));
+    }
+  }
+});
+
+test("adaptiveBreakpoints découpe une longue trace sur une grille de 10 m", () => {
+  const grid = segmentationGrid(170000, 10);
+  const cuts = adaptiveBreakpoints(grid, grid.map(d => 100 * Math.sin(d / 700) + 20 * Math.sin(d / 90)), { maxM: 500, slopeChangePct: 3 });
+  assert.equal(cuts[0], 0);
+  assert.equal(cuts[cuts.length - 1], grid.length - 1);
+  for (let k = 1; k < cuts.length; k++) assert.ok(grid[cuts[k]] - grid[cuts[k - 1]] <= 500 + 1e-9);
+  assert.ok(cuts.length < grid.length / 2);
+});
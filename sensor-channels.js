@@ -0,0 +1,87 @@
+/**
+ * Canaux capteurs des traces enregistrées (horodatage, fréquence cardiaque, cadence, température, puissance)
+ * Module ES sans dépendance partagé par le CLI, script.js et le navigateur :
+ * interpolation lors du rééchantillonnage et moyennes par étape / par km.
+ */
+
+// ==================== CANAUX ====================
+
+/**
+ * Canaux numériques portés par les points (null quand la valeur est absente)
+ * hr : battements/min, cad : pas ou tours/min, atemp : °C, power : W
+ */
+export const SENSOR_CHANNELS = ["hr", "cad", "atemp", "power"];
+
+/**
+ * Indique si une trace porte des données enregistrées (horodatage ou au moins un capteur)
+ * @param {Array<Object>} points - Points de la trace
+ * @returns {boolean}
+ */
+export function hasSensorData(points) {
+  return points.some(p => p.time instanceof Date || SENSOR_CHANNELS.some(c => Number.isFinite(p[c])));
+}
+
+// ==================== RÉÉCHANTILLONNAGE ====================
+
+function lerpChannel(v0, v1, t) {
+  const ok0 = Number.isFinite(v0);
+  const ok1 = Number.isFinite(v1);
+  if (ok0 && ok1) return v0 + (v1 - v0) * t;
+  if (ok0) return v0;
+  if (ok1) return v1;
+  return null;
+}
+
+/**
+ * Interpole l'horodatage et les capteurs entre deux points consécutifs
+ * Une valeur présente d'un seul côté est reprise telle quelle.
+ * @param {Object} p0 - Point de départ
+ * @param {Object} p1 - Point d'arrivée
+ * @param {number} t - Position entre les deux points (0..1)
+ * @returns {{time: Date|null, hr: number|null, cad: number|null, atemp: number|null, power: number|null}}
+ */
+export function interpolateSensors(p0, p1, t) {
+  const ms = lerpChannel(p0.time instanceof Date ? p0.time.getTime() : null, p1.time instanceof Date ? p1.time.getTime() : null, t);
+  const out = { time: ms === null ? null : new Date(ms) };
+  for (const c of SENSOR_CHANNELS) out[c] = lerpChannel(p0[c], p1[c], t);
+  return out;
+}
+
+// ==================== MOYENNES ====================
+
+/**
+ * Moyennes des capteurs sur une suite de segments rééchantillonnés (une étape, un km…)
+ * Chaque segment vaut la moyenne de ses deux extrémités. La moyenne est pondérée par la durée
+ * enregistrée quand tous les segments en ont une (moyenne dans le temps, comme une montre),
+ * sinon par la longueur.
+ * @param {Array<{from: Object, to: Object, lengthM: number}>} spans - Extrémités rééchantillonnées et longueur de chaque segment
+ * @returns {{recordedSec: number|null, hr: number|null, cad: number|null, atemp: number|null, power: number|null}}
+ *   recordedSec : temps réellement mis d'après les horodatages
+ */
+export function averageSensors(spans) {
+  let recordedSec = 0;
+  let timed = spans.length > 0;
+  for (const s of spans) {
+    if (s.from.time instanceof Date && s.to.time instanceof Date) {
+      recordedSec += (s.to.time.getTime() - s.from.time.getTime()) / 1000;
+    } else {
+      timed = false;
+    }
+  }
+
+  const out = { recordedSec: timed ? Math.round(recordedSec) : null };
+  for (const c of SENSOR_CHANNELS) {
+    let sum = 0;
+    let weight = 0;
+    for (const s of spans) {
+      const v = lerpChannel(s.from[c], s.to[c], 0.5);
+      if (v === null) continue;
+      const w = timed ? (s.to.time.getTime() - s.from.time.getTime()) / 1000 : s.lengthM;
+      if (!(w > 0)) continue;
+      sum += v * w;
+      weight += w;
+    }
+    out[c] = weight > 0 ? Math.round((sum / weight) * 10) / 10 : null;
+  }
+  return out;
+}
@@ -0,0 +1,34 @@
+/**
+ * Tests des canaux capteurs (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasSensorData, interpolateSensors, averageSensors } from './sensor-channels.js';
+
+const at = sec => new Date(Date.UTC(2026, 5, 1, 8, 0, sec));
+
+test("hasSensorData repère un horodatage ou un capteur", () => {
+  assert.equal(hasSensorData([{ lat: 45, lon: 6, ele: null }]), false);
+  assert.equal(hasSensorData([{ lat: 45, lon: 6, time: at(0) }]), true);
+  assert.equal(hasSensorData([{ lat: 45, lon: 6, hr: 140 }]), true);
+});
+
+test("interpolateSensors interpole et reprend une valeur présente d'un seul côté", () => {
+  const got = interpolateSensors({ time: at(0), hr: 100, cad: null, power: 200 }, { time: at(10), hr: 120, cad: 80, power: null }, 0.25);
+  assert.deepEqual(got, { time: new Date(at(0).getTime() + 2500), hr: 105, cad: 80, atemp: null, power: 200 });
+});
+
+test("averageSensors pondère par la durée quand tous les segments sont horodatés, sinon par la longueur", () => {
+  const timed = [
+    { from: { time: at(0), hr: 100 }, to: { time: at(10), hr: 100 }, lengthM: 100 },
+    { from: { time: at(10), hr: 160 }, to: { time: at(40), hr: 160 }, lengthM: 100 }
+  ];
+  assert.deepEqual(averageSensors(timed), { recordedSec: 40, hr: 145, cad: null, atemp: null, power: null });
+
+  const untimed = [
+    { from: { hr: 100 }, to: { hr: 100 }, lengthM: 300 },
+    { from: { hr: 160 }, to: { hr: 160 }, lengthM: 100 }
+  ];
+  assert.deepEqual(averageSensors(untimed), { recordedSec: null, hr: 115, cad: null, atemp: null, power: null });
+});
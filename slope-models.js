@@ -0,0 +1,43 @@
+/**
+ * Modèles de vitesse selon la pente, sans dépendance, pour Node et le navigateur
+ * Le modèle "rules" suit les tranches de pente du profil du coureur (slope-profiles.js), "smooth" en est la variante
+ * continue (courbe interpolée, sans saut aux bornes des tranches). Le modèle "minetti" part
+ * du coût énergétique de la course en pente mesuré par Minetti et al. (2002) : à puissance métabolique
+ * constante, la vitesse sur une pente est la vitesse sur plat multipliée par coût(plat) / coût(pente).
+ */
+
+// ==================== MODÈLES ====================
+
+/**
+ * Modèles de vitesse selon la pente
+ * rules   : table d'allures par tranche de pente (profil du coureur, prudence)
+ * smooth  : même table, lissée en courbe continue et monotone de part et d'autre de la pente la plus rapide
+ * minetti : puissance métabolique constante, coût énergétique de Minetti
+ */
+export const SLOPE_MODELS = ["rules", "smooth", "minetti"];
+
+// Domaine de pente des mesures de Minetti (fraction, -45 % à +45 %) : au-delà, le coût est celui de la borne
+const MINETTI_MAX_GRADIENT = 0.45;
+
+// ==================== MINETTI ====================
+
+/**
+ * Coût énergétique de la course selon la pente (Minetti et al., 2002), en J/kg/m
+ * Polynôme de degré 5 ajusté sur les mesures : 3,6 J/kg/m sur plat, minimum vers -20 %.
+ * @param {number} slopePct - Pente en % (+ montée, - descente)
+ * @returns {number}
+ */
+export function minettiCost(slopePct) {
+  const i = Math.max(-MINETTI_MAX_GRADIENT, Math.min(MINETTI_MAX_GRADIENT, slopePct / 100));
+  return ((((155.4 * i - 30.4) * i - 43.3) * i + 46.3) * i + 19.5) * i + 3.6;
+}
+
+/**
+ * Vitesse (km/h) à puissance métabolique constante : celle qui coûte autant par seconde que vFlatKmh sur plat
+ * @param {number} slopePct - Pente en % (+ montée, - descente)
+ * @param {number} vFlatKmh - Vitesse sur plat (km/h)
+ * @returns {number} Vitesse en km/h
+ */
+export function minettiSpeed(slopePct, vFlatKmh) {
+  return vFlatKmh * (minettiCost(0) / minettiCost(slopePct));
+}
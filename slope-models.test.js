@@ -0,0 +1,25 @@
+/**
+ * Tests du modèle de pente de Minetti (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minettiCost, minettiSpeed } from './slope-models.js';
+import { near } from './testing-helpers.js';
+
+test("minettiCost : 3,6 J/kg/m sur plat, minimum vers -20 %", () => {
+  near(minettiCost(0), 3.6);
+  near(minettiCost(10), 5.968214);
+  assert.ok(minettiCost(-20) < minettiCost(-10) && minettiCost(-20) < minettiCost(-30));
+});
+
+test("au-delà de ±45 %, le coût reste celui de la borne", () => {
+  assert.equal(minettiCost(60), minettiCost(45));
+  assert.equal(minettiCost(-60), minettiCost(-45));
+});
+
+test("minettiSpeed garde la puissance du plat : vitesse × coût constant", () => {
+  assert.equal(minettiSpeed(0, 10), 10);
+  for (const slopePct of [-30, -10, 10, 30]) near(minettiSpeed(slopePct, 10) * minettiCost(slopePct), 10 * 3.6);
+  assert.ok(minettiSpeed(10, 10) < 10 && minettiSpeed(-10, 10) > 10);
+});
@@ -0,0 +1,293 @@
+/**
+ * Profils de coureur pour le modèle "rules" : vitesse par tranche de pente, sans dépendance, pour Node et le navigateur
+ * Un profil est une liste de tranches de pente contiguës, de la descente la plus raide à la montée la plus raide.
+ * Chaque tranche donne sa vitesse de l'une de ces façons :
+ * - relative : par rapport à la vitesse sur plat, vitesse = vFlat / (factor × (1 + perPct × pente))
+ * - speedKmh : intervalle de vitesses absolu [min, max] en km/h
+ * - pace     : intervalle d'allures absolu ["rapide", "lente"] en min/km ("10:00")
+ * Dans un intervalle absolu, la vitesse est choisie par le facteur de prudence (0 = rapide, 1 = prudente).
+ *
+ * Format JSON (un profil, ou un tableau de profils) :
+ *   { "name": "montagne", "bands": [
+ *     { "maxPct": -10, "pace": ["9:00", "12:00"] },
+ *     { "minPct": -10, "maxPct": -1, "relative": { "perPct": 0.02 } },
+ *     { "minPct": -1, "maxPct": 1, "relative": { "perPct": 0 } },
+ *     { "minPct": 1, "maxPct": 15, "relative": { "perPct": 0.05, "factor": 1.05 } },
+ *     { "minPct": 15, "speedKmh": [3.5, 4.5] } ] }
+ * minPct absent = pas de borne basse (première tranche), maxPct absent = pas de borne haute (dernière tranche).
+ * Une pente égale à une borne appartient à la tranche la plus proche du plat.
+ */
+
+// ==================== PROFILS INTÉGRÉS ====================
+
+/**
+ * Tranches communes aux profils intégrés ; seules les fortes montées diffèrent
+ * @param {Array<Object>} steepClimbs - Tranches au-delà de 12 %
+ */
+function builtinBands(steepClimbs) {
+  return [
+    { minPct: null, maxPct: -12, relative: null, speedKmh: [4.0, 5.45] },   // 11:00-15:00/km
+    { minPct: -12, maxPct: -8, relative: null, speedKmh: [4.62, 6.0] },     // 10-13:00/km
+    { minPct: -8, maxPct: -6, relative: null, speedKmh: [5.45, 6.67] },     // 9:00-11:00/km
+    { minPct: -6, maxPct: -4, relative: { perPct: 0.02, factor: 1.10 }, speedKmh: null },
+    { minPct: -4, maxPct: -3, relative: { perPct: 0.02, factor: 1.05 }, speedKmh: null },
+    { minPct: -3, maxPct: -1, relative: { perPct: 0.02, factor: 1 }, speedKmh: null },
+    { minPct: -1, maxPct: 1, relative: { perPct: 0, factor: 1 }, speedKmh: null }, // allure classique
+    { minPct: 1, maxPct: 12, relative: { perPct: 0.04, factor: 1 }, speedKmh: null },
+    ...steepClimbs
+  ];
+}
+
+// Profils "trained" et "standard"
+export const BUILTIN_PROFILES = {
+  trained: {
+    name: "trained",
+    bands: builtinBands([
+      { minPct: 12, maxPct: 15, relative: null, speedKmh: [5.45, 6.0] },   // 10-11:00/km
+      { minPct: 15, maxPct: 20, relative: null, speedKmh: [4.80, 5.45] },  // 11-12:30/km
+      { minPct: 20, maxPct: null, relative: null, speedKmh: [4.0, 4.62] }  // 13-15:00/km
+    ])
+  },
+  standard: {
+    name: "standard",
+    bands: builtinBands([
+      { minPct: 12, maxPct: 15, relative: null, speedKmh: [4.62, 5.45] },  // 11-13:00/km
+      { minPct: 15, maxPct: 20, relative: null, speedKmh: [4.0, 4.62] },   // 13-15:00/km
+      { minPct: 20, maxPct: null, relative: null, speedKmh: [3.33, 4.0] }  // 15-18:00/km
+    ])
+  }
+};
+
+// ==================== VALIDATION ====================
+
+/**
+ * Allure "M:SS" (min/km) en km/h
+ */
+function paceToKmh(pace, where) {
+  const m = /^(\d+):([0-5]\d)$/.exec(String(pace).trim());
+  const minutes = m ? Number(m[1]) + Number(m[2]) / 60 : NaN;
+  if (!(minutes > 0)) throw new Error(`${where} : allure invalide "${pace}" (M:SS par km)`);
+  return 60 / minutes;
+}
+
+/**
+ * Vérifie une tranche et la ramène à { minPct, maxPct, relative, speedKmh }
+ */
+function normalizeBand(band, where) {
+  if (!band || typeof band !== "object") throw new Error(`${where} : tranche invalide`);
+  const bound = (value, key) => {
+    if (value === undefined || value === null) return null;
+    if (!Number.isFinite(value)) throw new Error(`${where} : ${key} doit être une pente en %`);
+    return value;
+  };
+  const minPct = bound(band.minPct, "minPct");
+  const maxPct = bound(band.maxPct, "maxPct");
+  if (minPct !== null && maxPct !== null && !(maxPct > minPct)) throw new Error(`${where} : maxPct doit dépasser minPct`);
+
+  // null = absent : un profil déjà normalisé se vérifie à nouveau tel quel
+  const kinds = ["relative", "speedKmh", "pace"].filter(k => band[k] !== undefined && band[k] !== null);
+  if (kinds.length !== 1) throw new Error(`${where} : une seule vitesse attendue parmi relative, speedKmh ou pace`);
+
+  if (kinds[0] === "relative") {
+    const perPct = band.relative && band.relative.perPct;
+    const factor = band.relative && band.relative.factor !== undefined ? band.relative.factor : 1;
+    if (!Number.isFinite(perPct)) throw new Error(`${where} : relative.perPct doit être un nombre (0.04 = 4 % plus lent par % de pente)`);
+    if (!(factor > 0)) throw new Error(`${where} : relative.factor doit être positif`);
+    // La vitesse doit rester positive sur toute la tranche
+    const positive = s => 1 + perPct * s > 0;
+    if ((maxPct === null && perPct < 0) || (minPct === null && perPct > 0) ||
+        (minPct !== null && !positive(minPct)) || (maxPct !== null && !positive(maxPct))) {
+      throw new Error(`${where} : la formule donne une vitesse nulle ou négative dans la tranche`);
+    }
+    return { minPct, maxPct, relative: { perPct, factor }, speedKmh: null };
+  }
+
+  let range;
+  if (kinds[0] === "pace") {
+    if (!Array.isArray(band.pace) || band.pace.length !== 2) throw new Error(`${where} : pace attend ["rapide", "lente"]`);
+    range = [paceToKmh(band.pace[1], where), paceToKmh(band.pace[0], where)];
+  } else {
+    if (!Array.isArray(band.speedKmh) || band.speedKmh.length !== 2) throw new Error(`${where} : speedKmh attend [min, max]`);
+    range = band.speedKmh;
+  }
+  if (!(range[0] > 0) || !(range[1] >= range[0])) throw new Error(`${where} : intervalle de vitesse invalide (min > 0, min <= max)`);
+  return { minPct, maxPct, relative: null, speedKmh: [range[0], range[1]] };
+}
+
+/**
+ * Vérifie un profil : tranches contiguës et croissantes, de -∞ à +∞, chacune avec une vitesse valide
+ * @param {{name?: string, bands: Array<Object>}} profile - Profil tel que lu dans le JSON
+ * @returns {{name: string, bands: Array<{minPct: number|null, maxPct: number|null, relative: {perPct: number, factor: number}|null,
+ *   speedKmh: [number, number]|null}>}} Profil normalisé (allures converties en km/h)
+ * @throws {Error} Message en français qui désigne le profil et la tranche fautifs
+ */
+export function validateSlopeProfile(profile) {
+  if (!profile || typeof profile !== "object") throw new Error("Profil de pente invalide : objet { name, bands } attendu");
+  const name = profile.name === undefined ? "personnalisé" : String(profile.name);
+  if (!Array.isArray(profile.bands) || profile.bands.length === 0) throw new Error(`Profil "${name}" : liste de tranches (bands) vide ou absente`);
+
+  const bands = profile.bands.map((band, i) => normalizeBand(band, `Profil "${name}", tranche ${i + 1}`));
+  if (bands[0].minPct !== null) throw new Error(`Profil "${name}" : la première tranche ne doit pas avoir de minPct (descentes les plus raides)`);
+  if (bands[bands.length - 1].maxPct !== null) throw new Error(`Profil "${name}" : la dernière tranche ne doit pas avoir de maxPct (montées les plus raides)`);
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i - 1].maxPct === null || bands[i].minPct !== bands[i - 1].maxPct) {
+      throw new Error(`Profil "${name}", tranche ${i + 1} : minPct doit valoir le maxPct de la tranche précédente (tranches contiguës)`);
+    }
+  }
+  return { name, bands };
+}
+
+/**
+ * Lit un fichier JSON de profils (un profil ou un tableau de profils) et les vérifie
+ * @param {string} text - Contenu JSON
+ * @returns {Array<Object>} Profils normalisés (voir validateSlopeProfile)
+ */
+export function parseSlopeProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Fichier de profils illisible (JSON) : ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length === 0) throw new Error("Fichier de profils vide");
+  return list.map(validateSlopeProfile);
+}
+
+/**
+ * Profil intégré ("trained", "standard") ou profil personnalisé vérifié
+ * @param {string|Object} profile
+ */
+export function resolveSlopeProfile(profile) {
+  if (typeof profile === "string") {
+    if (!Object.hasOwn(BUILTIN_PROFILES, profile)) {
+      throw new Error(`Profil invalide : ${profile} (${Object.keys(BUILTIN_PROFILES).join(" ou ")}, ou profil personnalisé)`);
+    }
+    return BUILTIN_PROFILES[profile];
+  }
+  return validateSlopeProfile(profile);
+}
+
+// ==================== VITESSE ====================
+
+/**
+ * Indice de la tranche d'une pente (une borne appartient à la tranche la plus proche du plat)
+ */
+function bandIndex(bands, slopePct) {
+  const i = bands.findIndex(b => b.maxPct === null || slopePct < b.maxPct || (slopePct === b.maxPct && b.maxPct > 0));
+  return i < 0 ? bands.length - 1 : i;
+}
+
+/**
+ * Sélectionne une vitesse dans un intervalle selon le facteur de prudence
+ * prudence = 0 → vitesse rapide (max), prudence = 1 → vitesse prudente (min)
+ */
+function pickSpeedFromRange(minKmh, maxKmh, prudence) {
+  return maxKmh - prudence * (maxKmh - minKmh);
+}
+
+/**
+ * Vitesse (km/h) d'un profil normalisé pour une pente
+ * @param {{bands: Array<Object>}} profile - Profil normalisé (resolveSlopeProfile)
+ * @param {number} slopePct - Pente en % (+ montée, - descente)
+ * @param {number} vFlatKmh - Vitesse sur plat (km/h)
+ * @param {number} prudence - Facteur de prudence (0-1)
+ */
+export function profileSpeed(profile, slopePct, vFlatKmh, prudence) {
+  const band = profile.bands[bandIndex(profile.bands, slopePct)];
+  if (band.relative) return vFlatKmh / (band.relative.factor * (1 + band.relative.perPct * slopePct));
+  return pickSpeedFromRange(band.speedKmh[0], band.speedKmh[1], prudence);
+}
+
+/**
+ * Niveau de la tranche d'une pente par rapport à la tranche du plat (celle de 0 %) : 0 = plat,
+ * 1, 2… = tranches de montée de plus en plus raides, -1, -2… = tranches de descente (couleurs d'affichage)
+ * @param {Array<Object>} bands - Tranches d'un profil normalisé
+ * @param {number} slopePct
+ */
+export function slopeBandLevel(bands, slopePct) {
+  if (!Number.isFinite(slopePct)) return 0;
+  return bandIndex(bands, slopePct) - bandIndex(bands, 0);
+}
+
+// ==================== COURBE CONTINUE ====================
+
+/**
+ * Pentes des nœuds de la courbe continue : milieu de chaque tranche, 0 % pour la tranche du plat ;
+ * une tranche ouverte prend un nœud à une demi-largeur de la tranche voisine au-delà de sa borne
+ */
+function knotSlopes(bands) {
+  const flat = bandIndex(bands, 0);
+  return bands.map((b, i) => {
+    if (i === flat) return 0;
+    if (b.minPct !== null && b.maxPct !== null) return (b.minPct + b.maxPct) / 2;
+    const neighbour = bands[b.minPct === null ? i + 1 : i - 1];
+    const halfWidth = neighbour && neighbour.minPct !== null && neighbour.maxPct !== null
+      ? (neighbour.maxPct - neighbour.minPct) / 2
+      : 1;
+    return b.minPct === null ? b.maxPct - halfWidth : b.minPct + halfWidth;
+  });
+}
+
+/**
+ * Interpolation cubique monotone (Fritsch-Carlson) : pas de dépassement entre deux nœuds,
+ * dérivée nulle aux extrémités et valeur constante au-delà
+ * @param {number[]} xs - Abscisses croissantes
+ * @param {number[]} ys - Valeurs aux nœuds
+ * @returns {(x: number) => number}
+ */
+function monotoneCubic(xs, ys) {
+  const n = xs.length;
+  if (n === 1) return () => ys[0];
+  const h = [];
+  const d = [];
+  for (let k = 0; k < n - 1; k++) {
+    h.push(xs[k + 1] - xs[k]);
+    d.push((ys[k + 1] - ys[k]) / h[k]);
+  }
+  const m = new Array(n).fill(0);
+  for (let k = 1; k < n - 1; k++) {
+    if (d[k - 1] * d[k] <= 0) continue; // extremum local : tangente horizontale
+    const w1 = 2 * h[k] + h[k - 1];
+    const w2 = h[k] + 2 * h[k - 1];
+    m[k] = (w1 + w2) / (w1 / d[k - 1] + w2 / d[k]);
+  }
+  return x => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+    let k = 0;
+    while (x > xs[k + 1]) k++;
+    const t = (x - xs[k]) / h[k];
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * ys[k] + (t3 - 2 * t2 + t) * h[k] * m[k] +
+      (-2 * t3 + 3 * t2) * ys[k + 1] + (t3 - t2) * h[k] * m[k + 1];
+  };
+}
+
+/**
+ * Variante continue d'un profil : courbe monotone par morceaux passant par la vitesse de chaque tranche
+ * en son milieu, sans saut aux bornes des tranches. Les vitesses des nœuds sont rendues unimodales :
+ * elles ne font que décroître de part et d'autre de la pente la plus rapide (montées de plus en plus
+ * lentes, descentes trop raides de plus en plus lentes), la courbe aussi. Au plat (0 %), vitesse = vFlat.
+ * @param {{bands: Array<Object>}} profile - Profil normalisé (resolveSlopeProfile)
+ * @param {number} prudence - Facteur de prudence (0-1) des intervalles absolus
+ * @returns {(slopePct: number, vFlatKmh: number) => number} Vitesse en km/h
+ */
+export function smoothProfileSpeed(profile, prudence) {
+  const xs = knotSlopes(profile.bands);
+  let lastVflat = null;
+  let curve = null;
+  return (slopePct, vFlatKmh) => {
+    // Les nœuds dépendent de Vflat : la courbe n'est recalculée que quand Vflat change (recherche binaire)
+    if (vFlatKmh !== lastVflat) {
+      const ys = xs.map(x => profileSpeed(profile, x, vFlatKmh, prudence));
+      const peak = ys.indexOf(Math.max(...ys));
+      for (let k = peak - 1; k >= 0; k--) ys[k] = Math.min(ys[k], ys[k + 1]);
+      for (let k = peak + 1; k < ys.length; k++) ys[k] = Math.min(ys[k], ys[k - 1]);
+      curve = monotoneCubic(xs, ys);
+      lastVflat = vFlatKmh;
+    }
+    return curve(slopePct);
+  };
+}
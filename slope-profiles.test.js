@@ -0,0 +1,80 @@
+/**
+ * Tests des profils de pente personnalisés (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSlopeProfiles, validateSlopeProfile, resolveSlopeProfile, profileSpeed, slopeBandLevel, smoothProfileSpeed, BUILTIN_PROFILES
+} from './slope-profiles.js';
+
+// Exemple de l'en-tête du module
+const MOUNTAIN = {
+  name: "montagne",
+  bands: [
+    { maxPct: -10, pace: ["9:00", "12:00"] },
+    { minPct: -10, maxPct: -1, relative: { perPct: 0.02 } },
+    { minPct: -1, maxPct: 1, relative: { perPct: 0 } },
+    { minPct: 1, maxPct: 15, relative: { perPct: 0.05, factor: 1.05 } },
+    { minPct: 15, speedKmh: [3.5, 4.5] }
+  ]
+};
+
+test("parseSlopeProfiles normalise les tranches et convertit les allures en km/h", () => {
+  const [profile] = parseSlopeProfiles(JSON.stringify(MOUNTAIN));
+  assert.equal(profile.name, "montagne");
+  assert.deepEqual(profile.bands[0], { minPct: null, maxPct: -10, relative: null, speedKmh: [5, 60 / 9] });
+  assert.deepEqual(profile.bands[1].relative, { perPct: 0.02, factor: 1 });
+  assert.equal(parseSlopeProfiles(JSON.stringify([MOUNTAIN, MOUNTAIN])).length, 2);
+  // Un profil normalisé se vérifie à nouveau tel quel
+  assert.deepEqual(validateSlopeProfile(profile), profile);
+});
+
+test("profileSpeed applique la tranche de la pente, une borne allant à la tranche la plus proche du plat", () => {
+  const profile = validateSlopeProfile(MOUNTAIN);
+  assert.equal(profileSpeed(profile, 0, 10, 0.5), 10);
+  assert.equal(profileSpeed(profile, -10, 10, 0.5), 10 / (1 - 0.2));
+  assert.equal(profileSpeed(profile, 15, 10, 0.5), 10 / (1.05 * 1.75));
+  assert.equal(profileSpeed(profile, 20, 10, 0), 4.5);
+  assert.equal(profileSpeed(profile, 20, 10, 1), 3.5);
+  assert.deepEqual([-20, -10, 0, 15, 20].map(s => slopeBandLevel(profile.bands, s)), [-2, -1, 0, 1, 2]);
+});
+
+test("les profils mal formés sont refusés avec le profil et la tranche fautifs", () => {
+  const broken = (change) => JSON.stringify({ ...MOUNTAIN, bands: MOUNTAIN.bands.map((b, i) => (i === 2 ? { ...b, ...change } : b)) });
+  assert.throws(() => parseSlopeProfiles(broken({ minPct: -2 })), /Profil "montagne", tranche 3 : minPct doit valoir le maxPct/);
+  assert.throws(() => parseSlopeProfiles(broken({ speedKmh: [8, 10] })), /tranche 3 : une seule vitesse attendue/);
+  assert.throws(() => parseSlopeProfiles(broken({ relative: null, pace: ["5:00", "4:00"] })), /intervalle de vitesse invalide/);
+  assert.throws(() => parseSlopeProfiles(broken({ relative: null, pace: ["5:75", "6:00"] })), /allure invalide "5:75"/);
+  assert.throws(() => parseSlopeProfiles("{ name: "), /Fichier de profils illisible/);
+  assert.throws(() => parseSlopeProfiles("[]"), /Fichier de profils vide/);
+});
+
+test("resolveSlopeProfile accepte les profils intégrés par leur nom", () => {
+  assert.equal(resolveSlopeProfile("standard"), BUILTIN_PROFILES.standard);
+  assert.throws(() => resolveSlopeProfile("toString"), /Profil invalide : toString/);
+});
+
+test("smoothProfileSpeed : vitesse du plat à 0 %, sans saut aux bornes des tranches", () => {
+  const speed = smoothProfileSpeed(BUILTIN_PROFILES.trained, 0.5);
+  assert.equal(speed(0, 10), 10);
+  // Le modèle par tranches saute de plus de 4 km/h à -6 %
+  assert.ok(profileSpeed(BUILTIN_PROFILES.trained, -6.001, 10, 0.5) - profileSpeed(BUILTIN_PROFILES.trained, -5.999, 10, 0.5) < -4);
+  for (const bound of [-12, -8, -6, -4, -1, 1, 12, 15, 20]) {
+    assert.ok(Math.abs(speed(bound - 0.001, 10) - speed(bound + 0.001, 10)) < 0.01, `saut à ${bound} %`);
+  }
+});
+
+test("smoothProfileSpeed décroît de part et d'autre de la pente la plus rapide", () => {
+  const speed = smoothProfileSpeed(validateSlopeProfile(MOUNTAIN), 0.5);
+  const slopes = Array.from({ length: 121 }, (_, i) => -30 + i * 0.5);
+  const speeds = slopes.map(s => speed(s, 10));
+  const peak = speeds.indexOf(Math.max(...speeds));
+  assert.ok(slopes[peak] < 0);
+  for (let i = 1; i < speeds.length; i++) {
+    if (i <= peak) assert.ok(speeds[i] >= speeds[i - 1] - 1e-9, `${slopes[i]} %`);
+    else assert.ok(speeds[i] <= speeds[i - 1] + 1e-9, `${slopes[i]} %`);
+  }
+  // Vflat change : la courbe suit
+  assert.equal(speed(0, 12), 12);
+});
@@ -0,0 +1,24 @@
+/**
+ * Outils partagés par les tests (node --test) : trace synthétique et comparaison numérique
+ */
+
+import assert from 'node:assert/strict';
+
+/**
+ * Trace droite vers le nord : 201 points tous les ~50 m, soit 10 km
+ * @param {(i: number) => number} elevation - Altitude du point d'indice i (m)
+ * @returns {{lat: number, lon: number, ele: number}[]} Points de la trace
+ */
+export function straightTrack(elevation) {
+  return Array.from({ length: 201 }, (_, i) => ({ lat: 45 + i * 0.00045, lon: 6, ele: elevation(i) }));
+}
+
+/**
+ * Vérifie qu'une valeur est égale à l'attendue, à la tolérance près
+ * @param {number} actual - Valeur obtenue
+ * @param {number} expected - Valeur attendue
+ * @param {number} [tolerance=1e-9] - Écart absolu admis
+ */
+export function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} au lieu de ${expected}`);
+}
@@ -0,0 +1,169 @@
+/**
+ * Nettoyage d'une trace enregistrée avant le calcul des distances, sans dépendance, pour Node et le navigateur
+ * Les sauts GPS, les doublons et le va-et-vient autour d'un ravitaillement gonflent la distance, le D+
+ * et créent des pentes absurdes. Trois passes, dans l'ordre :
+ * 1. doublons : point identique au précédent (position, altitude, horodatage)
+ * 2. points aberrants (traces horodatées) : vitesse depuis le dernier point gardé au-delà du maximum,
+ *    ou accélération brutale (saut puis retour)
+ * 3. arrêts (traces horodatées) : points restés dans un petit rayon assez longtemps, ramenés à deux
+ *    points au centre de la zone (début et fin de l'arrêt, la durée est conservée)
+ */
+
+import { haversineDistance } from './geodesy.js';
+
+// ==================== PARAMÈTRES ====================
+
+// Valeurs par défaut de cleanTrack
+export const CLEANUP_DEFAULTS = {
+  maxSpeedKmh: 30,
+  maxAccelMs2: 4,
+  stationaryRadiusM: 10,
+  stationaryMinSec: 60
+};
+
+// Au-delà de ce nombre de points rejetés d'affilée, le suivant est accepté : la trace a vraiment bougé
+// (trou d'enregistrement), il ne faut pas tout rejeter jusqu'à la fin
+const MAX_CONSECUTIVE_REJECTS = 10;
+
+// ==================== OUTILS ====================
+
+function timeMs(p) {
+  return p.time instanceof Date ? p.time.getTime() : null;
+}
+
+function samePoint(a, b) {
+  return a.lat === b.lat && a.lon === b.lon && (a.ele ?? null) === (b.ele ?? null) && timeMs(a) === timeMs(b);
+}
+
+function trackLengthM(points) {
+  let d = 0;
+  for (let i = 1; i < points.length; i++) d += haversineDistance(points[i - 1], points[i]);
+  return d;
+}
+
+// ==================== PASSES ====================
+
+/**
+ * Rejette les points trop rapides ou trop brusquement accélérés par rapport au dernier point gardé
+ * @returns {{kept: number[], speed: number, acceleration: number}} Indices gardés et nombre de rejets par motif
+ */
+function rejectOutliers(points, indices, maxSpeedMs, maxAccelMs2) {
+  const kept = [indices[0]];
+  let lastSpeed = null;
+  let rejectsInARow = 0;
+  let speed = 0;
+  let acceleration = 0;
+  for (let k = 1; k < indices.length; k++) {
+    const last = points[kept[kept.length - 1]];
+    const p = points[indices[k]];
+    const dtSec = (timeMs(p) - timeMs(last)) / 1000;
+    const v = dtSec > 0 ? haversineDistance(last, p) / dtSec : Infinity;
+
+    let reason = null;
+    if (v > maxSpeedMs) reason = "speed";
+    else if (lastSpeed !== null && (v - lastSpeed) / dtSec > maxAccelMs2) reason = "acceleration";
+
+    if (reason && rejectsInARow < MAX_CONSECUTIVE_REJECTS) {
+      rejectsInARow++;
+      if (reason === "speed") speed++;
+      else acceleration++;
+      continue;
+    }
+    rejectsInARow = 0;
+    lastSpeed = Number.isFinite(v) ? v : null;
+    kept.push(indices[k]);
+  }
+  return { kept, speed, acceleration };
+}
+
+/**
+ * Regroupe les points restés à moins de radiusM du premier point de l'arrêt pendant au moins minSec
+ * @returns {{points: Array<Object>, sourceIndex: number[], clusters: number, removed: number}}
+ */
+function collapseStationary(points, indices, radiusM, minSec) {
+  const out = [];
+  const sourceIndex = [];
+  let clusters = 0;
+  let removed = 0;
+  let k = 0;
+  while (k < indices.length) {
+    const anchor = points[indices[k]];
+    let end = k;
+    while (end + 1 < indices.length && haversineDistance(anchor, points[indices[end + 1]]) <= radiusM) end++;
+
+    const durationSec = (timeMs(points[indices[end]]) - timeMs(anchor)) / 1000;
+    if (end - k + 1 > 2 && durationSec >= minSec) {
+      const group = indices.slice(k, end + 1).map(i => points[i]);
+      const withEle = group.filter(p => Number.isFinite(p.ele));
+      const center = {
+        lat: group.reduce((s, p) => s + p.lat, 0) / group.length,
+        lon: group.reduce((s, p) => s + p.lon, 0) / group.length,
+        ele: withEle.length > 0 ? withEle.reduce((s, p) => s + p.ele, 0) / withEle.length : null
+      };
+      out.push({ ...group[0], ...center }, { ...group[group.length - 1], ...center });
+      sourceIndex.push(indices[k], indices[end]);
+      clusters++;
+      removed += group.length - 2;
+    } else {
+      out.push(points[indices[k]]);
+      sourceIndex.push(indices[k]);
+      end = k;
+    }
+    k = end + 1;
+  }
+  return { points: out, sourceIndex, clusters, removed };
+}
+
+// ==================== NETTOYAGE ====================
+
+/**
+ * Nettoie une trace : doublons, points aberrants (vitesse / accélération), arrêts
+ * Les deux dernières passes demandent un horodatage sur chaque point ; sinon seuls les doublons sont retirés.
+ * @param {Array<{lat: number, lon: number, ele?: number|null, time?: Date|null}>} points
+ * @param {{maxSpeedKmh?: number, maxAccelMs2?: number, stationaryRadiusM?: number, stationaryMinSec?: number}} [options]
+ * @returns {{points: Array<Object>, sourceIndex: number[], report: Object}} Points gardés, indice du point
+ *   d'origine de chacun, et rapport : points retirés par motif, arrêts regroupés, distance retirée
+ */
+export function cleanTrack(points, options = {}) {
+  const { maxSpeedKmh, maxAccelMs2, stationaryRadiusM, stationaryMinSec } = { ...CLEANUP_DEFAULTS, ...options };
+  if (!(maxSpeedKmh > 0)) throw new Error(`Vitesse maximale de nettoyage invalide : ${maxSpeedKmh}`);
+  if (!(maxAccelMs2 > 0)) throw new Error(`Accélération maximale de nettoyage invalide : ${maxAccelMs2}`);
+  if (!(stationaryRadiusM >= 0)) throw new Error(`Rayon d'arrêt invalide : ${stationaryRadiusM}`);
+  if (!(stationaryMinSec >= 0)) throw new Error(`Durée d'arrêt invalide : ${stationaryMinSec}`);
+
+  // 1. Doublons
+  let indices = points.length > 0 ? [0] : [];
+  for (let i = 1; i < points.length; i++) {
+    if (!samePoint(points[i], points[indices[indices.length - 1]])) indices.push(i);
+  }
+  const duplicates = points.length - indices.length;
+
+  // 2-3. Vitesse, accélération et arrêts : seulement si tous les points sont horodatés dans l'ordre
+  const timed = indices.length > 1 && indices.every((i, k) => {
+    const t = timeMs(points[i]);
+    return t !== null && (k === 0 || t >= timeMs(points[indices[k - 1]]));
+  });
+  let speed = 0;
+  let acceleration = 0;
+  let cleaned = { points: indices.map(i => points[i]), sourceIndex: indices, clusters: 0, removed: 0 };
+  if (timed) {
+    ({ kept: indices, speed, acceleration } = rejectOutliers(points, indices, maxSpeedKmh / 3.6, maxAccelMs2));
+    cleaned = collapseStationary(points, indices, stationaryRadiusM, stationaryMinSec);
+  }
+
+  const inputLengthM = trackLengthM(points);
+  const outputLengthM = trackLengthM(cleaned.points);
+  return {
+    points: cleaned.points,
+    sourceIndex: cleaned.sourceIndex,
+    report: {
+      timed,
+      inputPoints: points.length,
+      outputPoints: cleaned.points.length,
+      removed: { duplicates, speed, acceleration, stationary: cleaned.removed },
+      stationaryClusters: cleaned.clusters,
+      removedDistanceM: Math.round((inputLengthM - outputLengthM) * 10) / 10,
+      settings: { maxSpeedKmh, maxAccelMs2, stationaryRadiusM, stationaryMinSec }
+    }
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Tests du nettoyage des traces enregistrées (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanTrack } from './track-cleanup.js';
+
+const T0 = Date.UTC(2026, 5, 1, 8);
+const STEP_DEG = 0.00027; // ~30 m vers le nord, soit 3 m/s toutes les 10 s
+
+const at = (sec, lat, lon = 6, ele = 1000) => ({ lat, lon, ele, time: new Date(T0 + sec * 1000) });
+
+/**
+ * Marche de 10 points, un saut GPS de 1 km vers l'est, un doublon, un arrêt de 80 s
+ * (8 points à ±2 m) puis 3 points de marche
+ */
+function recordedTrack() {
+  const points = Array.from({ length: 10 }, (_, i) => at(i * 10, 45 + i * STEP_DEG));
+  points.splice(5, 0, at(45, points[4].lat, 6.013));
+  points.splice(8, 0, { ...points[7] });
+  const stop = points[points.length - 1];
+  for (let k = 1; k <= 8; k++) points.push(at(90 + k * 10, stop.lat + (k % 2 ? 0.00002 : -0.00002), 6, 1000 + k));
+  for (let k = 1; k <= 3; k++) points.push(at(170 + k * 10, stop.lat + k * STEP_DEG));
+  return points;
+}
+
+test("cleanTrack retire doublon, saut GPS et regroupe un arrêt en deux points", () => {
+  const points = recordedTrack();
+  const { points: cleaned, sourceIndex, report } = cleanTrack(points);
+  assert.equal(report.timed, true);
+  assert.deepEqual(report.removed, { duplicates: 1, speed: 1, acceleration: 0, stationary: 7 });
+  assert.equal(report.stationaryClusters, 1);
+  assert.deepEqual(sourceIndex, [0, 1, 2, 3, 4, 6, 7, 9, 10, 11, 19, 20, 21, 22]);
+  assert.equal(cleaned.length, sourceIndex.length);
+  assert.ok(report.removedDistanceM > 2000);
+  // L'arrêt garde sa durée : heure du premier et du dernier point, position au centre
+  assert.deepEqual([cleaned[9].time, cleaned[10].time], [points[11].time, points[19].time]);
+  assert.equal(cleaned[9].lat, cleaned[10].lat);
+  assert.equal(cleaned[9].ele, (1000 + 1001 + 1002 + 1003 + 1004 + 1005 + 1006 + 1007 + 1008) / 9);
+});
+
+test("sans horodatage, seuls les doublons sont retirés", () => {
+  const { points, report } = cleanTrack(recordedTrack().map(p => ({ ...p, time: null })));
+  assert.equal(report.timed, false);
+  assert.deepEqual(report.removed, { duplicates: 1, speed: 0, acceleration: 0, stationary: 0 });
+  assert.equal(points.length, 22);
+});
+
+test("des seuils invalides sont refusés", () => {
+  assert.throws(() => cleanTrack([], { maxSpeedKmh: 0 }), /Vitesse maximale de nettoyage invalide/);
+  assert.throws(() => cleanTrack([], { stationaryMinSec: -1 }), /Durée d'arrêt invalide/);
+});
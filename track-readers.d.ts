@@ -0,0 +1,85 @@
+// Types for track-readers.js (shared track readers, used by index.ts)
+
+export type TrackPoint = {
+  lat: number;
+  lon: number;
+  ele: number | null;
+};
+
+export type GpxPoint = TrackPoint & {
+  time: Date | null;
+  hr: number | null;
+  cad: number | null;
+  atemp: number | null;
+  power: number | null;
+};
+
+export type GpxTrack = {
+  kind: "track" | "route";
+  index: number;
+  name: string | null;
+  points: GpxPoint[];
+  distanceM: number;
+};
+
+export type CoursePoint = {
+  name: string;
+  type: string | null;
+  lat: number;
+  lon: number;
+  distanceM?: number | null;
+};
+
+export type LocatedCoursePoint = {
+  name: string;
+  type: string | null;
+  km: number | null;
+  offTrackM: number | null;
+};
+
+export function detectTrackFormat(content: string): "gpx" | "tcx" | "kml" | "geojson" | null;
+
+export function readGpx(xml: string): { tracks: GpxTrack[]; waypoints: CoursePoint[] };
+export function parseGpxTracks(xml: string): GpxTrack[];
+
+export type GpxReadProgress = {
+  bytesRead: number;
+  totalBytes: number | null;
+  ratio: number | null;
+  points: number;
+};
+
+export function createGpxReader(options?: {
+  onPoint?: (point: GpxPoint, track: { kind: "track" | "route"; name: string | null; distanceM: number }) => void;
+}): {
+  write(chunk: string): void;
+  end(): { tracks: GpxTrack[]; waypoints: CoursePoint[] };
+  pointCount(): number;
+};
+export function readGpxStream(
+  source: AsyncIterable<Uint8Array | string> | ReadableStream<Uint8Array>,
+  options?: {
+    totalBytes?: number | null;
+    onProgress?: ((progress: GpxReadProgress) => void) | null;
+    onPoint?: (point: GpxPoint, track: { kind: "track" | "route"; name: string | null; distanceM: number }) => void;
+  }
+): Promise<{ tracks: GpxTrack[]; waypoints: CoursePoint[] }>;
+
+export function selectGpxTrack(tracks: GpxTrack[], selector?: string | number | null): GpxTrack;
+export function describeGpxTrack(track: GpxTrack): string;
+export function parseGpxWaypoints(xml: string): CoursePoint[];
+
+export function parseTcxPoints(xml: string): (TrackPoint & { time: Date | null })[];
+export function parseTcxCoursePoints(xml: string): CoursePoint[];
+
+export function parseKmlPoints(xml: string): TrackPoint[];
+export function extractKmlFromKmz(bytes: Uint8Array): string;
+
+export function parseGeoJsonPoints(text: string): TrackPoint[];
+
+export function locateCoursePoints(
+  points: TrackPoint[],
+  coursePoints: CoursePoint[],
+  maxOffTrackM?: number,
+  cumulativeDistances?: number[] | null
+): LocatedCoursePoint[];
@@ -0,0 +1,619 @@
+/**
+ * Lecteurs de traces partagés par le CLI (gpx_pacing_full.js), script.js et le navigateur
+ * Module ES sans dépendance : fonctionne aussi bien sous Node que dans le navigateur
+ */
+
+import { extractZipEntry } from './zip-reader.js';
+import { createXmlScanner, scanXml } from './xml-scanner.js';
+
+// ==================== DÉTECTION DU FORMAT ====================
+
+/**
+ * Détermine le format d'un fichier de trace à partir de son contenu
+ * (les formats binaires FIT et KMZ sont détectés par isFitData / isZipData)
+ * @param {string} content - Contenu texte du fichier
+ * @returns {"gpx"|"tcx"|"kml"|"geojson"|null} Format détecté, ou null si inconnu
+ */
+export function detectTrackFormat(content) {
+  const text = String(content).replace(/^\uFEFF/, "");
+  if (/^\s*[{[]/.test(text)) return "geojson";
+  const head = text.slice(0, 4096);
+  for (const source of [head, text]) {
+    // Prologue très long (commentaires, DTD) : second passage sur tout le contenu
+    if (/<(?:\w+:)?TrainingCenterDatabase\b/.test(source)) return "tcx";
+    if (/<(?:\w+:)?gpx\b/.test(source)) return "gpx";
+    if (/<(?:\w+:)?kml\b/.test(source)) return "kml";
+  }
+  return null;
+}
+
+// ==================== GPX ====================
+
+/**
+ * Lit une coordonnée lat/lon d'un point GPX (ordre des attributs indifférent)
+ */
+function gpxCoordinate(attrs, key, tag, line, limit) {
+  const raw = attrs[key];
+  const value = raw === undefined || raw.trim() === "" ? NaN : Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`GPX invalide (ligne ${line}) : <${tag}> sans attribut ${key} numérique` +
+      (raw === undefined ? "" : ` ("${raw}")`));
+  }
+  if (Math.abs(value) > limit) {
+    throw new Error(`GPX invalide (ligne ${line}) : ${key}="${raw}" hors de [-${limit}, ${limit}] dans <${tag}>`);
+  }
+  return value;
+}
+
+// Éléments d'extension lus comme capteurs : Garmin TrackPointExtension (hr, cad, atemp),
+// puissance (<power> Strava, <PowerInWatts> Garmin PowerExtension)
+const GPX_SENSOR_TAGS = { hr: "hr", cad: "cad", atemp: "atemp", power: "power", PowerInWatts: "power" };
+
+/**
+ * Crée le gestionnaire d'événements XML qui reconstruit traces, routes et waypoints d'un GPX
+ * Règles communes à tous les points d'entrée :
+ * - lat/lon obligatoires et numériques (0 accepté), sinon erreur avec le numéro de ligne
+ * - <ele> absent, vide ou non numérique : ele = null ; <time> invalide : time = null
+ * - capteurs des extensions (hr, cad, atemp, power) : null quand absents
+ * La distance de chaque trace est cumulée au fil des points (lecture en flux sans second passage).
+ * @param {(point: Object, track: Object) => void} [onPoint] - Appelé pour chaque point de trace/route lu
+ * @returns {{handler: Object, pointCount: () => number, result: () => {tracks: Array<Object>, waypoints: Array<Object>}}}
+ */
+function createGpxHandler(onPoint) {
+  const tracks = [];
+  const waypoints = [];
+  const path = [];
+  let pointCount = 0;
+  let track = null;
+  let point = null;
+  let waypoint = null;
+  let text = "";
+
+  const handler = {
+    open(name, attrs, line) {
+      if (path.length === 0 && name !== "gpx") {
+        throw new Error(`Le fichier n'est pas un GPX (élément racine <${name}>)`);
+      }
+      const parent = path[path.length - 1];
+      path.push(name);
+      text = "";
+
+      if ((name === "trk" || name === "rte") && parent === "gpx") {
+        track = { kind: name === "trk" ? "track" : "route", name: null, points: [], distanceM: 0 };
+      } else if (track && ((name === "trkpt" && track.kind === "track") || (name === "rtept" && track.kind === "route"))) {
+        point = {
+          lat: gpxCoordinate(attrs, "lat", name, line, 90),
+          lon: gpxCoordinate(attrs, "lon", name, line, 180),
+          ele: null,
+          time: null,
+          hr: null,
+          cad: null,
+          atemp: null,
+          power: null
+        };
+      } else if (name === "wpt" && parent === "gpx") {
+        waypoint = {
+          name: null,
+          type: null,
+          sym: null,
+          lat: gpxCoordinate(attrs, "lat", name, line, 90),
+          lon: gpxCoordinate(attrs, "lon", name, line, 180)
+        };
+      }
+    },
+
+    text(chunk) {
+      text += chunk;
+    },
+
+    close(name) {
+      path.pop();
+      const parent = path[path.length - 1];
+      const value = text.trim();
+      text = "";
+
+      if (point && parent === (track.kind === "track" ? "trkpt" : "rtept")) {
+        if (name === "ele") {
+          const ele = value === "" ? NaN : Number(value);
+          point.ele = Number.isFinite(ele) ? ele : null;
+        } else if (name === "time") {
+          const time = new Date(value);
+          point.time = Number.isNaN(time.getTime()) ? null : time;
+        }
+      } else if (point && GPX_SENSOR_TAGS[name]) {
+        // Extensions (gpxtpx:TrackPointExtension, puissance…), à n'importe quelle profondeur du point
+        const v = value === "" ? NaN : Number(value);
+        point[GPX_SENSOR_TAGS[name]] = Number.isFinite(v) ? v : null;
+      } else if (waypoint && parent === "wpt") {
+        if (name === "name" || name === "type" || name === "sym") waypoint[name] = value || null;
+      } else if (track && name === "name" && (parent === "trk" || parent === "rte")) {
+        track.name = value || null;
+      }
+
+      if (point && (name === "trkpt" || name === "rtept")) {
+        const previous = track.points[track.points.length - 1];
+        if (previous) track.distanceM += haversineM(previous, point);
+        track.points.push(point);
+        pointCount++;
+        if (onPoint) onPoint(point, track);
+        point = null;
+      } else if (waypoint && name === "wpt") {
+        waypoints.push({
+          name: waypoint.name || `Waypoint ${waypoints.length + 1}`,
+          type: waypoint.type || waypoint.sym,
+          lat: waypoint.lat,
+          lon: waypoint.lon
+        });
+        waypoint = null;
+      } else if (track && (name === "trk" || name === "rte")) {
+        if (track.points.length >= 2) {
+          tracks.push({
+            kind: track.kind,
+            index: tracks.length + 1,
+            name: track.name,
+            points: track.points,
+            distanceM: track.distanceM
+          });
+        }
+        track = null;
+      }
+    }
+  };
+
+  return { handler, pointCount: () => pointCount, result: () => ({ tracks, waypoints }) };
+}
+
+/**
+ * Lit un GPX complet : traces (<trk>, segments fusionnés), routes (<rte>) et waypoints (<wpt>)
+ * Lecteur unique du CLI, de script.js, du navigateur et de index.ts.
+ * @param {string} xml - Contenu du fichier GPX
+ * @returns {{tracks: Array<Object>, waypoints: Array<Object>}} Voir parseGpxTracks et parseGpxWaypoints
+ */
+export function readGpx(xml) {
+  const { handler, result } = createGpxHandler();
+  scanXml(xml, handler, "GPX");
+  return result();
+}
+
+/**
+ * Crée un lecteur GPX incrémental : le texte est fourni par morceaux, sans jamais être
+ * conservé en entier (fichiers de plusieurs centaines de Mo)
+ * @param {Object} [options]
+ * @param {(point: Object, track: Object) => void} [options.onPoint] - Appelé pour chaque point lu
+ * @returns {{write: (chunk: string) => void, end: () => {tracks: Array<Object>, waypoints: Array<Object>}, pointCount: () => number}}
+ */
+export function createGpxReader({ onPoint } = {}) {
+  const { handler, pointCount, result } = createGpxHandler(onPoint);
+  const scanner = createXmlScanner(handler, "GPX");
+  return {
+    write: chunk => scanner.write(chunk),
+    end() {
+      scanner.end();
+      return result();
+    },
+    pointCount
+  };
+}
+
+/**
+ * Lit un GPX en flux, morceau par morceau (flux Node fs.createReadStream, File.stream() du navigateur,
+ * ou tout itérable asynchrone d'octets / de texte)
+ * L'UTF-8 est décodé en continu : un caractère coupé entre deux morceaux est reconstitué.
+ * @param {AsyncIterable<Uint8Array|string>|ReadableStream<Uint8Array>} source - Contenu du fichier
+ * @param {Object} [options]
+ * @param {number} [options.totalBytes] - Taille du fichier, pour le pourcentage d'avancement
+ * @param {(progress: {bytesRead: number, totalBytes: number|null, ratio: number|null, points: number}) => void} [options.onProgress]
+ *   Appelé après chaque morceau
+ * @param {(point: Object, track: Object) => void} [options.onPoint] - Appelé pour chaque point lu
+ * @returns {Promise<{tracks: Array<Object>, waypoints: Array<Object>}>} Même résultat que readGpx
+ */
+export async function readGpxStream(source, { totalBytes = null, onProgress = null, onPoint } = {}) {
+  const reader = createGpxReader({ onPoint });
+  const decoder = new TextDecoder("utf-8");
+  let bytesRead = 0;
+
+  for await (const chunk of streamChunks(source)) {
+    if (typeof chunk === "string") {
+      bytesRead += chunk.length;
+      reader.write(chunk);
+    } else {
+      bytesRead += chunk.byteLength;
+      reader.write(decoder.decode(chunk, { stream: true }));
+    }
+    if (onProgress) {
+      onProgress({
+        bytesRead,
+        totalBytes,
+        ratio: totalBytes ? Math.min(1, bytesRead / totalBytes) : null,
+        points: reader.pointCount()
+      });
+    }
+  }
+  reader.write(decoder.decode());
+  return reader.end();
+}
+
+/**
+ * Itère sur les morceaux d'une source : itérable asynchrone (flux Node) ou ReadableStream
+ * (navigateurs sans itération asynchrone des ReadableStream)
+ */
+async function* streamChunks(source) {
+  if (source && typeof source.getReader === "function" && !source[Symbol.asyncIterator]) {
+    const reader = source.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    yield* source;
+  }
+}
+
+/**
+ * Extrait les traces (<trk>, segments fusionnés) et routes (<rte>) d'un GPX, dans l'ordre du document
+ * @param {string} xml - Contenu du fichier GPX
+ * @returns {Array<{kind: "track"|"route", index: number, name: string|null, points: Array<{lat: number, lon: number, ele: number|null, time: Date|null, hr: number|null, cad: number|null, atemp: number|null, power: number|null}>, distanceM: number}>}
+ *   index : numéro 1..n utilisé par selectGpxTrack
+ */
+export function parseGpxTracks(xml) {
+  const { tracks } = readGpx(xml);
+  if (tracks.length === 0) throw new Error("Pas assez de points <trkpt> ou <rtept> trouvés dans le GPX");
+  return tracks;
+}
+
+/**
+ * Choisit une trace ou route parmi celles d'un GPX
+ * @param {Array<Object>} tracks - Résultat de parseGpxTracks
+ * @param {string|number|null} [selector] - Nom (insensible à la casse) ou numéro 1..n ; vide = la première
+ * @returns {Object} La trace choisie
+ */
+export function selectGpxTrack(tracks, selector) {
+  if (tracks.length === 0) throw new Error("Pas assez de points <trkpt> ou <rtept> trouvés dans le GPX");
+  if (selector === undefined || selector === null || String(selector).trim() === "") return tracks[0];
+  const key = String(selector).trim().toLowerCase();
+  const byName = tracks.find(t => t.name !== null && t.name.toLowerCase() === key);
+  if (byName) return byName;
+  if (/^\d+$/.test(key) && tracks[Number(key) - 1]) return tracks[Number(key) - 1];
+  throw new Error(`Trace "${selector}" introuvable. Disponibles : ${tracks.map(describeGpxTrack).join(" ; ")}`);
+}
+
+/**
+ * Libellé lisible d'une trace : "2. Variante mauvais temps (trace, 98.4 km)"
+ */
+export function describeGpxTrack(track) {
+  const kind = track.kind === "route" ? "route" : "trace";
+  return `${track.index}. ${track.name || "(sans nom)"} (${kind}, ${(track.distanceM / 1000).toFixed(1)} km)`;
+}
+
+/**
+ * Extrait les waypoints (<wpt>) d'un GPX : ravitaillements, points de contrôle…
+ * @param {string} xml - Contenu du fichier GPX
+ * @returns {Array<{name: string, type: string|null, lat: number, lon: number}>} Dans l'ordre du fichier
+ */
+export function parseGpxWaypoints(xml) {
+  return readGpx(xml).waypoints;
+}
+
+// ==================== TCX ====================
+
+/**
+ * Lit un TCX complet (activités et parcours Garmin) avec l'analyseur XML partagé
+ * Règles :
+ * - Trackpoint sans Position (pauses, capteur seul) ou aux coordonnées non numériques : ignoré
+ * - <AltitudeMeters> absent, vide ou non numérique : ele = null ; <Time> absent ou invalide : time = null
+ * - CoursePoint sans nom : "Point n" dans l'ordre du fichier
+ * @param {string} xml - Contenu du fichier TCX
+ * @returns {{points: Array<{lat: number, lon: number, ele: number|null, time: Date|null}>, coursePoints: Array<{name: string, type: string|null, lat: number, lon: number}>}}
+ */
+function readTcx(xml) {
+  const points = [];
+  const coursePoints = [];
+  const path = [];
+  let item = null;
+  let text = "";
+
+  scanXml(xml, {
+    open(name) {
+      path.push(name);
+      text = "";
+      if (name === "Trackpoint" || name === "CoursePoint") {
+        item = { kind: name, lat: NaN, lon: NaN, ele: null, time: null, name: null, type: null };
+      }
+    },
+
+    text(chunk) {
+      text += chunk;
+    },
+
+    close(name) {
+      path.pop();
+      const parent = path[path.length - 1];
+      const value = text.trim();
+      text = "";
+      if (!item) return;
+
+      if (parent === "Position" && path[path.length - 2] === item.kind) {
+        const v = value === "" ? NaN : Number(value);
+        if (name === "LatitudeDegrees") item.lat = v;
+        else if (name === "LongitudeDegrees") item.lon = v;
+      } else if (parent === item.kind) {
+        if (name === "AltitudeMeters") {
+          const ele = value === "" ? NaN : Number(value);
+          item.ele = Number.isFinite(ele) ? ele : null;
+        } else if (name === "Time") {
+          const time = new Date(value);
+          item.time = Number.isNaN(time.getTime()) ? null : time;
+        } else if (name === "Name") {
+          item.name = value || null;
+        } else if (name === "PointType") {
+          item.type = value || null;
+        }
+      } else if (name === item.kind) {
+        if (Number.isFinite(item.lat) && Number.isFinite(item.lon)) {
+          if (name === "Trackpoint") {
+            points.push({ lat: item.lat, lon: item.lon, ele: item.ele, time: item.time });
+          } else {
+            coursePoints.push({
+              name: item.name || `Point ${coursePoints.length + 1}`,
+              type: item.type,
+              lat: item.lat,
+              lon: item.lon
+            });
+          }
+        }
+        item = null;
+      }
+    }
+  }, "TCX");
+
+  return { points, coursePoints };
+}
+
+/**
+ * Extrait les points d'un fichier TCX (activités et parcours Garmin)
+ * Les Trackpoint sans Position (pauses, capteur seul) sont ignorés.
+ * @param {string} xml - Contenu du fichier TCX
+ * @returns {Array<{lat: number, lon: number, ele: number|null, time: Date|null}>} Points dans l'ordre du fichier
+ */
+export function parseTcxPoints(xml) {
+  const { points } = readTcx(xml);
+  if (points.length < 2) throw new Error("Pas assez de points <Trackpoint> avec position trouvés dans le TCX");
+  return points;
+}
+
+/**
+ * Extrait les CoursePoint d'un parcours TCX (ravitaillements, sommets, dangers…)
+ * @param {string} xml - Contenu du fichier TCX
+ * @returns {Array<{name: string, type: string|null, lat: number, lon: number}>}
+ */
+export function parseTcxCoursePoints(xml) {
+  return readTcx(xml).coursePoints;
+}
+
+// ==================== KML / KMZ ====================
+
+/**
+ * Extrait les points des LineString et gx:Track d'un fichier KML (Google Earth),
+ * dans l'ordre du document
+ * Les tracés "collés au sol" ont souvent une altitude à 0 partout : elle est alors considérée absente.
+ * @param {string} xml - Contenu du fichier KML
+ * @returns {Array<{lat: number, lon: number, ele: number|null}>}
+ */
+export function parseKmlPoints(xml) {
+  const points = [];
+  const path = [];
+  let text = "";
+
+  scanXml(xml, {
+    open(name) {
+      path.push(name);
+      text = "";
+    },
+
+    text(chunk) {
+      text += chunk;
+    },
+
+    close(name) {
+      path.pop();
+      const parent = path[path.length - 1];
+      if (name === "coordinates" && parent === "LineString") {
+        // <coordinates>lon,lat[,alt] lon,lat[,alt] …</coordinates>
+        for (const tuple of text.trim().split(/\s+/)) {
+          if (tuple) pushCoordinate(points, tuple.split(",").map(Number));
+        }
+      } else if (name === "coord" && parent === "Track") {
+        // gx:Track : <gx:coord>lon lat [alt]</gx:coord>
+        pushCoordinate(points, text.trim().split(/\s+/).map(Number));
+      }
+      text = "";
+    }
+  }, "KML");
+
+  if (points.length < 2) throw new Error("Pas assez de points LineString / gx:Track trouvés dans le KML");
+  if (points.every(p => p.ele === null || p.ele === 0)) {
+    for (const p of points) p.ele = null;
+  }
+  return points;
+}
+
+/**
+ * Extrait le document KML principal d'une archive KMZ (doc.kml, sinon le premier .kml)
+ * @param {Uint8Array} bytes - Contenu de l'archive KMZ
+ * @returns {string} Contenu du KML
+ */
+export function extractKmlFromKmz(bytes) {
+  const entry = extractZipEntry(bytes, name => /(^|\/)doc\.kml$/i.test(name)) ||
+    extractZipEntry(bytes, name => /\.kml$/i.test(name));
+  if (!entry) throw new Error("Aucun fichier .kml trouvé dans l'archive KMZ");
+  return new TextDecoder("utf-8").decode(entry.data);
+}
+
+// ==================== GEOJSON ====================
+
+/**
+ * Extrait les points des LineString / MultiLineString d'un document GeoJSON
+ * (FeatureCollection, Feature, GeometryCollection ou géométrie seule)
+ * La 3e coordonnée, si présente, est l'altitude.
+ * @param {string} text - Contenu du fichier GeoJSON
+ * @returns {Array<{lat: number, lon: number, ele: number|null}>}
+ */
+export function parseGeoJsonPoints(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`GeoJSON invalide : ${error.message}`);
+  }
+
+  const points = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    switch (node.type) {
+      case "FeatureCollection":
+        (node.features || []).forEach(visit);
+        break;
+      case "Feature":
+        visit(node.geometry);
+        break;
+      case "GeometryCollection":
+        (node.geometries || []).forEach(visit);
+        break;
+      case "LineString":
+        for (const c of node.coordinates || []) pushCoordinate(points, c);
+        break;
+      case "MultiLineString":
+        for (const line of node.coordinates || []) {
+          for (const c of line) pushCoordinate(points, c);
+        }
+        break;
+    }
+  };
+  visit(doc);
+
+  if (points.length < 2) throw new Error("Pas assez de points LineString / MultiLineString trouvés dans le GeoJSON");
+  return points;
+}
+
+/**
+ * Ajoute une position [lon, lat, alt?] (ordre GeoJSON/KML) si elle est valide
+ */
+function pushCoordinate(points, coord) {
+  if (!Array.isArray(coord) || coord.length < 2) return;
+  const lon = Number(coord[0]);
+  const lat = Number(coord[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+  const ele = coord.length > 2 ? Number(coord[2]) : NaN;
+  points.push({ lat, lon, ele: Number.isFinite(ele) ? ele : null });
+}
+
+// ==================== POSITIONNEMENT SUR LA TRACE ====================
+
+const EARTH_RADIUS_M = 6371000;
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Distances cumulées (haversine, en mètres) le long d'un tracé
+ */
+function cumulativeDistancesM(points) {
+  const cum = [0];
+  for (let i = 1; i < points.length; i++) {
+    cum.push(cum[i - 1] + haversineM(points[i - 1], points[i]));
+  }
+  return cum;
+}
+
+/**
+ * Distance haversine entre deux points, en mètres
+ */
+function haversineM(a, b) {
+  const sinDLat = Math.sin(((b.lat - a.lat) * DEG_TO_RAD) / 2);
+  const sinDLon = Math.sin(((b.lon - a.lon) * DEG_TO_RAD) / 2);
+  const h = sinDLat * sinDLat + Math.cos(a.lat * DEG_TO_RAD) * Math.cos(b.lat * DEG_TO_RAD) * sinDLon * sinDLon;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Passages d'un tracé à proximité d'une position
+ * Chaque série contiguë de segments à moins de maxOffTrackM donne un passage,
+ * positionné par projection orthogonale sur le segment le plus proche.
+ * @returns {{passages: Array<{distanceM: number, offTrackM: number}>, minOffTrackM: number}}
+ */
+function findPassages(points, cum, target, maxOffTrackM) {
+  // Plan local équirectangulaire centré sur la position (précis à l'échelle de quelques km)
+  const kx = Math.cos(target.lat * DEG_TO_RAD) * DEG_TO_RAD * EARTH_RADIUS_M;
+  const ky = DEG_TO_RAD * EARTH_RADIUS_M;
+  const xy = p => [(p.lon - target.lon) * kx, (p.lat - target.lat) * ky];
+
+  const passages = [];
+  let current = null;
+  let minOffTrackM = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const [ax, ay] = xy(points[i - 1]);
+    const [bx, by] = xy(points[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const offTrackM = Math.hypot(ax + t * dx, ay + t * dy);
+    minOffTrackM = Math.min(minOffTrackM, offTrackM);
+
+    if (offTrackM <= maxOffTrackM) {
+      const distanceM = cum[i - 1] + t * (cum[i] - cum[i - 1]);
+      if (!current) {
+        current = { distanceM, offTrackM };
+        passages.push(current);
+      } else if (offTrackM < current.offTrackM) {
+        current.distanceM = distanceM;
+        current.offTrackM = offTrackM;
+      }
+    } else {
+      current = null;
+    }
+  }
+  return { passages, minOffTrackM };
+}
+
+/**
+ * Positionne des points nommés (waypoints GPX, CoursePoints TCX/FIT) le long de la trace
+ *
+ * Sur une boucle ou un aller-retour, le même lieu est traversé plusieurs fois : les points sont
+ * traités dans l'ordre de la liste (ordre du parcours) et chacun prend le premier passage situé
+ * après le point précédent. À défaut (liste non ordonnée), le passage le plus proche est retenu.
+ * Une distance fournie par le fichier (course_point FIT) est mesurée par l'appareil, sur une autre échelle que
+ * cumulativeDistances (distance officielle, 3D, nettoyage) : elle sert seulement à choisir le passage le plus proche.
+ *
+ * @param {Array<{lat: number, lon: number}>} points - Points de la trace
+ * @param {Array<{name: string, type: string|null, lat: number, lon: number, distanceM?: number|null}>} coursePoints
+ * @param {number} [maxOffTrackM=250] - Distance maximale à la trace pour qu'un point soit retenu
+ * @param {number[]|null} [cumulativeDistances=null] - Distances cumulées des points (m) à utiliser pour les km
+ *   (ex: ellipsoïde ou 3D, voir trackDistances de pacing-engine.js) ; Haversine à plat par défaut
+ * @returns {Array<{name: string, type: string|null, km: number|null, offTrackM: number|null}>}
+ *   km = null pour les points trop éloignés de la trace
+ */
+export function locateCoursePoints(points, coursePoints, maxOffTrackM = 250, cumulativeDistances = null) {
+  const cum = cumulativeDistances || cumulativeDistancesM(points);
+  // Tolérance pour deux points au même endroit (ex: ravitaillement et pointage)
+  const orderToleranceM = 50;
+  let previousM = 0;
+
+  return coursePoints.map(cp => {
+    const { passages, minOffTrackM } = findPassages(points, cum, cp, maxOffTrackM);
+    if (passages.length === 0) {
+      return { name: cp.name, type: cp.type, km: null, offTrackM: minOffTrackM };
+    }
+
+    const gapM = p => Math.abs(p.distanceM - cp.distanceM);
+    const passage = Number.isFinite(cp.distanceM)
+      ? passages.reduce((best, p) => (gapM(p) < gapM(best) ? p : best))
+      : passages.find(p => p.distanceM >= previousM - orderToleranceM) ||
+        passages.reduce((best, p) => (p.offTrackM < best.offTrackM ? p : best));
+    previousM = passage.distanceM;
+    return { name: cp.name, type: cp.type, km: passage.distanceM / 1000, offTrackM: passage.offTrackM };
+  });
+}
@@ -0,0 +1,268 @@
+/**
+ * Tests des lecteurs de traces (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectTrackFormat, parseTcxPoints, parseTcxCoursePoints, parseKmlPoints, parseGeoJsonPoints,
+  parseGpxTracks, selectGpxTrack, describeGpxTrack, parseGpxWaypoints, locateCoursePoints, readGpx, readGpxStream
+} from './track-readers.js';
+
+// ==================== TCX ====================
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses><Course><Name>Boucle</Name><Track>
+    <Trackpoint><Position><LatitudeDegrees>45.0</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position><AltitudeMeters>1000</AltitudeMeters></Trackpoint>
+    <Trackpoint><HeartRateBpm><Value>120</Value></HeartRateBpm></Trackpoint>
+    <Trackpoint><Position><LatitudeDegrees>45.001</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position></Trackpoint>
+    <Trackpoint><Position><LatitudeDegrees>45.002</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position><AltitudeMeters>1010.5</AltitudeMeters></Trackpoint>
+  </Track>
+  <CoursePoint><Name>Ravito</Name><Position><LatitudeDegrees>45.001</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position><PointType>Food</PointType></CoursePoint>
+  <CoursePoint><Position><LatitudeDegrees>45.002</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position></CoursePoint>
+  </Course></Courses>
+</TrainingCenterDatabase>`;
+
+test("detectTrackFormat reconnaît le TCX", () => {
+  assert.equal(detectTrackFormat(TCX), "tcx");
+  assert.equal(detectTrackFormat("bonjour"), null);
+});
+
+test("parseTcxPoints ignore les Trackpoint sans position et garde l'altitude absente à null", () => {
+  assert.deepEqual(parseTcxPoints(TCX), [
+    { lat: 45, lon: 6, ele: 1000, time: null },
+    { lat: 45.001, lon: 6, ele: null, time: null },
+    { lat: 45.002, lon: 6, ele: 1010.5, time: null }
+  ]);
+});
+
+test("parseTcxPoints lit l'heure des Trackpoint, les préfixes, le CDATA et les entités", () => {
+  const tcx = `<?xml version="1.0"?>
+<tcx:TrainingCenterDatabase xmlns:tcx="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <tcx:Activities><tcx:Activity Sport="Running"><tcx:Lap StartTime="2024-06-01T06:00:00Z"><tcx:Track>
+    <tcx:Trackpoint>
+      <tcx:Time>2024-06-01T06:00:00Z</tcx:Time>
+      <tcx:Position><tcx:LatitudeDegrees><![CDATA[45.0]]></tcx:LatitudeDegrees><tcx:LongitudeDegrees>6.0</tcx:LongitudeDegrees></tcx:Position>
+      <tcx:AltitudeMeters>1000</tcx:AltitudeMeters>
+    </tcx:Trackpoint>
+    <tcx:Trackpoint><tcx:Time>pas une date</tcx:Time><tcx:Position><tcx:LatitudeDegrees>45.001</tcx:LatitudeDegrees><tcx:LongitudeDegrees>6.0</tcx:LongitudeDegrees></tcx:Position><tcx:AltitudeMeters/></tcx:Trackpoint>
+    <tcx:Trackpoint><tcx:Time>2024-06-01T06:00:20Z</tcx:Time><tcx:Position/></tcx:Trackpoint>
+  </tcx:Track></tcx:Lap></tcx:Activity></tcx:Activities>
+</tcx:TrainingCenterDatabase>`;
+  const points = parseTcxPoints(tcx);
+  assert.equal(points.length, 2);
+  assert.deepEqual(points[0], { lat: 45, lon: 6, ele: 1000, time: new Date("2024-06-01T06:00:00Z") });
+  assert.deepEqual(points[1], { lat: 45.001, lon: 6, ele: null, time: null });
+});
+
+test("parseTcxPoints signale un TCX mal formé avec sa ligne", () => {
+  assert.throws(() => parseTcxPoints("<TrainingCenterDatabase>\n<Track></Trackpoint>\n</TrainingCenterDatabase>"), /TCX invalide \(ligne 2\)/);
+});
+
+test("parseTcxPoints refuse une trace de moins de 2 points", () => {
+  assert.throws(() => parseTcxPoints("<TrainingCenterDatabase></TrainingCenterDatabase>"), /Pas assez de points/);
+});
+
+test("parseTcxCoursePoints nomme les points sans nom dans l'ordre", () => {
+  assert.deepEqual(parseTcxCoursePoints(TCX), [
+    { name: "Ravito", type: "Food", lat: 45.001, lon: 6 },
+    { name: "Point 2", type: null, lat: 45.002, lon: 6 }
+  ]);
+});
+
+test("parseTcxCoursePoints décode les entités et le CDATA des noms", () => {
+  const tcx = `<TrainingCenterDatabase><Courses><Course><Name>Boucle</Name>
+    <CoursePoint><Name>Col &amp; Refuge</Name><Position><LatitudeDegrees>45.001</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position></CoursePoint>
+    <CoursePoint><Name><![CDATA[<Ravito> final]]></Name><Position><LatitudeDegrees>45.002</LatitudeDegrees><LongitudeDegrees>6.0</LongitudeDegrees></Position><PointType>Water</PointType></CoursePoint>
+  </Course></Courses></TrainingCenterDatabase>`;
+  assert.deepEqual(parseTcxCoursePoints(tcx).map(c => [c.name, c.type]), [["Col & Refuge", null], ["<Ravito> final", "Water"]]);
+});
+
+// ==================== KML / GEOJSON ====================
+
+test("parseKmlPoints lit LineString et gx:Track dans l'ordre du document", () => {
+  const kml = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"><Document>
+    <Placemark><LineString><coordinates>
+      6.0,45.0,1000 6.0,45.001,1005
+    </coordinates></LineString></Placemark>
+    <Placemark><gx:Track><gx:coord>6.0 45.002 1010</gx:coord><gx:coord>6.0 45.003</gx:coord></gx:Track></Placemark>
+  </Document></kml>`;
+  assert.equal(detectTrackFormat(kml), "kml");
+  assert.deepEqual(parseKmlPoints(kml), [
+    { lat: 45, lon: 6, ele: 1000 },
+    { lat: 45.001, lon: 6, ele: 1005 },
+    { lat: 45.002, lon: 6, ele: 1010 },
+    { lat: 45.003, lon: 6, ele: null }
+  ]);
+});
+
+test("parseKmlPoints lit le CDATA, ignore les LineString vides et les polygones", () => {
+  const kml = `<kml><Document><name>Tour &amp; retour</name>
+    <Placemark><LineString/></Placemark>
+    <Placemark><Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 1,1</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>
+    <Placemark><LineString><coordinates><![CDATA[6.0,45.0,1000
+      6.0,45.001,1005]]></coordinates></LineString></Placemark>
+  </Document></kml>`;
+  assert.deepEqual(parseKmlPoints(kml), [
+    { lat: 45, lon: 6, ele: 1000 },
+    { lat: 45.001, lon: 6, ele: 1005 }
+  ]);
+});
+
+test("parseKmlPoints considère une altitude à 0 partout comme absente", () => {
+  const kml = "<kml><LineString><coordinates>6,45,0 6,45.001,0</coordinates></LineString></kml>";
+  assert.deepEqual(parseKmlPoints(kml).map(p => p.ele), [null, null]);
+});
+
+test("parseGeoJsonPoints parcourt FeatureCollection et MultiLineString", () => {
+  const geojson = JSON.stringify({
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", geometry: { type: "Point", coordinates: [0, 0] } },
+      { type: "Feature", geometry: { type: "MultiLineString", coordinates: [[[6, 45, 1000], [6, 45.001]], [[6, 45.002, 1010]]] } }
+    ]
+  });
+  assert.equal(detectTrackFormat(geojson), "geojson");
+  assert.deepEqual(parseGeoJsonPoints(geojson), [
+    { lat: 45, lon: 6, ele: 1000 },
+    { lat: 45.001, lon: 6, ele: null },
+    { lat: 45.002, lon: 6, ele: 1010 }
+  ]);
+});
+
+test("parseGeoJsonPoints signale un JSON invalide", () => {
+  assert.throws(() => parseGeoJsonPoints("{pas du json"), /GeoJSON invalide/);
+});
+
+// ==================== GPX : TRACES ET ROUTES ====================
+
+const MULTI_GPX = `<?xml version="1.0"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Parcours principal</name>
+    <trkseg><trkpt lat="45.0" lon="6.0"><ele>1000</ele></trkpt><trkpt lat="45.001" lon="6.0"><ele>1010</ele></trkpt></trkseg>
+    <trkseg><trkpt lat="45.002" lon="6.0"><ele>1020</ele></trkpt></trkseg>
+  </trk>
+  <rte><name>Variante &lt;b&gt;mauvais temps&lt;/b&gt;</name>
+    <rtept lat="45.0" lon="6.0"/><rtept lat="45.0" lon="6.001"/>
+  </rte>
+</gpx>`;
+
+test("parseGpxTracks lit traces (segments fusionnés) et routes dans l'ordre du fichier", () => {
+  const tracks = parseGpxTracks(MULTI_GPX);
+  assert.deepEqual(tracks.map(t => [t.index, t.kind, t.name, t.points.length]), [
+    [1, "track", "Parcours principal", 3],
+    [2, "route", "Variante <b>mauvais temps</b>", 2]
+  ]);
+  assert.ok(Math.abs(tracks[0].distanceM - 222.4) < 0.1);
+  assert.equal(tracks[1].points[0].ele, null);
+});
+
+test("selectGpxTrack choisit par nom, par numéro ou la première par défaut", () => {
+  const tracks = parseGpxTracks(MULTI_GPX);
+  assert.equal(selectGpxTrack(tracks, null).index, 1);
+  assert.equal(selectGpxTrack(tracks, "2").kind, "route");
+  assert.equal(selectGpxTrack(tracks, " PARCOURS principal ").index, 1);
+  assert.throws(() => selectGpxTrack(tracks, "3"), /Trace "3" introuvable/);
+});
+
+test("describeGpxTrack garde le nom tel quel (échappé à l'affichage)", () => {
+  assert.equal(describeGpxTrack(parseGpxTracks(MULTI_GPX)[1]), "2. Variante <b>mauvais temps</b> (route, 0.1 km)");
+});
+
+// ==================== POINTS DE PASSAGE ====================
+
+// Aller-retour plein nord de ~2,2 km, un point tous les ~111 m : chaque lieu est traversé deux fois
+const OUT_AND_BACK = [...Array(21).keys(), ...[...Array(20).keys()].reverse()]
+  .map(i => ({ lat: 45 + i * 0.001, lon: 6, ele: null }));
+
+test("parseGpxWaypoints garde nom, type et ordre du fichier", () => {
+  const gpx = `<gpx><wpt lat="45.01" lon="6"><name>Demi-tour</name><type>Water</type></wpt><wpt lat="45" lon="6"/>
+    <trk><trkseg><trkpt lat="45" lon="6"/><trkpt lat="45.02" lon="6"/></trkseg></trk></gpx>`;
+  assert.deepEqual(parseGpxWaypoints(gpx).map(w => [w.name, w.type, w.lat]), [["Demi-tour", "Water", 45.01], ["Waypoint 2", null, 45]]);
+});
+
+test("locateCoursePoints prend le passage suivant le point précédent sur un aller-retour", () => {
+  const located = locateCoursePoints(OUT_AND_BACK, [
+    { name: "Aller", type: null, lat: 45.01, lon: 6 },
+    { name: "Sommet", type: null, lat: 45.02, lon: 6 },
+    { name: "Retour", type: null, lat: 45.01, lon: 6 },
+    { name: "Loin", type: null, lat: 46, lon: 6 }
+  ]);
+  assert.deepEqual(located.map(cp => (cp.km === null ? null : Math.round(cp.km * 10) / 10)), [1.1, 2.2, 3.3, null]);
+  assert.ok(located[3].offTrackM > 100000);
+});
+
+test("locateCoursePoints place un point FIT sur la trace, sa distance ne choisit que le passage", () => {
+  // Distances de l'appareil un peu décalées de la mesure : le lieu reste celui de la position
+  // Liste dans le désordre : la distance du fichier choisit le passage, pas l'ordre
+  const [back, outbound] = locateCoursePoints(OUT_AND_BACK, [
+    { name: "Retour", type: null, lat: 45.01, lon: 6, distanceM: 3400 },
+    { name: "Aller", type: null, lat: 45.01, lon: 6, distanceM: 1050 }
+  ]);
+  assert.ok(Math.abs(back.km - 3.336) < 0.01, `retour à ${back.km} km`);
+  assert.ok(Math.abs(outbound.km - 1.112) < 0.01, `aller à ${outbound.km} km`);
+  assert.equal(outbound.offTrackM, 0);
+});
+
+test("locateCoursePoints place un point FIT sur les distances mises à l'échelle de la trace", () => {
+  // Distance officielle 10 % plus longue que la mesure : les km suivent la trace préparée
+  const scaled = OUT_AND_BACK.map((_, i) => i * 111.19 * 1.1);
+  const [outbound, back] = locateCoursePoints(OUT_AND_BACK, [
+    { name: "Aller", type: null, lat: 45.01, lon: 6, distanceM: 1100 },
+    { name: "Retour", type: null, lat: 45.01, lon: 6, distanceM: 3300 }
+  ], 250, scaled);
+  assert.ok(Math.abs(outbound.km - 1.223) < 0.01, `aller à ${outbound.km} km`);
+  assert.ok(Math.abs(back.km - 3.669) < 0.01, `retour à ${back.km} km`);
+  assert.equal(back.offTrackM, 0);
+});
+
+// ==================== GPX : LECTEUR PARTAGÉ ====================
+
+test("parseGpxTracks accepte préfixes d'espace de noms, CDATA et points auto-fermants", () => {
+  const gpx = `<gpx:gpx xmlns:gpx="http://www.topografix.com/GPX/1/1"><gpx:trk><gpx:name><![CDATA[Tour & co]]></gpx:name><gpx:trkseg>
+    <gpx:trkpt lon="6" lat="45"><gpx:ele>1000</gpx:ele></gpx:trkpt>
+    <gpx:trkpt lon="6" lat="45.001"/>
+  </gpx:trkseg></gpx:trk></gpx:gpx>`;
+  const [track] = parseGpxTracks(gpx);
+  assert.equal(track.name, "Tour & co");
+  assert.deepEqual(track.points.map(p => [p.lat, p.lon, p.ele]), [[45, 6, 1000], [45.001, 6, null]]);
+});
+
+test("parseGpxTracks exige lat et lon sur chaque point", () => {
+  assert.throws(() => parseGpxTracks('<gpx><trk><trkseg>\n<trkpt lat="45"/></trkseg></trk></gpx>'), /ligne 2/);
+});
+
+// ==================== GPX EN FLUX ====================
+
+test("readGpxStream donne le même résultat que readGpx, UTF-8 coupé entre deux morceaux compris", async () => {
+  const gpx = MULTI_GPX.replace("Parcours principal", "Étape du Géant");
+  const bytes = new TextEncoder().encode(gpx);
+  // Morceaux de 5 octets : les lettres accentuées (2 octets) tombent à cheval
+  async function* chunks() {
+    for (let i = 0; i < bytes.length; i += 5) yield bytes.subarray(i, i + 5);
+  }
+  const progress = [];
+  const streamed = await readGpxStream(chunks(), { totalBytes: bytes.length, onProgress: p => progress.push(p) });
+  assert.deepEqual(streamed, readGpx(gpx));
+  assert.equal(streamed.tracks[0].name, "Étape du Géant");
+  assert.equal(progress.length, Math.ceil(bytes.length / 5));
+  assert.deepEqual(progress[progress.length - 1], { bytesRead: bytes.length, totalBytes: bytes.length, ratio: 1, points: 5 });
+});
+
+test("readGpxStream lit aussi un ReadableStream", async () => {
+  const stream = new Blob([MULTI_GPX]).stream();
+  assert.deepEqual((await readGpxStream(stream)).tracks.map(t => t.points.length), [3, 2]);
+});
+
+test("readGpx lit horodatage et capteurs des extensions Garmin", () => {
+  const gpx = `<gpx xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"><trk><trkseg>
+    <trkpt lat="45" lon="6"><time>2026-06-01T08:00:00Z</time><extensions><gpxtpx:TrackPointExtension>
+      <gpxtpx:hr>142</gpxtpx:hr><gpxtpx:cad>85</gpxtpx:cad><gpxtpx:atemp>18.5</gpxtpx:atemp>
+    </gpxtpx:TrackPointExtension><power>250</power></extensions></trkpt>
+    <trkpt lat="45.001" lon="6"/>
+  </trkseg></trk></gpx>`;
+  const [first, second] = readGpx(gpx).tracks[0].points;
+  assert.deepEqual(first, { lat: 45, lon: 6, ele: null, time: new Date("2026-06-01T08:00:00Z"), hr: 142, cad: 85, atemp: 18.5, power: 250 });
+  assert.deepEqual([second.time, second.hr, second.power], [null, null, null]);
+});
@@ -0,0 +1,202 @@
+/**
+ * Vent de face ou de dos selon le cap des segments, sans dépendance, pour Node et le navigateur
+ * Le vent est constant (vitesse, direction d'où il vient) ou horaire (fichier JSON ou CSV, heures locales du fuseau
+ * de l'heure de départ). Seule la composante le long du segment compte (vent de travers ignoré).
+ *
+ * Modèle de traînée : à puissance métabolique égale, le coureur dépense par mètre le coût de la course sans air
+ * (3,6 J/kg/m, Minetti) plus le travail contre l'air, proportionnel au carré de la vitesse de l'air relative
+ * (vitesse + vent de face). La vitesse avec vent est celle qui garde la même puissance que sans vent.
+ *
+ * JSON : {speedKmh, fromDeg} (constant), [{time, speedKmh, fromDeg}, ...] ou {hours: [...]}
+ * CSV  : en-tête time,speedKmh,fromDeg (séparateur "," ou ";"), une ligne par heure
+ * fromDeg : direction d'où vient le vent, en degrés (0 = nord, 90 = est) ou point cardinal ("N", "NE", "SO"/"SW"…)
+ */
+
+import { zonedTimeToUtc } from './daylight.js';
+
+// ==================== CONSTANTES ====================
+
+// Coût énergétique de la course sur plat, sans résistance de l'air (J/kg/m, mesures sur tapis de Minetti)
+const RUNNING_COST_J_KG_M = 3.6;
+
+// Résistance de l'air : masse volumique (kg/m³), surface frontale × coefficient de traînée (m², valeur de Pugh),
+// masse du coureur (kg) et rendement musculaire (travail mécanique / dépense métabolique) ; sans vent,
+// l'air compte pour environ 8 % de la dépense à 6 m/s, comme dans les mesures de Pugh (1971)
+const AIR_DENSITY_KG_M3 = 1.225;
+const RUNNER_CDA_M2 = 0.24;
+const RUNNER_MASS_KG = 70;
+const MUSCLE_EFFICIENCY = 0.25;
+
+// Coût métabolique de l'air par mètre, par (m/s)² de vitesse de l'air relative (J/kg/m)
+const DRAG_COST = (0.5 * AIR_DENSITY_KG_M3 * RUNNER_CDA_M2) / (RUNNER_MASS_KG * MUSCLE_EFFICIENCY);
+
+// Points cardinaux (16 directions), anglais ou français (O = ouest)
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// Durée couverte par un fichier d'une seule heure (ms) : sa valeur vaut jusqu'à l'heure suivante
+const SINGLE_HOUR_MS = 3600 * 1000;
+
+// Noms de colonnes CSV acceptés pour chaque champ
+const CSV_COLUMNS = {
+  time: ["time", "datetime", "date"],
+  speedKmh: ["speedkmh", "speed", "windkmh", "wind"],
+  fromDeg: ["fromdeg", "from", "direction", "dir"]
+};
+
+// ==================== LECTURE ====================
+
+/**
+ * Direction d'où vient le vent, en degrés (nombre ou point cardinal)
+ * @param {number|string} value - 0 à 360, ou "N", "NE", "SO"…
+ * @returns {number} De 0 à moins de 360
+ */
+export function parseWindDirection(value) {
+  if (typeof value === "string" && value.trim() !== "" && !Number.isFinite(Number(value))) {
+    const index = COMPASS_POINTS.indexOf(value.trim().toUpperCase().replace(/O/g, "W"));
+    if (index === -1) throw new Error(`Direction du vent inconnue : ${value} (degrés, ou ${COMPASS_POINTS.join(", ")})`);
+    return index * 22.5;
+  }
+  const deg = Number(value);
+  if (value === null || value === "" || !Number.isFinite(deg)) throw new Error(`Direction du vent invalide : ${value} (degrés, 0 = nord)`);
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Lit un fichier de vent, JSON ou CSV (détecté au premier caractère)
+ * @param {string} text - Contenu du fichier
+ * @returns {{speedKmh: number, fromDeg: number}|{hours: Array<{time: string, speedKmh: number, fromDeg: number}>}}
+ */
+export function parseWindConditions(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Vent : JSON invalide (${error.message})`);
+    }
+    return validateWind(data);
+  }
+  // Numéros de ligne du fichier gardés pour les erreurs, lignes vides comprises
+  const lines = String(text).split(/\r?\n/).map((line, i) => ({ line, number: i + 1 })).filter(({ line }) => line.trim() !== "");
+  if (lines.length < 2) throw new Error("Vent : CSV vide (en-tête time,speedKmh,fromDeg puis une ligne par heure)");
+  const separator = lines[0].line.includes(";") ? ";" : ",";
+  const header = lines[0].line.split(separator).map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ""));
+  const column = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    column[field] = header.findIndex(h => names.includes(h));
+    if (column[field] === -1) throw new Error(`Vent : colonne ${field} absente de l'en-tête CSV`);
+  }
+  const hours = lines.slice(1).map(({ line, number }) => {
+    const cells = line.split(separator).map(c => c.trim());
+    // Cellule vide ou absente : NaN, refusé par validateWind avec le numéro de ligne (Number("") vaudrait 0)
+    const speed = cells[column.speedKmh];
+    return { time: cells[column.time], speedKmh: speed ? Number(speed) : NaN, fromDeg: cells[column.fromDeg], line: number };
+  });
+  return validateWind({ hours });
+}
+
+/**
+ * Vérifie et normalise un vent constant ou horaire (résultat de parseWindConditions, ou objet équivalent)
+ * @param {Object|Array} data
+ * @returns {{speedKmh: number, fromDeg: number}|{hours: Array<{time: string, speedKmh: number, fromDeg: number}>}}
+ */
+export function validateWind(data) {
+  const checkSpeed = (speedKmh, where) => {
+    if (!(Number.isFinite(speedKmh) && speedKmh >= 0)) throw new Error(`Vent${where} : vitesse invalide (${speedKmh}, km/h, 0 ou plus)`);
+    return speedKmh;
+  };
+  const checkDirection = (fromDeg, where) => {
+    try {
+      return parseWindDirection(fromDeg);
+    } catch (error) {
+      throw new Error(`Vent${where} : ${error.message}`);
+    }
+  };
+  const hoursIn = Array.isArray(data) ? data : Array.isArray(data?.hours) ? data.hours : null;
+  if (hoursIn === null) {
+    if (!data || data.speedKmh === undefined) throw new Error("Vent : {speedKmh, fromDeg} ou liste d'heures attendu");
+    return { speedKmh: checkSpeed(data.speedKmh, ""), fromDeg: checkDirection(data.fromDeg, "") };
+  }
+  if (hoursIn.length === 0) throw new Error("Vent : aucune heure");
+  return {
+    hours: hoursIn.map((h, i) => {
+      const where = `, ${h.line ? `ligne ${h.line}` : `heure ${i + 1}`}`;
+      if (typeof h.time !== "string" || !/^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}(:\d{2})?$/.test(h.time.trim())) {
+        throw new Error(`Vent${where} : heure locale "YYYY-MM-DDTHH:MM" attendue (${h.time})`);
+      }
+      return { time: h.time.trim(), speedKmh: checkSpeed(h.speedKmh, where), fromDeg: checkDirection(h.fromDeg, where) };
+    })
+  };
+}
+
+// ==================== EFFET DU VENT ====================
+
+/**
+ * Composante de face du vent pour un segment (km/h) : positive de face, négative de dos
+ * @param {{speedKmh: number, fromDeg: number}} wind - Vent (direction d'où il vient)
+ * @param {number} bearingDeg - Cap du segment (°)
+ */
+export function headwindKmh(wind, bearingDeg) {
+  return wind.speedKmh * Math.cos(((wind.fromDeg - bearingDeg) * Math.PI) / 180);
+}
+
+/**
+ * Facteur de vitesse dû au vent, à puissance métabolique égale (1 = sans effet)
+ * @param {number} speedKmh - Vitesse sans vent (km/h)
+ * @param {number} headKmh - Vent de face (km/h, négatif = de dos)
+ * @returns {number}
+ */
+export function windSpeedFactor(speedKmh, headKmh) {
+  const v0 = speedKmh / 3.6;
+  const head = headKmh / 3.6;
+  // Coût par mètre (J/kg/m) : jamais sous la moitié du coût sans air, même poussé par un fort vent de dos
+  const cost = v => {
+    const air = v + head;
+    return Math.max(RUNNING_COST_J_KG_M / 2, RUNNING_COST_J_KG_M + DRAG_COST * air * Math.abs(air));
+  };
+  const power = v0 * (RUNNING_COST_J_KG_M + DRAG_COST * v0 * v0);
+  // Puissance croissante avec la vitesse : dichotomie entre 0 et 3 fois la vitesse sans vent
+  let lo = 0;
+  let hi = 3 * v0;
+  if (hi * cost(hi) <= power) return 3;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (mid * cost(mid) > power) hi = mid;
+    else lo = mid;
+  }
+  return (lo + hi) / 2 / v0;
+}
+
+/**
+ * Vent à un instant de la course
+ * @param {Object} wind - Vent constant ou horaire (parseWindConditions ou validateWind)
+ * @param {string} timeZone - Fuseau des heures du fichier (celui de l'heure de départ)
+ * @returns {{hourly: boolean, at: (ms: number|null) => {speedKmh: number, fromDeg: number}|null}} Vent interpolé
+ *   (composantes est et nord) entre deux heures ; null hors de la période du fichier (pas d'effet). Un fichier d'une
+ *   seule heure couvre cette heure entière avec sa valeur.
+ */
+export function windFunction(wind, timeZone) {
+  const checked = validateWind(wind);
+  if (!("hours" in checked)) return { hourly: false, at: () => checked };
+  const toVector = h => {
+    const rad = (h.fromDeg * Math.PI) / 180;
+    return { ms: zonedTimeToUtc(h.time, timeZone), east: h.speedKmh * Math.sin(rad), north: h.speedKmh * Math.cos(rad) };
+  };
+  const hours = checked.hours.map(toVector).sort((a, b) => a.ms - b.ms);
+  const endMs = hours.length === 1 ? hours[0].ms + SINGLE_HOUR_MS : hours[hours.length - 1].ms;
+  return {
+    hourly: true,
+    at: ms => {
+      if (ms === null || ms < hours[0].ms || ms > endMs) return null;
+      let i = 1;
+      while (i < hours.length - 1 && hours[i].ms < ms) i++;
+      const a = hours[Math.max(0, i - 1)];
+      const b = hours[i] ?? a;
+      const t = b.ms > a.ms ? (ms - a.ms) / (b.ms - a.ms) : 0;
+      const east = a.east + (b.east - a.east) * t;
+      const north = a.north + (b.north - a.north) * t;
+      return { speedKmh: Math.hypot(east, north), fromDeg: ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360 };
+    }
+  };
+}
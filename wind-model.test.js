@@ -0,0 +1,65 @@
+/**
+ * Tests du vent de face ou de dos (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWindDirection, parseWindConditions, headwindKmh, windSpeedFactor, windFunction } from './wind-model.js';
+import { near } from './testing-helpers.js';
+
+test("parseWindDirection accepte degrés et points cardinaux, anglais ou français", () => {
+  assert.equal(parseWindDirection("SO"), 225);
+  assert.equal(parseWindDirection("nne"), 22.5);
+  assert.equal(parseWindDirection(-90), 270);
+  assert.equal(parseWindDirection("405"), 45);
+  assert.throws(() => parseWindDirection("NX"), /Direction du vent inconnue : NX/);
+  assert.throws(() => parseWindDirection(""), /Direction du vent invalide/);
+});
+
+test("parseWindConditions lit un vent constant en JSON et un vent horaire en CSV", () => {
+  assert.deepEqual(parseWindConditions('{"speedKmh": 20, "fromDeg": "W"}'), { speedKmh: 20, fromDeg: 270 });
+  assert.deepEqual(parseWindConditions("time;speed;dir\n2026-06-26T10:00;15;NE\n2026-06-26T11:00;0;90"), {
+    hours: [{ time: "2026-06-26T10:00", speedKmh: 15, fromDeg: 45 }, { time: "2026-06-26T11:00", speedKmh: 0, fromDeg: 90 }]
+  });
+});
+
+test("une cellule de vitesse ou de direction vide est refusée avec son numéro de ligne", () => {
+  assert.throws(() => parseWindConditions("time,speedKmh,fromDeg\n2026-06-26T10:00,,N"), /Vent, ligne 2 : vitesse invalide \(NaN/);
+  assert.throws(() => parseWindConditions("time,speedKmh,fromDeg\n2026-06-26T10:00,15,"), /Vent, ligne 2 : Direction du vent invalide/);
+  assert.throws(() => parseWindConditions("time,speedKmh,fromDeg\n2026-06-26T10:00,15"), /Vent, ligne 2 : Direction du vent invalide/);
+  assert.throws(() => parseWindConditions("time,speedKmh\n2026-06-26T10:00,15"), /colonne fromDeg absente/);
+  // Lignes vides comptées : le numéro est celui du fichier
+  assert.throws(() => parseWindConditions("\ntime,speedKmh,fromDeg\n\n2026-06-26T10:00,15,N\n\n2026-06-26T11:00,,N"), /Vent, ligne 6 : vitesse invalide/);
+});
+
+test("headwindKmh garde la composante le long du cap, windSpeedFactor ralentit de face et accélère de dos", () => {
+  near(headwindKmh({ speedKmh: 20, fromDeg: 0 }, 0), 20);
+  near(headwindKmh({ speedKmh: 20, fromDeg: 0 }, 180), -20);
+  near(headwindKmh({ speedKmh: 20, fromDeg: 90 }, 0), 0);
+  near(windSpeedFactor(10, 0), 1, 1e-6);
+  const head = windSpeedFactor(10, 20);
+  const tail = windSpeedFactor(10, -20);
+  assert.ok(head < 1 && tail > 1);
+  // Un vent de face coûte plus qu'un vent de dos de même force ne rapporte
+  assert.ok(1 - head > tail - 1);
+});
+
+test("windFunction interpole le vent horaire en composantes est et nord", () => {
+  const wind = windFunction(parseWindConditions("time,speedKmh,fromDeg\n2026-06-26T10:00,10,N\n2026-06-26T11:00,10,E"), "UTC");
+  assert.equal(wind.hourly, true);
+  const middle = wind.at(Date.UTC(2026, 5, 26, 10, 30));
+  near(middle.speedKmh, 10 / Math.SQRT2);
+  near(middle.fromDeg, 45);
+  assert.equal(wind.at(Date.UTC(2026, 5, 26, 12)), null);
+  assert.deepEqual(windFunction({ speedKmh: 5, fromDeg: 180 }, "UTC").at(null), { speedKmh: 5, fromDeg: 180 });
+});
+
+test("un vent horaire d'une seule heure garde sa valeur pendant cette heure", () => {
+  const wind = windFunction(parseWindConditions("time,speedKmh,fromDeg\n2026-06-26T10:00,20,W"), "UTC");
+  assert.deepEqual(wind.at(Date.UTC(2026, 5, 26, 10)), wind.at(Date.UTC(2026, 5, 26, 11)));
+  const held = wind.at(Date.UTC(2026, 5, 26, 10, 30));
+  near(held.speedKmh, 20);
+  near(held.fromDeg, 270);
+  assert.equal(wind.at(Date.UTC(2026, 5, 26, 9, 59)), null);
+  assert.equal(wind.at(Date.UTC(2026, 5, 26, 11, 1)), null);
+});
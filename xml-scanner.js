@@ -0,0 +1,239 @@
+/**
+ * Analyseur XML minimal, sans dépendance, par événements (façon SAX), pour Node et le navigateur
+ * Utilisé par les lecteurs de traces : l'ordre des attributs, les préfixes d'espace de noms
+ * (<gpx:ele>), les éléments auto-fermants, les sections CDATA et les entités sont gérés.
+ * Le contenu peut être fourni d'un bloc ou par morceaux (lecture en flux de gros fichiers).
+ */
+
+// ==================== OUTILS ====================
+
+const NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+/**
+ * Remplace les entités XML (&amp; &#233; &#xE9;…) par leur caractère
+ * Les entités inconnues (déclarées dans une DTD) sont laissées telles quelles.
+ */
+function decodeEntities(text) {
+  if (text.indexOf("&") === -1) return text;
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (all, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : all;
+    }
+    return NAMED_ENTITIES[ref] !== undefined ? NAMED_ENTITIES[ref] : all;
+  });
+}
+
+/**
+ * Retire le préfixe d'espace de noms d'un nom qualifié ("gpxtpx:hr" -> "hr")
+ */
+function localName(qName) {
+  const sep = qName.indexOf(":");
+  return sep === -1 ? qName : qName.slice(sep + 1);
+}
+
+function countLines(text, from, to) {
+  let n = 0;
+  for (let i = text.indexOf("\n", from); i !== -1 && i < to; i = text.indexOf("\n", i + 1)) n++;
+  return n;
+}
+
+/**
+ * Cherche le ">" fermant une balise ouvrante, en ignorant ceux placés dans une valeur d'attribut
+ * @returns {number} Position du ">", ou -1 si la balise n'est pas encore complète
+ */
+function findTagEnd(buf, from) {
+  let quote = null;
+  for (let i = from; i < buf.length; i++) {
+    const c = buf[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "\"" || c === "'") {
+      quote = c;
+    } else if (c === ">") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// ==================== ANALYSEUR ====================
+
+/**
+ * Crée un analyseur XML par événements
+ * Les noms d'éléments et d'attributs transmis sont des noms locaux (préfixe retiré).
+ * @param {Object} handler - Rappels appelés pendant l'analyse (tous optionnels)
+ * @param {(name: string, attrs: Object<string, string>, line: number) => void} [handler.open] - Ouverture d'élément
+ * @param {(name: string, line: number) => void} [handler.close] - Fermeture d'élément (aussi pour <x/>)
+ * @param {(text: string) => void} [handler.text] - Texte ou CDATA (peut arriver en plusieurs fois)
+ * @param {string} [label] - Nom du format pour les messages d'erreur (ex: "GPX")
+ * @returns {{write: (chunk: string) => void, end: () => void}}
+ */
+export function createXmlScanner(handler, label = "XML") {
+  let buf = "";
+  let pos = 0;
+  let line = 1;
+  let ended = false;
+  let rootSeen = false;
+  const stack = [];
+
+  function fail(message, atLine = line) {
+    throw new Error(`${label} invalide (ligne ${atLine}) : ${message}`);
+  }
+
+  function advance(to) {
+    line += countLines(buf, pos, to);
+    pos = to;
+  }
+
+  function emitText(raw) {
+    if (stack.length === 0) {
+      if (raw.trim() !== "") fail(rootSeen ? "texte après l'élément racine" : "texte avant l'élément racine");
+      return;
+    }
+    if (handler.text && raw !== "") handler.text(decodeEntities(raw));
+  }
+
+  function openTag(body, tagLine) {
+    const selfClosing = body.endsWith("/");
+    const inner = selfClosing ? body.slice(0, -1) : body;
+    const nameMatch = inner.match(/^[^\s/>]+/);
+    if (!nameMatch) fail("balise sans nom", tagLine);
+    const qName = nameMatch[0];
+    if (stack.length === 0 && rootSeen) fail(`élément <${qName}> après l'élément racine`, tagLine);
+
+    const attrs = {};
+    const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const rest = inner.slice(qName.length);
+    let consumed = 0;
+    let m;
+    while ((m = attrRe.exec(rest)) !== null) {
+      if (rest.slice(consumed, m.index).trim() !== "") break;
+      consumed = attrRe.lastIndex;
+      // Les déclarations d'espace de noms ne sont pas des attributs utiles
+      if (m[1] === "xmlns" || m[1].startsWith("xmlns:")) continue;
+      const value = m[2] !== undefined ? m[2] : m[3];
+      attrs[localName(m[1])] = decodeEntities(value);
+    }
+    if (rest.slice(consumed).trim() !== "") {
+      fail(`attribut mal formé dans <${qName}> : "${rest.slice(consumed).trim().slice(0, 40)}"`, tagLine);
+    }
+
+    rootSeen = true;
+    const name = localName(qName);
+    if (handler.open) handler.open(name, attrs, tagLine);
+    if (selfClosing) {
+      if (handler.close) handler.close(name, tagLine);
+    } else {
+      stack.push(qName);
+    }
+  }
+
+  function closeTag(body, tagLine) {
+    const qName = body.slice(1).trim();
+    const expected = stack.pop();
+    if (expected === undefined) fail(`balise fermante </${qName}> sans ouverture`, tagLine);
+    if (expected !== qName) fail(`balise fermante </${qName}> alors que <${expected}> est ouverte`, tagLine);
+    if (handler.close) handler.close(localName(qName), tagLine);
+  }
+
+  /**
+   * Consomme tout ce qui est complet dans le tampon
+   * @param {boolean} final - Fin du contenu : une construction incomplète devient une erreur
+   */
+  function scan(final) {
+    while (pos < buf.length) {
+      const lt = buf.indexOf("<", pos);
+      if (lt === -1) {
+        // Texte sans balise suivante : attendre la suite (une entité peut être coupée)
+        if (!final) return;
+        emitText(buf.slice(pos));
+        advance(buf.length);
+        return;
+      }
+      if (lt > pos) {
+        emitText(buf.slice(pos, lt));
+        advance(lt);
+      }
+
+      // Début de construction trop court pour être reconnu ("<!-", "<![CD") : attendre la suite
+      if (!final && buf.length - pos < 9) return;
+
+      const tagLine = line;
+      let end;
+      if (buf.startsWith("<!--", pos)) {
+        end = buf.indexOf("-->", pos + 4);
+        if (end === -1) {
+          if (final) fail("commentaire non terminé", tagLine);
+          return;
+        }
+        advance(end + 3);
+      } else if (buf.startsWith("<![CDATA[", pos)) {
+        end = buf.indexOf("]]>", pos + 9);
+        if (end === -1) {
+          if (final) fail("section CDATA non terminée", tagLine);
+          return;
+        }
+        if (stack.length === 0) fail("section CDATA hors de l'élément racine", tagLine);
+        if (handler.text) handler.text(buf.slice(pos + 9, end));
+        advance(end + 3);
+      } else if (buf.startsWith("<?", pos)) {
+        end = buf.indexOf("?>", pos + 2);
+        if (end === -1) {
+          if (final) fail("instruction de traitement non terminée", tagLine);
+          return;
+        }
+        advance(end + 2);
+      } else if (buf.startsWith("<!", pos)) {
+        // <!DOCTYPE …> avec éventuel sous-ensemble interne [ … ]
+        const bracket = buf.indexOf("[", pos);
+        const close = buf.indexOf(">", pos);
+        end = bracket !== -1 && (close === -1 || bracket < close) ? buf.indexOf("]>", bracket) : close;
+        if (end === -1) {
+          if (final) fail("déclaration <!…> non terminée", tagLine);
+          return;
+        }
+        advance(buf[end] === "]" ? end + 2 : end + 1);
+      } else {
+        end = findTagEnd(buf, pos + 1);
+        if (end === -1) {
+          if (final) fail("balise non terminée", tagLine);
+          return;
+        }
+        const body = buf.slice(pos + 1, end).trim();
+        advance(end + 1);
+        if (body.startsWith("/")) closeTag(body, tagLine);
+        else openTag(body, tagLine);
+      }
+    }
+  }
+
+  return {
+    write(chunk) {
+      if (ended) throw new Error("Analyseur XML déjà terminé");
+      buf = pos === 0 ? buf + chunk : buf.slice(pos) + chunk;
+      pos = 0;
+      if (!rootSeen && line === 1) buf = buf.replace(/^\uFEFF/, "");
+      scan(false);
+    },
+    end() {
+      if (ended) return;
+      ended = true;
+      scan(true);
+      if (!rootSeen) fail("aucun élément trouvé (fichier vide ?)");
+      if (stack.length > 0) fail(`fin du fichier alors que <${stack[stack.length - 1]}> n'est pas fermée`);
+    }
+  };
+}
+
+/**
+ * Analyse un document XML complet
+ * @param {string} xml - Contenu du document
+ * @param {Object} handler - Rappels (voir createXmlScanner)
+ * @param {string} [label] - Nom du format pour les messages d'erreur
+ */
+export function scanXml(xml, handler, label = "XML") {
+  const scanner = createXmlScanner(handler, label);
+  scanner.write(String(xml));
+  scanner.end();
+}
@@ -0,0 +1,65 @@
+/**
+ * Tests de l'analyseur XML par événements (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createXmlScanner, scanXml } from './xml-scanner.js';
+
+const DOC = `﻿<?xml version="1.0"?>
+<!DOCTYPE gpx [ <!ENTITY x "y"> ]>
+<!-- commentaire avec <balise> -->
+<gpx:gpx xmlns:gpx="http://www.topografix.com/GPX/1/1" creator='a > b'>
+  <gpx:trkpt lon="6.5" lat="45.25"/>
+  <gpx:name><![CDATA[Col <du> Lac]]> &amp; caf&#233;</gpx:name>
+</gpx:gpx>`;
+
+/**
+ * Événements produits par l'analyseur, texte regroupé et sans les blancs seuls
+ */
+function events(write) {
+  const out = [];
+  let text = "";
+  const flush = () => {
+    if (text.trim() !== "") out.push(["text", text]);
+    text = "";
+  };
+  write({
+    open: (name, attrs, line) => { flush(); out.push(["open", name, attrs, line]); },
+    close: (name) => { flush(); out.push(["close", name]); },
+    text: (t) => { text += t; }
+  });
+  return out;
+}
+
+const EXPECTED = [
+  ["open", "gpx", { creator: "a > b" }, 4],
+  ["open", "trkpt", { lon: "6.5", lat: "45.25" }, 5],
+  ["close", "trkpt"],
+  ["open", "name", {}, 6],
+  ["text", "Col <du> Lac & café"],
+  ["close", "name"],
+  ["close", "gpx"]
+];
+
+test("scanXml retire les préfixes, gère CDATA, entités, DTD et éléments auto-fermants", () => {
+  assert.deepEqual(events(handler => scanXml(DOC, handler, "GPX")), EXPECTED);
+});
+
+test("la lecture par morceaux donne les mêmes événements, même coupée au milieu d'une construction", () => {
+  for (const size of [1, 3, 7]) {
+    const got = events(handler => {
+      const scanner = createXmlScanner(handler, "GPX");
+      for (let i = 0; i < DOC.length; i += size) scanner.write(DOC.slice(i, i + size));
+      scanner.end();
+    });
+    assert.deepEqual(got, EXPECTED, `morceaux de ${size}`);
+  }
+});
+
+test("le XML mal formé est signalé avec son numéro de ligne", () => {
+  assert.throws(() => scanXml("<gpx>\n  <trk>\n</gpx>", {}, "GPX"), /GPX invalide \(ligne 3\) : balise fermante <\/gpx> alors que <trk> est ouverte/);
+  assert.throws(() => scanXml("<gpx>\n<trkpt lat=45/>\n</gpx>", {}, "GPX"), /ligne 2\) : attribut mal formé/);
+  assert.throws(() => scanXml("<gpx>\n<trk>", {}, "GPX"), /<trk> n'est pas fermée/);
+  assert.throws(() => scanXml("", {}, "GPX"), /aucun élément/);
+});
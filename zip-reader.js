@@ -0,0 +1,242 @@
+/**
+ * Lecture minimale d'archives ZIP (KMZ) sans dépendance, synchrone, pour Node et le navigateur
+ * Gère les entrées stockées (méthode 0) et compressées en deflate (méthode 8, RFC 1951).
+ */
+
+// ==================== DÉTECTION ====================
+
+/**
+ * Indique si des octets correspondent à une archive ZIP (signature "PK\x03\x04")
+ * @param {Uint8Array|string} data - Contenu du fichier
+ * @returns {boolean}
+ */
+export function isZipData(data) {
+  if (typeof data === "string") return false;
+  return data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+}
+
+// ==================== INFLATE (RFC 1951) ====================
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Construit une table de Huffman canonique à partir des longueurs de code
+ */
+function buildHuffman(lengths) {
+  const counts = new Array(16).fill(0);
+  for (const len of lengths) counts[len]++;
+  counts[0] = 0;
+  const offs = new Array(16).fill(0);
+  for (let len = 1; len < 15; len++) offs[len + 1] = offs[len] + counts[len];
+  const symbols = new Array(lengths.length);
+  for (let sym = 0; sym < lengths.length; sym++) {
+    if (lengths[sym] !== 0) symbols[offs[lengths[sym]]++] = sym;
+  }
+  return { counts, symbols };
+}
+
+let fixedTables = null;
+function getFixedTables() {
+  if (!fixedTables) {
+    const lit = new Array(288);
+    for (let i = 0; i < 144; i++) lit[i] = 8;
+    for (let i = 144; i < 256; i++) lit[i] = 9;
+    for (let i = 256; i < 280; i++) lit[i] = 7;
+    for (let i = 280; i < 288; i++) lit[i] = 8;
+    fixedTables = { lit: buildHuffman(lit), dist: buildHuffman(new Array(30).fill(5)) };
+  }
+  return fixedTables;
+}
+
+/**
+ * Décompresse un flux deflate brut
+ * @param {Uint8Array} src - Données compressées
+ * @param {number} sizeHint - Taille décompressée attendue (allocation initiale)
+ * @returns {Uint8Array} Données décompressées
+ */
+export function inflateRaw(src, sizeHint = 0) {
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  let out = new Uint8Array(Math.max(sizeHint, 1024));
+  let outLen = 0;
+
+  function bits(n) {
+    while (bitCnt < n) {
+      if (pos >= src.length) throw new Error("Archive ZIP invalide : flux deflate tronqué");
+      bitBuf |= src[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return v;
+  }
+
+  function ensure(extra) {
+    if (outLen + extra <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outLen + extra));
+    grown.set(out.subarray(0, outLen));
+    out = grown;
+  }
+
+  function decodeSymbol(h) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = h.counts[len];
+      if (code - count < first) return h.symbols[index + (code - first)];
+      index += count;
+      first += count;
+      first <<= 1;
+      code <<= 1;
+    }
+    throw new Error("Archive ZIP invalide : code de Huffman incorrect");
+  }
+
+  let final = 0;
+  while (!final) {
+    final = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Bloc stocké : on s'aligne sur l'octet suivant
+      bitBuf = 0;
+      bitCnt = 0;
+      if (pos + 4 > src.length) throw new Error("Archive ZIP invalide : bloc stocké tronqué");
+      const len = src[pos] | (src[pos + 1] << 8);
+      pos += 4;
+      if (pos + len > src.length) throw new Error("Archive ZIP invalide : bloc stocké tronqué");
+      ensure(len);
+      out.set(src.subarray(pos, pos + len), outLen);
+      outLen += len;
+      pos += len;
+      continue;
+    }
+
+    let lit;
+    let dist;
+    if (type === 1) {
+      ({ lit, dist } = getFixedTables());
+    } else if (type === 2) {
+      const hlit = bits(5) + 257;
+      const hdist = bits(5) + 1;
+      const hclen = bits(4) + 4;
+      const clLengths = new Array(19).fill(0);
+      for (let i = 0; i < hclen; i++) clLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+      const clTable = buildHuffman(clLengths);
+
+      const lengths = [];
+      while (lengths.length < hlit + hdist) {
+        const sym = decodeSymbol(clTable);
+        if (sym < 16) {
+          lengths.push(sym);
+        } else if (sym === 16) {
+          if (lengths.length === 0) throw new Error("Archive ZIP invalide : répétition sans longueur précédente");
+          const prev = lengths[lengths.length - 1];
+          for (let r = 3 + bits(2); r > 0; r--) lengths.push(prev);
+        } else {
+          const zeros = sym === 17 ? 3 + bits(3) : 11 + bits(7);
+          for (let r = 0; r < zeros; r++) lengths.push(0);
+        }
+      }
+      lit = buildHuffman(lengths.slice(0, hlit));
+      dist = buildHuffman(lengths.slice(hlit, hlit + hdist));
+    } else {
+      throw new Error("Archive ZIP invalide : type de bloc deflate inconnu");
+    }
+
+    for (;;) {
+      const sym = decodeSymbol(lit);
+      if (sym < 256) {
+        ensure(1);
+        out[outLen++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        if (li >= LENGTH_BASE.length) throw new Error("Archive ZIP invalide : longueur incorrecte");
+        const len = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+        const di = decodeSymbol(dist);
+        if (di >= DIST_BASE.length) throw new Error("Archive ZIP invalide : distance incorrecte");
+        const d = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+        if (d > outLen) throw new Error("Archive ZIP invalide : distance hors des données");
+        ensure(len);
+        for (let k = 0; k < len; k++, outLen++) out[outLen] = out[outLen - d];
+      }
+    }
+  }
+
+  return out.subarray(0, outLen);
+}
+
+// ==================== ARCHIVE ZIP ====================
+
+/**
+ * Liste les entrées d'une archive ZIP à partir de son répertoire central
+ * @param {Uint8Array} bytes - Contenu de l'archive
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localOffset: number}>}
+ */
+function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // Fin du répertoire central : cherchée depuis la fin (commentaire d'archive possible)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Archive ZIP invalide : répertoire central introuvable");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder("utf-8");
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > bytes.length || view.getUint32(p, true) !== 0x02014b50) {
+      throw new Error("Archive ZIP invalide : entrée du répertoire central corrompue");
+    }
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    entries.push({
+      name: decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen)),
+      method: view.getUint16(p + 10, true),
+      compressedSize: view.getUint32(p + 20, true),
+      size: view.getUint32(p + 24, true),
+      localOffset: view.getUint32(p + 42, true)
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Extrait le contenu de la première entrée d'une archive ZIP qui satisfait un prédicat sur son nom
+ * @param {Uint8Array} bytes - Contenu de l'archive
+ * @param {(name: string) => boolean} predicate - Sélection de l'entrée
+ * @returns {{name: string, data: Uint8Array}|null} null si aucune entrée ne correspond
+ */
+export function extractZipEntry(bytes, predicate) {
+  const entry = listZipEntries(bytes).find(e => predicate(e.name));
+  if (!entry) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const p = entry.localOffset;
+  if (p + 30 > bytes.length || view.getUint32(p, true) !== 0x04034b50) {
+    throw new Error(`Archive ZIP invalide : en-tête local de "${entry.name}" corrompu`);
+  }
+  const start = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+  const raw = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return { name: entry.name, data: raw };
+  if (entry.method === 8) return { name: entry.name, data: inflateRaw(raw, entry.size) };
+  throw new Error(`Archive ZIP : méthode de compression ${entry.method} non supportée pour "${entry.name}"`);
+}
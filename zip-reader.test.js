@@ -0,0 +1,90 @@
+/**
+ * Tests de la lecture ZIP / inflate (node --test), comparés au deflate de zlib
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync, constants } from 'node:zlib';
+import { isZipData, inflateRaw, extractZipEntry } from './zip-reader.js';
+
+/**
+ * Archive ZIP minimale : en-têtes locaux, répertoire central et fin de répertoire (CRC à 0, non vérifié)
+ * @param {Array<{name: string, data: Uint8Array, method: 0|8}>} entries
+ */
+function makeZip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data, method } of entries) {
+    const nameBytes = new TextEncoder().encode(name);
+    const stored = method === 8 ? new Uint8Array(deflateRawSync(data)) : data;
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(10, method, true);
+    header.setUint32(20, stored.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, stored);
+    central.push(new Uint8Array(header.buffer), nameBytes);
+    offset += 30 + nameBytes.length + stored.length;
+  }
+  const centralSize = central.reduce((s, b) => s + b.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, entries.length, true);
+  eocd.setUint16(10, entries.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+  return new Uint8Array(Buffer.concat([...parts, ...central, new Uint8Array(eocd.buffer)]));
+}
+
+// Texte répétitif (références arrière) suivi d'octets pseudo-aléatoires (littéraux)
+const SAMPLE = (() => {
+  const text = new TextEncoder().encode("<coordinates>6.1,45.2,1000 6.2,45.3,1010</coordinates>\n".repeat(400));
+  const noise = new Uint8Array(5000);
+  let x = 12345;
+  for (let i = 0; i < noise.length; i++) {
+    x = (x * 1103515245 + 12345) >>> 0;
+    noise[i] = x >>> 24;
+  }
+  return new Uint8Array([...text, ...noise]);
+})();
+
+test("inflateRaw décompresse les blocs stockés, à codes fixes et dynamiques", () => {
+  for (const options of [
+    { level: 0 },
+    { strategy: constants.Z_FIXED },
+    { level: 9 }
+  ]) {
+    const packed = new Uint8Array(deflateRawSync(SAMPLE, options));
+    assert.deepEqual(inflateRaw(packed, SAMPLE.length), SAMPLE);
+  }
+});
+
+test("inflateRaw accepte une taille attendue trop petite", () => {
+  const packed = new Uint8Array(deflateRawSync(SAMPLE));
+  assert.deepEqual(inflateRaw(packed, 10), SAMPLE);
+});
+
+test("extractZipEntry choisit l'entrée par son nom, stockée ou compressée", () => {
+  const zip = makeZip([
+    { name: "images/a.png", data: new Uint8Array([1, 2, 3]), method: 0 },
+    { name: "doc.kml", data: SAMPLE, method: 8 }
+  ]);
+  assert.equal(isZipData(zip), true);
+  assert.deepEqual(extractZipEntry(zip, name => name.endsWith(".png")), { name: "images/a.png", data: new Uint8Array([1, 2, 3]) });
+  assert.deepEqual(extractZipEntry(zip, name => name === "doc.kml").data, SAMPLE);
+  assert.equal(extractZipEntry(zip, name => name === "absent.kml"), null);
+});
+
+test("une archive sans répertoire central est refusée", () => {
+  assert.equal(isZipData("PK"), false);
+  assert.throws(() => extractZipEntry(new Uint8Array([0x50, 0x4b, 3, 4, ...new Uint8Array(40)]), () => true), /répertoire central introuvable/);
+});